@@ -0,0 +1,396 @@
+/**
+ * 🚫 AVOIDANCE AREAS
+ * User-defined areas a route must stay out of (hard) or should stay out of (soft):
+ * circles, polygons and GeoJSON features, optionally bounded in time
+ *
+ * Accepted per area (in an avoidAreas array or a GeoJSON FeatureCollection):
+ *   { type: 'circle', center: { lat, lon }, radiusKm }
+ *   { type: 'polygon', points: [{ lat, lon }, ...] }  or  { type: 'polygon', coordinates: [[lon, lat], ...] }
+ *   GeoJSON Feature / geometry: Point (+ properties.radiusKm), Polygon, MultiPolygon
+ *   { lat, lon } or { location: { lat, lon } } - a hazard or cyclone position, avoided by DEFAULT_RADIUS_KM
+ * Common options (on the area or in GeoJSON properties):
+ *   id, name, mode: 'hard' | 'soft' (default hard), penalty (soft cost multiplier), validFrom, validTo
+ */
+
+const { haversineDistance } = require('./costFunction');
+
+const DEFAULT_RADIUS_KM = 100;      // Hazard / cyclone positions sent without a radius
+const DEFAULT_SOFT_PENALTY = 5;     // Cost multiplier inside a soft area
+const MAX_DETOUR_SEARCHES = 4;      // Extra searches used to split the detour between areas
+const SAMPLE_STEP_KM = 5;           // Spacing of the points checked along each leg
+const ROUTE_DISTANCE_FACTOR = 1.3;  // Sea route vs great-circle distance, for the voyage time window
+
+function invalid(index, message) {
+  const error = new Error(`avoidAreas[${index}]: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+function parseTime(value, index, field) {
+  if (value === undefined || value === null) return null;
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw invalid(index, `invalid ${field} "${value}"`);
+  }
+  return time.toISOString();
+}
+
+function isPoint(point) {
+  return point && Number.isFinite(Number(point.lat)) && Number.isFinite(Number(point.lon));
+}
+
+/**
+ * GeoJSON ring [[lon, lat], ...] with numeric values, at least 3 distinct points
+ */
+function toRing(coordinates, index) {
+  if (!Array.isArray(coordinates)) {
+    throw invalid(index, 'polygon coordinates must be an array of [lon, lat] positions');
+  }
+  const ring = coordinates.map(position => {
+    const lonLat = Array.isArray(position) ? position : [position?.lon, position?.lat];
+    if (!Number.isFinite(Number(lonLat[0])) || !Number.isFinite(Number(lonLat[1]))) {
+      throw invalid(index, 'polygon positions must be [lon, lat] or { lat, lon }');
+    }
+    return [Number(lonLat[0]), Number(lonLat[1])];
+  });
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  const open = ring.length > 1 && first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+  if (open.length < 3) {
+    throw invalid(index, 'a polygon needs at least 3 points');
+  }
+  return open;
+}
+
+/**
+ * Geometry part of an area: { shape: 'circle', center, radiusKm } or { shape: 'polygon', polygons }
+ * polygons: [[outerRing, ...holes], ...]
+ */
+function parseGeometry(raw, properties, index) {
+  const type = String(raw.type || '').toLowerCase();
+
+  if (type === 'circle' || type === 'point' || isPoint(raw) || isPoint(raw.location)) {
+    let center = raw.center || raw.location || raw;
+    if (type === 'point') {
+      if (!Array.isArray(raw.coordinates)) throw invalid(index, 'Point needs coordinates [lon, lat]');
+      center = { lat: raw.coordinates[1], lon: raw.coordinates[0] };
+    }
+    if (!isPoint(center)) {
+      throw invalid(index, 'a circle needs center { lat, lon }');
+    }
+    const radiusKm = Number(properties.radiusKm ?? raw.radiusKm ?? DEFAULT_RADIUS_KM);
+    if (!(radiusKm > 0)) {
+      throw invalid(index, 'radiusKm must be a positive number');
+    }
+    return { shape: 'circle', center: { lat: Number(center.lat), lon: Number(center.lon) }, radiusKm };
+  }
+
+  if (type === 'polygon') {
+    if (raw.points) {
+      return { shape: 'polygon', polygons: [[toRing(raw.points, index)]] };
+    }
+    const rings = Array.isArray(raw.coordinates?.[0]?.[0]) ? raw.coordinates : [raw.coordinates];
+    return { shape: 'polygon', polygons: [rings.map(ring => toRing(ring, index))] };
+  }
+
+  if (type === 'multipolygon') {
+    if (!Array.isArray(raw.coordinates)) throw invalid(index, 'MultiPolygon needs coordinates');
+    return { shape: 'polygon', polygons: raw.coordinates.map(polygon => polygon.map(ring => toRing(ring, index))) };
+  }
+
+  throw invalid(index, `unsupported area type "${raw.type}" (use circle, polygon or GeoJSON Point/Polygon/MultiPolygon)`);
+}
+
+function boundsOf(geometry) {
+  if (geometry.shape === 'circle') {
+    const { lat, lon } = geometry.center;
+    const dLat = geometry.radiusKm / 111.32;
+    const dLon = geometry.radiusKm / (111.32 * Math.max(0.01, Math.cos(lat * Math.PI / 180)));
+    return { latMin: lat - dLat, latMax: lat + dLat, lonMin: lon - dLon, lonMax: lon + dLon };
+  }
+
+  const bounds = { latMin: Infinity, latMax: -Infinity, lonMin: Infinity, lonMax: -Infinity };
+  for (const polygon of geometry.polygons) {
+    for (const [lon, lat] of polygon[0]) {
+      bounds.latMin = Math.min(bounds.latMin, lat);
+      bounds.latMax = Math.max(bounds.latMax, lat);
+      bounds.lonMin = Math.min(bounds.lonMin, lon);
+      bounds.lonMax = Math.max(bounds.lonMax, lon);
+    }
+  }
+  return bounds;
+}
+
+function pointInRing(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies inside an area's geometry
+ */
+function containsPoint(area, lat, lon) {
+  const { bounds } = area;
+  if (lat < bounds.latMin || lat > bounds.latMax || lon < bounds.lonMin || lon > bounds.lonMax) {
+    return false;
+  }
+  if (area.shape === 'circle') {
+    return haversineDistance(lat, lon, area.center.lat, area.center.lon) <= area.radiusKm;
+  }
+  return area.polygons.some(([outer, ...holes]) =>
+    pointInRing(lat, lon, outer) && !holes.some(hole => pointInRing(lat, lon, hole))
+  );
+}
+
+/**
+ * Flatten the request's avoidAreas (array, Feature or FeatureCollection) into raw area objects
+ */
+function flattenInput(input) {
+  if (!input) return [];
+  if (input.type === 'FeatureCollection') return input.features || [];
+  return Array.isArray(input) ? input : [input];
+}
+
+/**
+ * Validate and normalise avoidance areas for one route request
+ * Areas whose time window does not overlap the voyage are kept (active: false) so the response can list them;
+ * hard areas around the start or end point become soft, otherwise no route could leave or reach them
+ *
+ * @param {*} input - avoidAreas from the request
+ * @param {Object} voyage - { start, end, departureTime, speedKnots }
+ * @returns {Object} { areas, active, warnings }
+ */
+function parseAvoidAreas(input, voyage = {}) {
+  const departure = voyage.departureTime ? new Date(voyage.departureTime) : new Date();
+  const voyageHours = isPoint(voyage.start) && isPoint(voyage.end)
+    ? haversineDistance(voyage.start.lat, voyage.start.lon, voyage.end.lat, voyage.end.lon) *
+      ROUTE_DISTANCE_FACTOR / ((voyage.speedKnots || 15) * 1.852)
+    : 0;
+  const arrival = new Date(departure.getTime() + voyageHours * 3600000);
+  const warnings = [];
+
+  const areas = flattenInput(input).map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw invalid(index, 'must be an object');
+    }
+    const isFeature = item.type === 'Feature';
+    const properties = (isFeature ? item.properties : item) || {};
+    const raw = isFeature ? item.geometry || {} : item;
+
+    const geometry = parseGeometry(raw, properties, index);
+    const mode = properties.mode === 'soft' || properties.hard === false ? 'soft' : 'hard';
+    const penalty = Number(properties.penalty ?? DEFAULT_SOFT_PENALTY);
+    if (mode === 'soft' && !(penalty >= 1)) {
+      throw invalid(index, 'penalty must be a number >= 1');
+    }
+
+    const area = {
+      id: String(properties.id ?? item.id ?? `area-${index + 1}`),
+      name: properties.name || properties.message || null,
+      ...geometry,
+      mode,
+      penalty: mode === 'soft' ? penalty : null,
+      validFrom: parseTime(properties.validFrom ?? properties.startTime, index, 'validFrom'),
+      validTo: parseTime(properties.validTo ?? properties.endTime, index, 'validTo'),
+      active: true
+    };
+    area.bounds = boundsOf(area);
+
+    if ((area.validFrom && new Date(area.validFrom) > arrival) || (area.validTo && new Date(area.validTo) < departure)) {
+      area.active = false;
+      area.reason = 'outside the voyage time window';
+    }
+
+    for (const [label, point] of [['start', voyage.start], ['end', voyage.end]]) {
+      if (area.active && area.mode === 'hard' && isPoint(point) && containsPoint(area, point.lat, point.lon)) {
+        area.mode = 'soft';
+        area.penalty = DEFAULT_SOFT_PENALTY;
+        warnings.push(`Avoidance area ${area.id} contains the route ${label}, so it is applied as a soft area`);
+      }
+    }
+
+    return area;
+  });
+
+  return { areas, active: areas.filter(area => area.active), warnings };
+}
+
+/**
+ * Cost lookup used inside the searches (built from plain area objects, so it works in route workers)
+ */
+class AvoidanceSet {
+  constructor(areas = []) {
+    this.areas = areas;
+  }
+
+  get isEmpty() {
+    return this.areas.length === 0;
+  }
+
+  /**
+   * Cost multiplier at a point: Infinity inside a hard area, the highest soft penalty, or 1
+   */
+  penaltyAt(lat, lon) {
+    let penalty = 1;
+    for (const area of this.areas) {
+      if (containsPoint(area, lat, lon)) {
+        if (area.mode === 'hard') return Infinity;
+        penalty = Math.max(penalty, area.penalty);
+      }
+    }
+    return penalty;
+  }
+
+  /**
+   * Multiplier for a step between neighbouring cells (end cell and midpoint, so diagonals cannot cut a corner)
+   */
+  segmentPenalty(from, to) {
+    const end = this.penaltyAt(to.lat, to.lon);
+    if (end === Infinity) return end;
+    return Math.max(end, this.penaltyAt((from.lat + to.lat) / 2, (from.lon + to.lon) / 2));
+  }
+}
+
+function pathDistanceKm(path) {
+  let total = 0;
+  for (let i = 1; i < path.length; i++) {
+    total += haversineDistance(path[i - 1].lat, path[i - 1].lon, path[i].lat, path[i].lon);
+  }
+  return total;
+}
+
+/**
+ * Length of a path inside an area (legs sampled every SAMPLE_STEP_KM)
+ */
+function distanceInsideKm(area, path) {
+  let inside = 0;
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    const legKm = haversineDistance(from.lat, from.lon, to.lat, to.lon);
+    const steps = Math.max(1, Math.min(200, Math.ceil(legKm / SAMPLE_STEP_KM)));
+    for (let s = 0; s < steps; s++) {
+      const t = (s + 0.5) / steps;
+      if (containsPoint(area, from.lat + (to.lat - from.lat) * t, from.lon + (to.lon - from.lon) * t)) {
+        inside += legKm / steps;
+      }
+    }
+  }
+  return inside;
+}
+
+/**
+ * Search with the active areas, plus the searches needed to cost the detour:
+ * one without any area (baseline) and, when the baseline crosses several areas,
+ * one without each of them
+ *
+ * @param {Object} plan - parseAvoidAreas() result
+ * @param {Function} search - async (areas) => path [{ lat, lon }] | null
+ * @returns {Promise<Object>} { path, baselinePath, withoutArea: Map(areaId -> path) }
+ */
+async function routeAroundAreas(plan, search) {
+  const path = await search(plan.active);
+  if (plan.active.length === 0 || !path) {
+    return { path, baselinePath: null, withoutArea: new Map() };
+  }
+
+  // Extra searches only cost the detour, so a failure there leaves it unknown rather than failing the route
+  const tryFind = (areas) => search(areas).catch(() => null);
+
+  const baselinePath = await tryFind([]);
+  const withoutArea = new Map();
+  if (baselinePath) {
+    const crossed = plan.active.filter(area => distanceInsideKm(area, baselinePath) > 0);
+    if (crossed.length > 1) {
+      for (const area of crossed.slice(0, MAX_DETOUR_SEARCHES)) {
+        withoutArea.set(area.id, await tryFind(plan.active.filter(other => other !== area)));
+      }
+    }
+  }
+
+  return { path, baselinePath, withoutArea };
+}
+
+function round(value, digits = 2) {
+  return parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Response block: each area, whether the route avoided it and the detour it caused
+ * @param {Object} options - { speedKnots, fuelTonsPerKm } to express detours as time and fuel
+ */
+function summarizeAvoidance(plan, search, options = {}) {
+  const { path, baselinePath, withoutArea } = search;
+  const speedKmh = (options.speedKnots || 15) * 1.852;
+  const routeKm = path ? pathDistanceKm(path) : null;
+  const baselineKm = baselinePath ? pathDistanceKm(baselinePath) : null;
+
+  const detourCost = (km) => km === null ? null : {
+    distanceKm: round(km),
+    durationHours: round(km / speedKmh),
+    fuelTons: options.fuelTonsPerKm ? round(km * options.fuelTonsPerKm) : null
+  };
+
+  const areas = plan.areas.map(area => {
+    const summary = {
+      id: area.id,
+      name: area.name,
+      shape: area.shape,
+      mode: area.mode,
+      penalty: area.penalty,
+      validFrom: area.validFrom,
+      validTo: area.validTo,
+      active: area.active
+    };
+    if (!area.active) {
+      return { ...summary, reason: area.reason, avoided: false, detour: null };
+    }
+
+    const routeInsideKm = path ? distanceInsideKm(area, path) : 0;
+    const baselineInsideKm = baselinePath ? distanceInsideKm(area, baselinePath) : null;
+    const avoided = baselineInsideKm !== null && baselineInsideKm > 0 && routeInsideKm < baselineInsideKm;
+
+    let detourKm = 0;
+    if (avoided) {
+      const alternative = withoutArea.size > 0 ? withoutArea.get(area.id) : baselinePath;
+      detourKm = alternative ? Math.max(0, routeKm - pathDistanceKm(alternative)) : null;
+    }
+
+    return {
+      ...summary,
+      crossedByDirectRoute: baselineInsideKm === null ? null : baselineInsideKm > 0,
+      distanceInsideKm: round(routeInsideKm),
+      avoided,
+      detour: baselineInsideKm === null ? null : detourCost(detourKm)
+    };
+  });
+
+  return {
+    areas,
+    activeAreas: plan.active.length,
+    avoidedAreas: areas.filter(area => area.avoided).length,
+    baselineDistanceKm: baselineKm === null ? null : round(baselineKm),
+    routeDistanceKm: routeKm === null ? null : round(routeKm),
+    totalDetour: baselineKm === null || routeKm === null ? null : detourCost(Math.max(0, routeKm - baselineKm)),
+    warnings: plan.warnings
+  };
+}
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  DEFAULT_SOFT_PENALTY,
+  parseAvoidAreas,
+  containsPoint,
+  distanceInsideKm,
+  routeAroundAreas,
+  summarizeAvoidance,
+  AvoidanceSet
+};
@@ -0,0 +1,482 @@
+/**
+ * 🌊 BATHYMETRY IMPORT
+ * Fills the grid's depth layer (metres below sea level) from a local bathymetry raster, so the
+ * routers can keep vessels out of water shallower than their draft plus under-keel clearance
+ * (routeConstraints.js). Supported rasters, in geographic lat/lon (EPSG:4326):
+ *   - ESRI / GEBCO ASCII grid (.asc): ncols, nrows, xllcorner|xllcenter, yllcorner|yllcenter,
+ *     cellsize, NODATA_value header, rows north to south
+ *   - GeoTIFF (.tif): one band of 8/16/32-bit integers or 32/64-bit floats, strips or tiles,
+ *     uncompressed or Deflate (convert others with gdal_translate -co COMPRESS=DEFLATE)
+ * Values are elevations (negative below sea level, as GEBCO) unless --positive-down is given.
+ *
+ * A grid cell's depth is a low percentile (default 10th) of the water samples inside it, so a
+ * cell counts as deep only when most of it is; cells whose samples are all land get depth 0,
+ * cells the raster does not cover keep their depth. The grid version gets a +depth-<hash>
+ * suffix, so caches built on the old grid (route results, sea-lane graph) are invalidated.
+ *
+ * Usage:
+ *   node bathymetry.js import <raster.asc|raster.tif> [--grid gridData.bin|grid.json] [--percentile 10] [--positive-down]
+ *   node bathymetry.js info <raster>
+ * The default grid is gridData.bin (converted from gridData.json / .json.gz when missing). For
+ * MongoDB, import into gridData.json with --grid and run node importGridChunked.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const DEFAULT_PERCENTILE = 10;
+const SAMPLES_PER_CELL = 256; // Reservoir of water samples kept per grid cell for the percentile
+
+// ---------- Raster readers ----------
+// Both return { format, cols, rows, west, north, dx, dy, values } with values a Float32Array of
+// rows * cols (row 0 = north), NaN where the raster has no data
+
+/**
+ * Parse an ESRI / GEBCO ASCII grid
+ */
+function readAsciiGrid(buffer) {
+  const header = {};
+  let offset = 0;
+  for (;;) {
+    const end = buffer.indexOf(10, offset);
+    const line = buffer.toString('latin1', offset, end === -1 ? buffer.length : end).trim();
+    const [key, value] = line.split(/\s+/);
+    if (!key || !/^[a-z_]+$/i.test(key)) break;
+    header[key.toLowerCase()] = Number(value);
+    offset = end + 1;
+  }
+
+  const cols = header.ncols;
+  const rows = header.nrows;
+  const dx = header.cellsize || header.dx;
+  const dy = header.cellsize || header.dy;
+  if (!cols || !rows || !dx || !dy) {
+    throw new Error('ASCII grid header needs ncols, nrows and cellsize');
+  }
+  const west = header.xllcorner ?? (header.xllcenter !== undefined ? header.xllcenter - dx / 2 : undefined);
+  const south = header.yllcorner ?? (header.yllcenter !== undefined ? header.yllcenter - dy / 2 : undefined);
+  if (west === undefined || south === undefined) {
+    throw new Error('ASCII grid header needs xllcorner/xllcenter and yllcorner/yllcenter');
+  }
+
+  // Scan the numbers in place (GEBCO extracts are too large to split into strings)
+  const values = new Float32Array(cols * rows);
+  const nodata = header.nodata_value;
+  let count = 0;
+  let i = offset;
+  while (i < buffer.length && count < values.length) {
+    while (i < buffer.length && buffer[i] <= 32) i++;
+    const start = i;
+    while (i < buffer.length && buffer[i] > 32) i++;
+    if (i > start) {
+      const value = Number(buffer.toString('latin1', start, i));
+      values[count++] = value === nodata || Number.isNaN(value) ? NaN : value;
+    }
+  }
+  if (count < values.length) {
+    throw new Error(`ASCII grid has ${count} values, expected ${values.length} (${rows} rows x ${cols} columns)`);
+  }
+
+  return { format: 'ascii-grid', cols, rows, west, north: south + rows * dy, dx, dy, values };
+}
+
+// TIFF field types -> byte size
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8 };
+
+const TIFF_TAGS = {
+  ImageWidth: 256,
+  ImageLength: 257,
+  BitsPerSample: 258,
+  Compression: 259,
+  StripOffsets: 273,
+  SamplesPerPixel: 277,
+  RowsPerStrip: 278,
+  StripByteCounts: 279,
+  PlanarConfiguration: 284,
+  Predictor: 317,
+  TileWidth: 322,
+  TileLength: 323,
+  TileOffsets: 324,
+  TileByteCounts: 325,
+  SampleFormat: 339,
+  ModelPixelScale: 33550,
+  ModelTiepoint: 33922,
+  GdalNoData: 42113
+};
+
+/**
+ * Read the first image file directory of a TIFF: tag -> array of values (string for ASCII)
+ */
+function readTiffDirectory(view, little) {
+  const magic = view.getUint16(2, little);
+  if (magic === 43) throw new Error('BigTIFF is not supported; write a classic GeoTIFF (gdal_translate -co BIGTIFF=NO)');
+  if (magic !== 42) throw new Error('Not a TIFF file');
+
+  const ifd = view.getUint32(4, little);
+  const entries = view.getUint16(ifd, little);
+  const tags = {};
+  for (let e = 0; e < entries; e++) {
+    const entry = ifd + 2 + e * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const count = view.getUint32(entry + 4, little);
+    const size = TIFF_TYPE_SIZES[type];
+    if (!size) continue;
+    const valueOffset = count * size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+    if (type === 2) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + valueOffset, count);
+      tags[tag] = Buffer.from(bytes).toString('latin1').replace(/\0+$/, '');
+      continue;
+    }
+    const values = [];
+    for (let k = 0; k < count; k++) {
+      const at = valueOffset + k * size;
+      switch (type) {
+        case 1: case 7: values.push(view.getUint8(at)); break;
+        case 6: values.push(view.getInt8(at)); break;
+        case 3: values.push(view.getUint16(at, little)); break;
+        case 8: values.push(view.getInt16(at, little)); break;
+        case 4: values.push(view.getUint32(at, little)); break;
+        case 9: values.push(view.getInt32(at, little)); break;
+        case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+        case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+        case 11: values.push(view.getFloat32(at, little)); break;
+        case 12: values.push(view.getFloat64(at, little)); break;
+        case 16: values.push(Number(view.getBigUint64(at, little))); break;
+      }
+    }
+    tags[tag] = values;
+  }
+  return tags;
+}
+
+/**
+ * Typed array and DataView getter for a sample layout
+ */
+function tiffSampleType(bits, format) {
+  const types = {
+    '1:8': [Uint8Array, 'getUint8'], '2:8': [Int8Array, 'getInt8'],
+    '1:16': [Uint16Array, 'getUint16'], '2:16': [Int16Array, 'getInt16'],
+    '1:32': [Uint32Array, 'getUint32'], '2:32': [Int32Array, 'getInt32'],
+    '3:32': [Float32Array, 'getFloat32'], '3:64': [Float64Array, 'getFloat64']
+  };
+  const type = types[`${format}:${bits}`];
+  if (!type) throw new Error(`Unsupported GeoTIFF samples: ${bits}-bit, sample format ${format}`);
+  return type;
+}
+
+/**
+ * Parse a single-band GeoTIFF in geographic coordinates
+ */
+function readGeoTiff(buffer) {
+  const little = buffer.toString('latin1', 0, 2) === 'II';
+  if (!little && buffer.toString('latin1', 0, 2) !== 'MM') {
+    throw new Error('Not a TIFF file');
+  }
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const tags = readTiffDirectory(view, little);
+  const first = (tag, fallback) => (tags[tag] ? tags[tag][0] : fallback);
+
+  const cols = first(TIFF_TAGS.ImageWidth);
+  const rows = first(TIFF_TAGS.ImageLength);
+  const bits = first(TIFF_TAGS.BitsPerSample, 1);
+  const sampleFormat = first(TIFF_TAGS.SampleFormat, 1);
+  const samplesPerPixel = first(TIFF_TAGS.SamplesPerPixel, 1);
+  const planar = first(TIFF_TAGS.PlanarConfiguration, 1);
+  const compression = first(TIFF_TAGS.Compression, 1);
+  const predictor = first(TIFF_TAGS.Predictor, 1);
+
+  if (compression !== 1 && compression !== 8 && compression !== 32946) {
+    throw new Error(`Unsupported GeoTIFF compression ${compression}; rewrite it with gdal_translate -co COMPRESS=DEFLATE, or export an ASCII grid`);
+  }
+  if (predictor !== 1 && predictor !== 2) {
+    throw new Error(`Unsupported GeoTIFF predictor ${predictor}; rewrite it with gdal_translate -co PREDICTOR=1`);
+  }
+
+  const scale = tags[TIFF_TAGS.ModelPixelScale];
+  const tiepoint = tags[TIFF_TAGS.ModelTiepoint];
+  if (!scale || !tiepoint) {
+    throw new Error('GeoTIFF has no georeferencing (ModelPixelScale / ModelTiepoint)');
+  }
+  const [dx, dy] = scale;
+  const west = tiepoint[3] - tiepoint[0] * dx;
+  const north = tiepoint[4] + tiepoint[1] * dy;
+  // Compared in single precision: GDAL writes float nodata as text (-3.40282e+38)
+  const nodata = tags[TIFF_TAGS.GdalNoData] !== undefined ? Math.fround(Number(tags[TIFF_TAGS.GdalNoData])) : undefined;
+
+  // Strips are chunks the width of the image; tiles are fixed-size chunks padded at the edges
+  const tiled = Boolean(tags[TIFF_TAGS.TileOffsets]);
+  const chunkWidth = tiled ? first(TIFF_TAGS.TileWidth) : cols;
+  const chunkHeight = tiled ? first(TIFF_TAGS.TileLength) : first(TIFF_TAGS.RowsPerStrip, rows);
+  const offsets = tags[tiled ? TIFF_TAGS.TileOffsets : TIFF_TAGS.StripOffsets];
+  const byteCounts = tags[tiled ? TIFF_TAGS.TileByteCounts : TIFF_TAGS.StripByteCounts];
+  const across = Math.ceil(cols / chunkWidth);
+  const down = Math.ceil(rows / chunkHeight);
+  const stride = planar === 1 ? samplesPerPixel : 1; // Band 1 only; with planar bands it is the first chunks
+
+  const [ArrayType, getter] = tiffSampleType(bits, sampleFormat);
+  const bytesPerSample = bits / 8;
+  const values = new Float32Array(cols * rows).fill(NaN);
+
+  for (let chunk = 0; chunk < across * down; chunk++) {
+    let data = buffer.subarray(offsets[chunk], offsets[chunk] + byteCounts[chunk]);
+    if (compression !== 1) data = zlib.inflateSync(data);
+    const chunkView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const samples = new ArrayType(Math.floor(data.byteLength / bytesPerSample));
+    for (let k = 0; k < samples.length; k++) {
+      samples[k] = chunkView[getter](k * bytesPerSample, little);
+    }
+
+    const x0 = (chunk % across) * chunkWidth;
+    const y0 = Math.floor(chunk / across) * chunkHeight;
+    const rowLength = chunkWidth * samplesPerPixel;
+    for (let y = 0; y < chunkHeight && y0 + y < rows; y++) {
+      if (predictor === 2) {
+        // Horizontal differencing: each sample is stored as the change from the one before it
+        for (let k = y * rowLength + samplesPerPixel; k < (y + 1) * rowLength && k < samples.length; k++) {
+          samples[k] += samples[k - samplesPerPixel];
+        }
+      }
+      for (let x = 0; x < chunkWidth && x0 + x < cols; x++) {
+        const value = samples[(y * chunkWidth + x) * stride];
+        values[(y0 + y) * cols + x0 + x] = value === undefined || Math.fround(value) === nodata ? NaN : value;
+      }
+    }
+  }
+
+  return { format: 'geotiff', cols, rows, west, north, dx, dy, values };
+}
+
+/**
+ * Read a raster file (by extension, else by content)
+ */
+function readRaster(file) {
+  const buffer = fs.readFileSync(file);
+  const ext = path.extname(file).toLowerCase();
+  const isTiff = ext === '.tif' || ext === '.tiff' || ['II', 'MM'].includes(buffer.toString('latin1', 0, 2));
+  const raster = isTiff ? readGeoTiff(buffer) : readAsciiGrid(buffer);
+
+  const south = raster.north - raster.rows * raster.dy;
+  const east = raster.west + raster.cols * raster.dx;
+  if (raster.north > 90.001 || south < -90.001 || raster.west < -360 || east > 360) {
+    throw new Error('Raster bounds are not latitude/longitude; reproject it to EPSG:4326 (gdalwarp -t_srs EPSG:4326)');
+  }
+  raster.bounds = { north: raster.north, south, west: raster.west, east };
+  raster.hash = crypto.createHash('sha1').update(buffer).digest('hex');
+  return raster;
+}
+
+// ---------- Sampling onto the grid ----------
+
+/**
+ * Depth per grid cell from a raster
+ * @param {Object} raster - readRaster result
+ * @param {BinaryGrid} grid - Grid the depths are for (indexOf / hasCell)
+ * @param {Object} options - { percentile, positiveDown }
+ * @returns {Map} grid index -> depth in metres (0 when all the cell's samples are land)
+ */
+function sampleDepths(raster, grid, options = {}) {
+  const percentile = options.percentile ?? DEFAULT_PERCENTILE;
+  const sign = options.positiveDown ? 1 : -1;
+  const half = grid.resolution / 2;
+  const latMin = grid.origin.lat - half;
+  const latMax = grid.origin.lat + (grid.rows - 1) * grid.resolution + half;
+  const lonMin = grid.origin.lon - half;
+  const lonMax = grid.origin.lon + (grid.cols - 1) * grid.resolution + half;
+
+  // Reservoir sampling keeps memory bounded on fine rasters; seeded so imports are repeatable
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const cells = new Map(); // grid index -> { samples, water, total }
+
+  for (let r = 0; r < raster.rows; r++) {
+    const lat = raster.north - (r + 0.5) * raster.dy;
+    if (lat < latMin || lat > latMax) continue;
+    for (let c = 0; c < raster.cols; c++) {
+      const value = raster.values[r * raster.cols + c];
+      if (Number.isNaN(value)) continue;
+      const lon = raster.west + (c + 0.5) * raster.dx;
+      if (lon < lonMin || lon > lonMax) continue;
+      const index = grid.indexOf(lat, lon);
+      if (!grid.hasCell(index)) continue;
+
+      let cell = cells.get(index);
+      if (!cell) {
+        cell = { samples: new Float32Array(SAMPLES_PER_CELL), water: 0, total: 0 };
+        cells.set(index, cell);
+      }
+      cell.total++;
+      const depth = sign * value;
+      if (depth <= 0) continue; // Land or drying
+      if (cell.water < SAMPLES_PER_CELL) {
+        cell.samples[cell.water] = depth;
+      } else {
+        const slot = Math.floor(random() * (cell.water + 1));
+        if (slot < SAMPLES_PER_CELL) cell.samples[slot] = depth;
+      }
+      cell.water++;
+    }
+  }
+
+  const depths = new Map();
+  for (const [index, cell] of cells) {
+    if (cell.water === 0) {
+      depths.set(index, 0);
+      continue;
+    }
+    const kept = cell.samples.slice(0, Math.min(cell.water, SAMPLES_PER_CELL)).sort();
+    const depth = kept[Math.floor((percentile / 100) * (kept.length - 1))];
+    depths.set(index, Math.round(depth * 10) / 10);
+  }
+  return depths;
+}
+
+/**
+ * Grid version with the bathymetry it was built with (replaces an earlier +depth- suffix)
+ */
+function versionWithDepth(version, raster, percentile) {
+  const base = String(version || 'v1').replace(/\+depth-[0-9a-f]+$/, '');
+  return `${base}+depth-${raster.hash.slice(0, 8)}${percentile === DEFAULT_PERCENTILE ? '' : `p${percentile}`}`;
+}
+
+/**
+ * Import a raster into a grid file: gridData.bin (binary format) or a gridData-style JSON file
+ * @returns {Object} { gridFile, version, cellsCharted, waterCellsCharted, minDepth, maxDepth }
+ */
+function importBathymetry(rasterFile, options = {}) {
+  const GridCacheManager = require('./gridCacheManager');
+  const BinaryGrid = require('./binaryGrid');
+  const percentile = options.percentile ?? DEFAULT_PERCENTILE;
+  const manager = new GridCacheManager();
+  const gridFile = options.gridFile || manager.binaryCacheFile;
+  const isJson = gridFile.endsWith('.json');
+
+  console.log(`📥 Reading bathymetry ${path.basename(rasterFile)}...`);
+  const raster = readRaster(rasterFile);
+  const { bounds } = raster;
+  console.log(`   ${raster.format}: ${raster.cols}x${raster.rows} @ ${raster.dx.toFixed(4)}°, ${bounds.south.toFixed(2)}°-${bounds.north.toFixed(2)}°N, ${bounds.west.toFixed(2)}°-${bounds.east.toFixed(2)}°E`);
+
+  let gridData = null;
+  let grid;
+  if (isJson) {
+    gridData = JSON.parse(fs.readFileSync(gridFile, 'utf8'));
+    grid = BinaryGrid.fromGridData(gridData);
+  } else if (fs.existsSync(gridFile)) {
+    grid = BinaryGrid.decode(fs.readFileSync(gridFile));
+  } else {
+    const local = manager.loadLocalGrid();
+    if (!local) {
+      throw new Error('No local grid found. Generate one first: node gridGenerator.js');
+    }
+    grid = BinaryGrid.fromGridData(local);
+  }
+
+  const depths = sampleDepths(raster, grid, { percentile, positiveDown: options.positiveDown });
+  if (depths.size === 0) {
+    throw new Error('The raster does not overlap the grid');
+  }
+
+  let waterCellsCharted = 0;
+  let minDepth = Infinity;
+  let maxDepth = -Infinity;
+  for (const [index, depth] of depths) {
+    grid.layers.depth[index] = depth;
+    if (grid.isWater(index)) {
+      waterCellsCharted++;
+      minDepth = Math.min(minDepth, depth);
+      maxDepth = Math.max(maxDepth, depth);
+    }
+  }
+
+  const version = versionWithDepth(grid.version, raster, percentile);
+  const bathymetry = {
+    source: path.basename(rasterFile),
+    format: raster.format,
+    sha1: raster.hash,
+    bounds,
+    resolution: { dx: raster.dx, dy: raster.dy },
+    percentile,
+    cellsCharted: depths.size,
+    importedAt: new Date().toISOString()
+  };
+
+  if (isJson) {
+    const cells = gridData.grid || gridData.cells;
+    for (const cell of cells) {
+      const index = grid.indexOf(cell.lat, cell.lon);
+      if (depths.has(index)) cell.depth = depths.get(index);
+    }
+    gridData.metadata = { ...gridData.metadata, version, bathymetry };
+    fs.writeFileSync(gridFile, JSON.stringify(gridData, null, 2));
+  } else {
+    grid.version = version;
+    grid.header.gridVersion = version;
+    grid.header.metadata = { ...grid.header.metadata, version, bathymetry };
+    fs.writeFileSync(gridFile, grid.encode());
+  }
+
+  return {
+    gridFile,
+    version,
+    cellsCharted: depths.size,
+    waterCellsCharted,
+    minDepth: waterCellsCharted > 0 ? minDepth : null,
+    maxDepth: waterCellsCharted > 0 ? maxDepth : null
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const [command, rasterFile, ...rest] = process.argv.slice(2);
+  const option = (name) => {
+    const at = rest.indexOf(`--${name}`);
+    return at === -1 ? undefined : rest[at + 1];
+  };
+
+  try {
+    if (command === 'import' && rasterFile) {
+      const percentile = option('percentile') !== undefined ? Number(option('percentile')) : DEFAULT_PERCENTILE;
+      if (!(percentile >= 0 && percentile <= 100)) {
+        throw new Error('--percentile must be between 0 and 100');
+      }
+      const result = importBathymetry(path.resolve(rasterFile), {
+        gridFile: option('grid') ? path.resolve(option('grid')) : undefined,
+        percentile,
+        positiveDown: rest.includes('--positive-down')
+      });
+      console.log(`✅ Charted ${result.cellsCharted} cells (${result.waterCellsCharted} water, ${result.minDepth}-${result.maxDepth}m) in ${path.basename(result.gridFile)}`);
+      console.log(`   Grid version ${result.version}; restart the server to route with it`);
+    } else if (command === 'info' && rasterFile) {
+      const raster = readRaster(path.resolve(rasterFile));
+      let min = Infinity;
+      let max = -Infinity;
+      let missing = 0;
+      for (const value of raster.values) {
+        if (Number.isNaN(value)) missing++;
+        else { min = Math.min(min, value); max = Math.max(max, value); }
+      }
+      console.log(JSON.stringify({ format: raster.format, cols: raster.cols, rows: raster.rows, bounds: raster.bounds, dx: raster.dx, dy: raster.dy, min, max, noData: missing }, null, 2));
+    } else {
+      console.log('Usage: node bathymetry.js import <raster.asc|raster.tif> [--grid gridData.bin|grid.json] [--percentile 10] [--positive-down]');
+      console.log('       node bathymetry.js info <raster>');
+    }
+  } catch (error) {
+    console.error(`❌ Bathymetry import failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  DEFAULT_PERCENTILE,
+  readAsciiGrid,
+  readGeoTiff,
+  readRaster,
+  sampleDepths,
+  importBathymetry
+};
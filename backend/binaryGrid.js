@@ -0,0 +1,422 @@
+/**
+ * 🗜️ BINARY GRID FORMAT
+ * Versioned binary file for the navigation grid (gridData.bin)
+ * Cells are stored as a regular lat/lon raster: one typed-array layer per attribute,
+ * so loading is a single file read with no per-cell objects or JSON parsing
+ *
+ * File layout (little-endian):
+ *   bytes 0-3   magic "JMGB"
+ *   bytes 4-5   format version (uint16)
+ *   bytes 6-7   reserved
+ *   bytes 8-11  header length (uint32)
+ *   header      UTF-8 JSON: bounds, resolution, origin, rows, cols, layer table, source metadata
+ *   layers      typed arrays of rows * cols values (row = latitude index), each 8-byte aligned
+ */
+
+const { BinaryHeap } = require('./searchCore');
+const { ZONES, WEATHER_FIELDS } = require('./sharedGrid');
+
+const MAGIC = 'JMGB';
+const FORMAT_VERSION = 1;
+const PREAMBLE_BYTES = 12;
+
+// Land mask values
+const WATER = 0;
+const LAND = 1;
+const NO_CELL = 255;
+
+const LAYERS = [
+  { name: 'land', type: 'Uint8' },             // WATER / LAND / NO_CELL
+  { name: 'obstacle', type: 'Uint8' },
+  { name: 'openWater', type: 'Uint8' },
+  { name: 'zone', type: 'Uint8' },             // index into ZONES
+  { name: 'distanceToCoast', type: 'Float32' }, // km, NaN = unknown
+  { name: 'depth', type: 'Float32' },           // metres below sea level, NaN = unknown
+  { name: 'cost', type: 'Float32' },
+  { name: 'safety', type: 'Float32' },
+  { name: 'fuelEfficiency', type: 'Float32' },
+  ...WEATHER_FIELDS.map(name => ({ name, type: 'Float32' })),
+  { name: 'weatherUpdatedAt', type: 'Float64' } // epoch ms, NaN = never
+];
+
+const ARRAY_TYPES = {
+  Uint8: Uint8Array,
+  Float32: Float32Array,
+  Float64: Float64Array
+};
+
+function align8(offset) {
+  return Math.ceil(offset / 8) * 8;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined || value === '' ? NaN : Number(value);
+}
+
+// Float32 layers: drop the single-precision noise (3.8299999237 -> 3.83)
+function toNullable(value) {
+  return Number.isNaN(value) ? null : Math.round(value * 1000) / 1000;
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+class BinaryGrid {
+  /**
+   * @param {Object} header - Parsed file header (see encode)
+   * @param {Object} layers - Layer name -> typed array of rows * cols values
+   */
+  constructor(header, layers) {
+    this.header = header;
+    this.layers = layers;
+
+    this.formatVersion = header.formatVersion;
+    this.version = header.gridVersion;
+    this.bounds = header.bounds;
+    this.resolution = header.resolution;
+    this.origin = header.origin;
+    this.rows = header.rows;
+    this.cols = header.cols;
+    this.size = header.rows * header.cols;
+    this.cellCount = header.cellCount;
+  }
+
+  /**
+   * Convert gridData.json content ({ metadata, grid: [cells] }) to a binary grid
+   * Distance to coast is computed from the land mask when the cells do not carry it
+   */
+  static fromGridData(gridData) {
+    const cells = gridData.grid || gridData.cells || [];
+    const metadata = gridData.metadata || {};
+    const resolution = metadata.resolution;
+
+    if (!resolution) {
+      throw new Error('Grid metadata has no resolution');
+    }
+    if (cells.length === 0) {
+      throw new Error('Grid has no cells');
+    }
+
+    let latMin = Infinity, latMax = -Infinity, lonMin = Infinity, lonMax = -Infinity;
+    for (const cell of cells) {
+      if (cell.lat < latMin) latMin = cell.lat;
+      if (cell.lat > latMax) latMax = cell.lat;
+      if (cell.lon < lonMin) lonMin = cell.lon;
+      if (cell.lon > lonMax) lonMax = cell.lon;
+    }
+
+    const rows = Math.round((latMax - latMin) / resolution) + 1;
+    const cols = Math.round((lonMax - lonMin) / resolution) + 1;
+    const layers = BinaryGrid.allocateLayers(rows * cols);
+
+    let hasDistanceToCoast = false;
+    let waterCount = 0;
+    let cellCount = 0;
+
+    for (const cell of cells) {
+      const i = Math.round((cell.lat - latMin) / resolution) * cols + Math.round((cell.lon - lonMin) / resolution);
+      if (layers.land[i] === NO_CELL) cellCount++;
+
+      // Some generators only filled weatherData
+      const weather = cell.weather || cell.weatherData || {};
+      const distanceToCoast = toNumber(cell.distanceToCoast);
+
+      layers.land[i] = cell.is_land ? LAND : WATER;
+      layers.obstacle[i] = cell.obstacle ? 1 : 0;
+      layers.openWater[i] = cell.open_water ? 1 : 0;
+      layers.zone[i] = Math.max(0, ZONES.indexOf(cell.zone || null));
+      layers.distanceToCoast[i] = distanceToCoast;
+      layers.depth[i] = toNumber(cell.depth);
+      layers.cost[i] = toNumber(cell.cost);
+      layers.safety[i] = toNumber(cell.safety);
+      layers.fuelEfficiency[i] = toNumber(cell.fuel_efficiency);
+      for (const field of WEATHER_FIELDS) {
+        layers[field][i] = toNumber(weather[field]);
+      }
+      layers.weatherUpdatedAt[i] = weather.lastUpdated ? new Date(weather.lastUpdated).getTime() : NaN;
+
+      if (!Number.isNaN(distanceToCoast)) hasDistanceToCoast = true;
+    }
+
+    for (let i = 0; i < layers.land.length; i++) {
+      if (layers.land[i] === WATER) waterCount++;
+    }
+
+    const header = {
+      formatVersion: FORMAT_VERSION,
+      gridVersion: metadata.version || 'v1',
+      bounds: metadata.bounds || { north: latMax, south: latMin, east: lonMax, west: lonMin },
+      resolution,
+      origin: { lat: latMin, lon: lonMin },
+      rows,
+      cols,
+      cellCount,
+      waterCount,
+      landCount: cellCount - waterCount,
+      metadata,
+      createdAt: new Date().toISOString()
+    };
+
+    const grid = new BinaryGrid(header, layers);
+    if (!hasDistanceToCoast) {
+      grid.computeDistanceToCoast();
+    }
+    return grid;
+  }
+
+  static allocateLayers(size) {
+    const layers = {};
+    for (const layer of LAYERS) {
+      layers[layer.name] = new ARRAY_TYPES[layer.type](size);
+      if (layer.type !== 'Uint8') {
+        layers[layer.name].fill(NaN);
+      }
+    }
+    layers.land.fill(NO_CELL);
+    return layers;
+  }
+
+  /**
+   * Read a binary grid from a file buffer
+   * Layers are views over the buffer (no copy) when it is 8-byte aligned
+   */
+  static decode(buffer) {
+    if (buffer.length < PREAMBLE_BYTES || buffer.toString('ascii', 0, 4) !== MAGIC) {
+      throw new Error('Not a binary grid file');
+    }
+
+    const formatVersion = buffer.readUInt16LE(4);
+    if (formatVersion !== FORMAT_VERSION) {
+      throw new Error(`Unsupported binary grid format version ${formatVersion} (expected ${FORMAT_VERSION})`);
+    }
+
+    const headerLength = buffer.readUInt32LE(8);
+    const header = JSON.parse(buffer.toString('utf8', PREAMBLE_BYTES, PREAMBLE_BYTES + headerLength));
+
+    // Typed array views need aligned offsets; small Buffers can sit at odd offsets in Node's pool
+    let source = buffer;
+    if (buffer.byteOffset % 8 !== 0) {
+      source = Buffer.alloc(buffer.length); // alloc() never uses the pool
+      buffer.copy(source);
+    }
+    const size = header.rows * header.cols;
+    const layers = {};
+
+    for (const layer of header.layers) {
+      const ArrayType = ARRAY_TYPES[layer.type];
+      if (!ArrayType) {
+        throw new Error(`Unknown layer type ${layer.type} for layer ${layer.name}`);
+      }
+      if (layer.byteOffset + size * ArrayType.BYTES_PER_ELEMENT > source.length) {
+        throw new Error(`Binary grid is truncated (layer ${layer.name})`);
+      }
+      layers[layer.name] = new ArrayType(source.buffer, source.byteOffset + layer.byteOffset, size);
+    }
+
+    for (const layer of LAYERS) {
+      if (layers[layer.name]) continue;
+      // Files written before a weather field was added load with that field missing everywhere
+      if (!WEATHER_FIELDS.includes(layer.name)) {
+        throw new Error(`Binary grid is missing layer ${layer.name}`);
+      }
+      layers[layer.name] = new Float32Array(size).fill(NaN);
+    }
+
+    return new BinaryGrid(header, layers);
+  }
+
+  /**
+   * Serialise to a Buffer in the binary grid format
+   */
+  encode() {
+    const layerTable = [];
+    const size = this.size;
+
+    // Header length depends on the layer offsets, which depend on the header length:
+    // lay the layers out after a provisional header, then grow until it fits
+    let headerLength = 0;
+    let headerBytes;
+    for (;;) {
+      let offset = align8(PREAMBLE_BYTES + headerLength);
+      layerTable.length = 0;
+      for (const layer of LAYERS) {
+        const byteLength = size * ARRAY_TYPES[layer.type].BYTES_PER_ELEMENT;
+        layerTable.push({ name: layer.name, type: layer.type, byteOffset: offset, byteLength });
+        offset = align8(offset + byteLength);
+      }
+
+      const { layers, ...header } = this.header;
+      headerBytes = Buffer.from(JSON.stringify({ ...header, formatVersion: FORMAT_VERSION, layers: layerTable }), 'utf8');
+      if (headerBytes.length <= headerLength) break;
+      headerLength = headerBytes.length;
+    }
+
+    const last = layerTable[layerTable.length - 1];
+    const buffer = Buffer.alloc(last.byteOffset + last.byteLength);
+
+    buffer.write(MAGIC, 0, 'ascii');
+    buffer.writeUInt16LE(FORMAT_VERSION, 4);
+    buffer.writeUInt32LE(headerBytes.length, 8);
+    headerBytes.copy(buffer, PREAMBLE_BYTES);
+
+    for (const layer of layerTable) {
+      const values = this.layers[layer.name];
+      Buffer.from(values.buffer, values.byteOffset, values.byteLength).copy(buffer, layer.byteOffset);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Raster index of the cell nearest to (lat, lon), or -1 outside the grid
+   */
+  indexOf(lat, lon) {
+    const row = Math.round((lat - this.origin.lat) / this.resolution);
+    const col = Math.round((lon - this.origin.lon) / this.resolution);
+    if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
+      return -1;
+    }
+    return row * this.cols + col;
+  }
+
+  hasCell(i) {
+    return i >= 0 && i < this.size && this.layers.land[i] !== NO_CELL;
+  }
+
+  isWater(i) {
+    return this.hasCell(i) && this.layers.land[i] === WATER && this.layers.obstacle[i] === 0;
+  }
+
+  latAt(i) {
+    return Number((this.origin.lat + Math.floor(i / this.cols) * this.resolution).toFixed(6));
+  }
+
+  lonAt(i) {
+    return Number((this.origin.lon + (i % this.cols) * this.resolution).toFixed(6));
+  }
+
+  /**
+   * Decode one raster slot into the cell object used by gridData.json and the Grid model
+   * @returns {Object|null} null where the raster has no cell
+   */
+  getCell(i) {
+    if (!this.hasCell(i)) return null;
+
+    const { layers } = this;
+    const lat = this.latAt(i);
+    const lon = this.lonAt(i);
+    const weather = {};
+    for (const field of WEATHER_FIELDS) {
+      weather[field] = toNullable(layers[field][i]);
+    }
+    const updatedAt = layers.weatherUpdatedAt[i];
+    weather.lastUpdated = Number.isNaN(updatedAt) ? null : new Date(updatedAt).toISOString();
+
+    const cell = {
+      id: `grid_${lat}_${lon}`,
+      lat,
+      lon,
+      weather,
+      safety: toNullable(layers.safety[i]),
+      fuel_efficiency: toNullable(layers.fuelEfficiency[i]),
+      is_land: layers.land[i] === LAND,
+      obstacle: layers.obstacle[i] === 1,
+      cost: Number.isNaN(layers.cost[i]) ? 1 : toNullable(layers.cost[i]),
+      distanceToCoast: toNullable(layers.distanceToCoast[i]),
+      depth: toNullable(layers.depth[i])
+    };
+    if (layers.openWater[i]) cell.open_water = true;
+    if (layers.zone[i]) cell.zone = ZONES[layers.zone[i]];
+
+    return cell;
+  }
+
+  getCellAt(lat, lon) {
+    return this.getCell(this.indexOf(lat, lon));
+  }
+
+  /**
+   * Decode every cell (for code that still expects the JSON cell array)
+   */
+  toCells() {
+    const cells = [];
+    for (let i = 0; i < this.size; i++) {
+      if (this.layers.land[i] !== NO_CELL) {
+        cells.push(this.getCell(i));
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Same shape as gridData.json: { metadata, grid }
+   */
+  toGridData() {
+    return {
+      metadata: { ...this.header.metadata, version: this.version, resolution: this.resolution },
+      grid: this.toCells()
+    };
+  }
+
+  /**
+   * Fill distanceToCoast (km to nearest land cell) with a multi-source Dijkstra over the raster
+   * Uses 8-neighbour steps, so values are slightly above the true great-circle distance
+   */
+  computeDistanceToCoast() {
+    const { land, distanceToCoast } = this.layers;
+    const heap = new BinaryHeap();
+    distanceToCoast.fill(NaN);
+
+    for (let i = 0; i < this.size; i++) {
+      if (land[i] === LAND) {
+        distanceToCoast[i] = 0;
+        heap.push(i, i, 0);
+      }
+    }
+
+    while (!heap.isEmpty()) {
+      const { key: i, priority: distance } = heap.pop();
+      const row = Math.floor(i / this.cols);
+      const col = i % this.cols;
+      const lat = this.latAt(i);
+      const lon = this.lonAt(i);
+
+      for (let dRow = -1; dRow <= 1; dRow++) {
+        for (let dCol = -1; dCol <= 1; dCol++) {
+          if (dRow === 0 && dCol === 0) continue;
+          const r = row + dRow;
+          const c = col + dCol;
+          if (r < 0 || r >= this.rows || c < 0 || c >= this.cols) continue;
+
+          const j = r * this.cols + c;
+          if (land[j] === LAND) continue;
+
+          const next = distance + haversineKm(lat, lon, this.latAt(j), this.lonAt(j));
+          if (Number.isNaN(distanceToCoast[j]) || next < distanceToCoast[j]) {
+            distanceToCoast[j] = next;
+            heap.push(j, j, next);
+          }
+        }
+      }
+    }
+
+    // Raster gaps only carry the distance through; they are not cells
+    for (let i = 0; i < this.size; i++) {
+      if (land[i] === NO_CELL) distanceToCoast[i] = NaN;
+    }
+  }
+}
+
+BinaryGrid.MAGIC = MAGIC;
+BinaryGrid.FORMAT_VERSION = FORMAT_VERSION;
+BinaryGrid.LAYERS = LAYERS;
+BinaryGrid.WEATHER_FIELDS = WEATHER_FIELDS;
+
+module.exports = BinaryGrid;
@@ -5,6 +5,10 @@
 
 const EARTH_RADIUS_KM = 6371;
 
+// Version of the route cost model (search costs, mode weights, fuel model)
+// Bump it whenever a change alters computed routes: precomputed routes built with another version are stale
+const COST_MODEL_VERSION = 'cm-2';
+
 /**
  * Calculate Haversine distance between two points
  */
@@ -159,5 +163,6 @@ module.exports = {
   isNearCoast,
   calculateHeuristic,
   calculateCellCost,
-  EARTH_RADIUS_KM
+  EARTH_RADIUS_KM,
+  COST_MODEL_VERSION
 };
@@ -0,0 +1,69 @@
+/**
+ * ⭐ GRID A* ENGINE
+ * The default POST /api/route search: water cells in a corridor around start/end,
+ * A* on a route worker (gridAStar.js)
+ */
+
+const { RoutingEngine, RoutingEngineError, corridorBounds, nearestCell, requestSpeedKnots } = require('./routingEngine');
+const { passagePoints } = require('../passages');
+
+class GridAStarEngine extends RoutingEngine {
+  constructor() {
+    super('grid-astar', 'Corridor A* over the navigation grid with weather-weighted costs (default)');
+    this.supportsAvoidAreas = true;
+    this.supportsPassages = true;
+    this.supportsTimeline = true;
+    this.supportsWeights = true;
+    this.supportsConstraints = true;
+  }
+
+  async findPath(request, context) {
+    const { start, end, mode, passages } = request;
+    const { workers } = context;
+    const reportProgress = context.reportProgress || (() => {});
+
+    const region = corridorBounds(start, end, passagePoints(passages));
+    reportProgress({ phase: 'loading-grid', percent: 2 });
+    const grid = await workers.getRegion(region.latMin, region.latMax, region.lonMin, region.lonMax);
+    if (!grid) {
+      throw new RoutingEngineError(404, 'No grid data covers this route');
+    }
+
+    const waterCells = grid.getCellsInRegion(region.latMin, region.latMax, region.lonMin, region.lonMax)
+      .filter(cell => !cell.obstacle && !cell.is_land);
+    if (waterCells.length === 0) {
+      throw new RoutingEngineError(404, 'No water cells in the route corridor');
+    }
+
+    const startCell = nearestCell(waterCells, start);
+    const endCell = nearestCell(waterCells, end);
+
+    reportProgress({ phase: 'searching', percent: 10, currentSegment: 1, totalSegments: 1 });
+    const path = await workers.run('grid-astar', {
+      start: startCell, goal: endCell, region, mode, avoidAreas: request.avoidAreas, passages, timeline: request.timeline,
+      vessel: request.vessel, speedKnots: requestSpeedKnots(request), preset: request.preset, constraints: request.constraints
+    }, {
+      owner: context.owner,
+      jobId: context.jobId,
+      isCancelled: context.isCancelled,
+      grid,
+      onProgress: ({ cellsExpanded, remainingKm, totalKm }) => {
+        const searched = totalKm > 0 ? Math.max(0, 1 - remainingKm / totalKm) : 0;
+        reportProgress({ cellsExpanded, percent: Math.round(10 + searched * 80) });
+      }
+    });
+
+    return {
+      path,
+      details: {
+        corridor: region,
+        resolution: grid.resolution,
+        corridorWaterCells: waterCells.length,
+        snappedStart: { lat: startCell.lat, lon: startCell.lon },
+        snappedEnd: { lat: endCell.lat, lon: endCell.lon }
+      }
+    };
+  }
+}
+
+module.exports = GridAStarEngine;
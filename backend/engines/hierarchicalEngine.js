@@ -0,0 +1,55 @@
+/**
+ * 🗺️ HIERARCHICAL ENGINE
+ * Long-distance routing: coarse strategic waypoints (HierarchicalRouter), then RouteFinder
+ * between them over corridor cells from the store (CoastalRouteOptimizer), each segment on a route worker
+ */
+
+const { RoutingEngine, RoutingEngineError } = require('./routingEngine');
+const CoastalRouteOptimizer = require('../coastalRouteOptimizer');
+const SharedGrid = require('../sharedGrid');
+
+class HierarchicalEngine extends RoutingEngine {
+  constructor() {
+    super('hierarchical', 'Strategic waypoints with RouteFinder between them, for long multi-region routes');
+    this.supportsDepth = true;
+  }
+
+  async findPath(request, context) {
+    const { start, end, mode, vessel, constraints } = request;
+    const { workers } = context;
+    const reportProgress = context.reportProgress || (() => {});
+    const throwIfCancelled = context.throwIfCancelled || (() => {});
+
+    // Stands in for RouteFinder in HierarchicalRouter: the segment search runs on a worker
+    // over the corridor cells the router loaded
+    const segmentFinder = {
+      findOptimalRoute: (from, to, cells, segmentMode, resolution) => workers.run('route-finder', {
+        start: from, end: to, mode: segmentMode, vessel, constraints, resolution
+      }, {
+        owner: context.owner,
+        jobId: context.jobId,
+        isCancelled: context.isCancelled,
+        grid: SharedGrid.fromCells(cells, { resolution })
+      })
+    };
+
+    reportProgress({ phase: 'searching', percent: 10, currentSegment: 1, totalSegments: 1 });
+    const optimizer = new CoastalRouteOptimizer();
+    let result;
+    try {
+      result = await optimizer.calculateMultiSegmentRoute(start, end, segmentFinder, 0.2, mode);
+    } catch (error) {
+      // Cancellation and a full queue (429) pass through; search failures mean no route
+      if (error.name === 'JobCancelledError' || error.statusCode) throw error;
+      throw new RoutingEngineError(404, error.message, { engine: this.name });
+    }
+    throwIfCancelled();
+
+    return {
+      path: result.path,
+      details: { strategicWaypoints: result.waypointMetadata || null }
+    };
+  }
+}
+
+module.exports = HierarchicalEngine;
@@ -0,0 +1,56 @@
+/**
+ * 🧭 ROUTING ENGINES
+ * Registry of named routing strategies, selected per request with engine=<name>
+ * Add a strategy by extending RoutingEngine and calling registerEngine()
+ */
+
+const { RoutingEngine, RoutingEngineError } = require('./routingEngine');
+const GridAStarEngine = require('./gridAStarEngine');
+const RouteFinderEngine = require('./routeFinderEngine');
+const HierarchicalEngine = require('./hierarchicalEngine');
+const StrictOceanEngine = require('./strictOceanEngine');
+const IsochroneEngine = require('./isochroneEngine');
+const ParetoEngine = require('./paretoEngine');
+
+const DEFAULT_ENGINE = 'grid-astar';
+
+const engines = new Map();
+
+function registerEngine(engine) {
+  if (!(engine instanceof RoutingEngine)) {
+    throw new Error('Routing engines must extend RoutingEngine');
+  }
+  engines.set(engine.name, engine);
+  return engine;
+}
+
+/**
+ * @returns {RoutingEngine|null}
+ */
+function getEngine(name = DEFAULT_ENGINE) {
+  return engines.get(name) || null;
+}
+
+function listEngines() {
+  return Array.from(engines.values()).map(engine => ({
+    name: engine.name,
+    description: engine.description,
+    default: engine.name === DEFAULT_ENGINE
+  }));
+}
+
+registerEngine(new GridAStarEngine());
+registerEngine(new RouteFinderEngine());
+registerEngine(new HierarchicalEngine());
+registerEngine(new StrictOceanEngine());
+registerEngine(new IsochroneEngine());
+registerEngine(new ParetoEngine());
+
+module.exports = {
+  DEFAULT_ENGINE,
+  registerEngine,
+  getEngine,
+  listEngines,
+  RoutingEngine,
+  RoutingEngineError
+};
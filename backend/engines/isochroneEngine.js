@@ -0,0 +1,71 @@
+/**
+ * ⏱️ ISOCHRONE ENGINE
+ * Minimum-time weather routing: isochrones fanned out from the departure in fixed time steps at
+ * the speed the vessel makes in the forecast wind and waves (isochroneRouter.js, on a route worker)
+ * Returns the isochrone lines as result.layers.isochrones for the map
+ */
+
+const { RoutingEngine, RoutingEngineError, corridorBounds, nearestCell, requestSpeedKnots } = require('./routingEngine');
+
+class IsochroneEngine extends RoutingEngine {
+  constructor() {
+    super('isochrone', 'Minimum-time weather routing by isochrones, with vessel speed loss in wind and waves');
+    this.supportsTimeline = true;
+    this.supportsConstraints = true;
+  }
+
+  async findPath(request, context) {
+    const { start, end, vessel } = request;
+    const { workers } = context;
+    const reportProgress = context.reportProgress || (() => {});
+
+    const region = corridorBounds(start, end);
+    reportProgress({ phase: 'loading-grid', percent: 2 });
+    const grid = await workers.getRegion(region.latMin, region.latMax, region.lonMin, region.lonMax);
+    if (!grid) {
+      throw new RoutingEngineError(404, 'No grid data covers this route');
+    }
+
+    const waterCells = grid.getCellsInRegion(region.latMin, region.latMax, region.lonMin, region.lonMax)
+      .filter(cell => !cell.obstacle && !cell.is_land);
+    if (waterCells.length === 0) {
+      throw new RoutingEngineError(404, 'No water cells in the route corridor');
+    }
+
+    const startCell = nearestCell(waterCells, start);
+    const endCell = nearestCell(waterCells, end);
+
+    reportProgress({ phase: 'searching', percent: 10, currentSegment: 1, totalSegments: 1 });
+    const found = await workers.run('isochrone', {
+      start: startCell, goal: endCell, region, vessel, speedKnots: requestSpeedKnots(request), timeline: request.timeline,
+      constraints: request.constraints
+    }, {
+      owner: context.owner,
+      jobId: context.jobId,
+      isCancelled: context.isCancelled,
+      grid,
+      onProgress: ({ cellsExpanded, remainingKm, totalKm }) => {
+        const searched = totalKm > 0 ? Math.max(0, 1 - remainingKm / totalKm) : 0;
+        reportProgress({ cellsExpanded, percent: Math.round(10 + searched * 80) });
+      }
+    });
+
+    if (!found) {
+      return { path: null };
+    }
+    return {
+      path: found.path,
+      details: {
+        corridor: region,
+        resolution: grid.resolution,
+        corridorWaterCells: waterCells.length,
+        snappedStart: { lat: startCell.lat, lon: startCell.lon },
+        snappedEnd: { lat: endCell.lat, lon: endCell.lon },
+        isochrone: found.stats
+      },
+      layers: { isochrones: found.isochrones }
+    };
+  }
+}
+
+module.exports = IsochroneEngine;
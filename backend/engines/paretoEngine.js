@@ -0,0 +1,93 @@
+/**
+ * 🎯 PARETO ENGINE
+ * Multi-objective routing: the set of non-dominated routes over distance, fuel and exposure to
+ * wind and waves (paretoRouter.js, on a route worker). The request's mode (or its custom weights)
+ * is a preset that picks the returned route from the front; every route of the front comes back in result.alternatives
+ * with its objective values and the presets that pick it
+ */
+
+const { RoutingEngine, RoutingEngineError, corridorBounds, nearestCell, requestSpeedKnots } = require('./routingEngine');
+const { ROUTE_MODES, resolvePreset } = require('../modePresets');
+const { selectRoute } = require('../routeObjectives');
+
+class ParetoEngine extends RoutingEngine {
+  constructor() {
+    super('pareto', 'Non-dominated routes over distance, fuel and weather exposure; the mode picks one');
+    this.supportsTimeline = true;
+    this.supportsWeights = true;
+    this.supportsConstraints = true;
+  }
+
+  async findPath(request, context) {
+    const { start, end, mode, vessel } = request;
+    const { workers } = context;
+    const reportProgress = context.reportProgress || (() => {});
+
+    const region = corridorBounds(start, end);
+    reportProgress({ phase: 'loading-grid', percent: 2 });
+    const grid = await workers.getRegion(region.latMin, region.latMax, region.lonMin, region.lonMax);
+    if (!grid) {
+      throw new RoutingEngineError(404, 'No grid data covers this route');
+    }
+
+    const waterCells = grid.getCellsInRegion(region.latMin, region.latMax, region.lonMin, region.lonMax)
+      .filter(cell => !cell.obstacle && !cell.is_land);
+    if (waterCells.length === 0) {
+      throw new RoutingEngineError(404, 'No water cells in the route corridor');
+    }
+
+    const startCell = nearestCell(waterCells, start);
+    const endCell = nearestCell(waterCells, end);
+
+    reportProgress({ phase: 'searching', percent: 10, currentSegment: 1, totalSegments: 1 });
+    const { routes, stats } = await workers.run('pareto', {
+      start: startCell, goal: endCell, region, mode, vessel, speedKnots: requestSpeedKnots(request), timeline: request.timeline,
+      constraints: request.constraints
+    }, {
+      owner: context.owner,
+      jobId: context.jobId,
+      isCancelled: context.isCancelled,
+      grid,
+      onProgress: ({ cellsExpanded, remainingKm, totalKm }) => {
+        const searched = totalKm > 0 ? Math.max(0, 1 - remainingKm / totalKm) : 0;
+        reportProgress({ cellsExpanded, percent: Math.round(10 + searched * 80) });
+      }
+    });
+
+    if (routes.length === 0) {
+      return { path: null };
+    }
+
+    // Presets on the front: which route each named mode (and the requested one or custom weights) picks
+    const { preset } = request;
+    const presetNames = ROUTE_MODES.includes(preset.name) ? ROUTE_MODES : [...ROUTE_MODES, preset.name];
+    const picks = new Map(presetNames.map(name => [
+      name, selectRoute(routes, name === preset.name ? preset.weights : resolvePreset(name).weights).route
+    ]));
+    const selected = picks.get(preset.name);
+
+    return {
+      path: selected.path,
+      details: {
+        corridor: region,
+        resolution: grid.resolution,
+        corridorWaterCells: waterCells.length,
+        snappedStart: { lat: startCell.lat, lon: startCell.lon },
+        snappedEnd: { lat: endCell.lat, lon: endCell.lon },
+        preset: { name: preset.name, weights: preset.weights },
+        frontSize: routes.length,
+        objectives: selected.objectives,
+        search: stats
+      },
+      alternatives: routes.map((route, index) => ({
+        id: index,
+        objectives: route.objectives,
+        presets: presetNames.filter(name => picks.get(name) === route),
+        selected: route === selected,
+        path: route.path.map(({ lat, lon }) => ({ lat, lon }))
+      }))
+    };
+  }
+}
+
+module.exports = ParetoEngine;
@@ -0,0 +1,66 @@
+/**
+ * 🧮 ROUTE FINDER ENGINE
+ * RouteFinder's scored A* (safety / fuel efficiency / distance scores, open-water preference)
+ * on a route worker, as used by /calculate and /strict-ocean-route
+ */
+
+const { RoutingEngine, RoutingEngineError, corridorBounds } = require('./routingEngine');
+
+class RouteFinderEngine extends RoutingEngine {
+  constructor() {
+    super('route-finder', 'RouteFinder scored A* with open-water preference and coastal penalties');
+    this.supportsAvoidAreas = true;
+    this.supportsTimeline = true;
+    this.supportsDepth = true;
+  }
+
+  async findPath(request, context) {
+    const { start, end, mode } = request;
+    const { workers } = context;
+    const reportProgress = context.reportProgress || (() => {});
+
+    const region = corridorBounds(start, end);
+    reportProgress({ phase: 'loading-grid', percent: 2 });
+    const grid = await workers.getRegion(region.latMin, region.latMax, region.lonMin, region.lonMax);
+    if (!grid) {
+      throw new RoutingEngineError(404, 'No grid data covers this route');
+    }
+
+    reportProgress({ phase: 'searching', percent: 10, currentSegment: 1, totalSegments: 1 });
+    let result;
+    try {
+      // RouteFinder snaps start/end to the nearest water cell itself, so it gets all cells
+      result = await workers.run('route-finder', {
+        start, end, region, mode, vessel: request.vessel, constraints: request.constraints, resolution: grid.resolution,
+        avoidAreas: request.avoidAreas, timeline: request.timeline
+      }, {
+        owner: context.owner,
+        jobId: context.jobId,
+        isCancelled: context.isCancelled,
+        grid,
+        onProgress: ({ cellsExpanded, remainingKm, totalKm }) => {
+          const searched = totalKm > 0 ? Math.max(0, 1 - remainingKm / totalKm) : 0;
+          reportProgress({ cellsExpanded, percent: Math.round(10 + searched * 80) });
+        }
+      });
+    } catch (error) {
+      // Cancellation and a full queue (429) pass through; search failures mean no route
+      if (error.name === 'JobCancelledError' || error.statusCode) throw error;
+      throw new RoutingEngineError(404, error.message, { engine: this.name });
+    }
+
+    return {
+      path: result.coordinates,
+      details: {
+        corridor: region,
+        resolution: grid.resolution,
+        safetyPercentage: result.safety_percentage,
+        fuelEfficiencyPercentage: result.fuel_efficiency_percentage,
+        openWaterPercentage: result.conditions?.open_water_percentage,
+        minChartedDepthMeters: result.conditions?.min_charted_depth_m // Over every cell, before smoothing
+      }
+    };
+  }
+}
+
+module.exports = RouteFinderEngine;
@@ -0,0 +1,490 @@
+/**
+ * 🧭 ROUTING ENGINE CONTRACT
+ * Every router is wrapped as a RoutingEngine with the same inputs and outputs:
+ *
+ *   request: { start, end, via, mode, weights, vesselId, constraints, departureTime, avoidAreas }
+ *   result:  { engine, mode, preferences, waypoints, legs, metrics, diagnostics, path, passages, avoidance, layers, alternatives }
+ *
+ * Engines only implement findPath(); metrics (distance, duration, fuel, ETA) are computed
+ * here from the path with one fuel model for the request's vessel profile (vesselId, default
+ * vessel when none), so results from different engines compare directly
+ */
+
+const RouteFinder = require('../routeFinder');
+const ScoringEngine = require('../scoringEngine');
+const { parseAvoidAreas, routeAroundAreas, summarizeAvoidance } = require('../avoidAreas');
+const { parsePassages, passagePoints, gridToleranceKm, locatePassages, withArrivalTimes } = require('../passages');
+const { fetchForecastField } = require('../forecastField');
+const weatherConfig = require('../weatherConfig');
+const { customPreset, describePreset } = require('../modePresets');
+const { DEPTH_CONSTRAINTS, parseConstraints, withVesselLimits, approachDistanceKm, pathViolations, minChartedDepth } = require('../routeConstraints');
+const { describeVessel } = require('../vesselProfile');
+const { resolveVesselSpecs } = require('../vesselRegistry');
+const { refusedPortCall, describePortAccess } = require('../indianOceanPorts');
+const { currentAt, groundSpeed, describeCurrent } = require('../oceanCurrents');
+
+const KM_PER_NM = 1.852;
+
+const fuelModel = new RouteFinder();
+const scoringEngine = new ScoringEngine();
+
+/**
+ * Error with an HTTP status, thrown for bad requests and routes an engine cannot find
+ */
+class RoutingEngineError extends Error {
+  constructor(statusCode, message, details = {}) {
+    super(message);
+    this.name = 'RoutingEngineError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function bearingDeg(lat1, lon1, lat2, lon2) {
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const y = Math.sin(dLon) * Math.cos(lat2 * Math.PI / 180);
+  const x = Math.cos(lat1 * Math.PI / 180) * Math.sin(lat2 * Math.PI / 180) -
+            Math.sin(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function round(value, digits = 2) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// 'fuel_efficient' / 'fuel-efficient' -> 'fuel' (VESSEL_SPECS.speedLimits keys)
+function speedMode(mode) {
+  return String(mode).startsWith('fuel') ? 'fuel' : mode;
+}
+
+function isCoordinate(point) {
+  return point && Number.isFinite(Number(point.lat)) && Number.isFinite(Number(point.lon));
+}
+
+/**
+ * Validate a request and fill in defaults
+ * @param {Object} vessel - Specs of the request's vessel (requestVessel); the default vessel when not given
+ */
+function normalizeRequest(input = {}, vessel = fuelModel.VESSEL_SPECS) {
+  const { start, end } = input;
+  if (!isCoordinate(start) || !isCoordinate(end)) {
+    throw new RoutingEngineError(400, 'Start and end coordinates are required: { lat, lon }', {
+      received: { start, end }
+    });
+  }
+
+  let passages;
+  try {
+    passages = parsePassages(input.via);
+  } catch (error) {
+    throw new RoutingEngineError(error.statusCode || 400, error.message);
+  }
+
+  const departureTime = input.departureTime ? new Date(input.departureTime) : new Date();
+  if (Number.isNaN(departureTime.getTime())) {
+    throw new RoutingEngineError(400, 'Invalid departureTime', { received: input.departureTime });
+  }
+
+  const mode = input.mode || 'optimal';
+  let preset;
+  let constraints;
+  try {
+    preset = customPreset(mode, input.weights);
+    constraints = withVesselLimits(parseConstraints(input.constraints), vessel);
+  } catch (error) {
+    throw new RoutingEngineError(error.statusCode || 400, error.message);
+  }
+
+  return {
+    start: { lat: Number(start.lat), lon: Number(start.lon) },
+    end: { lat: Number(end.lat), lon: Number(end.lon) },
+    passages,
+    mode,
+    preset,
+    customWeights: Boolean(input.weights),
+    vessel,
+    constraints,
+    departureTime
+  };
+}
+
+/**
+ * Specs of the vessel a request names (vesselId), or the default vessel
+ */
+async function requestVessel(input = {}) {
+  try {
+    return await resolveVesselSpecs(input.vesselId);
+  } catch (error) {
+    if (error.statusCode) {
+      throw new RoutingEngineError(error.statusCode, error.message, { vesselId: input.vesselId });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Search corridor around start/end (and any via-point / gate points):
+ * 30% of the route span, 10-18° (same sizing as POST /api/route)
+ */
+function corridorBounds(start, end, extraPoints = []) {
+  const routeSpan = Math.max(Math.abs(start.lat - end.lat), Math.abs(start.lon - end.lon));
+  const buffer = Math.round(Math.max(10, Math.min(18, routeSpan * 0.3)));
+  const points = [start, end, ...extraPoints];
+  return {
+    latMin: Math.min(...points.map(p => p.lat)) - buffer,
+    latMax: Math.max(...points.map(p => p.lat)) + buffer,
+    lonMin: Math.min(...points.map(p => p.lon)) - buffer,
+    lonMax: Math.max(...points.map(p => p.lon)) + buffer
+  };
+}
+
+/**
+ * Nearest cell to a point (ports are on land, searches start from water)
+ */
+function nearestCell(cells, point) {
+  let nearest = null;
+  let minDistance = Infinity;
+  for (const cell of cells) {
+    const distance = haversineKm(point.lat, point.lon, cell.lat, cell.lon);
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearest = cell;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Vessel speed for the request's mode
+ */
+function requestSpeedKnots(request) {
+  return request.vessel.speedLimits?.[speedMode(request.mode)] || request.vessel.serviceSpeedKnots;
+}
+
+/**
+ * Departure, speed and corridor forecast for a time-dependent search (VoyageTimeline data)
+ */
+async function voyageTimeline(request) {
+  const speedKnots = requestSpeedKnots(request);
+  let forecast = null;
+  if (weatherConfig.TIME_DEPENDENT_ROUTING) {
+    const { start, end } = request;
+    const hours = haversineKm(start.lat, start.lon, end.lat, end.lon) * 1.5 / (speedKnots * KM_PER_NM) + 24;
+    forecast = await fetchForecastField(corridorBounds(start, end, passagePoints(request.passages)), request.departureTime, hours);
+  }
+  return { departureTime: request.departureTime.toISOString(), speedKnots, forecast: forecast && forecast.toJSON() };
+}
+
+/**
+ * Weather a point is judged by: the forecast for its ETA when the search was time-dependent
+ */
+function pointWeather(point) {
+  return point.forecast ? { ...point.weather, ...point.forecast } : point.weather;
+}
+
+/**
+ * Build the common result from an engine's path
+ * The requested start/end are added when the engine snapped them to grid cells,
+ * so every engine is measured over the same start -> end
+ */
+function buildResult(engineName, request, enginePath, diagnostics) {
+  const { start, end, mode, vessel, constraints, departureTime } = request;
+  const points = enginePath.map(point => ({
+    lat: point.lat,
+    lon: point.lon,
+    weather: point.weather || point.weatherData || null,
+    ...(Number.isFinite(point.depth) && { depth: point.depth }),
+    ...(point.forecast && { forecast: point.forecast }),
+    ...(point.speedKnots && { speedKnots: point.speedKnots, speedLossPercent: point.speedLossPercent }),
+    ...(point.currentDrift !== undefined && {
+      speedThroughWaterKnots: point.speedThroughWaterKnots,
+      currentSet: point.currentSet,
+      currentDrift: point.currentDrift
+    }),
+    type: 'route'
+  }));
+
+  if (haversineKm(start.lat, start.lon, points[0].lat, points[0].lon) > 0.01) {
+    points.unshift({ ...start, weather: null, type: 'start' });
+  } else {
+    points[0].type = 'start';
+  }
+  const last = points[points.length - 1];
+  if (haversineKm(end.lat, end.lon, last.lat, last.lon) > 0.01) {
+    points.push({ ...end, weather: null, type: 'end' });
+  } else {
+    last.type = 'end';
+  }
+
+  const model = fuelModel.forVessel(vessel);
+  const speedKnots = requestSpeedKnots(request);
+
+  const legs = [];
+  const waypoints = [{ index: 0, ...points[0], distanceFromStartKm: 0, eta: departureTime.toISOString() }];
+  let distanceKm = 0;
+  let durationHours = 0;
+  let fuelTons = 0;
+  let fuelCostUSD = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    const legKm = haversineKm(from.lat, from.lon, to.lat, to.lon);
+
+    // Weather severity 0-100 (50 = no data), as used by RouteFinder's fuel model
+    const weatherIndex = (1 - scoringEngine.calculateSafetyScore(pointWeather(from))) * 100;
+    const departure = new Date(departureTime.getTime() + durationHours * 3600000);
+    // Engines that model speed loss and currents give the speed over ground on the leg; for the
+    // others the current at the leg's start is applied here. The engine still runs at the set
+    // speed for the whole leg time
+    const bearing = bearingDeg(from.lat, from.lon, to.lat, to.lon);
+    const current = from.currentDrift !== undefined
+      ? { groundSpeedKnots: from.speedKnots, setDeg: from.currentSet, driftKnots: from.currentDrift }
+      : groundSpeed(from.speedKnots || speedKnots, bearing, currentAt(from.lat, from.lon, departure.getTime(), pointWeather(from)));
+    const legSpeed = current.groundSpeedKnots;
+    const legHours = legKm / KM_PER_NM / legSpeed;
+    const fuel = model.calculateFuelConsumption(legKm, speedKnots, weatherIndex, speedMode(mode), legSpeed);
+
+    distanceKm += legKm;
+    durationHours += legHours;
+    fuelTons += fuel.totalFuel;
+    fuelCostUSD += fuel.fuelCostUSD;
+
+    const arrival = new Date(departureTime.getTime() + durationHours * 3600000);
+    legs.push({
+      index: i,
+      from: { lat: from.lat, lon: from.lon },
+      to: { lat: to.lat, lon: to.lon },
+      distanceKm: round(legKm),
+      distanceNm: round(legKm / KM_PER_NM),
+      bearing: round(bearing, 1),
+      speedKnots: round(legSpeed),
+      speedThroughWaterKnots: round(from.speedThroughWaterKnots ?? (from.speedKnots || speedKnots)),
+      ...(from.speedLossPercent !== undefined && { speedLossPercent: from.speedLossPercent }),
+      ...describeCurrent(current),
+      durationHours: round(legHours),
+      fuelTons: fuel.totalFuel,
+      departure: departure.toISOString(),
+      arrival: arrival.toISOString()
+    });
+    waypoints.push({ index: i + 1, ...to, distanceFromStartKm: round(distanceKm), eta: arrival.toISOString() });
+  }
+
+  const windSpeeds = points.map(p => pointWeather(p)?.windSpeed).filter(Number.isFinite);
+  const waveHeights = points.map(p => pointWeather(p)?.waveHeight).filter(Number.isFinite);
+  const directDistanceKm = haversineKm(start.lat, start.lon, end.lat, end.lon);
+
+  // Weather and depth limits checked on the result too: engines without supportsConstraints do not
+  // route around them, and the weather on the path can be fresher than the weather searched with
+  const resolution = diagnostics.details && diagnostics.details.resolution;
+  const constraintViolations = pathViolations(constraints, points, pointWeather, resolution ? approachDistanceKm(resolution) : 0);
+  const shallowest = minChartedDepth(points);
+
+  return {
+    success: true,
+    engine: engineName,
+    mode,
+    // Weights and hard limits the request was routed with
+    preferences: { ...describePreset(request.preset), constraints },
+    departureTime: departureTime.toISOString(),
+    waypoints,
+    legs,
+    metrics: {
+      distanceKm: round(distanceKm),
+      distanceNm: round(distanceKm / KM_PER_NM),
+      directDistanceKm: round(directDistanceKm),
+      detourRatio: directDistanceKm > 0 ? round(distanceKm / directDistanceKm, 3) : 1,
+      durationHours: round(durationHours),
+      durationDays: round(durationHours / 24),
+      avgSpeedKnots: round(durationHours > 0 ? distanceKm / KM_PER_NM / durationHours : speedKnots),
+      fuelTons: round(fuelTons),
+      fuelCostUSD: round(fuelCostUSD),
+      waypointCount: waypoints.length,
+      legCount: legs.length,
+      maxWindSpeed: windSpeeds.length > 0 ? Math.max(...windSpeeds) : null,
+      maxWaveHeight: waveHeights.length > 0 ? Math.max(...waveHeights) : null,
+      // Shallowest charted depth on the path (null on a grid without bathymetry)
+      minDepthMeters: shallowest ? shallowest.depthMeters : null,
+      eta: waypoints[waypoints.length - 1].eta
+    },
+    diagnostics: {
+      engine: engineName,
+      computeMs: diagnostics.computeMs,
+      vessel: describeVessel(vessel),
+      constraints,
+      constraintViolations,
+      warnings: diagnostics.warnings || [],
+      details: diagnostics.details || {}
+    },
+    // Plain coordinates for map display (same shape as POST /api/route)
+    path: points.map(({ lat, lon, weather, depth, forecast }) => ({
+      lat, lon, weather, ...(depth !== undefined && { depth }), ...(forecast && { forecast })
+    }))
+  };
+}
+
+class RoutingEngine {
+  /**
+   * @param {string} name - Registry name (selected with engine=<name>)
+   * @param {string} description - Shown by GET /api/route/engines
+   */
+  constructor(name, description) {
+    this.name = name;
+    this.description = description;
+    this.supportsAvoidAreas = false; // findPath honours request.avoidAreas
+    this.supportsPassages = false;   // findPath routes through request.passages (via-points / gates)
+    this.supportsTimeline = false;   // findPath costs cells with the forecast at their ETA (request.timeline)
+    this.supportsWeights = false;    // findPath costs with request.preset (mode or custom weights)
+    this.supportsConstraints = false; // findPath leaves out cells that break request.constraints
+    this.supportsDepth = false;       // findPath keeps to request.constraints.minDepthMeters (implied by supportsConstraints)
+  }
+
+  /**
+   * Engine-specific search
+   * @param {Object} request - Normalized request (see normalizeRequest); avoidAreas holds the parsed
+   *   areas to apply (engines with supportsAvoidAreas pass them to the search)
+   * @param {Object} context - { workers, owner, jobId, isCancelled, throwIfCancelled, reportProgress }
+   * @returns {Promise<Object>} { path: [{ lat, lon, weather, forecast, speedKnots }], details, warnings, layers, alternatives }
+   *   (forecast: conditions at the point's ETA, from time-dependent searches; speedKnots: speed made
+   *   good on the leg leaving the point, from engines that model speed loss - with currentSet /
+   *   currentDrift / speedThroughWaterKnots when it is over ground in the current; layers: extra map
+   *   overlays returned as result.layers; alternatives: other routes the engine found, returned as
+   *   result.alternatives)
+   */
+  async findPath(request, context) {
+    throw new Error(`Routing engine ${this.name} does not implement findPath()`);
+  }
+
+  /**
+   * Run a route request through this engine
+   */
+  async route(input, context = {}) {
+    const request = normalizeRequest(input, await requestVessel(input));
+    const startedAt = Date.now();
+    // Port limits apply to the vessel a request names, at a port its destination names
+    const refused = input.vesselId ? refusedPortCall(input.end, request.vessel) : null;
+    if (refused) {
+      throw new RoutingEngineError(422, refused.message, {
+        engine: this.name,
+        port: describePortAccess(refused.port),
+        vessel: { ...describeVessel(request.vessel), beamMeters: request.vessel.beamMeters ?? null },
+        reasons: refused.issues
+      });
+    }
+    if (request.passages.length > 0 && !this.supportsPassages) {
+      throw new RoutingEngineError(400, `The ${this.name} engine does not support via-points or gates`, { engine: this.name });
+    }
+
+    if (this.supportsTimeline) {
+      request.timeline = await voyageTimeline(request);
+    }
+
+    // Engines that cannot apply weights or hard limits still route; the result says so
+    const unsupported = [];
+    if (request.customWeights && !this.supportsWeights) {
+      unsupported.push(`The ${this.name} engine does not use custom weights: routed with its own costs`);
+    }
+    const honoured = this.supportsConstraints ? Object.keys(request.constraints) : this.supportsDepth ? DEPTH_CONSTRAINTS : [];
+    if (Object.keys(request.constraints).some(name => !honoured.includes(name))) {
+      unsupported.push(`The ${this.name} engine does not route around constraints: violations are only reported`);
+    }
+
+    const plan = input.avoidAreas ? this.planAvoidance(input.avoidAreas, request) : null;
+    let found;
+    let avoidanceSearch = null;
+    if (plan) {
+      // Several searches (with, without and leaving out each area) cost the detours; keep the real one
+      avoidanceSearch = await routeAroundAreas(plan, async (areas) => {
+        const result = await this.findPath({ ...request, avoidAreas: areas }, context);
+        if (areas === plan.active) found = result;
+        return result.path;
+      });
+    } else {
+      found = await this.findPath({ ...request, avoidAreas: [] }, context);
+    }
+
+    const { path, details, warnings = [], layers, alternatives } = found;
+    if (!path || path.length === 0) {
+      const hardAreas = plan ? plan.active.filter(area => area.mode === 'hard').map(area => area.id) : [];
+      const constrained = this.supportsConstraints && Object.keys(request.constraints).length > 0;
+      throw new RoutingEngineError(404, hardAreas.length > 0
+        ? `No route found by the ${this.name} engine that avoids the hard avoidance areas`
+        : constrained
+          ? `No route found by the ${this.name} engine within the constraints`
+          : request.passages.length > 0
+            ? `No route found by the ${this.name} engine through all via-points and gates in order`
+            : `No route found by the ${this.name} engine`, { engine: this.name, hardAreas, ...(constrained && { constraints: request.constraints }) });
+    }
+
+    const result = buildResult(this.name, request, path, {
+      computeMs: Date.now() - startedAt,
+      details,
+      warnings: [...unsupported, ...warnings, ...(plan ? plan.warnings : [])]
+    });
+    if (layers) {
+      result.layers = layers;
+    }
+    if (alternatives) {
+      result.alternatives = alternatives;
+    }
+    if (request.passages.length > 0) {
+      const toleranceKm = details?.resolution ? gridToleranceKm(details.resolution) : 0;
+      result.passages = withArrivalTimes(
+        locatePassages(result.path, request.passages, toleranceKm),
+        result.path,
+        result.waypoints.map(waypoint => (Date.parse(waypoint.eta) - request.departureTime.getTime()) / 3600000),
+        request.departureTime
+      );
+    }
+    if (plan) {
+      result.avoidance = summarizeAvoidance(plan, avoidanceSearch, {
+        speedKnots: result.metrics.avgSpeedKnots,
+        fuelTonsPerKm: result.metrics.distanceKm > 0 ? result.metrics.fuelTons / result.metrics.distanceKm : 0
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Parse the request's avoidance areas (400 when invalid or not supported by this engine)
+   */
+  planAvoidance(avoidAreas, request) {
+    if (!this.supportsAvoidAreas) {
+      throw new RoutingEngineError(400, `The ${this.name} engine does not support avoidAreas`, { engine: this.name });
+    }
+    try {
+      return parseAvoidAreas(avoidAreas, {
+        start: request.start,
+        end: request.end,
+        departureTime: request.departureTime,
+        speedKnots: requestSpeedKnots(request)
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        throw new RoutingEngineError(400, error.message);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  RoutingEngine,
+  RoutingEngineError,
+  normalizeRequest,
+  requestVessel,
+  corridorBounds,
+  nearestCell,
+  requestSpeedKnots,
+  buildResult
+};
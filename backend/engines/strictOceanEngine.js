@@ -0,0 +1,54 @@
+/**
+ * 🌊 STRICT OCEAN ENGINE
+ * StrictOceanRouter: A* over pre-validated deep-water cells of the 1° weather grid,
+ * every segment checked against land and the coastal buffer, searched on a route worker
+ */
+
+const path = require('path');
+const { RoutingEngine, RoutingEngineError } = require('./routingEngine');
+
+const DEFAULT_GRID_FILE = path.join(__dirname, '..', 'gridData_with_weather.json');
+
+class StrictOceanEngine extends RoutingEngine {
+  /**
+   * @param {Object} options - { gridFile } 1° grid the router is built from
+   */
+  constructor(options = {}) {
+    super('strict-ocean', 'Deep-water A* on the 1° grid with a coastal buffer and land-crossing checks');
+    this.supportsDepth = true;
+    this.gridFile = options.gridFile || process.env.STRICT_OCEAN_GRID_FILE || DEFAULT_GRID_FILE;
+  }
+
+  async findPath(request, context) {
+    const { start, end } = request;
+    const { workers } = context;
+    const reportProgress = context.reportProgress || (() => {});
+
+    reportProgress({ phase: 'searching', percent: 10, currentSegment: 1, totalSegments: 1 });
+    // The worker builds the router from the grid file (a couple of seconds) on first use and keeps it
+    const result = await workers.run('strict-ocean', {
+      start, end, gridFile: this.gridFile, minDepthMeters: request.constraints.minDepthMeters
+    }, {
+      owner: context.owner,
+      jobId: context.jobId,
+      isCancelled: context.isCancelled
+    });
+    if (!result.success) {
+      throw new RoutingEngineError(404, result.error || 'No safe ocean route found', { engine: this.name });
+    }
+
+    const warnings = result.validation.violations.map(v => `${v.type} violation at ${v.location}`);
+
+    return {
+      path: result.path,
+      warnings,
+      details: {
+        minDistanceFromLandKm: result.minDistanceFromLand,
+        safetyScore: result.validation.safetyScore,
+        violations: result.validation.violations.length
+      }
+    };
+  }
+}
+
+module.exports = StrictOceanEngine;
@@ -0,0 +1,157 @@
+# Writes fixtures/grib2/sample.grib2 and the values it holds (sample.json) for `node grib2.js check`.
+# An encoder written from the WMO FM 92 GRIB edition 2 tables, independent of grib2.js:
+#   1. 10 m U wind, simple packing (5.0)
+#   2. significant wave height, complex packing with second-order spatial differencing (5.3), bitmap
+#   3. mean sea level pressure, complex packing (5.2) with missing values in the packed data
+#   4. 10 m V wind packed with JPEG 2000 (5.40), which the decoder reports as skipped
+# Run from backend/: python3 fixtures/grib2/makeSample.py
+import struct, json, math
+
+def u(n, v): return v.to_bytes(n, 'big')
+def s(n, v):  # sign and magnitude
+    return ((1 << (8*n-1)) | -v).to_bytes(n, 'big') if v < 0 else v.to_bytes(n, 'big')
+
+class Bits:
+    def __init__(self): self.bits = []
+    def put(self, v, n):
+        for i in range(n-1, -1, -1): self.bits.append((v >> i) & 1)
+    def pad(self):
+        while len(self.bits) % 8: self.bits.append(0)
+    def bytes(self):
+        self.pad()
+        return bytes(int(''.join(map(str, self.bits[i:i+8])), 2) for i in range(0, len(self.bits), 8))
+
+def section(num, body): return u(4, 5 + len(body)) + bytes([num]) + body
+
+REF = (2026, 10, 19, 0, 0, 0)
+NI, NJ = 4, 3
+LA1, LO1, LA2, LO2, DI, DJ = 20, 60, 16, 66, 2, 2
+
+def sec1():
+    y, mo, d, h, mi, se = REF
+    return section(1, u(2, 7) + u(2, 0) + bytes([2, 1, 1]) + u(2, y) + bytes([mo, d, h, mi, se, 0, 1]))
+
+def sec3():
+    t = bytes([6, 0]) + u(4, 0) + bytes([0]) + u(4, 0) + bytes([0]) + u(4, 0)
+    t += u(4, NI) + u(4, NJ) + u(4, 0) + u(4, 0xFFFFFFFF)
+    t += s(4, LA1 * 10**6) + s(4, LO1 * 10**6) + bytes([48]) + s(4, LA2 * 10**6) + s(4, LO2 * 10**6)
+    t += u(4, DI * 10**6) + u(4, DJ * 10**6) + bytes([0])
+    return section(3, bytes([0]) + u(4, NI*NJ) + bytes([0, 0]) + u(2, 0) + t)
+
+def sec4(cat, num, unit, ftime, ltype, lscale, lvalue):
+    t = bytes([cat, num, 2, 0, 96]) + u(2, 0) + bytes([0, unit]) + s(4, ftime)
+    t += bytes([ltype]) + s(1, lscale) + s(4, lvalue) + bytes([255]) + s(1, 0) + s(4, 0)
+    return section(4, u(2, 0) + u(2, 0) + t)
+
+def message(discipline, sections):
+    body = b''.join(sections) + b'7777'
+    return b'GRIB' + u(2, 0) + bytes([discipline, 2]) + u(8, 16 + len(body)) + body
+
+def common(R, E, D, nbits):
+    return struct.pack('>f', R) + s(2, E) + s(2, D) + bytes([nbits, 0])
+
+expected = {'fields': [], 'skipped': []}
+def expect(discipline, cat, num, ltype, lvalue, hours, values):
+    ref = '%04d-%02d-%02dT%02d:%02d:%02d.000Z' % REF
+    import datetime
+    t0 = datetime.datetime(*REF)
+    valid = (t0 + datetime.timedelta(hours=hours)).strftime('%Y-%m-%dT%H:%M:%S.000Z')
+    expected['fields'].append({'discipline': discipline, 'category': cat, 'number': num,
+        'level': {'type': ltype, 'value': lvalue}, 'referenceTime': ref, 'forecastHours': hours,
+        'validTime': valid, 'values': values})
+
+out = b''
+
+# 1. 10 m U wind, simple packing (5.0), no bitmap, forecast 0 h
+wind = [1.5, -2.25, 3.0, 0.0, 4.75, -1.0, 2.5, 6.0, -3.5, 0.25, 1.0, 5.5]
+D = 2
+scaled = [round(v * 10**D) for v in wind]
+R = min(scaled)
+X = [v - R for v in scaled]
+nbits = max(X).bit_length()
+b = Bits()
+for x in X: b.put(x, nbits)
+out += message(0, [sec1(), sec3(), sec4(2, 2, 1, 0, 103, 0, 10),
+    section(5, u(4, len(X)) + u(2, 0) + common(float(R), 0, D, nbits)),
+    section(6, bytes([255])), section(7, b.bytes())])
+expect(0, 2, 2, 103, 10, 0, wind)
+
+# 2. Significant wave height, complex packing with 2nd-order spatial differencing (5.3), bitmap
+#    (three land points), forecast 6 h
+present = [1,1,1,0, 1,1,0,1, 0,1,1,1]
+waves = [1.2, 1.4, 1.7, 2.1, 2.0, 1.8, 2.5, 3.1, 2.9]
+D = 1
+x = [round(v * 10**D) for v in waves]
+diffs = [x[j] - 2*x[j-1] + x[j-2] for j in range(2, len(x))]
+minimum = min(diffs)
+packed = [0, 0] + [d - minimum for d in diffs]
+groups = [packed[0:2], packed[2:6], packed[6:9]]
+refs = [min(g) for g in groups]
+widths = [(max(g) - min(g)).bit_length() for g in groups]
+lengths = [len(g) for g in groups]
+ref_bits = max(refs).bit_length()
+width_ref = min(widths); width_bits = (max(widths) - width_ref).bit_length()
+len_ref = min(lengths); len_bits = (max(lengths[:-1]) - len_ref).bit_length()
+b = Bits()
+for v in [x[0], x[1]]: b.bits.extend(int(c) for c in format(v, '016b'))
+b.bits.extend(int(c) for c in format(int.from_bytes(s(2, minimum), 'big'), '016b'))
+for r in refs: b.put(r, ref_bits)
+b.pad()
+for w in widths: b.put(w - width_ref, width_bits)
+b.pad()
+for l in lengths: b.put(l - len_ref, len_bits)
+b.pad()
+for g, r, w in zip(groups, refs, widths):
+    for v in g: b.put(v - r, w)
+t = common(0.0, 0, D, ref_bits) + bytes([1, 0]) + u(4, 0) + u(4, 0) + u(4, len(groups))
+t += bytes([width_ref, width_bits]) + u(4, len_ref) + bytes([1]) + u(4, lengths[-1]) + bytes([len_bits, 2, 2])
+bitmap = Bits()
+for p in present: bitmap.put(p, 1)
+out += message(10, [sec1(), sec3(), sec4(0, 3, 1, 6, 1, 0, 0),
+    section(5, u(4, len(x)) + u(2, 3) + t),
+    section(6, bytes([0]) + bitmap.bytes()), section(7, b.bytes())])
+it = iter(waves)
+expect(10, 0, 3, 1, 0, 6, [next(it) if p else None for p in present])
+
+# 3. Mean sea level pressure, complex packing (5.2) with missing values in the packed data
+#    (missing value management 1), binary scale 1, forecast 4 x 3 h
+M = None
+X = [100, 110, M, 130, 90, 95, 99, M, 120, 121, 122, 123]
+R, E = 100800.0, 1
+groups = [X[0:4], X[4:8], X[8:12]]
+refs, widths = [], []
+for g in groups:
+    vals = [v for v in g if v is not None]
+    refs.append(min(vals))
+    span = max(vals) - min(vals)
+    w = span.bit_length()
+    if any(v is None for v in g) or span == 2**w - 1: w = (span + 1).bit_length()
+    widths.append(w)
+ref_bits = max(refs).bit_length()
+width_ref = min(widths); width_bits = (max(widths) - width_ref).bit_length()
+b = Bits()
+for r in refs: b.put(r, ref_bits)
+b.pad()
+for w in widths: b.put(w - width_ref, width_bits)
+b.pad()
+b.pad()  # lengths: 0 bits each
+for g, r, w in zip(groups, refs, widths):
+    for v in g: b.put(2**w - 1 if v is None else v - r, w)
+t = common(R, E, 0, ref_bits) + bytes([1, 1]) + struct.pack('>f', 9.999e20) + u(4, 0) + u(4, len(groups))
+t += bytes([width_ref, width_bits]) + u(4, 4) + bytes([1]) + u(4, 4) + bytes([0])
+out += message(0, [sec1(), sec3(), sec4(3, 1, 10, 4, 101, 0, 0),
+    section(5, u(4, len(X)) + u(2, 2) + t),
+    section(6, bytes([255])), section(7, b.bytes())])
+expect(0, 3, 1, 101, 0, 12, [None if v is None else R + v * 2**E for v in X])
+
+# 4. 10 m V wind packed with JPEG 2000 (5.40): reported as skipped
+t = common(0.0, 0, 0, 8) + bytes([0, 255])
+out += message(0, [sec1(), sec3(), sec4(2, 3, 1, 0, 103, 0, 10),
+    section(5, u(4, NI*NJ) + u(2, 40) + t),
+    section(6, bytes([255])), section(7, bytes(8))])
+expected['skipped'].append({'message': 3, 'reason': 'data template 5.40 (JPEG 2000)'})
+expected['messages'] = 4
+
+open('fixtures/grib2/sample.grib2', 'wb').write(out)
+json.dump(expected, open('fixtures/grib2/sample.json', 'w'), indent=2)
+print(len(out), 'bytes')
@@ -0,0 +1,308 @@
+/**
+ * 🌦️ FORECAST FIELD
+ * Hourly forecast on a coarse lat/lon lattice covering a route corridor, so a route search can
+ * look up the conditions a ship meets at each cell's estimated time of arrival:
+ * - ForecastField: interpolates wind / waves / visibility / currents at (lat, lon, time), plain data
+ *   so it can be sent to route worker threads
+ * - VoyageTimeline: elapsed hours along a route from a departure time, and the weather at that ETA
+ * - fetchForecastField: a field for a route corridor, from the forecast store (forecastStore.js) when a
+ *   stored forecast covers it, otherwise from the configured weather provider (weatherProviders/)
+ */
+
+const weatherConfig = require('./weatherConfig');
+const { getWeatherProvider, ATMOSPHERE_VARIABLES, MARINE_VARIABLES } = require('./weatherProviders');
+const forecastStore = require('./forecastStore');
+const { currentAt, groundSpeed } = require('./oceanCurrents');
+
+const HOUR_MS = 3600000;
+const KNOTS_TO_KMH = 1.852;
+const DEFAULT_SPEED_KNOTS = 15; // Same service speed the route endpoints assume
+
+// Forecast variables; directions are interpolated as angles
+const VARIABLES = [
+  'windSpeed', 'windDirection', 'waveHeight', 'waveDirection', 'wavePeriod', 'visibility', 'currentVelocity',
+  'currentDirection'
+];
+const DIRECTIONS = new Set(['windDirection', 'waveDirection', 'windWaveDirection', 'swellWaveDirection', 'currentDirection']);
+
+class ForecastField {
+  /**
+   * @param {Object} data - { source, issuedAt, lattice: { latMin, lonMin, step, rows, cols },
+   *   startTime (ms), stepHours, steps, variables: { name: Float32Array(steps * rows * cols) } }
+   *   Missing values are NaN
+   */
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  get endTime() {
+    return this.startTime + (this.steps - 1) * this.stepHours * HOUR_MS;
+  }
+
+  /**
+   * Plain data for postMessage (typed arrays are cloned)
+   */
+  toJSON() {
+    const { source, issuedAt, lattice, startTime, stepHours, steps, variables } = this;
+    return { source, issuedAt, lattice, startTime, stepHours, steps, variables };
+  }
+
+  /**
+   * Value of one variable at (lat, lon, time), interpolated between the surrounding lattice
+   * points and time steps (missing values are skipped)
+   */
+  sample(name, lat, lon, time) {
+    const values = this.variables[name];
+    if (!values) return undefined;
+
+    const { latMin, lonMin, step, rows, cols } = this.lattice;
+    const fi = clamp((lat - latMin) / step, 0, rows - 1);
+    const fj = clamp((lon - lonMin) / step, 0, cols - 1);
+    const ft = clamp((time - this.startTime) / (this.stepHours * HOUR_MS), 0, this.steps - 1);
+    const i0 = Math.floor(fi), j0 = Math.floor(fj), t0 = Math.floor(ft);
+    const i1 = Math.min(i0 + 1, rows - 1), j1 = Math.min(j0 + 1, cols - 1), t1 = Math.min(t0 + 1, this.steps - 1);
+
+    const isDirection = DIRECTIONS.has(name);
+    let sum = 0, sumSin = 0, sumCos = 0, weightSum = 0;
+    for (const [t, wt] of [[t0, 1 - (ft - t0)], [t1, ft - t0]]) {
+      for (const [i, wi] of [[i0, 1 - (fi - i0)], [i1, fi - i0]]) {
+        for (const [j, wj] of [[j0, 1 - (fj - j0)], [j1, fj - j0]]) {
+          const weight = wt * wi * wj;
+          const value = values[(t * rows + i) * cols + j];
+          if (weight === 0 || Number.isNaN(value)) continue;
+          if (isDirection) {
+            sumSin += Math.sin(value * Math.PI / 180) * weight;
+            sumCos += Math.cos(value * Math.PI / 180) * weight;
+          } else {
+            sum += value * weight;
+          }
+          weightSum += weight;
+        }
+      }
+    }
+
+    if (weightSum === 0) return undefined;
+    if (isDirection) {
+      return (Math.atan2(sumSin, sumCos) * 180 / Math.PI + 360) % 360;
+    }
+    return sum / weightSum;
+  }
+
+  /**
+   * Forecast conditions at a position and time (ms); times past the last step use the last step
+   * @returns {Object} { windSpeed, windDirection, waveHeight, waveDirection, wavePeriod, visibility,
+   *   currentVelocity, currentDirection, forecastTime, beyondHorizon } (variables without data are left out)
+   */
+  conditionsAt(lat, lon, time) {
+    const conditions = {};
+    for (const name of VARIABLES) {
+      const value = this.sample(name, lat, lon, time);
+      if (value !== undefined) {
+        conditions[name] = parseFloat(value.toFixed(DIRECTIONS.has(name) ? 0 : 2));
+      }
+    }
+    conditions.forecastTime = new Date(clamp(time, this.startTime, this.endTime)).toISOString();
+    conditions.beyondHorizon = time > this.endTime;
+    return conditions;
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Value a fraction `weight` of the way from a to b (directions the short way round; a missing
+ * value takes the other)
+ */
+function blendValues(a, b, weight, isDirection) {
+  if (Number.isNaN(a) || Number.isNaN(b)) return Number.isNaN(a) ? b : a;
+  if (!isDirection) return a + (b - a) * weight;
+  const delta = ((b - a + 540) % 360) - 180;
+  return (a + delta * weight + 360) % 360;
+}
+
+/**
+ * Elapsed time along a route from a departure time at constant speed through the water (over
+ * ground with legHours), and the weather a ship meets at a cell when it gets there
+ */
+class VoyageTimeline {
+  /**
+   * @param {Object} options - { departureTime, speedKnots, forecast (ForecastField or its data) }
+   */
+  constructor(options = {}) {
+    this.departureTime = options.departureTime ? new Date(options.departureTime).getTime() : Date.now();
+    this.speedKnots = options.speedKnots || DEFAULT_SPEED_KNOTS;
+    this.forecast = !options.forecast ? null
+      : options.forecast instanceof ForecastField ? options.forecast : new ForecastField(options.forecast);
+  }
+
+  /**
+   * Hours to sail a distance
+   */
+  hoursFor(distanceKm) {
+    return distanceKm / (this.speedKnots * KNOTS_TO_KMH);
+  }
+
+  /**
+   * Hours to sail a leg leaving a cell on a course, at the speed over ground the current there
+   * gives (oceanCurrents.js)
+   */
+  legHours(cell, courseDeg, distanceKm, elapsedHours) {
+    if (!weatherConfig.OCEAN_CURRENTS) return this.hoursFor(distanceKm);
+    const current = currentAt(cell.lat, cell.lon, this.timeAt(elapsedHours), this.weatherAt(cell, elapsedHours));
+    return distanceKm / (groundSpeed(this.speedKnots, courseDeg, current).groundSpeedKnots * KNOTS_TO_KMH);
+  }
+
+  timeAt(elapsedHours) {
+    return this.departureTime + elapsedHours * HOUR_MS;
+  }
+
+  /**
+   * Forecast conditions at a cell after elapsedHours (null without a forecast)
+   */
+  conditionsAt(cell, elapsedHours) {
+    return this.forecast ? this.forecast.conditionsAt(cell.lat, cell.lon, this.timeAt(elapsedHours)) : null;
+  }
+
+  /**
+   * Weather for cost models: the cell's stored weather overlaid with the forecast at the ETA
+   */
+  weatherAt(cell, elapsedHours) {
+    const stored = cell.weather || cell.weatherData;
+    const conditions = this.conditionsAt(cell, elapsedHours);
+    return conditions ? { ...stored, ...conditions } : stored;
+  }
+
+  /**
+   * ETA fields for a path point: { etaHours, eta, forecast }
+   */
+  describe(cell, elapsedHours) {
+    return {
+      etaHours: parseFloat(elapsedHours.toFixed(2)),
+      eta: new Date(this.timeAt(elapsedHours)).toISOString(),
+      forecast: this.conditionsAt(cell, elapsedHours)
+    };
+  }
+}
+
+/**
+ * Lattice over a region with at most FORECAST_MAX_POINTS points (the step grows for large regions)
+ */
+function buildLattice(region) {
+  let step = weatherConfig.FORECAST_GRID_STEP_DEG;
+  for (;;) {
+    const latMin = Math.max(-90, Math.floor(region.latMin / step) * step);
+    const latMax = Math.min(90, Math.ceil(region.latMax / step) * step);
+    const lonMin = Math.floor(region.lonMin / step) * step;
+    const lonMax = Math.ceil(region.lonMax / step) * step;
+    const rows = Math.round((latMax - latMin) / step) + 1;
+    const cols = Math.round((lonMax - lonMin) / step) + 1;
+    if (rows * cols <= weatherConfig.FORECAST_MAX_POINTS) {
+      return { latMin, lonMin, step, rows, cols };
+    }
+    step *= 1.5;
+  }
+}
+
+/**
+ * Forecast field covering a region from departure for `hours` hours (capped at FORECAST_MAX_HOURS)
+ * @param {Object} options - { provider (default: the configured weather provider), variables (default VARIABLES) }
+ * @returns {Promise<ForecastField|null>} null when the forecast cannot be fetched
+ */
+async function fetchForecastField(region, departureTime, hours, options = {}) {
+  const provider = options.provider || getWeatherProvider();
+  const names = options.variables || VARIABLES;
+  const lattice = buildLattice(region);
+  const startTime = Math.floor(new Date(departureTime).getTime() / HOUR_MS) * HOUR_MS;
+  const steps = Math.min(Math.ceil(hours), weatherConfig.FORECAST_MAX_HOURS) + 1;
+  const endTime = startTime + (steps - 1) * HOUR_MS;
+
+  // A stored forecast (ingested GRIB2, or a recent fetch) covering the corridor saves the requests
+  if (!options.provider) {
+    const stored = forecastStore.fieldFor(lattice, startTime, steps, names);
+    if (stored) {
+      console.log(`🌦️  Forecast field (forecast store, snapshot ${stored.snapshot}): ${lattice.rows * lattice.cols} points x ${stored.steps} hours (${lattice.step}° lattice)`);
+      return stored;
+    }
+  }
+
+  const locations = [];
+  for (let i = 0; i < lattice.rows; i++) {
+    for (let j = 0; j < lattice.cols; j++) {
+      locations.push({ lat: lattice.latMin + i * lattice.step, lon: lattice.lonMin + j * lattice.step });
+    }
+  }
+
+  const size = steps * lattice.rows * lattice.cols;
+  const variables = Object.fromEntries(names.map(name => [name, new Float32Array(size).fill(NaN)]));
+  const forecastWindow = { startTime, endTime, windSpeedUnit: 'kn' };
+
+  // Copy the provider's hourly series into the field: location index -> lattice point, hourly time -> step
+  const store = series => {
+    series.forEach((hourly, location) => {
+      const times = hourly.time || [];
+      times.forEach((time, index) => {
+        const step = Math.round((Date.parse(time) - startTime) / HOUR_MS);
+        if (step < 0 || step >= steps) return;
+        for (const name of names) {
+          const value = hourly[name]?.[index];
+          if (value != null) variables[name][step * locations.length + location] = value;
+        }
+      });
+    });
+  };
+
+  const atmosphereNames = names.filter(name => ATMOSPHERE_VARIABLES.includes(name));
+  const marineNames = names.filter(name => MARINE_VARIABLES.includes(name));
+
+  const fetchStart = Date.now();
+  try {
+    if (atmosphereNames.length > 0) {
+      store(await provider.hourly(locations, { ...forecastWindow, variables: atmosphereNames }));
+    }
+  } catch (error) {
+    console.error(`⚠️  Forecast fetch failed (routing on stored weather): ${error.message}`);
+    return null;
+  }
+
+  try {
+    if (marineNames.length > 0) {
+      store(await provider.hourlyMarine(locations, { ...forecastWindow, variables: marineNames }));
+    }
+  } catch (error) {
+    console.warn(`⚠️  Marine forecast fetch failed (waves from stored weather): ${error.message}`);
+  }
+
+  console.log(`🌦️  Forecast field (${provider.name}): ${locations.length} points x ${steps} hours (${lattice.step}° lattice) in ${((Date.now() - fetchStart) / 1000).toFixed(1)}s`);
+  const description = provider.describe();
+  const field = new ForecastField({
+    source: provider.name,
+    issuedAt: description.issuedAt || new Date().toISOString(),
+    lattice,
+    startTime,
+    stepHours: 1,
+    steps,
+    variables
+  });
+
+  // Keep what a network provider returned so hazard checks, charts and later routes can read it
+  if (provider.remote) {
+    try {
+      forecastStore.saveForecast(field, { kind: 'corridor' });
+    } catch (error) {
+      console.warn(`⚠️  Could not store the forecast: ${error.message}`);
+    }
+  }
+  return field;
+}
+
+module.exports = {
+  DEFAULT_SPEED_KNOTS,
+  VARIABLES,
+  DIRECTIONS,
+  blendValues,
+  ForecastField,
+  VoyageTimeline,
+  fetchForecastField
+};
@@ -0,0 +1,250 @@
+/**
+ * 🗂️ FORECAST STORE
+ * Hourly forecasts per grid cell. Every forecast the server gets - an ingested GRIB2 file, a route
+ * corridor fetched from a network provider, a grid update by weatherService.js - is kept as a snapshot
+ * (weatherSnapshots.js) holding each lattice cell for each hour, up to FORECAST_STORE_HOURS ahead.
+ * Reads use the newest usable snapshot covering the position and time, interpolated between the
+ * surrounding cells and hours:
+ * - conditionsAt(lat, lon, time)        hazard checks, waypoint weather, route cell weather
+ * - seriesAt(lat, lon, window)          hourly charts (/api/weather/forecast, /marine)
+ * - fieldFor(lattice, start, steps)     time-dependent route searches (forecastField.js)
+ *
+ * Usable: ingested GRIB2 snapshots until retention removes them; fetched snapshots for
+ * WEATHER_CACHE_HOURS, after which the provider is asked again.
+ * Retention (weatherConfig): snapshots whose forecast has ended, older than SNAPSHOT_MAX_AGE_HOURS or
+ * beyond the newest SNAPSHOT_KEEP are deleted; the newest snapshot is always kept.
+ */
+
+const weatherConfig = require('./weatherConfig');
+const { getSnapshotStore } = require('./weatherSnapshots');
+const { windFactor } = require('./weatherProviders/weatherProvider');
+
+const HOUR_MS = 3600000;
+const WIND_VARIABLES = new Set(['windSpeed', 'windGusts']);
+
+// Required on use: forecastField.js reads the forecast store
+function forecastField() {
+  return require('./forecastField');
+}
+
+/**
+ * Lat/lon extent of a lattice
+ */
+function latticeBounds(lattice) {
+  return {
+    latMin: lattice.latMin,
+    latMax: lattice.latMin + (lattice.rows - 1) * lattice.step,
+    lonMin: lattice.lonMin,
+    lonMax: lattice.lonMin + (lattice.cols - 1) * lattice.step
+  };
+}
+
+function coversPosition(snapshot, lat, lon) {
+  const bounds = latticeBounds(snapshot.lattice);
+  return lat >= bounds.latMin && lat <= bounds.latMax && lon >= bounds.lonMin && lon <= bounds.lonMax;
+}
+
+/**
+ * Fetched forecasts go stale like any cached weather; ingested files are the best there is offline
+ */
+function isUsable(snapshot, now) {
+  if (snapshot.kind === 'grib') return true;
+  return now - Date.parse(snapshot.ingestedAt) < weatherConfig.WEATHER_CACHE_HOURS * HOUR_MS;
+}
+
+/**
+ * Usable snapshots holding (lat, lon) at `time`, newest first
+ */
+function candidates(lat, lon, time, now = Date.now()) {
+  return getSnapshotStore().list().filter(snapshot =>
+    isUsable(snapshot, now) &&
+    coversPosition(snapshot, lat, lon) &&
+    time >= Date.parse(snapshot.startTime) - HOUR_MS &&
+    time <= Date.parse(snapshot.endTime)
+  );
+}
+
+function round(name, value) {
+  return parseFloat(value.toFixed(forecastField().DIRECTIONS.has(name) ? 0 : 2));
+}
+
+/**
+ * Stored forecast at a position and time (ms)
+ * @param {string[]} names - variables wanted (default: all the snapshot has)
+ * @returns {Object|null} { ...values (wind in knots), forecastTime, snapshot, source }, or null when no
+ *   usable snapshot has a value there (variables the snapshot lacks are left out)
+ */
+function conditionsAt(lat, lon, time = Date.now(), names = null) {
+  for (const snapshot of candidates(lat, lon, time)) {
+    const field = getSnapshotStore().load(snapshot.id);
+    if (!field) continue;
+
+    const conditions = {};
+    for (const name of names || Object.keys(field.variables)) {
+      const value = field.sample(name, lat, lon, time);
+      if (value !== undefined) conditions[name] = round(name, value);
+    }
+    if (Object.keys(conditions).length === 0) continue;
+
+    return {
+      ...conditions,
+      forecastTime: new Date(Math.floor(time / HOUR_MS) * HOUR_MS).toISOString(),
+      snapshot: snapshot.id,
+      source: snapshot.source
+    };
+  }
+  return null;
+}
+
+/**
+ * Hourly stored forecast at a position, on the same time axis a provider's hourly() returns
+ * @param {Object} window - { startTime, endTime (ms), variables, windSpeedUnit (default 'kn') }
+ * @returns {Object|null} { time: [ISO], <variable>: [value|null], snapshot, source, variables } with
+ *   only the variables the snapshot has (hours past its horizon are null); null without a usable snapshot
+ */
+function seriesAt(lat, lon, window) {
+  const factor = windFactor(window.windSpeedUnit);
+  const startTime = Math.floor(window.startTime / HOUR_MS) * HOUR_MS;
+  const [snapshot] = candidates(lat, lon, startTime);
+  if (!snapshot) return null;
+  const field = getSnapshotStore().load(snapshot.id);
+  if (!field) return null;
+
+  const names = (window.variables || Object.keys(field.variables)).filter(name => field.variables[name]);
+  const series = { time: [], snapshot: snapshot.id, source: snapshot.source, variables: names };
+  names.forEach(name => { series[name] = []; });
+  for (let time = startTime; time <= window.endTime; time += HOUR_MS) {
+    series.time.push(new Date(time).toISOString());
+    for (const name of names) {
+      const value = time <= field.endTime ? field.sample(name, lat, lon, time) : undefined;
+      series[name].push(value === undefined ? null : round(name, WIND_VARIABLES.has(name) ? value * factor : value));
+    }
+  }
+  return series;
+}
+
+/**
+ * ForecastField on a lattice from the newest snapshot covering all of it from startTime: fetched
+ * snapshots must also reach the last step, an ingested file is used up to its horizon
+ * @returns {ForecastField|null} (field.snapshot is the snapshot id)
+ */
+function fieldFor(lattice, startTime, steps, names) {
+  const { ForecastField } = forecastField();
+  const bounds = latticeBounds(lattice);
+  const endTime = startTime + (steps - 1) * HOUR_MS;
+  const now = Date.now();
+
+  const snapshot = getSnapshotStore().list().find(candidate =>
+    isUsable(candidate, now) &&
+    coversPosition(candidate, bounds.latMin, bounds.lonMin) &&
+    coversPosition(candidate, bounds.latMax, bounds.lonMax) &&
+    startTime >= Date.parse(candidate.startTime) - HOUR_MS &&
+    startTime <= Date.parse(candidate.endTime) &&
+    (candidate.kind === 'grib' || endTime <= Date.parse(candidate.endTime))
+  );
+  if (!snapshot) return null;
+  const source = getSnapshotStore().load(snapshot.id);
+  if (!source) return null;
+
+  const available = Math.min(steps, Math.floor((source.endTime - startTime) / HOUR_MS) + 1);
+  const points = lattice.rows * lattice.cols;
+  const variables = {};
+  for (const name of names.filter(variable => source.variables[variable])) {
+    const values = new Float32Array(available * points);
+    for (let step = 0; step < available; step++) {
+      const time = startTime + step * HOUR_MS;
+      for (let i = 0; i < lattice.rows; i++) {
+        for (let j = 0; j < lattice.cols; j++) {
+          const value = source.sample(name, lattice.latMin + i * lattice.step, lattice.lonMin + j * lattice.step, time);
+          values[step * points + i * lattice.cols + j] = value === undefined ? NaN : value;
+        }
+      }
+    }
+    variables[name] = values;
+  }
+
+  const field = new ForecastField({
+    source: source.source,
+    issuedAt: source.issuedAt,
+    lattice,
+    startTime,
+    stepHours: 1,
+    steps: available,
+    variables
+  });
+  field.snapshot = snapshot.id;
+  return field;
+}
+
+/**
+ * The field on an hourly time axis, at most FORECAST_STORE_HOURS long
+ */
+function toHourly(field) {
+  const { ForecastField, DIRECTIONS, blendValues } = forecastField();
+  const hours = Math.min((field.steps - 1) * field.stepHours, weatherConfig.FORECAST_STORE_HOURS);
+  const steps = Math.floor(hours) + 1;
+  if (field.stepHours === 1 && field.steps === steps) return field;
+
+  const points = field.lattice.rows * field.lattice.cols;
+  const variables = {};
+  for (const [name, values] of Object.entries(field.variables)) {
+    const hourly = new Float32Array(steps * points);
+    for (let hour = 0; hour < steps; hour++) {
+      const position = hour / field.stepHours;
+      const t0 = Math.floor(position);
+      const t1 = Math.min(t0 + 1, field.steps - 1);
+      const weight = position - t0;
+      for (let p = 0; p < points; p++) {
+        hourly[hour * points + p] = blendValues(values[t0 * points + p], values[t1 * points + p], weight, DIRECTIONS.has(name));
+      }
+    }
+    variables[name] = hourly;
+  }
+  return new ForecastField({ ...field.toJSON(), stepHours: 1, steps, variables });
+}
+
+/**
+ * Store a forecast as a snapshot (hourly, trimmed to FORECAST_STORE_HOURS) and apply retention
+ * @param {Object} metadata - { kind: 'grib' | 'corridor' | 'grid', ... } kept in the snapshot header
+ * @returns {Object} the snapshot summary
+ */
+function saveForecast(field, metadata = {}, options = {}) {
+  const store = options.store || getSnapshotStore();
+  const snapshot = store.save(toHourly(field), { kind: 'grib', ...metadata });
+  applyRetention({ store });
+  return snapshot;
+}
+
+/**
+ * Delete snapshots the retention rules no longer keep (never the newest)
+ * @returns {string[]} deleted snapshot ids
+ */
+function applyRetention(options = {}) {
+  const store = options.store || getSnapshotStore();
+  const now = options.now || Date.now();
+  const deleted = [];
+
+  store.list().forEach((snapshot, index) => {
+    if (index === 0) return;
+    const ended = Date.parse(snapshot.endTime) < now;
+    const tooOld = now - Date.parse(snapshot.ingestedAt) > weatherConfig.SNAPSHOT_MAX_AGE_HOURS * HOUR_MS;
+    const beyondKeep = index >= weatherConfig.SNAPSHOT_KEEP;
+    if ((ended || tooOld || beyondKeep) && store.delete(snapshot.id)) {
+      deleted.push(snapshot.id);
+    }
+  });
+
+  if (deleted.length > 0) {
+    console.log(`🧹 Forecast store: removed ${deleted.length} old snapshot(s)`);
+  }
+  return deleted;
+}
+
+module.exports = {
+  conditionsAt,
+  seriesAt,
+  fieldFor,
+  saveForecast,
+  applyRetention,
+  toHourly
+};
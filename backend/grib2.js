@@ -0,0 +1,479 @@
+/**
+ * 🧾 GRIB2 DECODER
+ * Reads the GRIB2 messages weather services send to ships (GFS, WaveWatch III, ECMWF open data):
+ * - grids: regular latitude/longitude (template 3.0), any scanning direction
+ * - products: analysis or forecast at a level (templates 4.0 and 4.1)
+ * - packing: simple (5.0), complex (5.2) and complex with spatial differencing (5.3), with or without a bitmap
+ * JPEG 2000 (5.40), PNG (5.41) and CCSDS (5.42) packed messages are reported as skipped; repack them with
+ * `wgrib2 in.grib2 -set_grib_type c3 -grib_out out.grib2` first.
+ *
+ * decodeGrib2(buffer, { accept }) -> { fields: [{ discipline, category, number, level, referenceTime,
+ *   validTime, forecastHours, grid, values: Float32Array (NaN = missing) }], skipped: [{ reason, ... }] }
+ * sampleField(field, lat, lon) -> bilinear value at a position (NaN outside the grid)
+ *
+ * Decode check against a fixture written by an independent encoder (fixtures/grib2/makeSample.py):
+ *   node grib2.js check [file.grib2 expected.json]
+ */
+
+// Table 4.4: indicator of unit of time range -> hours
+const TIME_UNIT_HOURS = {
+  0: 1 / 60,
+  1: 1,
+  2: 24,
+  10: 3,
+  11: 6,
+  12: 12,
+  13: 1 / 3600
+};
+
+/**
+ * GRIB2 signed integers are sign and magnitude, not two's complement
+ */
+function readSigned(buffer, offset, bytes) {
+  const value = buffer.readUIntBE(offset, bytes);
+  const signBit = 2 ** (8 * bytes - 1);
+  return value >= signBit ? -(value - signBit) : value;
+}
+
+/**
+ * Reads packed unsigned integers of any width (up to 32 bits), most significant bit first
+ */
+class BitReader {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.bitPos = offset * 8;
+  }
+
+  read(bits) {
+    let value = 0;
+    let remaining = bits;
+    while (remaining > 0) {
+      const byte = this.buffer[this.bitPos >> 3];
+      const used = this.bitPos & 7;
+      const take = Math.min(8 - used, remaining);
+      const chunk = (byte >> (8 - used - take)) & ((1 << take) - 1);
+      value = value * (1 << take) + chunk;
+      this.bitPos += take;
+      remaining -= take;
+    }
+    return value;
+  }
+
+  /**
+   * Skip to the next whole octet
+   */
+  align() {
+    this.bitPos = Math.ceil(this.bitPos / 8) * 8;
+  }
+}
+
+/**
+ * Section 1: reference time (ms)
+ */
+function parseIdentification(buffer, start) {
+  const year = buffer.readUInt16BE(start + 12);
+  const [month, day, hour, minute, second] = [14, 15, 16, 17, 18].map(octet => buffer[start + octet]);
+  return { referenceTime: Date.UTC(year, month - 1, day, hour, minute, second) };
+}
+
+/**
+ * Section 3: grid definition (regular lat/lon only)
+ */
+function parseGrid(buffer, start) {
+  const points = buffer.readUInt32BE(start + 6);
+  const template = buffer.readUInt16BE(start + 12);
+  if (template !== 0) {
+    return { template, points, unsupported: `grid template 3.${template} (only regular lat/lon, 3.0, is supported)` };
+  }
+
+  const ni = buffer.readUInt32BE(start + 30);
+  const nj = buffer.readUInt32BE(start + 34);
+  const basicAngle = buffer.readUInt32BE(start + 38);
+  const subdivisions = buffer.readUInt32BE(start + 42);
+  const unit = basicAngle === 0 || basicAngle === 0xFFFFFFFF ? 1e-6 : basicAngle / subdivisions;
+
+  const grid = {
+    template,
+    points,
+    ni,
+    nj,
+    la1: readSigned(buffer, start + 46, 4) * unit,
+    lo1: readSigned(buffer, start + 50, 4) * unit,
+    la2: readSigned(buffer, start + 55, 4) * unit,
+    lo2: readSigned(buffer, start + 59, 4) * unit,
+    di: buffer.readUInt32BE(start + 63) * unit,
+    dj: buffer.readUInt32BE(start + 67) * unit,
+    scanMode: buffer[start + 71]
+  };
+  if (ni === 0xFFFFFFFF || nj === 0xFFFFFFFF) {
+    grid.unsupported = 'quasi-regular (reduced) grids';
+  }
+  return grid;
+}
+
+/**
+ * Section 4: product definition (parameter, level and forecast time)
+ */
+function parseProduct(buffer, start, referenceTime) {
+  const template = buffer.readUInt16BE(start + 7);
+  if (template !== 0 && template !== 1) {
+    return { template, unsupported: `product template 4.${template} (only 4.0 and 4.1 are supported)` };
+  }
+
+  const unitHours = TIME_UNIT_HOURS[buffer[start + 17]];
+  const forecastTime = readSigned(buffer, start + 18, 4);
+  const levelScale = readSigned(buffer, start + 23, 1);
+  const levelValue = readSigned(buffer, start + 24, 4);
+  const forecastHours = unitHours === undefined ? null : forecastTime * unitHours;
+
+  return {
+    template,
+    category: buffer[start + 9],
+    number: buffer[start + 10],
+    level: {
+      type: buffer[start + 22],
+      value: levelValue / 10 ** levelScale
+    },
+    forecastHours,
+    validTime: forecastHours === null ? null : referenceTime + Math.round(forecastHours * 3600000),
+    unsupported: unitHours === undefined ? `time unit ${buffer[start + 17]}` : null
+  };
+}
+
+/**
+ * Section 5: data representation
+ */
+function parseRepresentation(buffer, start) {
+  const template = buffer.readUInt16BE(start + 9);
+  const representation = {
+    template,
+    count: buffer.readUInt32BE(start + 5),
+    reference: buffer.readFloatBE(start + 11),
+    binaryScale: readSigned(buffer, start + 15, 2),
+    decimalScale: readSigned(buffer, start + 17, 2),
+    bits: buffer[start + 19]
+  };
+
+  if (template === 2 || template === 3) {
+    Object.assign(representation, {
+      missingManagement: buffer[start + 22],
+      groups: buffer.readUInt32BE(start + 31),
+      widthReference: buffer[start + 35],
+      widthBits: buffer[start + 36],
+      lengthReference: buffer.readUInt32BE(start + 37),
+      lengthIncrement: buffer[start + 41],
+      lastLength: buffer.readUInt32BE(start + 42),
+      lengthBits: buffer[start + 46]
+    });
+    if (template === 3) {
+      representation.differencingOrder = buffer[start + 47];
+      representation.descriptorOctets = buffer[start + 48];
+    }
+  } else if (template !== 0) {
+    const names = { 40: 'JPEG 2000', 41: 'PNG', 42: 'CCSDS' };
+    representation.unsupported = `data template 5.${template}${names[template] ? ` (${names[template]})` : ''}; repack with wgrib2 -set_grib_type c3`;
+  }
+  return representation;
+}
+
+/**
+ * Simple packing: count values of `bits` bits
+ */
+function unpackSimple(reader, representation) {
+  const values = new Float64Array(representation.count);
+  if (representation.bits === 0) return { values, missing: null };
+  for (let i = 0; i < representation.count; i++) {
+    values[i] = reader.read(representation.bits);
+  }
+  return { values, missing: null };
+}
+
+/**
+ * Complex packing (5.2 / 5.3): groups of values, each with its own reference and width; 5.3 also
+ * undoes first- or second-order spatial differencing
+ */
+function unpackComplex(reader, representation) {
+  const { count, groups, bits, widthReference, widthBits, lengthReference, lengthIncrement, lastLength, lengthBits, missingManagement } = representation;
+  const values = new Float64Array(count);
+  const missing = new Uint8Array(count);
+
+  let first = 0, second = 0, minimum = 0;
+  const order = representation.template === 3 ? representation.differencingOrder : 0;
+  if (order > 0) {
+    const octets = representation.descriptorOctets;
+    const readDescriptor = () => {
+      const raw = reader.read(octets * 8);
+      const signBit = 2 ** (octets * 8 - 1);
+      return raw >= signBit ? -(raw - signBit) : raw;
+    };
+    first = readDescriptor();
+    if (order === 2) second = readDescriptor();
+    minimum = readDescriptor();
+  }
+
+  const references = new Array(groups);
+  for (let g = 0; g < groups; g++) references[g] = bits > 0 ? reader.read(bits) : 0;
+  reader.align();
+  const widths = new Array(groups);
+  for (let g = 0; g < groups; g++) widths[g] = widthReference + (widthBits > 0 ? reader.read(widthBits) : 0);
+  reader.align();
+  const lengths = new Array(groups);
+  for (let g = 0; g < groups; g++) lengths[g] = lengthReference + (lengthBits > 0 ? reader.read(lengthBits) : 0) * lengthIncrement;
+  reader.align();
+  if (groups > 0) lengths[groups - 1] = lastLength;
+
+  const allOnes = width => 2 ** width - 1;
+  let n = 0;
+  for (let g = 0; g < groups && n < count; g++) {
+    const width = widths[g];
+    for (let k = 0; k < lengths[g] && n < count; k++, n++) {
+      if (width === 0) {
+        // Constant group: the reference is the value, or all ones for missing
+        if (missingManagement > 0 && bits > 0 && references[g] === allOnes(bits)) missing[n] = 1;
+        else values[n] = references[g];
+      } else {
+        const packed = reader.read(width);
+        if ((missingManagement === 1 && packed === allOnes(width)) ||
+            (missingManagement === 2 && packed >= allOnes(width) - 1)) {
+          missing[n] = 1;
+        } else {
+          values[n] = references[g] + packed;
+        }
+      }
+    }
+  }
+
+  if (order > 0) {
+    // Differencing runs over the values that are present, in order
+    let seen = 0, previous = 0, beforePrevious = 0;
+    for (let i = 0; i < count; i++) {
+      if (missing[i]) continue;
+      let value;
+      if (seen === 0) value = first;
+      else if (seen === 1 && order === 2) value = second;
+      else if (order === 1) value = values[i] + minimum + previous;
+      else value = values[i] + minimum + 2 * previous - beforePrevious;
+      beforePrevious = previous;
+      previous = value;
+      values[i] = value;
+      seen++;
+    }
+  }
+  return { values, missing };
+}
+
+/**
+ * Section 7: unpack and scale the values onto the grid points (NaN where the bitmap or packing says missing)
+ */
+function unpackData(buffer, start, representation, bitmap, points) {
+  const reader = new BitReader(buffer, start + 5);
+  const { values: packed, missing } = representation.template === 0
+    ? unpackSimple(reader, representation)
+    : unpackComplex(reader, representation);
+
+  const binary = 2 ** representation.binaryScale;
+  const decimal = 10 ** representation.decimalScale;
+  const reference = representation.reference;
+  const result = new Float32Array(points).fill(NaN);
+
+  let n = 0;
+  for (let p = 0; p < points; p++) {
+    if (bitmap && !((bitmap[p >> 3] >> (7 - (p & 7))) & 1)) continue;
+    if (n >= packed.length) break;
+    if (!missing || !missing[n]) result[p] = (reference + packed[n] * binary) / decimal;
+    n++;
+  }
+  return result;
+}
+
+/**
+ * Decode every field in a buffer of one or more GRIB2 messages
+ * @param {Object} options - { accept(field) -> boolean }: fields to unpack (others are skipped unread)
+ */
+function decodeGrib2(buffer, options = {}) {
+  const accept = options.accept || (() => true);
+  const fields = [];
+  const skipped = [];
+  let offset = 0;
+  let messages = 0;
+
+  while (offset < buffer.length) {
+    const start = buffer.indexOf('GRIB', offset, 'ascii');
+    if (start < 0 || start + 16 > buffer.length) break;
+
+    const edition = buffer[start + 7];
+    if (edition !== 2) {
+      // GRIB1 messages carry their length in octets 5-7
+      skipped.push({ message: messages, reason: `GRIB edition ${edition} (only GRIB2 is supported)` });
+      offset = start + Math.max(8, buffer.readUIntBE(start + 4, 3));
+      messages++;
+      continue;
+    }
+
+    const length = Number(buffer.readBigUInt64BE(start + 8));
+    const end = start + length;
+    if (end > buffer.length) {
+      skipped.push({ message: messages, reason: 'truncated message' });
+      break;
+    }
+
+    const discipline = buffer[start + 6];
+    let identification = null, grid = null, product = null, representation = null, bitmap = null;
+    let pos = start + 16;
+
+    while (pos < end) {
+      if (buffer.toString('ascii', pos, pos + 4) === '7777') break;
+      const sectionLength = buffer.readUInt32BE(pos);
+      const section = buffer[pos + 4];
+      if (sectionLength < 5 || pos + sectionLength > end) {
+        skipped.push({ message: messages, reason: `corrupt section ${section}` });
+        break;
+      }
+
+      if (section === 1) identification = parseIdentification(buffer, pos);
+      else if (section === 3) grid = parseGrid(buffer, pos);
+      else if (section === 4) product = parseProduct(buffer, pos, identification ? identification.referenceTime : 0);
+      else if (section === 5) representation = parseRepresentation(buffer, pos);
+      else if (section === 6) {
+        const indicator = buffer[pos + 5];
+        if (indicator === 0) bitmap = buffer.subarray(pos + 6, pos + sectionLength);
+        else if (indicator === 255) bitmap = null;
+        // 254: the previous bitmap applies again
+      } else if (section === 7) {
+        const field = {
+          message: messages,
+          discipline,
+          category: product && product.category,
+          number: product && product.number,
+          level: product && product.level,
+          referenceTime: identification && identification.referenceTime,
+          validTime: product && product.validTime,
+          forecastHours: product && product.forecastHours,
+          grid
+        };
+        const unsupported = [grid, product, representation].map(part => part && part.unsupported).find(Boolean);
+
+        if (!grid || !product || !representation) {
+          skipped.push({ message: messages, reason: 'data section without grid, product or representation' });
+        } else if (!accept(field)) {
+          skipped.push({ message: messages, reason: 'parameter not used', discipline, category: field.category, number: field.number });
+        } else if (unsupported) {
+          skipped.push({ message: messages, reason: unsupported, discipline, category: field.category, number: field.number });
+        } else {
+          field.values = unpackData(buffer, pos, representation, bitmap, grid.ni * grid.nj);
+          fields.push(field);
+        }
+      }
+      pos += sectionLength;
+    }
+
+    offset = end;
+    messages++;
+  }
+
+  return { messages, fields, skipped };
+}
+
+/**
+ * Value of a decoded field at (lat, lon), bilinear between the four surrounding grid points
+ * (missing points are skipped; NaN outside the grid). Global grids wrap in longitude.
+ */
+function sampleField(field, lat, lon) {
+  const { ni, nj, la1, lo1, la2, di, scanMode } = field.grid;
+  const iNegative = (scanMode & 0x80) !== 0;
+  const jConsecutive = (scanMode & 0x20) !== 0;
+  const boustrophedon = (scanMode & 0x10) !== 0;
+
+  const latStep = nj > 1 ? (la2 - la1) / (nj - 1) : 1;
+  const fj = (lat - la1) / latStep;
+  if (fj < -1e-9 || fj > nj - 1 + 1e-9) return NaN;
+
+  const global = Math.abs(ni * di - 360) < di / 2;
+  const offset = (((iNegative ? lo1 - lon : lon - lo1) % 360) + 360) % 360;
+  const fi = offset / di;
+  if (fi > ni - 1 + 1e-9 && !global) return NaN;
+
+  const i0 = Math.min(Math.floor(fi), ni - 1);
+  const j0 = Math.max(0, Math.min(nj - 1, Math.floor(fj + 1e-9)));
+  const i1 = global ? (i0 + 1) % ni : Math.min(i0 + 1, ni - 1);
+  const j1 = Math.min(j0 + 1, nj - 1);
+  const wi = fi - i0;
+  const wj = Math.max(0, fj - j0);
+
+  const index = (i, j) => {
+    const column = boustrophedon && j % 2 === 1 ? ni - 1 - i : i;
+    return jConsecutive ? column * nj + j : j * ni + column;
+  };
+
+  let sum = 0, weightSum = 0;
+  for (const [i, weightI] of [[i0 % ni, 1 - wi], [i1, wi]]) {
+    for (const [j, weightJ] of [[j0, 1 - wj], [j1, wj]]) {
+      const weight = weightI * weightJ;
+      const value = field.values[index(i, j)];
+      if (weight === 0 || Number.isNaN(value)) continue;
+      sum += value * weight;
+      weightSum += weight;
+    }
+  }
+  return weightSum > 0 ? sum / weightSum : NaN;
+}
+
+module.exports = {
+  decodeGrib2,
+  sampleField,
+  BitReader
+};
+
+// CLI: decode a GRIB2 file and compare it with the fields and skipped messages it is known to hold
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  const [command, file = path.join(__dirname, 'fixtures', 'grib2', 'sample.grib2'), expectedFile = file.replace(/\.grib2$/, '.json')] = process.argv.slice(2);
+
+  if (command !== 'check') {
+    console.log('Usage: node grib2.js check [file.grib2 expected.json]');
+    process.exit(1);
+  }
+
+  const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+  const decoded = decodeGrib2(fs.readFileSync(file));
+  const failures = [];
+  const same = (a, b) => a === null ? Number.isNaN(b) : Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a));
+
+  if (decoded.messages !== expected.messages) {
+    failures.push(`${decoded.messages} messages, expected ${expected.messages}`);
+  }
+  if (decoded.fields.length !== expected.fields.length) {
+    failures.push(`${decoded.fields.length} fields, expected ${expected.fields.length}`);
+  }
+  expected.fields.forEach((want, n) => {
+    const got = decoded.fields[n];
+    if (!got) return;
+    const name = `field ${n} (${want.discipline}/${want.category}/${want.number})`;
+    for (const key of ['discipline', 'category', 'number', 'forecastHours']) {
+      if (got[key] !== want[key]) failures.push(`${name}: ${key} ${got[key]}, expected ${want[key]}`);
+    }
+    if (got.level.type !== want.level.type || got.level.value !== want.level.value) {
+      failures.push(`${name}: level ${JSON.stringify(got.level)}, expected ${JSON.stringify(want.level)}`);
+    }
+    for (const key of ['referenceTime', 'validTime']) {
+      if (new Date(got[key]).toISOString() !== want[key]) failures.push(`${name}: ${key} ${new Date(got[key]).toISOString()}, expected ${want[key]}`);
+    }
+    const wrong = want.values.findIndex((value, i) => !same(value, got.values[i]));
+    if (got.values.length !== want.values.length || wrong >= 0) {
+      failures.push(`${name}: value ${wrong} is ${got.values[wrong]}, expected ${want.values[wrong]}`);
+    }
+  });
+  expected.skipped.forEach(want => {
+    if (!decoded.skipped.some(got => got.message === want.message && got.reason.startsWith(want.reason))) {
+      failures.push(`message ${want.message} not skipped as "${want.reason}"`);
+    }
+  });
+
+  if (failures.length > 0) {
+    console.error(`❌ ${path.basename(file)}: ${failures.length} mismatches`);
+    failures.forEach(failure => console.error(`   ${failure}`));
+    process.exit(1);
+  }
+  console.log(`✅ ${path.basename(file)}: ${decoded.fields.length} fields and ${decoded.skipped.length} skipped messages decoded as expected`);
+}
@@ -0,0 +1,282 @@
+/**
+ * 📥 GRIB2 FORECAST INGESTION
+ * Decodes GRIB2 forecasts (grib2.js) and resamples them onto the routing grid lattice for every
+ * forecast step, stored in the forecast store (forecastStore.js) as an hourly snapshot that route
+ * searches, hazard checks and weather charts read first; WEATHER_PROVIDER=snapshot serves it as well.
+ *
+ * Parameters read (anything else in the file is skipped):
+ *   10 m wind U/V (0/2/2, 0/2/3)            -> windSpeed (kn), windDirection (° from)
+ *   mean sea level pressure (0/3/1 or 0/3/0) -> pressure (hPa)
+ *   significant wave height (10/0/3)         -> waveHeight (m)
+ *   primary/mean wave direction (10/0/10, 10/0/14) -> waveDirection (° from)
+ *   primary/mean wave period (10/0/11, 10/0/15)    -> wavePeriod (s)
+ *   ocean current U/V (10/1/2, 10/1/3)      -> currentVelocity (kn), currentDirection (° towards)
+ * Atmosphere and wave models usually come as separate files on different grids: pass both
+ * (or concatenate them, GRIB messages are self-contained) to get one snapshot.
+ *
+ * Usage: node gribIngest.js <file.grib2> [more files] [--source name]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodeGrib2, sampleField } = require('./grib2');
+const GridCacheManager = require('./gridCacheManager');
+const { saveForecast } = require('./forecastStore');
+
+const HOUR_MS = 3600000;
+const MS_TO_KNOTS = 1.943844;
+
+// GRIB2 (discipline, category, number) -> raw layer; lower rank wins when a file has both codes
+const PARAMETERS = [
+  { key: 'windU', discipline: 0, category: 2, number: 2, levelType: 103, levelValue: 10 },
+  { key: 'windV', discipline: 0, category: 2, number: 3, levelType: 103, levelValue: 10 },
+  { key: 'pressure', discipline: 0, category: 3, number: 1, rank: 0 },
+  { key: 'pressure', discipline: 0, category: 3, number: 0, levelType: 101, rank: 1 },
+  { key: 'waveHeight', discipline: 10, category: 0, number: 3 },
+  { key: 'waveDirection', discipline: 10, category: 0, number: 14, rank: 0 },
+  { key: 'waveDirection', discipline: 10, category: 0, number: 10, rank: 1 },
+  { key: 'wavePeriod', discipline: 10, category: 0, number: 15, rank: 0 },
+  { key: 'wavePeriod', discipline: 10, category: 0, number: 11, rank: 1 },
+  { key: 'currentU', discipline: 10, category: 1, number: 2 },
+  { key: 'currentV', discipline: 10, category: 1, number: 3 }
+];
+
+// Raw layer unit -> snapshot unit (pressure Pa -> hPa)
+const UNIT_SCALE = { pressure: 0.01, waveHeight: 1, waveDirection: 1, wavePeriod: 1 };
+
+function findParameter(field) {
+  return PARAMETERS.find(parameter =>
+    parameter.discipline === field.discipline &&
+    parameter.category === field.category &&
+    parameter.number === field.number &&
+    (parameter.levelType === undefined || parameter.levelType === field.level.type) &&
+    (parameter.levelValue === undefined || parameter.levelValue === field.level.value)
+  ) || null;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Lattice of the routing grid (gridMetadata.json next to the grid files)
+ */
+function routingLattice(options = {}) {
+  const metadataFile = new GridCacheManager(options.gridDir || process.env.GRID_CACHE_DIR || undefined).metadataFile;
+  const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+  const { bounds, resolution } = metadata;
+  if (!bounds || !resolution) {
+    throw new Error(`${metadataFile} has no bounds / resolution`);
+  }
+  return {
+    latMin: bounds.south,
+    lonMin: bounds.west,
+    step: resolution,
+    rows: Math.round((bounds.north - bounds.south) / resolution) + 1,
+    cols: Math.round((bounds.east - bounds.west) / resolution) + 1
+  };
+}
+
+/**
+ * Decode GRIB2 data and resample it onto a lattice
+ * @param {Buffer} buffer - one or more GRIB2 messages
+ * @param {Object} options - { lattice (default routing grid), source }
+ * @returns {Object} { field (ForecastField), summary }
+ */
+function gribToForecastField(buffer, options = {}) {
+  // Required here: forecastField.js loads the weather providers, which read snapshots
+  const { ForecastField } = require('./forecastField');
+  const lattice = options.lattice || routingLattice();
+  const decoded = decodeGrib2(buffer, { accept: field => findParameter(field) !== null });
+
+  const fields = decoded.fields.filter(field => field.validTime !== null);
+  if (fields.length === 0) {
+    const error = new Error(decoded.messages === 0
+      ? 'No GRIB2 messages found'
+      : `None of the ${decoded.messages} GRIB messages hold wind, wave, current or pressure fields this server can read`);
+    error.statusCode = 400;
+    error.skipped = summarizeSkipped(decoded.skipped);
+    throw error;
+  }
+
+  // Time axis: every valid time on a regular step (steps without messages are filled in below)
+  const times = Array.from(new Set(fields.map(field => field.validTime))).sort((a, b) => a - b);
+  const startTime = times[0];
+  const stepHours = times.slice(1).reduce((step, time) => gcd(step, Math.round((time - startTime) / HOUR_MS)), 0) || 1;
+  const steps = Math.round((times[times.length - 1] - startTime) / (stepHours * HOUR_MS)) + 1;
+
+  const points = lattice.rows * lattice.cols;
+  const raw = {};
+  const ranks = {};
+  const layer = key => raw[key] || (raw[key] = new Float32Array(steps * points).fill(NaN));
+
+  for (const field of fields) {
+    const parameter = findParameter(field);
+    const step = Math.round((field.validTime - startTime) / (stepHours * HOUR_MS));
+    const rankKey = `${parameter.key}:${step}`;
+    const rank = parameter.rank || 0;
+    if (ranks[rankKey] !== undefined && ranks[rankKey] <= rank) continue;
+    ranks[rankKey] = rank;
+
+    const values = layer(parameter.key);
+    for (let i = 0; i < lattice.rows; i++) {
+      const lat = lattice.latMin + i * lattice.step;
+      for (let j = 0; j < lattice.cols; j++) {
+        values[step * points + i * lattice.cols + j] = sampleField(field, lat, lattice.lonMin + j * lattice.step);
+      }
+    }
+  }
+
+  // Steps a layer has no message for are interpolated from the steps either side
+  for (const [key, values] of Object.entries(raw)) {
+    const present = [];
+    for (let step = 0; step < steps; step++) {
+      if (ranks[`${key}:${step}`] !== undefined) present.push(step);
+    }
+    fillMissingSteps(values, present, points, key === 'waveDirection');
+  }
+
+  const variables = {};
+  if (raw.windU && raw.windV) {
+    const windSpeed = new Float32Array(steps * points);
+    const windDirection = new Float32Array(steps * points);
+    for (let n = 0; n < windSpeed.length; n++) {
+      const u = raw.windU[n], v = raw.windV[n];
+      windSpeed[n] = Math.hypot(u, v) * MS_TO_KNOTS;
+      // Meteorological convention: the direction the wind blows from
+      windDirection[n] = (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360;
+    }
+    variables.windSpeed = windSpeed;
+    variables.windDirection = windDirection;
+  }
+  if (raw.currentU && raw.currentV) {
+    const currentVelocity = new Float32Array(steps * points);
+    const currentDirection = new Float32Array(steps * points);
+    for (let n = 0; n < currentVelocity.length; n++) {
+      const u = raw.currentU[n], v = raw.currentV[n];
+      currentVelocity[n] = Math.hypot(u, v) * MS_TO_KNOTS;
+      // Oceanographic convention: the direction the current sets towards
+      currentDirection[n] = (Math.atan2(u, v) * 180 / Math.PI + 360) % 360;
+    }
+    variables.currentVelocity = currentVelocity;
+    variables.currentDirection = currentDirection;
+  }
+  for (const [name, scale] of Object.entries(UNIT_SCALE)) {
+    if (!raw[name]) continue;
+    variables[name] = scale === 1 ? raw[name] : raw[name].map(value => value * scale);
+  }
+  if (Object.keys(variables).length === 0) {
+    const error = new Error('Wind and currents need both U and V components; no other usable fields were found');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const referenceTime = Math.min(...fields.map(field => field.referenceTime));
+  const field = new ForecastField({
+    source: options.source || 'grib2',
+    issuedAt: new Date(referenceTime).toISOString(),
+    lattice,
+    startTime,
+    stepHours,
+    steps,
+    variables
+  });
+
+  return {
+    field,
+    summary: {
+      referenceTime: new Date(referenceTime).toISOString(),
+      messages: decoded.messages,
+      fieldsUsed: fields.length,
+      skipped: summarizeSkipped(decoded.skipped)
+    }
+  };
+}
+
+/**
+ * Fill the steps between the present ones by linear interpolation in time (directions as angles);
+ * steps before the first or after the last present step copy it
+ */
+function fillMissingSteps(values, present, points, isDirection) {
+  if (present.length === 0) return;
+  const { blendValues } = require('./forecastField');
+  const steps = values.length / points;
+  let next = 0;
+  for (let step = 0; step < steps; step++) {
+    while (next < present.length && present[next] < step) next++;
+    if (present[next] === step) continue;
+
+    const before = present[next - 1] ?? present[next];
+    const after = present[next] ?? before;
+    const weight = after === before ? 0 : (step - before) / (after - before);
+    for (let p = 0; p < points; p++) {
+      values[step * points + p] = blendValues(values[before * points + p], values[after * points + p], weight, isDirection);
+    }
+  }
+}
+
+/**
+ * Skipped messages counted by reason
+ */
+function summarizeSkipped(skipped) {
+  const counts = {};
+  for (const { reason } of skipped) counts[reason] = (counts[reason] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Decode, resample and store GRIB2 data as a new forecast store snapshot
+ * @param {Buffer} buffer
+ * @param {Object} options - { source, fileName, uploadedBy, lattice, store }
+ * @returns {Object} the stored snapshot summary
+ */
+function ingestGrib(buffer, options = {}) {
+  const started = Date.now();
+  const { field, summary } = gribToForecastField(buffer, options);
+  const snapshot = saveForecast(field, {
+    kind: 'grib',
+    fileName: options.fileName || null,
+    uploadedBy: options.uploadedBy || null,
+    bytes: buffer.length,
+    ...summary
+  }, { store: options.store });
+  console.log(`📥 GRIB2 snapshot ${snapshot.id}: ${snapshot.variables.join(', ')} x ${snapshot.steps} steps (${snapshot.stepHours} h) on ${field.lattice.rows}x${field.lattice.cols} lattice in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  return snapshot;
+}
+
+module.exports = {
+  PARAMETERS,
+  routingLattice,
+  gribToForecastField,
+  ingestGrib
+};
+
+// CLI: ingest GRIB2 files into a weather snapshot
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const sourceIndex = args.indexOf('--source');
+  const source = sourceIndex >= 0 ? args.splice(sourceIndex, 2)[1] : undefined;
+
+  if (args.length === 0) {
+    console.log('Usage: node gribIngest.js <file.grib2> [more files] [--source name]');
+    console.log('Example: node gribIngest.js gfs.t00z.pgrb2.0p25.grib2 gfswave.t00z.global.0p25.grib2 --source gfs');
+    process.exit(1);
+  }
+
+  try {
+    const buffer = Buffer.concat(args.map(file => fs.readFileSync(file)));
+    const snapshot = ingestGrib(buffer, {
+      source: source || path.basename(args[0]).split('.')[0],
+      fileName: args.map(file => path.basename(file)).join(', ')
+    });
+    console.log(`✅ Stored ${snapshot.startTime} → ${snapshot.endTime} (issued ${snapshot.issuedAt})`);
+    if (Object.keys(snapshot.skipped).length > 0) {
+      console.log('   Skipped messages:', snapshot.skipped);
+    }
+    console.log('   Routes, hazard checks and charts read it from the forecast store');
+  } catch (error) {
+    console.error('❌ GRIB2 ingestion failed:', error.message);
+    if (error.skipped) console.error('   Skipped messages:', error.skipped);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,531 @@
+/**
+ * 🧭 GRID A* SEARCH
+ * A* over water cells used by the simple route endpoints
+ * Kept free of Express/Mongo so it can run inside route worker threads
+ */
+
+const { BinaryHeap, GridIndex } = require('./searchCore');
+const { passageCrossing, gridToleranceKm } = require('./passages');
+const { resolvePreset } = require('./modePresets');
+const { RouteObjectives } = require('./routeObjectives');
+const { ConstraintSet, shallowWaterFactor } = require('./routeConstraints');
+const { describeCurrent } = require('./oceanCurrents');
+
+// Objective cost per km on the scale of the coastal clearance penalties
+const OBJECTIVE_SCALE = 10;
+
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+function calculateHeading(lat1, lon1, lat2, lon2) {
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const lat1Rad = lat1 * Math.PI / 180;
+  const lat2Rad = lat2 * Math.PI / 180;
+
+  const y = Math.sin(dLon) * Math.cos(lat2Rad);
+  const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) -
+            Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
+
+  let heading = Math.atan2(y, x) * 180 / Math.PI;
+  return (heading + 360) % 360;
+}
+
+// Create spatial index for fast neighbor lookup (O(1) by grid row/column)
+// Each search builds its own index so concurrent calculations never share state
+function buildCellIndex(cells, resolution) {
+  // Only index water cells (already filtered, but double-check)
+  return new GridIndex(cells.filter(cell => !cell.obstacle && !cell.is_land), resolution);
+}
+
+/**
+ * Check if line segment between two cells crosses land or goes too close to land
+ * Uses dense sampling along the line to ensure no land crossing
+ */
+function lineSegmentCrossesLand(from, to, resolution, cellIndex) {
+  // Calculate number of steps - use MANY steps for thorough checking
+  const distance = Math.sqrt(
+    Math.pow(to.lat - from.lat, 2) + 
+    Math.pow(to.lon - from.lon, 2)
+  );
+  const steps = Math.ceil(distance / resolution) * 3; // 3x more checks for safety
+  
+  // Check points along the line with high density
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const checkLat = from.lat + (to.lat - from.lat) * t;
+    const checkLon = from.lon + (to.lon - from.lon) * t;
+    
+    // Nearest grid cell (index rounds to the grid's own origin)
+    const checkCell = cellIndex.get(checkLat, checkLon);
+    
+    // If we can't find the cell in water index, it's probably land
+    if (!checkCell) {
+      return true; // No water cell = REJECT
+    }
+    
+    // If cell is marked as land or obstacle
+    if (checkCell.is_land || checkCell.obstacle) {
+      return true; // Land detected = REJECT
+    }
+    
+    // Note: We don't check neighbors here to avoid being overly restrictive
+    // The getNeighbors() function already applies coastal distance requirements
+    // This function only rejects if the actual path crosses land cells
+  }
+  
+  return false; // All clear - no land crossing
+}
+
+/**
+ * Check if a cell is in a narrow passage between land masses
+ * Returns true if land detected on opposite sides (narrow strait)
+ * Prevents routing through Palk Strait (India-Sri Lanka), Singapore Strait, etc.
+ */
+function checkNarrowPassage(cell, cellIndex, resolution) {
+  // Check in 4 perpendicular directions to detect narrow passages
+  const checkDistance = 3; // Check 3 cells = 66km in each direction
+  
+  // Check North-South corridor (horizontal strait like Palk Strait)
+  let northLand = false;
+  let southLand = false;
+  for (let i = 1; i <= checkDistance; i++) {
+    
+    const northCell = cellIndex.get(cell.lat + i * resolution, cell.lon);
+    const southCell = cellIndex.get(cell.lat - i * resolution, cell.lon);
+    
+    if (!northCell || (northCell && (northCell.is_land || northCell.obstacle))) {
+      northLand = true;
+    }
+    if (!southCell || (southCell && (southCell.is_land || southCell.obstacle))) {
+      southLand = true;
+    }
+  }
+  
+  // If land on both north and south, it's a narrow east-west passage
+  if (northLand && southLand) {
+    return true;
+  }
+  
+  // Check East-West corridor (vertical strait like Singapore Strait)
+  let eastLand = false;
+  let westLand = false;
+  for (let i = 1; i <= checkDistance; i++) {
+    
+    const eastCell = cellIndex.get(cell.lat, cell.lon + i * resolution);
+    const westCell = cellIndex.get(cell.lat, cell.lon - i * resolution);
+    
+    if (!eastCell || (eastCell && (eastCell.is_land || eastCell.obstacle))) {
+      eastLand = true;
+    }
+    if (!westCell || (westCell && (westCell.is_land || westCell.obstacle))) {
+      westLand = true;
+    }
+  }
+  
+  // If land on both east and west, it's a narrow north-south passage
+  if (eastLand && westLand) {
+    return true;
+  }
+  
+  // Check diagonal corridors (NE-SW and NW-SE)
+  let neLand = false, swLand = false, nwLand = false, seLand = false;
+  for (let i = 1; i <= checkDistance; i++) {
+    
+    const neCell = cellIndex.get(cell.lat + i * resolution, cell.lon + i * resolution);
+    const swCell = cellIndex.get(cell.lat - i * resolution, cell.lon - i * resolution);
+    const nwCell = cellIndex.get(cell.lat + i * resolution, cell.lon - i * resolution);
+    const seCell = cellIndex.get(cell.lat - i * resolution, cell.lon + i * resolution);
+    
+    if (!neCell || (neCell && (neCell.is_land || neCell.obstacle))) neLand = true;
+    if (!swCell || (swCell && (swCell.is_land || swCell.obstacle))) swLand = true;
+    if (!nwCell || (nwCell && (nwCell.is_land || nwCell.obstacle))) nwLand = true;
+    if (!seCell || (seCell && (seCell.is_land || seCell.obstacle))) seLand = true;
+  }
+  
+  // If land on opposite diagonal corners, it's a diagonal narrow passage
+  if ((neLand && swLand) || (nwLand && seLand)) {
+    return true;
+  }
+  
+  return false; // Not a narrow passage
+}
+
+/**
+ * Calculate minimum distance from a cell to nearest land
+ * Returns distance in grid cells (0.2° = ~22km)
+ */
+function getDistanceToLand(cell, cellIndex, resolution, maxCheckDistance = 7) {
+  let minDistance = maxCheckDistance + 1; // Start beyond max
+  
+  // Check in expanding square around cell
+  for (let dist = 1; dist <= maxCheckDistance; dist++) {
+    for (let latOffset = -dist; latOffset <= dist; latOffset++) {
+      for (let lonOffset = -dist; lonOffset <= dist; lonOffset++) {
+        // Only check perimeter of current square
+        if (Math.abs(latOffset) === dist || Math.abs(lonOffset) === dist) {
+          const checkLat = cell.lat + (latOffset * resolution);
+          const checkLon = cell.lon + (lonOffset * resolution);
+          const checkCell = cellIndex.get(checkLat, checkLon);
+          if (checkCell && (checkCell.is_land || checkCell.obstacle)) {
+            const actualDist = Math.sqrt(latOffset * latOffset + lonOffset * lonOffset);
+            minDistance = Math.min(minDistance, actualDist);
+            return minDistance; // Early return when land found
+          }
+        }
+      }
+    }
+  }
+  
+  return minDistance;
+}
+
+function getNeighbors(cell, cellIndex, resolution) {
+  const neighbors = [];
+  const directions = [
+    { lat: resolution, lon: 0 },
+    { lat: -resolution, lon: 0 },
+    { lat: 0, lon: resolution },
+    { lat: 0, lon: -resolution },
+    { lat: resolution, lon: resolution },
+    { lat: resolution, lon: -resolution },
+    { lat: -resolution, lon: resolution },
+    { lat: -resolution, lon: -resolution },
+  ];
+
+  for (const dir of directions) {
+    const neighborLat = cell.lat + dir.lat;
+    const neighborLon = cell.lon + dir.lon;
+    
+    // Fast lookup using spatial index (only water cells are indexed)
+    const neighbor = cellIndex.get(neighborLat, neighborLon);
+    
+    // Triple safety check: neighbor exists AND is water AND not obstacle
+    if (neighbor && !neighbor.obstacle && !neighbor.is_land) {
+      // Skip line segment check for immediate neighbors (adjacent cells)
+      // Only check for diagonal/distant moves to avoid being overly restrictive
+      const isDiagonal = (Math.abs(dir.lat) + Math.abs(dir.lon)) > resolution;
+      const isDistant = Math.abs(dir.lat) > resolution || Math.abs(dir.lon) > resolution;
+      
+      if ((isDiagonal || isDistant) && lineSegmentCrossesLand(cell, neighbor, resolution, cellIndex)) {
+        continue; // Skip diagonal/distant moves that cross land
+      }
+      
+      // Calculate distance to nearest land for coastal buffer
+      // Check up to 5 cells = 110km range for large ship safety
+      neighbor.distanceToLand = getDistanceToLand(neighbor, cellIndex, resolution, 5);
+      
+      // CRITICAL NARROW STRAIT DETECTION
+      // Check if this cell is in a narrow passage between two land masses
+      // This prevents routes through Palk Strait (India-Sri Lanka), Singapore Strait, etc.
+      const isNarrowPassage = checkNarrowPassage(neighbor, cellIndex, resolution);
+      if (isNarrowPassage) {
+        continue; // REJECT - too narrow for large cargo ships
+      }
+      
+      // COASTAL SAFETY FILTER: Apply distance requirements based on cell's coastal proximity
+      // Minimum clearance: 3 cells = 66km for large ships (300-400m length, 60m beam)
+      // This ensures safe passage with adequate maneuvering room
+      if (neighbor.distanceToLand < 3) {
+        continue; // Too close to coastline - REJECT
+      }
+      
+      neighbors.push(neighbor);
+    }
+  }
+
+  return neighbors;
+}
+
+/**
+ * A* search over water cells
+ * Yields to the event loop every PROGRESS_INTERVAL iterations so other requests keep being served,
+ * and reports progress / honours cancellation through optional hooks:
+ *   hooks.onProgress({ cellsExpanded, remainingKm, totalKm }) and hooks.throwIfCancelled()
+ * hooks.avoidance (AvoidanceSet) excludes hard avoidance areas and penalises soft ones
+ * hooks.passages (parsePassages) are via-points / gates the route must pass in order
+ * hooks.timeline (VoyageTimeline) makes the search time-dependent: each state carries the hours
+ *   elapsed since departure (at the speed over ground after speed loss and ocean current), each leg is
+ *   sailed in the forecast where and when it starts and hard limits use the forecast at each cell's
+ *   ETA; path points then carry etaHours, eta and the forecast conditions
+ * Path points carry the leg that leaves them: speedKnots (over ground), speedThroughWaterKnots,
+ *   speedLossPercent and the current's set and drift (oceanCurrents.js)
+ * The mode is a preset (modePresets.js): each leg costs its distance, fuel and exposure
+ * (routeObjectives.js) weighted by the preset, plus the preset's coastal clearance penalties;
+ * hooks.vessel / hooks.speedKnots set the vessel and speed the fuel and speed loss are judged for;
+ * hooks.preset (customPreset) replaces the mode's preset with a request's own weights
+ * hooks.constraints (parseConstraints) are hard limits: cells that break one are not searched;
+ *   charted water (cell.depth) shallower than 1.5x the vessel's draft costs more
+ */
+const PROGRESS_INTERVAL = 1000;
+
+async function aStar(start, goal, cells, resolution, mode = 'optimal', hooks = {}) {
+  const startTime = Date.now();
+  const MAX_CALC_TIME = 180000; // 3 minutes max calculation time - supports any Indian Ocean route
+  
+  // Spatial index of water cells for neighbour and coastal distance lookups
+  // Search state is keyed by grid index rather than coordinate strings
+  const cellIndex = buildCellIndex(cells, resolution);
+
+  const openSet = new BinaryHeap();
+  const closedSet = new Set();
+  const cameFrom = new Map();
+  const gScore = new Map();
+  const elapsedHours = new Map(); // state -> hours since departure (time-dependent search)
+  const arrivalLegs = new Map(); // state -> objectives of the leg that reached it
+  const timeline = hooks.timeline || null;
+
+  const startKey = cellIndex.indexOf(start.lat, start.lon);
+  const goalKey = cellIndex.indexOf(goal.lat, goal.lon);
+
+  // Via-points and gates: the search state is (cell, passages passed so far), keyed
+  // cell * stages + passed, so one continuous route threads them in order
+  const passages = hooks.passages || [];
+  const stages = passages.length + 1;
+  const toleranceKm = gridToleranceKm(resolution);
+  const passedAfterStep = (passed, from, to) => {
+    let after = 0;
+    while (passed < passages.length) {
+      const t = passageCrossing(passages[passed], from, to, toleranceKm);
+      if (t === null || t < after) break;
+      after = t;
+      passed++;
+    }
+    return passed;
+  };
+
+  // Mode preset (modePresets.js): weights over distance, fuel and exposure to wind and waves,
+  // and how far a large ship keeps off the coast (ULCV: 400m length, 16m+ draft)
+  const preset = hooks.preset || resolvePreset(mode);
+  const objectives = new RouteObjectives({ vessel: hooks.vessel, speedKnots: hooks.speedKnots, mode: preset.mode || preset.name });
+  const constraints = new ConstraintSet(hooks.constraints, cellIndex, resolution, [start, goal]);
+  const clearance = {
+    coastalPenaltyMultiplier: 1 + preset.clearance.coastal,
+    draftPenalty: preset.clearance.draft,
+    channelWidthPenalty: preset.clearance.channel
+  };
+  const minCostPerKm = OBJECTIVE_SCALE * objectives.minCostPerKm(preset.weights);
+  const draftMeters = hooks.vessel ? hooks.vessel.draftMeters : undefined;
+  
+  // Admissible heuristic: great-circle distance times the cheapest cost any km can have in this mode
+  // Never overestimates, so the route found is the lowest-cost one for the mode
+  const heuristicDistance = (cell) =>
+    calculateDistance(cell.lat, cell.lon, goal.lat, goal.lon) * minCostPerKm;
+
+  const routeDistance = calculateDistance(start.lat, start.lon, goal.lat, goal.lon);
+
+  if (startKey === -1 || goalKey === -1) {
+    return null; // Start or goal outside the indexed water cells
+  }
+
+  const startState = startKey * stages;
+  const goalState = goalKey * stages + passages.length;
+  gScore.set(startState, 0);
+  elapsedHours.set(startState, 0);
+  openSet.push(startState, start, heuristicDistance(start));
+
+  let iterations = 0;
+  let closestRemainingKm = routeDistance;
+  while (!openSet.isEmpty()) {
+    // Report progress, honour cancellation and let other requests run
+    if (iterations > 0 && iterations % PROGRESS_INTERVAL === 0) {
+      const frontier = openSet.peek().value;
+      closestRemainingKm = Math.min(closestRemainingKm, calculateDistance(frontier.lat, frontier.lon, goal.lat, goal.lon));
+      if (hooks.onProgress) {
+        hooks.onProgress({ cellsExpanded: iterations, remainingKm: closestRemainingKm, totalKm: routeDistance });
+      }
+      await new Promise(resolve => setImmediate(resolve));
+      if (hooks.throwIfCancelled) {
+        hooks.throwIfCancelled();
+      }
+    }
+
+    // Check timeout and log progress every 10000 iterations (less frequent = faster)
+    if (++iterations % 10000 === 0) {
+      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+      console.log(`   ⏳ Progress: ${iterations.toLocaleString()} iterations, ${elapsed}s, queue: ${openSet.size}`);
+      
+      if (Date.now() - startTime > MAX_CALC_TIME) {
+        console.error(`   ⏱️ Timeout after ${iterations.toLocaleString()} iterations (3min limit)`);
+        return null; // Timeout - route too complex
+      }
+    }
+    
+    const { key: currentKey, value: current } = openSet.pop();
+
+    if (currentKey === goalState) {
+      const path = [];
+      let step = { key: currentKey, cell: current };
+      let outgoing = null;
+      while (step) {
+        path.unshift({ 
+          lat: step.cell.lat, 
+          lon: step.cell.lon,
+          weather: step.cell.weather || step.cell.weatherData,
+          ...(Number.isFinite(step.cell.depth) && { depth: step.cell.depth }),
+          ...(outgoing && {
+            speedKnots: parseFloat(outgoing.speedKnots.toFixed(2)),
+            speedThroughWaterKnots: parseFloat(outgoing.throughWaterKnots.toFixed(2)),
+            speedLossPercent: outgoing.speedLossPercent,
+            ...describeCurrent(outgoing.current)
+          }),
+          ...(timeline && timeline.describe(step.cell, elapsedHours.get(step.key)))
+        });
+        outgoing = arrivalLegs.get(step.key);
+        step = cameFrom.get(step.key);
+      }
+      if (constraints.excluded > 0) {
+        console.log(`   ⛔ Constraints left out ${constraints.excluded} cells`);
+      }
+      return path;
+    }
+    const passed = currentKey % stages;
+
+    // Heuristic is consistent, so a settled cell never needs reopening
+    closedSet.add(currentKey);
+
+    // Legs are sailed in the weather and current where and when they start: the forecast at the
+    // departure time, else the stored weather (the same convention as the other engines and the result)
+    const departureHours = timeline ? elapsedHours.get(currentKey) : 0;
+    const legWeather = timeline
+      ? timeline.weatherAt(current, departureHours)
+      : current.weather || current.weatherData;
+    const legStart = {
+      lat: current.lat,
+      lon: current.lon,
+      time: timeline ? timeline.timeAt(departureHours) : Date.now()
+    };
+
+    const neighbors = getNeighbors(current, cellIndex, resolution);
+    for (const neighbor of neighbors) {
+      const neighborKey = cellIndex.indexOf(neighbor.lat, neighbor.lon) * stages +
+                          (passages.length > 0 ? passedAfterStep(passed, current, neighbor) : 0);
+      if (closedSet.has(neighborKey)) {
+        continue;
+      }
+
+      const avoidPenalty = hooks.avoidance ? hooks.avoidance.segmentPenalty(current, neighbor) : 1;
+      if (avoidPenalty === Infinity) {
+        continue; // Inside a hard avoidance area
+      }
+      const distance = calculateDistance(current.lat, current.lon, neighbor.lat, neighbor.lon);
+      const heading = calculateHeading(current.lat, current.lon, neighbor.lat, neighbor.lon);
+      
+      // Distance, fuel and exposure of the leg, weighted by the mode preset (cost per km); its hours
+      // include the speed loss and the current
+      const leg = objectives.leg(distance, legWeather, heading, legStart);
+
+      // MongoDB stores weather data in 'weather' field, not 'weatherData'
+      // Time-dependent search: hard limits apply to the forecast when the ship reaches the neighbour
+      const weatherData = timeline
+        ? timeline.weatherAt(neighbor, departureHours + leg.hours)
+        : neighbor.weather || neighbor.weatherData;
+      if (!constraints.allows(neighbor, weatherData)) {
+        continue; // Breaks a hard limit (wave height, wind or coast distance)
+      }
+      
+      let costMultiplier = OBJECTIVE_SCALE * objectives.cost(leg, preset.weights) / distance;
+      
+      // 🏝️ COASTAL BUFFER PENALTY: Keep routes VERY FAR from coastlines (MODE-DEPENDENT)
+      // Professional maritime standard: Stay >50 nautical miles (~110km) from coast
+      const distToLand = neighbor.distanceToLand || 6; // Default to safe distance if not calculated
+      let coastalPenalty = 0;
+      
+      // ENHANCED 5-tier coastal buffer system (MODE-DEPENDENT)
+      if (distToLand < 3) {
+        // CRITICAL: Very close to land (<66km) - BLOCKED (already filtered above)
+        coastalPenalty = 200.0 * clearance.coastalPenaltyMultiplier; // Should never reach here
+      } else if (distToLand < 4) {
+        // EXTREME RISK: Near coastline (66-88km) - EXTREME penalty
+        coastalPenalty = (4 - distToLand) * 25.0 * clearance.coastalPenaltyMultiplier; // HEAVILY avoid
+      } else if (distToLand < 5) {
+        // HIGH RISK: Still close (88-110km) - Heavy penalty
+        coastalPenalty = (5 - distToLand) * 12.0 * clearance.coastalPenaltyMultiplier; // Heavy penalty
+      } else if (distToLand < 6) {
+        // MODERATE: Getting better (110-132km) - Moderate penalty
+        coastalPenalty = (6 - distToLand) * 5.0 * clearance.coastalPenaltyMultiplier; // Moderate
+      } else if (distToLand < 7) {
+        // LOW RISK: Far enough (132-154km) - Light penalty
+        coastalPenalty = (7 - distToLand) * 2.0; // 2x penalty
+      }
+      // Beyond 7 cells (~154km) from coast: minimal/no penalty - safe open water
+      
+      // Apply mode-specific coastal penalty multiplier
+      coastalPenalty *= (clearance.coastalPenaltyMultiplier || 1.0);
+      costMultiplier += coastalPenalty;
+      
+      // 🚢 LARGE SHIP SPECIFIC PENALTIES
+      // Ultra-Large Container Vessels (ULCV): 400m length, 59m beam, 16m draft
+      // Capesize Bulk Carriers: 300m length, 45m beam, 18m draft
+      
+      // Channel Width Penalty: Large ships need wide passages
+      // Minimum safe width = 3x beam (180m for ULCV) + safety margin
+      // Reject narrow channels and straits
+      if (distToLand < 6) {
+        // Closer to land = narrower channels = higher penalty
+        const channelWidthPenalty = (6 - distToLand) * (clearance.channelWidthPenalty || 0);
+        costMultiplier += channelWidthPenalty;
+        
+        if (channelWidthPenalty > 5 && iterations % 5000 === 0) {
+          console.log(`   🚢 Channel width penalty: ${channelWidthPenalty.toFixed(1)}x (large ship needs wide passage)`);
+        }
+      }
+      
+      // Draft/Depth Penalty: Large ships need deep water (16m+ draft)
+      // Avoid shallow areas, banks, and continental shelves
+      // Charted cells cost more the closer their depth gets to the vessel's draft (cells shallower
+      // than draft + under-keel clearance are already left out by the constraints);
+      // uncharted cells assume cells closer to land have shallower water
+      const charted = Number.isFinite(neighbor.depth) && Number.isFinite(draftMeters);
+      if (charted || distToLand < 7) {
+        const shallowness = charted ? 7 * shallowWaterFactor(neighbor.depth, draftMeters) : 7 - distToLand;
+        const draftPenalty = shallowness * (clearance.draftPenalty || 0);
+        costMultiplier += draftPenalty;
+        
+        if (draftPenalty > 5 && iterations % 5000 === 0) {
+          console.log(`   ⚓ Draft penalty: ${draftPenalty.toFixed(1)}x (need deep water for large ship)`);
+        }
+      }
+      
+      // Log coastal avoidance (only for cells with penalty)
+      if (coastalPenalty > 1 && iterations % 5000 === 0) {
+        console.log(`   🏝️ Coastal buffer active: ${(distToLand * 22).toFixed(0)}km from land, penalty: ${coastalPenalty.toFixed(1)}x`);
+      }
+      
+      // Costs never drop below the mode's floor (the heuristic relies on it)
+      costMultiplier = Math.max(minCostPerKm, costMultiplier) * avoidPenalty;
+      
+      const tentativeGScore = gScore.get(currentKey) + distance * costMultiplier;
+
+      if (!gScore.has(neighborKey) || tentativeGScore < gScore.get(neighborKey)) {
+        cameFrom.set(neighborKey, { key: currentKey, cell: current });
+        gScore.set(neighborKey, tentativeGScore);
+        elapsedHours.set(neighborKey, timeline ? departureHours + leg.hours : 0);
+        arrivalLegs.set(neighborKey, leg);
+        
+        // Insert, or decrease-key if the cell is already queued
+        openSet.push(neighborKey, neighbor, tentativeGScore + heuristicDistance(neighbor));
+      }
+    }
+  }
+
+  if (constraints.excluded > 0) {
+    console.log(`   ⛔ No path: constraints left out ${constraints.excluded} cells`);
+  }
+  return null; // No path found
+}
+
+module.exports = {
+  aStar,
+  buildCellIndex,
+  getNeighbors,
+  calculateDistance,
+  calculateHeading
+};
@@ -1,11 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
+const BinaryGrid = require('./binaryGrid');
 
 /**
  * Grid Cache Manager
  * Saves and loads pre-computed grid data for instant loading
  * Supports compression to reduce file size
+ * and a compact binary format (gridData.bin, see binaryGrid.js) for fast loading
  */
 
 class GridCacheManager {
@@ -14,6 +16,7 @@ class GridCacheManager {
     this.gridCacheFile = path.join(cacheDir, 'gridData.json');
     this.compressedCacheFile = path.join(cacheDir, 'gridData.json.gz');
     this.metadataFile = path.join(cacheDir, 'gridMetadata.json');
+    this.binaryCacheFile = path.join(cacheDir, 'gridData.bin');
   }
 
   /**
@@ -30,6 +33,13 @@ class GridCacheManager {
     return fs.existsSync(this.compressedCacheFile);
   }
 
+  /**
+   * Check if binary cache exists
+   */
+  hasBinaryCache() {
+    return fs.existsSync(this.binaryCacheFile);
+  }
+
   /**
    * Save grid data to cache file
    */
@@ -49,6 +59,9 @@ class GridCacheManager {
       console.log(`✅ Compressed saved: ${(compressedSize / (1024 * 1024)).toFixed(2)} MB`);
       console.log(`   Compression ratio: ${((1 - compressedSize/fileSize) * 100).toFixed(1)}%\n`);
 
+      // Save binary version (fast loading)
+      this.saveBinary(gridData);
+
       // Save metadata for quick info
       const metadata = {
         totalPoints: gridData.grid.length,
@@ -119,6 +132,101 @@ class GridCacheManager {
     }
   }
 
+  /**
+   * Save grid data in the binary format
+   * @param {Object|BinaryGrid} gridData - gridData.json content or an already converted grid
+   */
+  saveBinary(gridData) {
+    try {
+      const binaryGrid = gridData instanceof BinaryGrid ? gridData : BinaryGrid.fromGridData(gridData);
+      fs.writeFileSync(this.binaryCacheFile, binaryGrid.encode());
+
+      const binarySize = fs.statSync(this.binaryCacheFile).size;
+      console.log(`✅ Binary saved: ${(binarySize / (1024 * 1024)).toFixed(2)} MB (format v${BinaryGrid.FORMAT_VERSION})`);
+
+      return binaryGrid;
+    } catch (error) {
+      console.error('❌ Failed to save binary grid:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load grid from the binary cache
+   * Returns a BinaryGrid (typed-array layers); use toGridData() for the JSON shape
+   */
+  loadBinary() {
+    try {
+      if (!this.hasBinaryCache()) {
+        throw new Error('No binary grid found. Run: node gridCacheManager.js convert');
+      }
+
+      const startTime = process.hrtime.bigint();
+      const binaryGrid = BinaryGrid.decode(fs.readFileSync(this.binaryCacheFile));
+      const loadMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+      console.log(`✅ Loaded binary grid: ${binaryGrid.cellCount} points in ${loadMs.toFixed(1)}ms`);
+
+      return binaryGrid;
+    } catch (error) {
+      console.error('❌ Failed to load binary grid:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Convert the JSON cache (gridData.json, or gridData.json.gz) to the binary format
+   * @param {string} sourceFile - Optional .json or .json.gz file to convert instead
+   */
+  convertToBinary(sourceFile = null) {
+    const source = sourceFile || (this.hasCachedGrid() ? this.gridCacheFile : this.compressedCacheFile);
+    console.log(`🔄 Converting ${path.basename(source)} to binary...`);
+
+    try {
+      if (!fs.existsSync(source)) {
+        throw new Error(`${source} not found`);
+      }
+
+      let content = fs.readFileSync(source);
+      if (source.endsWith('.gz')) {
+        content = zlib.gunzipSync(content);
+      }
+
+      return this.saveBinary(JSON.parse(content.toString()));
+    } catch (error) {
+      console.error('❌ Failed to convert grid:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load the fastest local grid file available, without writing anything:
+   * gridData.bin, then gridData.json, then gridData.json.gz
+   * @returns {Object|null} { metadata, grid } or null when there is no grid file
+   */
+  loadLocalGrid() {
+    if (this.hasBinaryCache()) {
+      const binaryGrid = this.loadBinary();
+      if (binaryGrid) return binaryGrid.toGridData();
+    }
+
+    if (this.hasCachedGrid()) {
+      return this.loadGrid();
+    }
+
+    if (this.hasCompressedCache()) {
+      try {
+        const gridData = JSON.parse(zlib.gunzipSync(fs.readFileSync(this.compressedCacheFile)).toString());
+        console.log(`✅ Loaded ${gridData.grid.length} points from gridData.json.gz`);
+        return gridData;
+      } catch (error) {
+        console.error('❌ Failed to load compressed grid:', error.message);
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Get grid metadata (quick info without loading full grid)
    */
@@ -165,6 +273,11 @@ class GridCacheManager {
         const compressedSize = fs.statSync(this.compressedCacheFile).size;
         console.log(`   gridData.json.gz: ${(compressedSize / (1024 * 1024)).toFixed(2)} MB`);
       }
+
+      if (this.hasBinaryCache()) {
+        const binarySize = fs.statSync(this.binaryCacheFile).size;
+        console.log(`   gridData.bin: ${(binarySize / (1024 * 1024)).toFixed(2)} MB`);
+      }
       
       console.log('\n💡 To use cached grid:');
       console.log('   node quickImportGrid.js\n');
@@ -181,7 +294,14 @@ class GridCacheManager {
 // CLI usage
 if (require.main === module) {
   const manager = new GridCacheManager();
-  manager.displayCacheInfo();
+
+  if (process.argv[2] === 'convert') {
+    // node gridCacheManager.js convert [source.json | source.json.gz]
+    const source = process.argv[3] ? path.resolve(process.argv[3]) : null;
+    process.exitCode = manager.convertToBinary(source) ? 0 : 1;
+  } else {
+    manager.displayCacheInfo();
+  }
 }
 
 module.exports = GridCacheManager;
@@ -0,0 +1,78 @@
+/**
+ * 🧩 GRID TILES
+ * Fixed lat/lon tiling used to store the routing grid in MongoDB
+ * Tile keys are "row_col" on a global TILE_SIZE_DEGREES lattice starting at (-90, -180),
+ * so a route request can work out which tile documents cover its corridor without scanning
+ */
+
+const TILE_SIZE_DEGREES = 5;
+
+function tileRow(lat, tileSize = TILE_SIZE_DEGREES) {
+  return Math.floor((lat + 90) / tileSize);
+}
+
+function tileCol(lon, tileSize = TILE_SIZE_DEGREES) {
+  return Math.floor((lon + 180) / tileSize);
+}
+
+/**
+ * Key of the tile containing (lat, lon)
+ */
+function getTileKey(lat, lon, tileSize = TILE_SIZE_DEGREES) {
+  return `${tileRow(lat, tileSize)}_${tileCol(lon, tileSize)}`;
+}
+
+/**
+ * Bounds of a tile from its key
+ */
+function getTileBounds(tileKey, tileSize = TILE_SIZE_DEGREES) {
+  const [row, col] = tileKey.split('_').map(Number);
+  return {
+    south: row * tileSize - 90,
+    north: (row + 1) * tileSize - 90,
+    west: col * tileSize - 180,
+    east: (col + 1) * tileSize - 180
+  };
+}
+
+/**
+ * Keys of every tile intersecting a bounding box
+ */
+function getTileKeysForBounds(latMin, latMax, lonMin, lonMax, tileSize = TILE_SIZE_DEGREES) {
+  const keys = [];
+  const rowMin = tileRow(Math.max(-90, latMin), tileSize);
+  const rowMax = tileRow(Math.min(90, latMax), tileSize);
+  const colMin = tileCol(Math.max(-180, lonMin), tileSize);
+  const colMax = tileCol(Math.min(180, lonMax), tileSize);
+
+  for (let row = rowMin; row <= rowMax; row++) {
+    for (let col = colMin; col <= colMax; col++) {
+      keys.push(`${row}_${col}`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Group cells by tile key
+ * @returns {Map<string, Array>} tileKey -> cells
+ */
+function groupCellsByTile(cells, tileSize = TILE_SIZE_DEGREES) {
+  const tiles = new Map();
+  for (const cell of cells) {
+    const key = getTileKey(cell.lat, cell.lon, tileSize);
+    if (!tiles.has(key)) {
+      tiles.set(key, []);
+    }
+    tiles.get(key).push(cell);
+  }
+  return tiles;
+}
+
+module.exports = {
+  TILE_SIZE_DEGREES,
+  getTileKey,
+  getTileBounds,
+  getTileKeysForBounds,
+  groupCellsByTile
+};
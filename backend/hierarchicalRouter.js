@@ -1,11 +1,12 @@
 /**
  * 🎯 HIERARCHICAL A* MARITIME ROUTER
- * Two-stage routing: Coarse (1°) → Fine (0.2°)
+ * Two-stage routing: Coarse (sea-lane graph) → Fine (grid A* between lane waypoints)
  * Optimized for long-distance ocean routes
  */
 
-const Grid = require('./models/Grid');
+const { getStore } = require('./storage');
 const { haversineDistance, calculateHeuristic } = require('./costFunction');
+const { getSeaLaneGraph } = require('./seaLaneGraph');
 
 class HierarchicalRouter {
   constructor() {
@@ -14,82 +15,25 @@ class HierarchicalRouter {
     this.CORRIDOR_WIDTH = 2.0;     // Corridor around waypoints (degrees)
   }
 
-  /**
-   * Adjust waypoints based on routing mode to create different paths
-   */
-  adjustWaypointsForMode(waypoints, mode, start, end) {
-    if (waypoints.length < 3) return waypoints; // Can't adjust too few waypoints
-    
-    const adjusted = [start]; // Always keep start point exact
-    
-    for (let i = 1; i < waypoints.length - 1; i++) {
-      const wp = waypoints[i];
-      let adjustedWp = { ...wp };
-      
-      switch(mode) {
-        case 'fuel':
-        case 'fuel-efficient':
-          // Fuel mode: Pull waypoints INWARD (shorter, more direct path)
-          // Move waypoints 0.3° closer to straight line
-          const straightLat = start.lat + (end.lat - start.lat) * (i / (waypoints.length - 1));
-          const straightLon = start.lon + (end.lon - start.lon) * (i / (waypoints.length - 1));
-          adjustedWp.lat = wp.lat + (straightLat - wp.lat) * 0.3;
-          adjustedWp.lon = wp.lon + (straightLon - wp.lon) * 0.3;
-          adjustedWp.name = `${wp.name} (fuel-optimized)`;
-          break;
-          
-        case 'safe':
-          // Safe mode: Push waypoints OUTWARD (wider arc, farther from coast)
-          // Move waypoints 0.5° away from straight line (perpendicular)
-          const midLat = (start.lat + end.lat) / 2;
-          const midLon = (start.lon + end.lon) / 2;
-          const perpLat = -(end.lon - start.lon); // Perpendicular vector
-          const perpLon = (end.lat - start.lat);
-          const perpLength = Math.sqrt(perpLat * perpLat + perpLon * perpLon);
-          
-          // Push outward by 0.5° (~55km)
-          adjustedWp.lat = wp.lat + (perpLat / perpLength) * 0.5;
-          adjustedWp.lon = wp.lon + (perpLon / perpLength) * 0.5;
-          adjustedWp.name = `${wp.name} (safe-wide)`;
-          break;
-          
-        case 'optimal':
-        default:
-          // Optimal mode: Keep original waypoints (balanced)
-          adjustedWp = wp;
-          break;
-      }
-      
-      adjusted.push(adjustedWp);
-    }
-    
-    adjusted.push(end); // Always keep end point exact
-    
-    console.log(`   🎯 Waypoints adjusted for ${mode} mode`);
-    return adjusted;
-  }
-
   /**
    * STAGE 1: Coarse routing to find major waypoints
-   * Uses predefined waypoints if available, otherwise auto-generates
-   * Then adjusts waypoints based on mode for different paths
+   * Lane waypoints come from the sea-lane graph (built offline from the water grid);
+   * the mode weighs distance against coastal exposure on the graph edges
+   * @returns {Object} { waypoints, laneGraphVersion, laneGraphStale } (stale: built from another grid version)
    */
-  async findCoarseWaypoints(start, end, coastalOptimizer, mode = 'optimal') {
-    console.log(`\n   🗺️  STAGE 1: Coarse waypoint planning (1° resolution)`);
+  async findCoarseWaypoints(start, end, mode = 'optimal') {
+    console.log(`\n   🗺️  STAGE 1: Coarse waypoint planning (sea-lane graph)`);
     
-    // First, try to use predefined strategic waypoints
-    let predefinedWaypoints = coastalOptimizer.getStrategicWaypoints(start, end, mode);
+    const graph = getSeaLaneGraph(await getStore().getGridVersion());
+    const lane = graph ? graph.findWaypoints(start, end, mode) : null;
     
-    if (predefinedWaypoints && predefinedWaypoints.length > 2) {
-      console.log(`   ✅ Using ${predefinedWaypoints.length} predefined strategic waypoints for ${mode.toUpperCase()} mode`);
-      
-      // Adjust waypoints based on mode to create different paths
-      predefinedWaypoints = this.adjustWaypointsForMode(predefinedWaypoints, mode, start, end);
-      
-      return predefinedWaypoints;
+    if (lane) {
+      lane.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+      console.log(`   ✅ ${lane.direct ? 'Direct water line' : `${lane.waypoints.length - 2} lane nodes`} for ${mode.toUpperCase()} mode (graph ${lane.graphVersion}, ${lane.distanceKm} km)`);
+      return { waypoints: lane.waypoints, laneGraphVersion: lane.graphVersion, laneGraphStale: graph.stale };
     }
     
-    // Fallback: Auto-generate waypoints for routes without predefined paths
+    // Fallback when the graph is not built or has no path: straight-line waypoints
     const distance = haversineDistance(start.lat, start.lon, end.lat, end.lon);
     
     // For very long routes (>500km), create waypoints every ~500km
@@ -109,12 +53,12 @@ class HierarchicalRouter {
       waypoints.push(end);
       
       console.log(`   ⚠️  Generated ${waypoints.length} auto waypoints (every ~500km) - may cross land!`);
-      return waypoints;
+      return { waypoints, laneGraphVersion: null, laneGraphStale: false };
     }
     
     // For shorter routes, use direct routing
     console.log(`   ℹ️  Short route (<500km), using direct routing`);
-    return [start, end];
+    return { waypoints: [start, end], laneGraphVersion: null, laneGraphStale: false };
   }
 
   /**
@@ -141,30 +85,18 @@ class HierarchicalRouter {
     
     console.log(`      📦 Loading ${mode} corridor: ${minLat.toFixed(1)}° to ${maxLat.toFixed(1)}°N, ${minLon.toFixed(1)}° to ${maxLon.toFixed(1)}°E`);
     
-    // Query MongoDB for cells in bounding box (lazy loading)
-    const chunks = await Grid.find({ isChunked: true }).select('cells chunkIndex').lean();
+    // Query the grid store for only the grid tiles covering the bounding box (lazy loading)
+    const boxCells = await getStore().getCellsInBounds(minLat, maxLat, minLon, maxLon);
     
     const corridorCells = [];
     const cellKeys = new Set();
-    let totalChecked = 0;
     
-    for (const chunk of chunks) {
-      if (!chunk.cells) continue;
+    for (const cell of boxCells) {
+      const key = `${cell.lat.toFixed(1)},${cell.lon.toFixed(1)}`;
       
-      for (const cell of chunk.cells) {
-        totalChecked++;
-        
-        // Filter to corridor bounding box
-        if (cell.lat >= minLat && cell.lat <= maxLat &&
-            cell.lon >= minLon && cell.lon <= maxLon) {
-          
-          const key = `${cell.lat.toFixed(1)},${cell.lon.toFixed(1)}`;
-          
-          if (!cellKeys.has(key)) {
-            cellKeys.add(key);
-            corridorCells.push(cell);
-          }
-        }
+      if (!cellKeys.has(key)) {
+        cellKeys.add(key);
+        corridorCells.push(cell);
       }
     }
     
@@ -176,10 +108,23 @@ class HierarchicalRouter {
     return corridorCells;
   }
 
+  /**
+   * Cell spacing of a loaded corridor - the stored grid can be coarser than FINE_RESOLUTION,
+   * and searching at the wrong step finds no neighbours
+   */
+  corridorResolution(cells) {
+    const lats = [...new Set(cells.map(cell => cell.lat))].sort((a, b) => a - b);
+    let spacing = Infinity;
+    for (let i = 1; i < lats.length; i++) {
+      spacing = Math.min(spacing, lats[i] - lats[i - 1]);
+    }
+    return Number.isFinite(spacing) ? parseFloat(spacing.toFixed(4)) : this.FINE_RESOLUTION;
+  }
+
   /**
    * Apply safety penalties to cells near coastlines
    */
-  applySafetyPenalties(cells) {
+  applySafetyPenalties(cells, resolution = this.FINE_RESOLUTION) {
     const landCells = new Set();
     
     // Index land cells for fast lookup
@@ -199,8 +144,8 @@ class HierarchicalRouter {
       // Check 8 neighbors for land
       let nearLand = false;
       
-      for (let dLat = -this.FINE_RESOLUTION; dLat <= this.FINE_RESOLUTION; dLat += this.FINE_RESOLUTION) {
-        for (let dLon = -this.FINE_RESOLUTION; dLon <= this.FINE_RESOLUTION; dLon += this.FINE_RESOLUTION) {
+      for (let dLat = -resolution; dLat <= resolution; dLat += resolution) {
+        for (let dLon = -resolution; dLon <= resolution; dLon += resolution) {
           if (dLat === 0 && dLon === 0) continue;
           
           const neighborKey = `${(cell.lat + dLat).toFixed(1)},${(cell.lon + dLon).toFixed(1)}`;
@@ -226,9 +171,9 @@ class HierarchicalRouter {
 
   /**
    * Main method: Calculate hierarchical route
-   * MODE IS CRITICAL - passes it to waypoint adjustment for different paths
+   * MODE IS CRITICAL - it picks the lane waypoints and the fine search costs
    */
-  async calculateRoute(start, end, routeFinder, coastalOptimizer, mode = 'optimal') {
+  async calculateRoute(start, end, routeFinder, mode = 'optimal') {
     console.log(`\n   🎯 HIERARCHICAL ROUTE CALCULATION`);
     console.log(`   📍 Start: (${start.lat.toFixed(2)}, ${start.lon.toFixed(2)})`);
     console.log(`   📍 End: (${end.lat.toFixed(2)}, ${end.lon.toFixed(2)})`);
@@ -236,8 +181,8 @@ class HierarchicalRouter {
     
     const overallStart = Date.now();
     
-    // STAGE 1: Find coarse waypoints (use predefined if available, adjust for mode)
-    const waypoints = await this.findCoarseWaypoints(start, end, coastalOptimizer, mode);
+    // STAGE 1: Find coarse waypoints on the sea-lane graph
+    const { waypoints, laneGraphVersion, laneGraphStale } = await this.findCoarseWaypoints(start, end, mode);
     
     // STAGE 2: Fine routing between waypoints
     const fullPath = [];
@@ -265,7 +210,8 @@ class HierarchicalRouter {
         }
         
         // Apply safety penalties
-        const safeCells = this.applySafetyPenalties(corridorCells);
+        const resolution = this.corridorResolution(corridorCells);
+        const safeCells = this.applySafetyPenalties(corridorCells, resolution);
         
         // Run fine A* on corridor
         const segmentResult = await routeFinder.findOptimalRoute(
@@ -273,7 +219,7 @@ class HierarchicalRouter {
           { lat: wp2.lat, lon: wp2.lon },
           safeCells,
           mode,
-          this.FINE_RESOLUTION
+          resolution
         );
         
         const segmentTime = ((Date.now() - segmentStart) / 1000).toFixed(2);
@@ -308,6 +254,8 @@ class HierarchicalRouter {
         console.log(`      ✅ ${segmentDistance.toFixed(0)}km, ${segmentPath.length} points (${segmentTime}s)`);
         
       } catch (error) {
+        // Cancellation and a full route queue (429) end the whole route
+        if (error.name === 'JobCancelledError' || error.statusCode) throw error;
         console.log(`      ❌ Segment ${i + 1} failed: ${error.message}`);
         
         // If not the final segment, try to continue
@@ -344,6 +292,8 @@ class HierarchicalRouter {
       mode: mode,
       metadata: {
         coarseWaypoints: waypoints.length,
+        laneGraphVersion,
+        laneGraphStale,
         segments: segmentResults,
         totalTimeSeconds: parseFloat(totalTime),
         corridorWidth: this.CORRIDOR_WIDTH,
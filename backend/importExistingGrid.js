@@ -43,7 +43,7 @@ async function importExistingGrid() {
         lon: point.lon,
         is_land: point.is_land || false,
         coastal: point.coastal || false,
-        weatherData: {
+        weather: {
           temperature: point.weather?.temperature || null,
           windSpeed: point.weather?.windSpeed || null,
           windDirection: point.weather?.windDirection || null,
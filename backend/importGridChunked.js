@@ -1,8 +1,9 @@
 /**
- * 🗺️ CHUNKED GRID IMPORTER
+ * 🗺️ TILED GRID IMPORTER
  * 
- * Imports large grids by splitting them into chunks that fit MongoDB's 16MB limit.
- * Each chunk is saved as a separate document.
+ * Imports large grids by splitting them into lat/lon tiles that fit MongoDB's 16MB limit.
+ * Each tile is saved as a separate chunk document with its tile key and bounds,
+ * so route requests can load just the tiles covering their corridor.
  */
 
 const mongoose = require('mongoose');
@@ -13,9 +14,7 @@ const fs = require('fs');
 dotenv.config({ path: path.join(__dirname, '.env') });
 
 const Grid = require('./models/Grid');
-
-// Chunk size: ~10,000 cells per document (safe for 16MB limit)
-const CELLS_PER_CHUNK = 10000;
+const { TILE_SIZE_DEGREES, getTileBounds, groupCellsByTile } = require('./gridTiles');
 
 async function importChunkedGrid() {
   try {
@@ -43,14 +42,15 @@ async function importChunkedGrid() {
     console.log(`   Water cells: ${gridData.metadata.waterCells.toLocaleString()}`);
     console.log(`   Resolution: ${gridData.metadata.resolution}°\n`);
     
-    // Calculate number of chunks needed
-    const totalChunks = Math.ceil(gridData.cells.length / CELLS_PER_CHUNK);
+    // Group cells into tiles (5° x 5° = 2,500 cells per tile at 0.1°, safe for 16MB limit)
+    const tiles = Array.from(groupCellsByTile(gridData.cells, TILE_SIZE_DEGREES).entries());
+    const totalChunks = tiles.length;
     const fileSizeMB = (JSON.stringify(gridData).length / (1024 * 1024)).toFixed(2);
     
-    console.log(`📊 Chunking Strategy:`);
+    console.log(`📊 Tiling Strategy:`);
     console.log(`   File size: ${fileSizeMB} MB`);
-    console.log(`   Cells per chunk: ${CELLS_PER_CHUNK.toLocaleString()}`);
-    console.log(`   Total chunks needed: ${totalChunks}\n`);
+    console.log(`   Tile size: ${TILE_SIZE_DEGREES}° x ${TILE_SIZE_DEGREES}°`);
+    console.log(`   Total tiles: ${totalChunks}\n`);
     
     // Delete old grid chunks
     console.log('🗑️  Deleting old grid chunks...');
@@ -59,16 +59,14 @@ async function importChunkedGrid() {
     });
     console.log(`✅ Deleted ${deleteResult.deletedCount} old chunk(s)\n`);
     
-    // Split cells into chunks and save
-    console.log('💾 Saving grid chunks to database...\n');
+    // Save one chunk document per tile
+    console.log('💾 Saving grid tiles to database...\n');
     
     for (let i = 0; i < totalChunks; i++) {
-      const startIdx = i * CELLS_PER_CHUNK;
-      const endIdx = Math.min(startIdx + CELLS_PER_CHUNK, gridData.cells.length);
-      const chunkCells = gridData.cells.slice(startIdx, endIdx);
+      const [tileKey, chunkCells] = tiles[i];
       
       const gridDocument = {
-        name: `Indian Ocean Navigation Grid (Shapefile) - Chunk ${i + 1}/${totalChunks}`,
+        name: `Indian Ocean Navigation Grid (Shapefile) - Tile ${tileKey}`,
         bounds: {
           north: gridData.metadata.bounds.latMax,
           south: gridData.metadata.bounds.latMin,
@@ -79,11 +77,17 @@ async function importChunkedGrid() {
         isChunked: true,
         chunkIndex: i,
         totalChunks: totalChunks,
+        isTiled: true,
+        tileKey,
+        tileSize: TILE_SIZE_DEGREES,
+        version: gridData.metadata.version,
+        tileBounds: getTileBounds(tileKey, TILE_SIZE_DEGREES),
         cells: chunkCells.map(cell => ({
           lat: cell.lat,
           lon: cell.lon,
           is_land: cell.is_land || false,
           obstacle: cell.obstacle || false,
+          depth: cell.depth ?? undefined,
           weather: cell.weather ? {
             temperature: cell.weather.temperature,
             windSpeed: cell.weather.windSpeed,
@@ -102,16 +106,16 @@ async function importChunkedGrid() {
       await newGrid.save();
       
       const progress = ((i + 1) / totalChunks * 100).toFixed(1);
-      console.log(`   ✅ Chunk ${i + 1}/${totalChunks} saved (${chunkCells.length.toLocaleString()} cells) - ${progress}%`);
+      console.log(`   ✅ Tile ${tileKey} (${i + 1}/${totalChunks}) saved (${chunkCells.length.toLocaleString()} cells) - ${progress}%`);
     }
     
     // Display final statistics
     console.log('\n📊 Import Complete!');
     console.log('━'.repeat(60));
     
-    const chunkCount = await Grid.countDocuments({ isChunked: true });
+    const tileCount = await Grid.countDocuments({ isTiled: true });
     
-    console.log(`✅ Saved ${chunkCount} chunks`);
+    console.log(`✅ Saved ${tileCount} tiles`);
     console.log(`📍 Total cells: ${gridData.cells.length.toLocaleString()}`);
     console.log(`🗺️  Resolution: ${gridData.metadata.resolution}° (~${Math.round(gridData.metadata.resolution * 111)}km)`);
     console.log(`📏 Coverage: ${gridData.metadata.bounds.lonMin}°E to ${gridData.metadata.bounds.lonMax}°E`);
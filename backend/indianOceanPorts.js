@@ -1,5 +1,5 @@
 // Indian Ocean ports data
-// Dynamically loaded from indianOceanPorts.json
+// Loaded from indianOceanPorts.json, then replaced by the ports in the store (portRegistry.js)
 const fs = require('fs');
 const path = require('path');
 
@@ -14,9 +14,28 @@ try {
   portsData = { ports: [] };
 }
 
-// Main port data array - loaded dynamically from JSON
+// Main port data array (active ports) - loaded from JSON, refreshed from the store by setPorts()
 const INDIAN_OCEAN_PORTS = portsData.ports || [];
 
+// Lower-case name of a port merged into another -> the port it was merged into
+let mergedPorts = new Map();
+
+/**
+ * Replace the ports the helpers read (portRegistry.js, after every change to the store)
+ * @param {Array<Object>} ports - Stored ports, active and inactive
+ */
+function setPorts(ports) {
+  const active = ports.filter(port => port.active !== false);
+  const byId = new Map(active.map(port => [String(port._id), port]));
+  INDIAN_OCEAN_PORTS.splice(0, INDIAN_OCEAN_PORTS.length, ...active);
+
+  mergedPorts = new Map();
+  for (const port of ports) {
+    const target = port.mergedInto && byId.get(String(port.mergedInto));
+    if (!port.active && target) mergedPorts.set(port.name.toLowerCase(), target);
+  }
+}
+
 // Helper functions
 function getAllPorts() {
   return INDIAN_OCEAN_PORTS;
@@ -41,7 +60,9 @@ function searchPorts(query) {
     port.name.toLowerCase().includes(lowerQuery) ||
     port.country.toLowerCase().includes(lowerQuery) ||
     port.region.toLowerCase().includes(lowerQuery) ||
-    port.waterBody.toLowerCase().includes(lowerQuery)
+    port.waterBody.toLowerCase().includes(lowerQuery) ||
+    (port.alternateName || '').toLowerCase().includes(lowerQuery) ||
+    (port.unLocode || '').toLowerCase() === lowerQuery
   );
 }
 
@@ -78,9 +99,97 @@ function findNearestPort(lat, lon, maxResults = 5) {
 function getPortByName(name) {
   return INDIAN_OCEAN_PORTS.find(port => 
     port.name.toLowerCase() === name.toLowerCase()
+  ) || mergedPorts.get(name.toLowerCase());
+}
+
+/**
+ * Deepest draft a port's channel takes: the charted channel depth plus the tidal range (entering
+ * at high water). Null when the port does not report its channel depth.
+ */
+function maxDraftAtHighWater(port) {
+  if (!port.channelDepthMeters) return null;
+  return parseFloat((port.channelDepthMeters + (port.tidalRangeMeters || 0)).toFixed(1));
+}
+
+/**
+ * Ports that can take a vessel of the given draft and beam: maxDraftAtHighWater >= maxDraft and
+ * entrance width >= minEntranceWidth (meters). Ports that do not report the value are left out
+ * unless includeUnknown is set.
+ */
+function filterPortsByAccess(ports, { maxDraft, minEntranceWidth, includeUnknown = false } = {}) {
+  const fits = (value, needed) => needed === undefined || (value == null ? includeUnknown : value >= needed);
+  return ports.filter(port =>
+    fits(maxDraftAtHighWater(port), maxDraft) && fits(port.entranceWidthMeters, minEntranceWidth)
   );
 }
 
+/**
+ * Why a port cannot accept a vessel ({ draftMeters, beamMeters }): draft over the channel depth even
+ * at high water, or beam over the entrance width. Empty when it can, or when the port does not
+ * report the value.
+ */
+function portAccessIssues(port, vessel) {
+  const issues = [];
+  const maxDraft = maxDraftAtHighWater(port);
+  if (maxDraft && vessel.draftMeters > maxDraft) {
+    issues.push(port.tidalRangeMeters
+      ? `draft ${vessel.draftMeters} m exceeds the channel depth of ${port.channelDepthMeters} m even at high water (tidal range ${port.tidalRangeMeters} m)`
+      : `draft ${vessel.draftMeters} m exceeds the channel depth of ${port.channelDepthMeters} m`);
+  }
+  if (port.entranceWidthMeters && vessel.beamMeters > port.entranceWidthMeters) {
+    issues.push(`beam ${vessel.beamMeters} m exceeds the entrance width of ${port.entranceWidthMeters} m`);
+  }
+  return issues;
+}
+
+/**
+ * Port a route endpoint ({ lat, lon, portId, unLocode, name }) names: by store id, UN/LOCODE or exact
+ * name. Coordinates alone name no port (an anchorage or terminal near a small port is not a call there).
+ */
+function findPortCall(point) {
+  if (!point) return null;
+  if (point.portId) {
+    const byId = INDIAN_OCEAN_PORTS.find(port => port._id && String(port._id) === String(point.portId));
+    if (byId) return byId;
+  }
+  if (point.unLocode) {
+    const locode = String(point.unLocode).replace(/\s+/g, '').toUpperCase();
+    const byLocode = INDIAN_OCEAN_PORTS.find(port => port.unLocode && port.unLocode.replace(/\s+/g, '').toUpperCase() === locode);
+    if (byLocode) return byLocode;
+  }
+  return point.name ? getPortByName(String(point.name)) || null : null;
+}
+
+/**
+ * A port call the vessel cannot make: { port, issues, message } when the endpoint is a port too
+ * shallow or narrow for it, else null
+ */
+function refusedPortCall(point, vessel) {
+  const port = findPortCall(point);
+  const issues = port ? portAccessIssues(port, vessel) : [];
+  if (issues.length === 0) return null;
+  return {
+    port,
+    issues,
+    message: `${port.name} cannot accept ${vessel.name || 'the vessel'}: ${issues.join(' and ')}`
+  };
+}
+
+/**
+ * Name, UN/LOCODE and the restrictions a port reports
+ */
+function describePortAccess(port) {
+  return {
+    name: port.name,
+    country: port.country,
+    unLocode: port.unLocode ?? null,
+    channelDepthMeters: port.channelDepthMeters ?? null,
+    entranceWidthMeters: port.entranceWidthMeters ?? null,
+    tidalRangeMeters: port.tidalRangeMeters ?? null,
+    maxDraftMeters: maxDraftAtHighWater(port)
+  };
+}
+
 module.exports = {
   INDIAN_OCEAN_PORTS,
   getAllPorts,
@@ -90,5 +199,12 @@ module.exports = {
   getCountries,
   getRegions,
   findNearestPort,
-  getPortByName
+  getPortByName,
+  setPorts,
+  maxDraftAtHighWater,
+  filterPortsByAccess,
+  portAccessIssues,
+  findPortCall,
+  refusedPortCall,
+  describePortAccess
 };
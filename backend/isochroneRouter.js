@@ -0,0 +1,275 @@
+/**
+ * ⏱️ ISOCHRONE ROUTER
+ * Minimum-time weather routing by isochrones: from the departure, every point of the current
+ * isochrone fans out headings for one time step at the speed the ship makes in the wind and waves
+ * it meets there (RouteFinder.calculateSpeedLoss), over ground in the ocean current there
+ * (oceanCurrents.js: the ship holds each heading as its course over ground). New points on land, in an exclusion zone or in
+ * water already reached by an earlier isochrone are dropped (dominated), so each isochrone is only
+ * the frontier of the water reachable in that many hours.
+ * Kept free of Express/Mongo so it can run inside route worker threads
+ */
+
+const RouteFinder = require('./routeFinder');
+const { GridIndex } = require('./searchCore');
+const { ConstraintSet } = require('./routeConstraints');
+const { currentAt, groundSpeed, describeCurrent } = require('./oceanCurrents');
+
+const KNOTS_TO_KMH = 1.852;
+const EARTH_RADIUS_KM = 6371;
+const LINE_SECTOR_DEG = 3; // Angular bins (seen from the departure) for drawing isochrone lines
+
+const routeFinder = new RouteFinder();
+
+function toRad(deg) {
+  return deg * Math.PI / 180;
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function bearing(lat1, lon1, lat2, lon2) {
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+            Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Point reached sailing `km` on a great circle from (lat, lon) at an initial heading
+ */
+function destination(lat, lon, headingDeg, km) {
+  const angular = km / EARTH_RADIUS_KM;
+  const heading = toRad(headingDeg);
+  const lat1 = toRad(lat);
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(heading));
+  const lon2 = toRad(lon) + Math.atan2(
+    Math.sin(heading) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  return { lat: lat2 * 180 / Math.PI, lon: ((lon2 * 180 / Math.PI) + 540) % 360 - 180 };
+}
+
+/**
+ * Isochrone drawn as polylines: per angular sector around the departure, the point furthest
+ * out, in bearing order; the line breaks where neighbouring points are more than maxGapKm apart
+ * (land or water the isochrone does not reach between them)
+ */
+function isochroneLines(points, origin, maxGapKm) {
+  const outermost = new Map();
+  for (const point of points) {
+    const sector = Math.floor(bearing(origin.lat, origin.lon, point.lat, point.lon) / LINE_SECTOR_DEG);
+    const km = distanceKm(origin.lat, origin.lon, point.lat, point.lon);
+    const best = outermost.get(sector);
+    if (!best || km > best.km) {
+      outermost.set(sector, { km, point });
+    }
+  }
+
+  const ordered = Array.from(outermost.keys()).sort((a, b) => a - b).map(sector => outermost.get(sector).point);
+  const lines = [];
+  let line = null;
+  ordered.forEach((point, index) => {
+    const previous = ordered[index - 1];
+    if (!previous || distanceKm(previous.lat, previous.lon, point.lat, point.lon) > maxGapKm) {
+      line = [];
+      lines.push(line);
+    }
+    line.push({ lat: parseFloat(point.lat.toFixed(4)), lon: parseFloat(point.lon.toFixed(4)) });
+  });
+  // Join across north (last sector -> first sector)
+  const first = ordered[0];
+  const last = ordered[ordered.length - 1];
+  if (lines.length > 1 && distanceKm(last.lat, last.lon, first.lat, first.lon) <= maxGapKm) {
+    lines[0] = [...lines.pop(), ...lines[0]];
+  }
+  return lines.filter(points => points.length > 1);
+}
+
+/**
+ * Minimum-time route between two water cells
+ *
+ * @param {Object} start - Departure water cell { lat, lon }
+ * @param {Object} goal - Destination water cell { lat, lon }
+ * @param {Array} cells - Water cells of the corridor
+ * @param {number} resolution - Grid resolution (degrees)
+ * @param {Object} options - { vessel (VESSEL_SPECS), speedKnots (set speed), timeStepHours,
+ *   headingStepDeg (default 10), maxDeviationDeg (fan either side of the course to the goal, default 90),
+ *   maxHours }
+ * @param {Object} hooks - { timeline (VoyageTimeline: forecast at each point's time), constraints (hard
+ *   limits, parseConstraints: points in cells that break one are dropped), onProgress, throwIfCancelled }
+ * @returns {Promise<Object|null>} { path, isochrones, stats }, null when the goal cannot be reached
+ */
+async function isochroneSearch(start, goal, cells, resolution, options = {}, hooks = {}) {
+  const startedAt = Date.now();
+  const model = routeFinder.forVessel(options.vessel);
+  const speedKnots = options.speedKnots || model.VESSEL_SPECS.serviceSpeedKnots;
+  const timeline = hooks.timeline || null;
+
+  const waterIndex = new GridIndex(cells.filter(cell => !cell.is_land && !cell.obstacle), resolution);
+  const constraints = new ConstraintSet(hooks.constraints, waterIndex, resolution, [start, goal]);
+  const totalKm = distanceKm(start.lat, start.lon, goal.lat, goal.lon);
+
+  // A step must carry the ship at least two cells, or the frontier would stay inside reached water
+  const cellKm = resolution * 111;
+  const minStepHours = (2 * cellKm) / (speedKnots * KNOTS_TO_KMH);
+  const timeStepHours = Math.max(minStepHours, options.timeStepHours || Math.min(6, Math.max(1, totalKm / (speedKnots * KNOTS_TO_KMH) / 20)));
+  const headingStepDeg = options.headingStepDeg || 10;
+  const maxDeviationDeg = options.maxDeviationDeg ?? 90;
+  const maxHours = options.maxHours || (totalKm * 4) / (speedKnots * KNOTS_TO_KMH) + 48;
+
+  const isNavigable = (lat, lon) => {
+    const cell = waterIndex.get(lat, lon);
+    return Boolean(cell) && !constraints.tooShallow(cell);
+  };
+
+  // Sampled every third of a cell, like the A* land-crossing check
+  const segmentClear = (from, to) => {
+    const degrees = Math.sqrt(Math.pow(to.lat - from.lat, 2) + Math.pow(to.lon - from.lon, 2));
+    const samples = Math.max(1, Math.ceil(degrees / resolution) * 3);
+    for (let i = 1; i <= samples; i++) {
+      const t = i / samples;
+      if (!isNavigable(from.lat + (to.lat - from.lat) * t, from.lon + (to.lon - from.lon) * t)) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // Conditions at a point when the ship gets there: forecast at that time, else the stored grid weather
+  const weatherAt = (point) => {
+    const cell = waterIndex.get(point.lat, point.lon);
+    const stored = cell ? (cell.weather || cell.weatherData) : null;
+    return timeline ? timeline.weatherAt({ lat: point.lat, lon: point.lon, weather: stored }, point.hours) : stored;
+  };
+
+  const sail = (point, weather, heading, hours) => {
+    const { speedKnots: throughWater, lossPercent } = model.calculateSpeedLoss(speedKnots, weather, heading);
+    const current = groundSpeed(throughWater, heading,
+      currentAt(point.lat, point.lon, timeline ? timeline.timeAt(point.hours) : Date.now(), weather));
+    const madeGood = current.groundSpeedKnots;
+    return { madeGood, throughWater, lossPercent, current, km: madeGood * KNOTS_TO_KMH * hours };
+  };
+
+  const origin = { lat: start.lat, lon: start.lon, hours: 0, parent: null };
+  const reached = new Set([waterIndex.indexOf(start.lat, start.lon)]);
+  let front = [origin];
+  const isochrones = [];
+  let pointsExpanded = 0;
+  let arrival = null;
+
+  for (let step = 1; front.length > 0 && !arrival; step++) {
+    const hours = step * timeStepHours;
+    if (hours - timeStepHours > maxHours) break;
+
+    const candidates = new Map(); // grid index -> best new point in that cell
+    for (const point of front) {
+      pointsExpanded++;
+      const weather = weatherAt(point);
+      const course = bearing(point.lat, point.lon, goal.lat, goal.lon);
+      const remainingKm = distanceKm(point.lat, point.lon, goal.lat, goal.lon);
+
+      // Within one step of the goal with clear water: arrive
+      const final = sail(point, weather, course, timeStepHours);
+      if (remainingKm <= final.km && segmentClear(point, goal)) {
+        const arrivalHours = point.hours + remainingKm / (final.madeGood * KNOTS_TO_KMH);
+        if (!arrival || arrivalHours < arrival.hours) {
+          arrival = { lat: goal.lat, lon: goal.lon, hours: arrivalHours, parent: point, heading: course, weather, ...final };
+        }
+      }
+
+      for (let deviation = -maxDeviationDeg; deviation <= maxDeviationDeg; deviation += headingStepDeg) {
+        const heading = (course + deviation + 360) % 360;
+        const leg = sail(point, weather, heading, timeStepHours);
+        const next = destination(point.lat, point.lon, heading, leg.km);
+        const key = waterIndex.indexOf(next.lat, next.lon);
+        if (key === -1 || reached.has(key) || !segmentClear(point, next)) continue;
+        if (constraints.active && !constraints.allows(waterIndex.getByIndex(key), weatherAt({ ...next, hours }))) continue;
+
+        const candidate = {
+          ...next, hours, parent: point, heading, weather, ...leg,
+          remainingKm: distanceKm(next.lat, next.lon, goal.lat, goal.lon)
+        };
+        const best = candidates.get(key);
+        if (!best || candidate.remainingKm < best.remainingKm) {
+          candidates.set(key, candidate);
+        }
+      }
+    }
+
+    if (arrival) break;
+
+    front = Array.from(candidates.values());
+    candidates.forEach((point, key) => reached.add(key));
+    isochrones.push({
+      step,
+      hours: parseFloat(hours.toFixed(2)),
+      ...(timeline && { time: new Date(timeline.timeAt(hours)).toISOString() }),
+      pointCount: front.length,
+      lines: isochroneLines(front, start, speedKnots * KNOTS_TO_KMH * timeStepHours)
+    });
+
+    if (hooks.onProgress) {
+      const closestKm = front.reduce((min, point) => Math.min(min, point.remainingKm), totalKm);
+      hooks.onProgress({ cellsExpanded: pointsExpanded, remainingKm: closestKm, totalKm });
+    }
+    if (hooks.throwIfCancelled) {
+      hooks.throwIfCancelled();
+    }
+  }
+
+  if (!arrival) {
+    console.log(`⏱️  Isochrone search: goal not reached after ${isochrones.length} isochrones (${pointsExpanded} points)`);
+    return null;
+  }
+
+  // Parent chain: each point keeps the heading, speeds and current of the step that leaves it
+  const chain = [];
+  for (let point = arrival; point; point = point.parent) {
+    chain.unshift(point);
+  }
+  const path = chain.map((point, index) => {
+    const outgoing = chain[index + 1];
+    const cell = waterIndex.get(point.lat, point.lon);
+    return {
+      lat: parseFloat(point.lat.toFixed(4)),
+      lon: parseFloat(point.lon.toFixed(4)),
+      weather: cell ? (cell.weather || cell.weatherData || null) : null,
+      ...(cell && Number.isFinite(cell.depth) && { depth: cell.depth }),
+      ...(outgoing && {
+        heading: parseFloat(outgoing.heading.toFixed(1)),
+        speedKnots: parseFloat(outgoing.madeGood.toFixed(2)),
+        speedThroughWaterKnots: parseFloat(outgoing.throughWater.toFixed(2)),
+        speedLossPercent: outgoing.lossPercent,
+        ...describeCurrent(outgoing.current)
+      }),
+      ...(timeline ? timeline.describe(point, point.hours) : { etaHours: parseFloat(point.hours.toFixed(2)) })
+    };
+  });
+
+  console.log(`⏱️  Isochrone route: ${arrival.hours.toFixed(1)}h over ${isochrones.length} isochrones (${pointsExpanded} points, ${Date.now() - startedAt}ms)`);
+  return {
+    path,
+    isochrones,
+    stats: {
+      minTimeHours: parseFloat(arrival.hours.toFixed(2)),
+      timeStepHours: parseFloat(timeStepHours.toFixed(2)),
+      headingStepDeg,
+      maxDeviationDeg,
+      setSpeedKnots: speedKnots,
+      isochroneCount: isochrones.length,
+      pointsExpanded,
+      cellsExcluded: constraints.excluded,
+      computeMs: Date.now() - startedAt
+    }
+  };
+}
+
+module.exports = {
+  isochroneSearch
+};
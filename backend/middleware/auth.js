@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { getStore } = require('../storage');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'jalmarg-maritime-routing-secret-2024';
 
@@ -19,7 +19,7 @@ const verifyToken = async (req, res, next) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     
     // Find user
-    const user = await User.findById(decoded.userId);
+    const user = await getStore().findUserById(decoded.userId);
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -61,7 +61,7 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId);
+      const user = await getStore().findUserById(decoded.userId);
       if (user) {
         req.user = user;
       }
@@ -74,7 +74,31 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Admin users: emails listed in ADMIN_EMAILS
+const isAdmin = (user) => {
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  return Boolean(user) && admins.includes(String(user.email).toLowerCase());
+};
+
+// Middleware to require an admin user (email listed in ADMIN_EMAILS) - use after verifyToken
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   verifyToken,
-  optionalAuth
+  optionalAuth,
+  requireAdmin,
+  isAdmin
 };
@@ -0,0 +1,154 @@
+/**
+ * 🎚️ ROUTE MODE PRESETS
+ * The one table of route modes. A route is judged on three objectives (routeObjectives.js):
+ * distance, fuel and exposure to wind and waves; a mode is a preset of weights over them that
+ * picks its route from the Pareto front (paretoRouter.js) and that the single-route searches
+ * minimise. `clearance` is how hard the searches keep a large ship off the coast - a vessel
+ * safety margin, not an objective.
+ */
+
+const OBJECTIVES = ['distance', 'fuel', 'exposure'];
+
+const MODE_PRESETS = {
+  optimal: {
+    description: 'Balanced distance, fuel and weather exposure',
+    weights: { distance: 0.35, fuel: 0.35, exposure: 0.3 },
+    clearance: { coastal: 1.0, draft: 5.0, channel: 3.0 }
+  },
+  fuel_efficient: {
+    description: 'Least fuel: short routes that avoid head seas',
+    weights: { distance: 0.25, fuel: 0.7, exposure: 0.05 },
+    clearance: { coastal: 0, draft: 3.0, channel: 2.0 }
+  },
+  safe: {
+    description: 'Least exposure to wind and waves, longer routes accepted',
+    weights: { distance: 0.1, fuel: 0.1, exposure: 0.8 },
+    clearance: { coastal: 5.0, draft: 10.0, channel: 8.0 }
+  },
+  normal: {
+    description: 'Shortest distance',
+    weights: { distance: 0.8, fuel: 0.1, exposure: 0.1 },
+    clearance: { coastal: 0.5, draft: 4.0, channel: 2.5 }
+  },
+  // Ultra-large container vessels: safe mode's trade-off with the widest berth from the coast
+  ulcv: {
+    description: 'Ultra-large container vessels: least exposure, maximum coastal clearance',
+    weights: { distance: 0.05, fuel: 0.15, exposure: 0.8 },
+    clearance: { coastal: 7.0, draft: 15.0, channel: 12.0 }
+  }
+};
+
+// Other names the API accepts for a preset
+const MODE_ALIASES = {
+  fuel: 'fuel_efficient',
+  'fuel-efficient': 'fuel_efficient'
+};
+
+// The four named route modes (precomputed routes, mode comparisons)
+const ROUTE_MODES = ['optimal', 'fuel_efficient', 'safe', 'normal'];
+
+// Weights a route request may set instead of (or on top of) a mode. safety and weather both weigh
+// exposure to wind and waves; coastal (0-1) scales the coastal clearance up to the ulcv preset's
+const REQUEST_WEIGHTS = ['distance', 'fuel', 'safety', 'weather', 'coastal'];
+const MAX_COASTAL_CLEARANCE = MODE_PRESETS.ulcv.clearance.coastal;
+
+/**
+ * Preset for a mode name (aliases resolved; unknown modes get optimal)
+ * @returns {Object} { name, description, weights, clearance }
+ */
+function resolvePreset(mode) {
+  const name = MODE_ALIASES[mode] || mode;
+  const preset = MODE_PRESETS[name] ? name : 'optimal';
+  return { name: preset, ...MODE_PRESETS[preset] };
+}
+
+function weightError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Preset with a request's explicit weights applied over the mode's
+ * Weights left out keep the mode's value; distance, fuel and exposure are scaled to add up to 1
+ * @param {string} mode - Mode whose preset is the starting point (and whose speed and fuel model apply)
+ * @param {Object} weights - { distance, fuel, safety, weather, coastal } (non-negative; coastal 0-1)
+ * @returns {Object} { name: 'custom', mode, description, weights, clearance, requested }
+ *   (the mode's preset unchanged when no weights are given)
+ * @throws {Error} statusCode 400 on unknown or invalid weights
+ */
+function customPreset(mode, weights) {
+  const preset = resolvePreset(mode);
+  if (weights === undefined || weights === null) {
+    return preset;
+  }
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    throw weightError(`weights must be an object with any of: ${REQUEST_WEIGHTS.join(', ')}`);
+  }
+
+  const requested = {};
+  for (const [key, value] of Object.entries(weights)) {
+    if (!REQUEST_WEIGHTS.includes(key)) {
+      throw weightError(`Unknown weight "${key}". Use: ${REQUEST_WEIGHTS.join(', ')}`);
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw weightError(`Weight "${key}" must be a non-negative number`);
+    }
+    requested[key] = number;
+  }
+  if (requested.coastal > 1) {
+    throw weightError('Weight "coastal" must be between 0 and 1 (1 = the ulcv preset\'s coastal clearance)');
+  }
+
+  const hasExposure = requested.safety !== undefined || requested.weather !== undefined;
+  const objectives = {
+    distance: requested.distance ?? preset.weights.distance,
+    fuel: requested.fuel ?? preset.weights.fuel,
+    exposure: hasExposure ? (requested.safety || 0) + (requested.weather || 0) : preset.weights.exposure
+  };
+  const total = objectives.distance + objectives.fuel + objectives.exposure;
+  if (total <= 0) {
+    throw weightError('At least one of distance, fuel, safety or weather must have a weight above 0');
+  }
+
+  return {
+    name: 'custom',
+    mode: preset.name,
+    description: `Custom weights over the ${preset.name} preset`,
+    weights: {
+      distance: parseFloat((objectives.distance / total).toFixed(4)),
+      fuel: parseFloat((objectives.fuel / total).toFixed(4)),
+      exposure: parseFloat((objectives.exposure / total).toFixed(4))
+    },
+    clearance: {
+      ...preset.clearance,
+      ...(requested.coastal !== undefined && { coastal: requested.coastal * MAX_COASTAL_CLEARANCE })
+    },
+    requested
+  };
+}
+
+/**
+ * What a (possibly custom) preset routes with, as echoed in route responses
+ */
+function describePreset(preset) {
+  return {
+    preset: preset.name,
+    ...(preset.mode && { mode: preset.mode }),
+    weights: preset.weights,
+    clearance: preset.clearance,
+    ...(preset.requested && { requestedWeights: preset.requested })
+  };
+}
+
+module.exports = {
+  OBJECTIVES,
+  MODE_PRESETS,
+  MODE_ALIASES,
+  ROUTE_MODES,
+  REQUEST_WEIGHTS,
+  resolvePreset,
+  customPreset,
+  describePreset
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getTileKeysForBounds } = require('../gridTiles');
 
 const GridSchema = new mongoose.Schema({
   name: {
@@ -29,6 +30,30 @@ const GridSchema = new mongoose.Schema({
     type: Number,
     default: 1,
   },
+  // For tiled storage: each chunk holds the cells of one lat/lon tile (see gridTiles.js)
+  isTiled: {
+    type: Boolean,
+    default: false,
+  },
+  tileKey: {
+    type: String,
+    default: undefined,
+  },
+  tileSize: {
+    type: Number,
+    default: undefined,
+  },
+  // Grid generation version (metadata.version), used to invalidate data derived from the grid
+  version: {
+    type: String,
+    default: undefined,
+  },
+  tileBounds: {
+    north: Number,
+    south: Number,
+    east: Number,
+    west: Number,
+  },
   cells: [{
     lat: Number,
     lon: Number,
@@ -49,14 +74,24 @@ const GridSchema = new mongoose.Schema({
       type: Boolean,
       default: undefined,
     },
+    // Charted depth in metres (bathymetry.js); unset = unknown
+    depth: {
+      type: Number,
+      default: undefined,
+    },
+    // Current conditions; the hourly forecast lives in the forecast store (forecastStore.js)
     weather: {
       temperature: Number,
       windSpeed: Number,
       windDirection: Number,
       waveHeight: Number,
       visibility: Number,
+      currentVelocity: Number, // Ocean current (knots), oceanCurrents.js
+      currentDirection: Number, // Degrees the current sets towards
       lastUpdated: Date,
+      forecastSnapshot: String, // Forecast store snapshot the values came from
     },
+    // Legacy copy written by older importers; readers fall back to it when weather is unset
     weatherData: {
       temperature: Number,
       windSpeed: Number,
@@ -82,6 +117,39 @@ const GridSchema = new mongoose.Schema({
 
 // Add indexes for faster queries
 GridSchema.index({ isChunked: 1, chunkIndex: 1 });
+GridSchema.index({ isTiled: 1, tileKey: 1 });
 GridSchema.index({ 'cells.lat': 1, 'cells.lon': 1 });
 
+/**
+ * Load the tile documents intersecting a bounding box (lean, cells included)
+ */
+GridSchema.statics.findTilesInBounds = async function(latMin, latMax, lonMin, lonMax) {
+  const sample = await this.findOne({ isTiled: true }, { tileSize: 1 }).lean();
+  if (!sample) {
+    return [];
+  }
+
+  const tileKeys = getTileKeysForBounds(latMin, latMax, lonMin, lonMax, sample.tileSize);
+  return this.find({ isTiled: true, tileKey: { $in: tileKeys } }, { tileKey: 1, tileBounds: 1, resolution: 1, cells: 1 }).lean();
+};
+
+/**
+ * Cells inside a bounding box, read only from the tiles that intersect it
+ */
+GridSchema.statics.findCellsInBounds = async function(latMin, latMax, lonMin, lonMax) {
+  const tiles = await this.findTilesInBounds(latMin, latMax, lonMin, lonMax);
+  const cells = [];
+
+  for (const tile of tiles) {
+    for (const cell of tile.cells || []) {
+      if (cell.lat >= latMin && cell.lat <= latMax &&
+          cell.lon >= lonMin && cell.lon <= lonMax) {
+        cells.push(cell);
+      }
+    }
+  }
+
+  return cells;
+};
+
 module.exports = mongoose.model('Grid', GridSchema);
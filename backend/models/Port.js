@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Ports routes are planned between (fields validated by portRegistry.normalizePort)
+const PortSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a port name'],
+    trim: true,
+    index: true,
+  },
+  country: { type: String, required: true },
+  region: String,
+  waterBody: String,
+  lat: { type: Number, required: true },
+  lon: { type: Number, required: true },
+  // World Port Index attributes (null where the index does not report them)
+  portNumber: { type: Number, index: true },
+  unLocode: String,
+  alternateName: String,
+  tidalRangeMeters: Number,
+  entranceWidthMeters: Number,
+  channelDepthMeters: Number,
+  // Deactivated ports stay in the collection so WPI imports do not add them again
+  active: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+  deactivatedReason: String,
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Port',
+  },
+  source: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('Port', PortSchema);
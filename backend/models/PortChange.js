@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Change history of the Port collection: one entry per create, update, deactivate, reactivate,
+// merge or WPI import of a port
+const PortChangeSchema = new mongoose.Schema({
+  portId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Port',
+    required: true,
+    index: true,
+  },
+  portName: String,
+  action: {
+    type: String,
+    enum: ['create', 'update', 'deactivate', 'reactivate', 'merge', 'import'],
+    required: true,
+  },
+  // { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  reason: String,
+  mergedInto: mongoose.Schema.Types.ObjectId,
+  mergedFrom: mongoose.Schema.Types.ObjectId,
+  source: String,
+  user: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+module.exports = mongoose.model('PortChange', PortChangeSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Computed route results, keyed by everything that determines the route (see routeResultCache.js)
+const RouteCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  startCell: {
+    lat: Number,
+    lon: Number,
+  },
+  endCell: {
+    lat: Number,
+    lon: Number,
+  },
+  mode: String,
+  gridVersion: String,
+  costModelVersion: String,
+  weatherEpoch: String,
+  // The route response as returned by POST /api/route
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Removed by MongoDB once the weather epoch is over (no expiry: kept until cleared)
+  expiresAt: {
+    type: Date,
+    default: undefined,
+  },
+});
+
+RouteCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RouteCache', RouteCacheSchema);
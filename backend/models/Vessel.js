@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { VESSEL_TYPES, FUEL_TYPES } = require('../vesselProfile');
+
+// Vessel profiles routes, fuel and ETAs are calculated for (fields validated by vesselProfile.normalizeVessel)
+const FuelSchema = new mongoose.Schema({
+  type: { type: String, enum: FUEL_TYPES },
+  priceUSD: Number,
+}, { _id: false });
+
+const VesselSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a vessel name'],
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: VESSEL_TYPES,
+    default: 'other',
+  },
+  imo: String,
+  loaMeters: { type: Number, required: true },
+  beamMeters: { type: Number, required: true },
+  designDraftMeters: { type: Number, required: true },
+  currentDraftMeters: Number,
+  deadweight: Number,
+  serviceSpeedKnots: { type: Number, required: true },
+  speedLimits: {
+    fuel: Number,
+    optimal: Number,
+    safe: Number,
+  },
+  // Main engine consumption at design draft in calm water
+  speedConsumption: {
+    type: [{ speedKnots: Number, tonsPerDay: Number, _id: false }],
+    default: undefined,
+  },
+  mainEngine: {
+    powerKW: Number,
+    sfocGPerKWh: Number,
+    consumptionTonsPerDay: Number,
+  },
+  auxiliaryEngines: {
+    powerKW: Number,
+    consumptionTonsPerDay: Number,
+  },
+  fuelTypes: {
+    main: FuelSchema,
+    auxiliary: FuelSchema,
+  },
+  seakeeping: {
+    maxWaveHeight: Number,
+    maxWindSpeed: Number,
+    speedLoss: {
+      waveCoefficient: Number,
+      windCoefficient: Number,
+      maxLoss: Number,
+    },
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('Vessel', VesselSchema);
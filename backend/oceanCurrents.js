@@ -0,0 +1,224 @@
+/**
+ * 🌊 OCEAN CURRENTS
+ * The current a ship sails in, and what it does to its speed over ground. A current (u east, v north,
+ * knots) is read from, in order:
+ *   1. the weather at the cell: currentVelocity (kn) / currentDirection (° towards) from the weather
+ *      provider, the forecast store or the route forecast at the ETA
+ *   2. the current field file: a lattice in the weather file format (griddedFileProvider.js) with
+ *      currentU / currentV in knots; a single step is used for every time (climatology)
+ *      CURRENTS_FILE = path of the file (default backend/data/currents.json)
+ *
+ * The ship holds its course over ground: it steers into the cross-current and the along-course part
+ * adds to (or takes from) its speed through the water. The engine runs at the set speed either way,
+ * so a fair current shortens the leg and saves fuel, a foul one lengthens it.
+ * Every engine and the route result take the current where and when a leg starts.
+ * Drift is capped at MAX_DRIFT_KNOTS (routing cost bounds rely on it) and the speed over ground never
+ * drops below MIN_GROUND_SPEED_FRACTION of the speed through the water.
+ *
+ * Build a current file from a provider:
+ *   node oceanCurrents.js <latMin> <latMax> <lonMin> <lonMax> [hours] [--from open-meteo|mock] [--out file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const weatherConfig = require('./weatherConfig');
+const { loadWeatherFile, saveWeatherFile } = require('./weatherProviders/griddedFileProvider');
+
+const DEFAULT_FILE = path.join(__dirname, 'data', 'currents.json');
+const MAX_DRIFT_KNOTS = 4;
+const MIN_GROUND_SPEED_FRACTION = 0.25;
+const DEG = Math.PI / 180;
+const CHECK_INTERVAL_MS = 5000; // Searches read the field per leg: the file is checked at most this often
+
+let loaded = null; // { file, mtimeMs, field } of the current field file
+let checked = null; // { file, at } of the last look at the file
+
+function currentsFile() {
+  return process.env.CURRENTS_FILE || DEFAULT_FILE;
+}
+
+/**
+ * The current field file as a ForecastField, re-read when it changes (null without a file)
+ */
+function getCurrentField() {
+  const file = currentsFile();
+  if (checked && checked.file === file && Date.now() - checked.at < CHECK_INTERVAL_MS) {
+    return loaded && loaded.field;
+  }
+  checked = { file, at: Date.now() };
+
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (error) {
+    loaded = null;
+    return null;
+  }
+  if (!loaded || loaded.file !== file || loaded.mtimeMs !== stat.mtimeMs) {
+    loaded = null;
+    const field = loadWeatherFile(file);
+    if (!field.variables.currentU || !field.variables.currentV) {
+      throw new Error(`${file} needs currentU and currentV layers (knots east / north)`);
+    }
+    loaded = { file, mtimeMs: stat.mtimeMs, field };
+    console.log(`🌊 Current field loaded: ${file} (${field.lattice.rows}x${field.lattice.cols} lattice, ${field.steps} steps)`);
+  }
+  return loaded.field;
+}
+
+/**
+ * Version of the current field file (null without one), for cache keys
+ */
+function currentsVersion() {
+  try {
+    getCurrentField();
+  } catch (error) {
+    return null;
+  }
+  return loaded ? `currents-${Math.round(loaded.mtimeMs).toString(36)}` : null;
+}
+
+/**
+ * Current vector from speed and the direction it flows towards
+ */
+function fromVelocity(velocityKnots, directionDeg) {
+  return {
+    u: velocityKnots * Math.sin(directionDeg * DEG),
+    v: velocityKnots * Math.cos(directionDeg * DEG)
+  };
+}
+
+/**
+ * Current at a position and time (ms)
+ * @param {Object} weather - conditions there (currentVelocity / currentDirection are used when present)
+ * @returns {Object|null} { u, v (knots east / north), source: 'weather' | 'file' }, null when unknown
+ *   or with OCEAN_CURRENTS off
+ */
+function currentAt(lat, lon, time = Date.now(), weather = null) {
+  if (!weatherConfig.OCEAN_CURRENTS) return null;
+
+  if (weather && Number.isFinite(weather.currentVelocity) && Number.isFinite(weather.currentDirection)) {
+    return { ...fromVelocity(weather.currentVelocity, weather.currentDirection), source: 'weather' };
+  }
+
+  let field;
+  try {
+    field = getCurrentField();
+  } catch (error) {
+    console.warn(`⚠️  Current field unusable: ${error.message}`);
+    return null;
+  }
+  if (!field) return null;
+  const u = field.sample('currentU', lat, lon, time);
+  const v = field.sample('currentV', lat, lon, time);
+  return u === undefined || v === undefined ? null : { u, v, source: 'file' };
+}
+
+/**
+ * Speed over ground holding a course through a current
+ * @param {number} throughWaterKnots - speed through the water
+ * @param {number} courseDeg - course over ground
+ * @param {Object|null} current - { u, v } (knots)
+ * @returns {Object} { groundSpeedKnots, setDeg (° towards, null without current), driftKnots }
+ */
+function groundSpeed(throughWaterKnots, courseDeg, current) {
+  if (!current) {
+    return { groundSpeedKnots: throughWaterKnots, setDeg: null, driftKnots: 0 };
+  }
+
+  let { u, v } = current;
+  const drift = Math.hypot(u, v);
+  if (drift > MAX_DRIFT_KNOTS) {
+    u *= MAX_DRIFT_KNOTS / drift;
+    v *= MAX_DRIFT_KNOTS / drift;
+  }
+
+  const along = u * Math.sin(courseDeg * DEG) + v * Math.cos(courseDeg * DEG);
+  const cross = u * Math.cos(courseDeg * DEG) - v * Math.sin(courseDeg * DEG);
+  const holding = Math.sqrt(Math.max(0, throughWaterKnots * throughWaterKnots - cross * cross));
+  return {
+    groundSpeedKnots: Math.max(MIN_GROUND_SPEED_FRACTION * throughWaterKnots, holding + along),
+    setDeg: drift > 0 ? (Math.atan2(u, v) / DEG + 360) % 360 : null,
+    driftKnots: Math.min(drift, MAX_DRIFT_KNOTS)
+  };
+}
+
+/**
+ * Set / drift fields for a path point or leg (rounded; set null without current)
+ */
+function describeCurrent(result) {
+  return {
+    currentSet: result.setDeg === null ? null : Math.round(result.setDeg),
+    currentDrift: parseFloat(result.driftKnots.toFixed(2))
+  };
+}
+
+/**
+ * Current field file of a provider's currentVelocity / currentDirection forecast over a region
+ */
+async function buildCurrentField(region, hours, provider) {
+  // Required here: forecastField.js loads the weather providers
+  const { fetchForecastField, ForecastField } = require('./forecastField');
+  const field = await fetchForecastField(region, new Date(), hours, {
+    provider,
+    variables: ['currentVelocity', 'currentDirection']
+  });
+  if (!field || !field.variables.currentVelocity) return null;
+
+  const velocity = field.variables.currentVelocity;
+  const direction = field.variables.currentDirection;
+  const currentU = new Float32Array(velocity.length);
+  const currentV = new Float32Array(velocity.length);
+  for (let n = 0; n < velocity.length; n++) {
+    const { u, v } = fromVelocity(velocity[n], direction[n]);
+    currentU[n] = u;
+    currentV[n] = v;
+  }
+  return new ForecastField({ ...field.toJSON(), variables: { currentU, currentV } });
+}
+
+module.exports = {
+  DEFAULT_FILE,
+  MAX_DRIFT_KNOTS,
+  MIN_GROUND_SPEED_FRACTION,
+  getCurrentField,
+  currentsVersion,
+  currentAt,
+  groundSpeed,
+  describeCurrent,
+  buildCurrentField
+};
+
+// CLI: snapshot a provider's ocean currents for a region into a current field file
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (flag, fallback) => {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args.splice(index, 2)[1] : fallback;
+  };
+  const from = option('--from', 'open-meteo');
+  const out = option('--out', currentsFile());
+  const [latMin, latMax, lonMin, lonMax, hours = 72] = args.map(Number);
+
+  if ([latMin, latMax, lonMin, lonMax].some(value => !Number.isFinite(value))) {
+    console.log('Usage: node oceanCurrents.js <latMin> <latMax> <lonMin> <lonMax> [hours] [--from open-meteo|mock] [--out file]');
+    console.log('Example: node oceanCurrents.js -10 25 40 100 120 --from open-meteo');
+    process.exit(1);
+  }
+
+  const { createWeatherProvider } = require('./weatherProviders');
+
+  (async () => {
+    const field = await buildCurrentField({ latMin, latMax, lonMin, lonMax }, hours, createWeatherProvider(from));
+    if (!field) {
+      console.error(`❌ No ocean currents from ${from}`);
+      process.exit(1);
+    }
+    saveWeatherFile(field, out);
+    console.log(`✅ Saved ${field.steps} hours x ${field.lattice.rows * field.lattice.cols} points of currents from ${from} to ${out}`);
+    console.log('   Routes read it' + (out === DEFAULT_FILE ? '' : ` with CURRENTS_FILE=${out}`));
+  })().catch(error => {
+    console.error('❌ Current snapshot failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -9,7 +9,7 @@
  */
 
 const mongoose = require('mongoose');
-const Grid = require('./models/Grid');
+const { getStore } = require('./storage');
 
 // Grid bounds (Indian Ocean coverage)
 const GRID_BOUNDS = {
@@ -57,18 +57,8 @@ async function loadRegionalCells(startLat, startLon, endLat, endLon, buffer = 5)
   
   console.log(`   📦 Loading regional cells: ${latMin.toFixed(1)}° to ${latMax.toFixed(1)}°N, ${lonMin.toFixed(1)}° to ${lonMax.toFixed(1)}°E`);
   
-  const cells = [];
-  const chunks = await Grid.find({ isChunked: true }, { cells: 1, chunkIndex: 1 }).lean();
-  
-  for (const chunk of chunks) {
-    if (chunk.cells) {
-      const regionCells = chunk.cells.filter(c =>
-        c.lat >= latMin && c.lat <= latMax &&
-        c.lon >= lonMin && c.lon <= lonMax
-      );
-      cells.push(...regionCells);
-    }
-  }
+  // Only the grid tiles intersecting the region are read
+  const cells = await getStore().getCellsInBounds(latMin, latMax, lonMin, lonMax);
   
   const waterCells = cells.filter(c => !c.is_land && !c.obstacle);
   console.log(`   ✅ Loaded ${cells.length} cells (${waterCells.length} navigable)`);
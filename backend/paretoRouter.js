@@ -0,0 +1,216 @@
+/**
+ * 🎯 PARETO ROUTER
+ * Multi-objective search (NAMOA*-style label setting) over the same water cells and moves as the
+ * grid A*: instead of one cost, every partial route carries its distance, fuel and exposure
+ * (routeObjectives.js). A cell keeps every label no other label there beats on all three, so the
+ * search ends with the set of non-dominated routes; the mode presets then pick from that front.
+ * Labels within EPSILON of an existing one on every objective are dropped, and each cell keeps at
+ * most MAX_LABELS_PER_CELL, which bounds the search on large corridors.
+ * Kept free of Express/Mongo so it can run inside route worker threads
+ */
+
+const { BinaryHeap } = require('./searchCore');
+const { buildCellIndex, getNeighbors, calculateDistance, calculateHeading } = require('./gridAStar');
+const { RouteObjectives, dominates, paretoFront } = require('./routeObjectives');
+const { ConstraintSet } = require('./routeConstraints');
+const { describeCurrent } = require('./oceanCurrents');
+
+const EPSILON = 0.01;
+const MAX_LABELS_PER_CELL = 6;
+const MAX_LABELS = 200000;
+const PROGRESS_INTERVAL = 1000;
+
+// Queue order: objectives weighted equally (any fixed weighting expands non-dominated labels first)
+const QUEUE_WEIGHTS = { distance: 1 / 3, fuel: 1 / 3, exposure: 1 / 3 };
+
+function addObjectives(a, b) {
+  return {
+    distanceKm: a.distanceKm + b.distanceKm,
+    fuelTons: a.fuelTons + b.fuelTons,
+    exposureHours: a.exposureHours + b.exposureHours
+  };
+}
+
+function roundObjectives(objectives, hours) {
+  return {
+    distanceKm: parseFloat(objectives.distanceKm.toFixed(2)),
+    fuelTons: parseFloat(objectives.fuelTons.toFixed(2)),
+    exposureHours: parseFloat(objectives.exposureHours.toFixed(2)),
+    durationHours: parseFloat(hours.toFixed(2))
+  };
+}
+
+/**
+ * Non-dominated routes between two water cells
+ *
+ * @param {Object} start - Start water cell { lat, lon }
+ * @param {Object} goal - Goal water cell { lat, lon }
+ * @param {Array} cells - Water cells of the corridor
+ * @param {number} resolution - Grid resolution (degrees)
+ * @param {Object} options - { vessel (VESSEL_SPECS), speedKnots, mode (fuel model) }
+ * @param {Object} hooks - { timeline (VoyageTimeline), constraints (hard limits, parseConstraints), onProgress, throwIfCancelled }
+ * @returns {Promise<Object>} { routes: [{ objectives: { distanceKm, fuelTons, exposureHours, durationHours }, path }], stats }
+ *   (routes empty when the goal cannot be reached)
+ */
+async function paretoSearch(start, goal, cells, resolution, options = {}, hooks = {}) {
+  const startedAt = Date.now();
+  const objectives = new RouteObjectives(options);
+  const timeline = hooks.timeline || null;
+  const cellIndex = buildCellIndex(cells, resolution);
+  const constraints = new ConstraintSet(hooks.constraints, cellIndex, resolution, [start, goal]);
+
+  const startKey = cellIndex.indexOf(start.lat, start.lon);
+  const goalKey = cellIndex.indexOf(goal.lat, goal.lon);
+  if (startKey === -1 || goalKey === -1) {
+    return { routes: [], stats: { labelsCreated: 0, labelsExpanded: 0, computeMs: Date.now() - startedAt } };
+  }
+
+  // Lower bound of what is left: the great-circle distance at the lowest fuel rate (calm weather,
+  // strongest fair current), no exposure
+  const heuristic = (cell) => {
+    const km = calculateDistance(cell.lat, cell.lon, goal.lat, goal.lon);
+    return { distanceKm: km, fuelTons: km * objectives.minFuelPerKm, exposureHours: 0 };
+  };
+
+  // Neighbours depend only on the cell: computed once per cell
+  const neighbourCache = new Map();
+  const neighboursOf = (key, cell) => {
+    if (!neighbourCache.has(key)) {
+      neighbourCache.set(key, getNeighbors(cell, cellIndex, resolution));
+    }
+    return neighbourCache.get(key);
+  };
+
+  const zero = { distanceKm: 0, fuelTons: 0, exposureHours: 0 };
+  const labelsAt = new Map(); // cell key -> live labels (open or expanded)
+  const open = new BinaryHeap();
+  const solutions = [];
+  let labelsCreated = 0;
+  let labelsExpanded = 0;
+  let truncated = false;
+
+  const startLabel = { id: labelsCreated++, key: startKey, cell: start, g: zero, hours: 0, parent: null, leg: null };
+  labelsAt.set(startKey, [startLabel]);
+  open.push(startLabel.id, startLabel, objectives.cost(heuristic(start), QUEUE_WEIGHTS));
+
+  while (!open.isEmpty()) {
+    if (labelsExpanded > 0 && labelsExpanded % PROGRESS_INTERVAL === 0) {
+      if (hooks.onProgress) {
+        const frontier = open.peek().value.cell;
+        hooks.onProgress({
+          cellsExpanded: labelsExpanded,
+          remainingKm: calculateDistance(frontier.lat, frontier.lon, goal.lat, goal.lon),
+          totalKm: calculateDistance(start.lat, start.lon, goal.lat, goal.lon)
+        });
+      }
+      await new Promise(resolve => setImmediate(resolve));
+      if (hooks.throwIfCancelled) {
+        hooks.throwIfCancelled();
+      }
+    }
+
+    const { value: label } = open.pop();
+    if (label.dead) continue;
+    labelsExpanded++;
+
+    if (label.key === goalKey) {
+      solutions.push(label);
+      continue;
+    }
+
+    // Weather and current when the ship leaves the cell: the forecast at that time, else the stored weather
+    const weather = timeline
+      ? timeline.weatherAt(label.cell, label.hours)
+      : label.cell.weather || label.cell.weatherData;
+    const position = {
+      lat: label.cell.lat,
+      lon: label.cell.lon,
+      time: timeline ? timeline.timeAt(label.hours) : Date.now()
+    };
+
+    for (const neighbour of neighboursOf(label.key, label.cell)) {
+      const key = cellIndex.indexOf(neighbour.lat, neighbour.lon);
+      const distance = calculateDistance(label.cell.lat, label.cell.lon, neighbour.lat, neighbour.lon);
+      const leg = objectives.leg(distance, weather, calculateHeading(label.cell.lat, label.cell.lon, neighbour.lat, neighbour.lon), position);
+      if (constraints.active) {
+        const arrivalWeather = timeline
+          ? timeline.weatherAt(neighbour, label.hours + leg.hours)
+          : neighbour.weather || neighbour.weatherData;
+        if (!constraints.allows(neighbour, arrivalWeather)) continue; // Breaks a hard limit
+      }
+      const g = addObjectives(label.g, leg);
+      const f = addObjectives(g, heuristic(neighbour));
+
+      // Pruned by a route already found, or by a label already at this cell
+      if (solutions.some(solution => dominates(solution.g, f, EPSILON))) continue;
+      const existing = labelsAt.get(key) || [];
+      if (existing.some(other => dominates(other.g, g, EPSILON))) continue;
+
+      // Labels the new one beats are no longer worth expanding
+      const kept = existing.filter(other => {
+        if (dominates(g, other.g)) {
+          other.dead = true;
+          return false;
+        }
+        return true;
+      });
+      if (kept.length >= MAX_LABELS_PER_CELL) continue;
+
+      const next = { id: labelsCreated++, key, cell: neighbour, g, hours: label.hours + leg.hours, parent: label, leg };
+      kept.push(next);
+      labelsAt.set(key, kept);
+      open.push(next.id, next, objectives.cost(f, QUEUE_WEIGHTS));
+    }
+
+    if (labelsCreated > MAX_LABELS) {
+      truncated = true;
+      console.warn(`⚠️  Pareto search stopped at ${MAX_LABELS} labels: front may be incomplete`);
+      break;
+    }
+  }
+
+  // Paths: each point keeps the speeds and current of the leg that leaves it
+  const routes = solutions.map(solution => {
+    const chain = [];
+    for (let label = solution; label; label = label.parent) {
+      chain.unshift(label);
+    }
+    const path = chain.map((label, index) => {
+      const outgoing = chain[index + 1]?.leg;
+      return {
+        lat: label.cell.lat,
+        lon: label.cell.lon,
+        weather: label.cell.weather || label.cell.weatherData || null,
+        ...(Number.isFinite(label.cell.depth) && { depth: label.cell.depth }),
+        ...(outgoing && {
+          speedKnots: parseFloat(outgoing.speedKnots.toFixed(2)),
+          speedThroughWaterKnots: parseFloat(outgoing.throughWaterKnots.toFixed(2)),
+          speedLossPercent: outgoing.speedLossPercent,
+          ...describeCurrent(outgoing.current)
+        }),
+        ...(timeline ? timeline.describe(label.cell, label.hours) : { etaHours: parseFloat(label.hours.toFixed(2)) })
+      };
+    });
+    return { objectives: roundObjectives(solution.g, solution.hours), path };
+  });
+
+  const front = paretoFront(routes);
+  console.log(`🎯 Pareto search: ${front.length} non-dominated routes (${labelsExpanded} labels expanded, ${Date.now() - startedAt}ms)`);
+  return {
+    routes: front,
+    stats: {
+      labelsCreated,
+      labelsExpanded,
+      solutions: solutions.length,
+      cellsExcluded: constraints.excluded,
+      epsilon: EPSILON,
+      maxLabelsPerCell: MAX_LABELS_PER_CELL,
+      truncated,
+      computeMs: Date.now() - startedAt
+    }
+  };
+}
+
+module.exports = {
+  paretoSearch
+};
@@ -1,26 +1,99 @@
 /**
  * Parse Indian Ocean Ports CSV and generate ports database
  * Filters only ports in the Indian Ocean region
+ *
+ * Usage:
+ *   node parsePortsCSV.js           # CSV -> indianOceanPorts.json (all Indian Ocean ports)
+ *   node parsePortsCSV.js enrich    # add the CSV's port attributes to the ports already in indianOceanPorts.json
  */
 
 const fs = require('fs');
 const path = require('path');
 
-function parseCSV() {
-  console.log('📊 Parsing Indian Ocean Ports CSV file...\n');
+const CSV_PATH = path.join(__dirname, '..', 'Indian Ocean Ports Data-updated.csv');
+const PORTS_JSON_PATH = path.join(__dirname, 'indianOceanPorts.json');
 
-  const csvPath = path.join(__dirname, '..', 'Indian Ocean Ports Data-updated.csv');
-  
-  if (!fs.existsSync(csvPath)) {
-    console.error('❌ CSV file not found:', csvPath);
+/**
+ * World Port Index measurement in meters; the CSV has 0 where a value is not reported
+ */
+function wpiMeters(value) {
+  const meters = parseFloat(value);
+  return Number.isFinite(meters) && meters > 0 ? meters : null;
+}
+
+/**
+ * Port attributes kept from the World Port Index columns (null when not reported)
+ */
+function portAttributes(values, columns) {
+  const text = index => (index >= 0 && values[index] ? values[index].replace(/^"|"$/g, '').trim() : '');
+  const unLocode = text(columns.unLocode).replace(/\s+/g, '');
+  return {
+    portNumber: parseInt(text(columns.portNumber), 10) || null,
+    unLocode: unLocode || null,
+    alternateName: text(columns.alternateName) || null,
+    tidalRangeMeters: wpiMeters(text(columns.tidalRange)),
+    entranceWidthMeters: wpiMeters(text(columns.entranceWidth)),
+    channelDepthMeters: wpiMeters(text(columns.channelDepth))
+  };
+}
+
+/**
+ * Column indices of the World Port Index attributes in the CSV header
+ */
+function attributeColumns(header) {
+  return {
+    portNumber: header.findIndex(h => h.includes('Port Number')),
+    unLocode: header.findIndex(h => h.includes('UN/LOCODE')),
+    alternateName: header.findIndex(h => h.includes('Alternate Port Name')),
+    tidalRange: header.findIndex(h => h.includes('Tidal Range')),
+    entranceWidth: header.findIndex(h => h.includes('Entrance Width')),
+    channelDepth: header.findIndex(h => h.includes('Channel Depth'))
+  };
+}
+
+function splitCSVLine(line) {
+  // Split by comma but handle quoted fields
+  return line.split(/,(?=(?:(?:[^"]*"){2})*[^"]*$)/);
+}
+
+function readCSV() {
+  if (!fs.existsSync(CSV_PATH)) {
+    console.error('❌ CSV file not found:', CSV_PATH);
     process.exit(1);
   }
+  return fs.readFileSync(CSV_PATH, 'utf8');
+}
+
+// Indian Ocean keywords to filter
+const INDIAN_OCEAN_KEYWORDS = [
+  'Indian Ocean',
+  'Andaman Sea',
+  'Arabian Sea',
+  'Bay of Bengal',
+  'Red Sea',
+  'Persian Gulf',
+  'Gulf of Aden',
+  'Mozambique Channel',
+  'Teluk Bone',
+  'Banda Sea'
+];
+
+// Countries in Indian Ocean region
+const INDIAN_OCEAN_COUNTRIES = [
+  'India', 'Indonesia', 'Burma', 'Thailand', 'Malaysia', 'Singapore',
+  'Sri Lanka', 'Maldives', 'Bangladesh', 'Pakistan', 'Oman', 'Yemen',
+  'Somalia', 'Kenya', 'Tanzania', 'Mozambique', 'South Africa',
+  'Madagascar', 'Mauritius', 'Seychelles', 'Comoros', 'Australia',
+  'Saudi Arabia', 'United Arab Emirates', 'Iran', 'Iraq', 'Kuwait',
+  'Bahrain', 'Qatar', 'Djibouti', 'Eritrea', 'Sudan', 'Egypt'
+];
 
-  const csvContent = fs.readFileSync(csvPath, 'utf8');
+/**
+ * Ports of a World Port Index CSV: every row with a name, country and position
+ */
+function readPortRows(csvContent) {
   const lines = csvContent.split('\n');
-  
-  console.log(`✅ Found ${lines.length} total rows in CSV file\n`);
-  
+
   // Parse header
   const header = lines[0].split(',');
   const portNameIndex = header.findIndex(h => h.includes('Main Port Name'));
@@ -29,51 +102,23 @@ function parseCSV() {
   const waterBodyIndex = header.findIndex(h => h.includes('World Water Body'));
   const latIndex = header.findIndex(h => h.includes('Latitude'));
   const lonIndex = header.findIndex(h => h.includes('Longitude'));
+  const columns = attributeColumns(header);
 
-  console.log('📍 Column indices:');
-  console.log(`   Port Name: ${portNameIndex}`);
-  console.log(`   Country: ${countryIndex}`);
-  console.log(`   Region: ${regionIndex}`);
-  console.log(`   Water Body: ${waterBodyIndex}`);
-  console.log(`   Latitude: ${latIndex}`);
-  console.log(`   Longitude: ${lonIndex}\n`);
-
-  // Indian Ocean keywords to filter
-  const indianOceanKeywords = [
-    'Indian Ocean',
-    'Andaman Sea',
-    'Arabian Sea',
-    'Bay of Bengal',
-    'Red Sea',
-    'Persian Gulf',
-    'Gulf of Aden',
-    'Mozambique Channel',
-    'Teluk Bone',
-    'Banda Sea'
-  ];
-
-  // Countries in Indian Ocean region
-  const indianOceanCountries = [
-    'India', 'Indonesia', 'Burma', 'Thailand', 'Malaysia', 'Singapore',
-    'Sri Lanka', 'Maldives', 'Bangladesh', 'Pakistan', 'Oman', 'Yemen',
-    'Somalia', 'Kenya', 'Tanzania', 'Mozambique', 'South Africa',
-    'Madagascar', 'Mauritius', 'Seychelles', 'Comoros', 'Australia',
-    'Saudi Arabia', 'United Arab Emirates', 'Iran', 'Iraq', 'Kuwait',
-    'Bahrain', 'Qatar', 'Djibouti', 'Eritrea', 'Sudan', 'Egypt'
-  ];
+  if (portNameIndex < 0 || latIndex < 0 || lonIndex < 0) {
+    const error = new Error('Not a World Port Index CSV: Main Port Name, Latitude and Longitude columns are required');
+    error.statusCode = 400;
+    throw error;
+  }
 
   const ports = [];
-  let validCount = 0;
-  let skipCount = 0;
 
   // Parse data rows (skip header)
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i].trim();
     if (!line) continue;
 
-    // Split by comma but handle quoted fields
-    const values = line.split(/,(?=(?:(?:[^"]*"){2})*[^"]*$)/);
-    
+    const values = splitCSVLine(line);
+
     const portName = values[portNameIndex]?.trim();
     const country = values[countryIndex]?.trim();
     const region = values[regionIndex]?.trim() || '';
@@ -81,31 +126,50 @@ function parseCSV() {
     const lat = parseFloat(values[latIndex]);
     const lon = parseFloat(values[lonIndex]);
 
-    // Filter for Indian Ocean ports
-    const isIndianOcean = 
-      indianOceanKeywords.some(keyword => waterBody.includes(keyword)) ||
-      indianOceanCountries.some(c => country?.includes(c));
+    if (!portName || !country || isNaN(lat) || isNaN(lon)) continue;
+
+    ports.push({
+      name: portName,
+      country: country,
+      region: region || waterBody || 'Indian Ocean',
+      lat: lat,
+      lon: lon,
+      waterBody: waterBody,
+      ...portAttributes(values, columns)
+    });
+  }
 
-    // Additional coordinate filter for Indian Ocean region
-    const inIndianOceanCoords = (
-      lat >= -38.4 && lat <= 30.58 &&
-      lon >= 22.15 && lon <= 142.48
-    );
+  return ports;
+}
 
-    if (portName && country && !isNaN(lat) && !isNaN(lon) && (isIndianOcean || inIndianOceanCoords)) {
-      ports.push({
-        name: portName,
-        country: country,
-        region: region || waterBody || 'Indian Ocean',
-        lat: lat,
-        lon: lon,
-        waterBody: waterBody
-      });
-      validCount++;
-    } else {
-      skipCount++;
-    }
-  }
+/**
+ * Whether a port is in the Indian Ocean region: by water body or country, or within the coordinates
+ */
+function isIndianOceanPort(port) {
+  const isIndianOcean =
+    INDIAN_OCEAN_KEYWORDS.some(keyword => port.waterBody.includes(keyword)) ||
+    INDIAN_OCEAN_COUNTRIES.some(c => port.country.includes(c));
+
+  // Additional coordinate filter for Indian Ocean region
+  const inIndianOceanCoords = (
+    port.lat >= -38.4 && port.lat <= 30.58 &&
+    port.lon >= 22.15 && port.lon <= 142.48
+  );
+
+  return isIndianOcean || inIndianOceanCoords;
+}
+
+function parseCSV() {
+  console.log('📊 Parsing Indian Ocean Ports CSV file...\n');
+
+  const csvContent = readCSV();
+  const rows = readPortRows(csvContent);
+
+  console.log(`✅ Found ${rows.length} ports in CSV file\n`);
+
+  const ports = rows.filter(isIndianOceanPort);
+  const validCount = ports.length;
+  const skipCount = rows.length - ports.length;
 
   console.log(`\n📊 Processing Results:`);
   console.log(`   Indian Ocean ports: ${validCount}`);
@@ -125,108 +189,8 @@ function parseCSV() {
     console.log(`   ${country}: ${byCountry[country].length} ports`);
   });
 
-  // Generate JavaScript module
-  const jsContent = `/**
- * Indian Ocean Ports Database
- * Generated from Indian Ocean Ports Data-updated.csv
- * Filtered for Indian Ocean region only
- * Total ports: ${validCount}
- * Coverage: Latitude -38.4° to 30.58°, Longitude 22.15° to 142.48°
- * Generated: ${new Date().toISOString()}
- */
-
-const INDIAN_OCEAN_PORTS = ${JSON.stringify(ports, null, 2)};
-
-// Helper functions
-function getAllPorts() {
-  return INDIAN_OCEAN_PORTS;
-}
-
-function getPortsByCountry(country) {
-  return INDIAN_OCEAN_PORTS.filter(port => 
-    port.country.toLowerCase() === country.toLowerCase()
-  );
-}
-
-function getPortsByRegion(region) {
-  return INDIAN_OCEAN_PORTS.filter(port => 
-    port.region.toLowerCase().includes(region.toLowerCase()) ||
-    port.waterBody.toLowerCase().includes(region.toLowerCase())
-  );
-}
-
-function searchPorts(query) {
-  const lowerQuery = query.toLowerCase();
-  return INDIAN_OCEAN_PORTS.filter(port =>
-    port.name.toLowerCase().includes(lowerQuery) ||
-    port.country.toLowerCase().includes(lowerQuery) ||
-    port.region.toLowerCase().includes(lowerQuery) ||
-    port.waterBody.toLowerCase().includes(lowerQuery)
-  );
-}
-
-function getCountries() {
-  const countries = [...new Set(INDIAN_OCEAN_PORTS.map(p => p.country))];
-  return countries.sort();
-}
-
-function getRegions() {
-  const regions = [...new Set(INDIAN_OCEAN_PORTS.map(p => p.region))];
-  return regions.filter(r => r).sort();
-}
-
-function findNearestPort(lat, lon, maxResults = 10) {
-  // Calculate distance using Haversine formula
-  const toRad = (deg) => (deg * Math.PI) / 180;
-  
-  const portsWithDistance = INDIAN_OCEAN_PORTS.map(port => {
-    const R = 6371; // Earth's radius in km
-    const dLat = toRad(port.lat - lat);
-    const dLon = toRad(port.lon - lon);
-    const a = 
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(toRad(lat)) * Math.cos(toRad(port.lat)) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c;
-    
-    return { ...port, distance: distance.toFixed(2) };
-  });
-
-  return portsWithDistance
-    .sort((a, b) => parseFloat(a.distance) - parseFloat(b.distance))
-    .slice(0, maxResults);
-}
-
-function getPortByName(name) {
-  return INDIAN_OCEAN_PORTS.find(port => 
-    port.name.toLowerCase() === name.toLowerCase()
-  );
-}
-
-module.exports = {
-  INDIAN_OCEAN_PORTS,
-  getAllPorts,
-  getPortsByCountry,
-  getPortsByRegion,
-  searchPorts,
-  getCountries,
-  getRegions,
-  findNearestPort,
-  getPortByName
-};
-`;
-
-  // Save to file
-  const outputPath = path.join(__dirname, 'indianOceanPorts.js');
-  fs.writeFileSync(outputPath, jsContent);
-  
-  console.log(`\n✅ Generated: ${outputPath}`);
-  console.log(`   Total ports: ${validCount}`);
-  console.log(`   Countries: ${Object.keys(byCountry).length}\n`);
-
-  // Save JSON version
-  const jsonOutputPath = path.join(__dirname, 'indianOceanPorts.json');
+  // Save JSON version (indianOceanPorts.js loads it)
+  const jsonOutputPath = PORTS_JSON_PATH;
   fs.writeFileSync(jsonOutputPath, JSON.stringify({
     metadata: {
       totalPorts: validCount,
@@ -248,8 +212,55 @@ module.exports = {
   return ports;
 }
 
+/**
+ * Add the CSV's World Port Index attributes to the ports in indianOceanPorts.json, keeping its port
+ * list (ports removed from it after generation stay removed). Rows match by name and position.
+ */
+function enrichPortsFile() {
+  console.log('📊 Adding port attributes from the CSV to indianOceanPorts.json...\n');
+
+  const rowsByName = new Map();
+  for (const row of readPortRows(readCSV())) {
+    const name = row.name.toLowerCase();
+    if (!rowsByName.has(name)) rowsByName.set(name, []);
+    rowsByName.get(name).push(row);
+  }
+
+  const data = JSON.parse(fs.readFileSync(PORTS_JSON_PATH, 'utf8'));
+  let matched = 0;
+  const unmatched = [];
+  data.ports = data.ports.map(port => {
+    const candidates = rowsByName.get(port.name.toLowerCase()) || [];
+    const row = candidates.find(candidate =>
+      Math.abs(candidate.lat - port.lat) < 0.01 && Math.abs(candidate.lon - port.lon) < 0.01
+    );
+    if (!row) {
+      unmatched.push(port.name);
+      return port;
+    }
+    matched++;
+    const { name, country, region, lat, lon, waterBody, ...attributes } = row;
+    return { ...port, ...attributes };
+  });
+
+  data.metadata.attributes = ['portNumber', 'unLocode', 'alternateName', 'tidalRangeMeters', 'entranceWidthMeters', 'channelDepthMeters'];
+  data.metadata.enrichedAt = new Date().toISOString();
+  fs.writeFileSync(PORTS_JSON_PATH, JSON.stringify(data, null, 2));
+
+  const reported = field => data.ports.filter(port => port[field] !== null && port[field] !== undefined).length;
+  console.log(`✅ Matched ${matched}/${data.ports.length} ports`);
+  console.log(`   Channel depth: ${reported('channelDepthMeters')}, entrance width: ${reported('entranceWidthMeters')}, UN/LOCODE: ${reported('unLocode')}`);
+  if (unmatched.length > 0) {
+    console.log(`⚠️  Not found in the CSV: ${unmatched.join(', ')}`);
+  }
+  console.log(`✅ Updated: ${PORTS_JSON_PATH}\n`);
+  return data.ports;
+}
+
 // Run if called directly
-if (require.main === module) {
+if (require.main === module && process.argv[2] === 'enrich') {
+  enrichPortsFile();
+} else if (require.main === module) {
   console.log('═══════════════════════════════════════════════════');
   console.log('   📊 INDIAN OCEAN PORTS CSV PARSER');
   console.log('═══════════════════════════════════════════════════\n');
@@ -269,4 +280,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { parseCSV };
+module.exports = { parseCSV, enrichPortsFile, readPortRows, isIndianOceanPort };
@@ -0,0 +1,217 @@
+/**
+ * 🚩 VIA-POINTS AND GATES
+ * Places a single route must pass, in order, without stopping (unlike port calls):
+ *   via-point: { lat, lon, name?, radiusKm? } - pass within radiusKm of the point
+ *   gate:      { type: 'gate', name?, line: [{ lat, lon }, { lat, lon }, ...] } - cross the line
+ *              e.g. "pass south of Dondra Head" is a line from the headland due south,
+ *              "enter the Malacca TSS" is a line across the lane entrance
+ * GeoJSON Point / LineString features are accepted too (properties: name, radiusKm)
+ */
+
+const { haversineDistance } = require('./costFunction');
+
+const DEFAULT_VIA_RADIUS_KM = 30;
+const KM_PER_DEGREE = 111.32;
+
+function invalid(index, message) {
+  const error = new Error(`via[${index}]: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+function toPoint(value) {
+  const point = Array.isArray(value) ? { lat: value[1], lon: value[0] } : value;
+  if (!point || !Number.isFinite(Number(point.lat)) || !Number.isFinite(Number(point.lon))) {
+    return null;
+  }
+  return { lat: Number(point.lat), lon: Number(point.lon) };
+}
+
+/**
+ * Validate and normalise the request's via list
+ * @returns {Array} [{ order, type: 'via' | 'gate', name, point, radiusKm } | { order, type, name, line }]
+ */
+function parsePassages(input) {
+  if (!input) return [];
+  const items = input.type === 'FeatureCollection' ? input.features || [] : input;
+  if (!Array.isArray(items)) {
+    throw invalid(0, 'via must be an array of via-points and gates');
+  }
+
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw invalid(index, 'must be an object');
+    }
+    const isFeature = item.type === 'Feature';
+    const properties = (isFeature ? item.properties : item) || {};
+    const geometry = isFeature ? item.geometry || {} : null;
+    const name = properties.name || null;
+
+    const isGate = geometry ? geometry.type === 'LineString' : item.type === 'gate' || Array.isArray(item.line);
+    if (isGate) {
+      const raw = geometry ? geometry.coordinates : item.line || [item.from, item.to];
+      const line = (raw || []).map(toPoint);
+      if (line.length < 2 || line.some(point => !point)) {
+        throw invalid(index, 'a gate needs a line of at least 2 points { lat, lon }');
+      }
+      return { order: index, type: 'gate', name: name || `Gate ${index + 1}`, line };
+    }
+
+    const point = toPoint(geometry ? geometry.coordinates : item);
+    if (!point) {
+      throw invalid(index, 'a via-point needs { lat, lon }');
+    }
+    const radiusKm = Number(properties.radiusKm ?? DEFAULT_VIA_RADIUS_KM);
+    if (!(radiusKm > 0)) {
+      throw invalid(index, 'radiusKm must be a positive number');
+    }
+    return { order: index, type: 'via', name: name || `Via ${index + 1}`, point, radiusKm };
+  });
+}
+
+/**
+ * All coordinates of the passages (to widen the search corridor)
+ */
+function passagePoints(passages) {
+  return passages.flatMap(passage => passage.type === 'gate' ? passage.line : [passage.point]);
+}
+
+/**
+ * Closest point of segment from -> to to a point, in a local km plane: { t, distanceKm }
+ */
+function closestOnSegment(point, from, to) {
+  const scale = Math.cos(point.lat * Math.PI / 180) * KM_PER_DEGREE;
+  const ax = (from.lon - point.lon) * scale;
+  const ay = (from.lat - point.lat) * KM_PER_DEGREE;
+  const bx = (to.lon - point.lon) * scale;
+  const by = (to.lat - point.lat) * KM_PER_DEGREE;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+  return { t, distanceKm: Math.hypot(ax + t * dx, ay + t * dy) };
+}
+
+/**
+ * Where segment a1 -> a2 crosses segment b1 -> b2, as a fraction of a1 -> a2 (null if it does not)
+ */
+function segmentCrossing(a1, a2, b1, b2) {
+  const rx = a2.lon - a1.lon;
+  const ry = a2.lat - a1.lat;
+  const sx = b2.lon - b1.lon;
+  const sy = b2.lat - b1.lat;
+  const denominator = rx * sy - ry * sx;
+  if (denominator === 0) return null; // Parallel
+
+  const qx = b1.lon - a1.lon;
+  const qy = b1.lat - a1.lat;
+  const t = (qx * sy - qy * sx) / denominator;
+  const u = (qx * ry - qy * rx) / denominator;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+/**
+ * Whether a step from -> to passes a passage; returns the fraction along the step or null
+ * @param {number} toleranceKm - via-points count as reached within max(radiusKm, toleranceKm),
+ *   so a point between grid cells stays reachable
+ */
+function passageCrossing(passage, from, to, toleranceKm = 0) {
+  if (passage.type === 'via') {
+    const { t, distanceKm } = closestOnSegment(passage.point, from, to);
+    return distanceKm <= Math.max(passage.radiusKm, toleranceKm) ? t : null;
+  }
+
+  let first = null;
+  for (let i = 1; i < passage.line.length; i++) {
+    const t = segmentCrossing(from, to, passage.line[i - 1], passage.line[i]);
+    if (t !== null && (first === null || t < first)) first = t;
+  }
+  return first;
+}
+
+/**
+ * Tolerance for via-points on a grid: half a cell diagonal
+ */
+function gridToleranceKm(resolution) {
+  return resolution * KM_PER_DEGREE * Math.SQRT2 / 2;
+}
+
+/**
+ * Where a finished path passes each passage, in order
+ * @returns {Array} per passage: { order, type, name, reached, waypointIndex, point, distanceFromStartKm }
+ */
+function locatePassages(path, passages, toleranceKm = 0) {
+  const located = [];
+  let next = 0;
+  let distance = 0;
+
+  for (let i = 1; i < path.length && next < passages.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    const legKm = haversineDistance(from.lat, from.lon, to.lat, to.lon);
+
+    let t;
+    let after = 0;
+    while (next < passages.length && (t = passageCrossing(passages[next], from, to, toleranceKm)) !== null && t >= after) {
+      const passage = passages[next];
+      located.push({
+        order: passage.order,
+        type: passage.type,
+        name: passage.name,
+        reached: true,
+        waypointIndex: i,
+        point: {
+          lat: parseFloat((from.lat + (to.lat - from.lat) * t).toFixed(4)),
+          lon: parseFloat((from.lon + (to.lon - from.lon) * t).toFixed(4))
+        },
+        distanceFromStartKm: parseFloat((distance + legKm * t).toFixed(2))
+      });
+      after = t;
+      next++;
+    }
+    distance += legKm;
+  }
+
+  for (; next < passages.length; next++) {
+    const { order, type, name } = passages[next];
+    located.push({ order, type, name, reached: false, waypointIndex: null, point: null, distanceFromStartKm: null });
+  }
+  return located;
+}
+
+/**
+ * Add arrival times to located passages, interpolated along the leg they lie on between the
+ * hours since departure at its two waypoints (so they agree with the waypoint ETAs)
+ * @param {Array} path - the path the passages were located on
+ * @param {Array<number>} waypointHours - hours since departure at each path point
+ * @param {Date|string} departureTime
+ */
+function withArrivalTimes(located, path, waypointHours, departureTime) {
+  const departure = new Date(departureTime);
+  return located.map(passage => {
+    if (!passage.reached) return { ...passage, etaHours: null, eta: null };
+    const from = path[passage.waypointIndex - 1];
+    const to = path[passage.waypointIndex];
+    const legKm = haversineDistance(from.lat, from.lon, to.lat, to.lon);
+    const fraction = legKm > 0
+      ? Math.min(1, haversineDistance(from.lat, from.lon, passage.point.lat, passage.point.lon) / legKm)
+      : 0;
+    const startHours = waypointHours[passage.waypointIndex - 1];
+    const etaHours = startHours + (waypointHours[passage.waypointIndex] - startHours) * fraction;
+    return {
+      ...passage,
+      etaHours: parseFloat(etaHours.toFixed(2)),
+      eta: new Date(departure.getTime() + etaHours * 3600000).toISOString()
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_VIA_RADIUS_KM,
+  parsePassages,
+  passagePoints,
+  passageCrossing,
+  gridToleranceKm,
+  locatePassages,
+  withArrivalTimes
+};
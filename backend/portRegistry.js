@@ -0,0 +1,475 @@
+/**
+ * ⚓ PORT REGISTRY
+ * The ports routes are planned between live in the store (storage/, Port model) with a change
+ * history (PortChange). The first start seeds them from indianOceanPorts.json (active) and
+ * removedPorts.json (deactivated). indianOceanPorts.js keeps a snapshot of them for its
+ * synchronous helpers, refreshed after every change.
+ *
+ * New World Port Index releases are diffed against the stored ports and applied in bulk:
+ *   node portRegistry.js import "Indian Ocean Ports Data-updated.csv"            # show the diff
+ *   node portRegistry.js import "Indian Ocean Ports Data-updated.csv" --apply    # apply it
+ *   node portRegistry.js import release.csv --apply --deactivate-missing         # also retire ports the release dropped
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStore, initStore } = require('./storage');
+const { setPorts } = require('./indianOceanPorts');
+const { readPortRows, isIndianOceanPort } = require('./parsePortsCSV');
+
+const PORTS_FILE = path.join(__dirname, 'indianOceanPorts.json');
+const REMOVED_PORTS_FILE = path.join(__dirname, 'removedPorts.json');
+
+// Fields a port record is made of (all of them come from the World Port Index)
+const PORT_FIELDS = [
+  'name', 'country', 'region', 'waterBody', 'lat', 'lon', 'portNumber', 'unLocode', 'alternateName',
+  'tidalRangeMeters', 'entranceWidthMeters', 'channelDepthMeters'
+];
+const MEASUREMENT_FIELDS = ['tidalRangeMeters', 'entranceWidthMeters', 'channelDepthMeters'];
+
+// A release row within this many degrees of a stored port with the same name is that port
+const SAME_PORT_DEGREES = 0.01;
+
+function requestError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Validated port record (PORT_FIELDS) from request input
+ * @throws {Error} statusCode 400 on a missing or invalid field
+ */
+function normalizePort(input = {}) {
+  const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+  const number = (name, min, max) => {
+    const value = Number(input[name]);
+    if (input[name] === undefined || input[name] === null || input[name] === '' || !Number.isFinite(value) || value < min || value > max) {
+      throw requestError(`${name} must be a number between ${min} and ${max}`);
+    }
+    return value;
+  };
+  const optionalMeters = (name) => {
+    if (input[name] === undefined || input[name] === null || input[name] === '') return null;
+    const value = Number(input[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw requestError(`${name} must be a non-negative number of meters`);
+    }
+    return value || null;
+  };
+
+  const name = text(input.name);
+  const country = text(input.country);
+  if (!name) throw requestError('name is required');
+  if (!country) throw requestError('country is required');
+
+  const unLocode = text(input.unLocode).replace(/\s+/g, '').toUpperCase();
+  if (unLocode && !/^[A-Z]{2}[A-Z0-9]{3}$/.test(unLocode)) {
+    throw requestError('unLocode must be a 5-character UN/LOCODE, e.g. INBOM');
+  }
+  const portNumber = text(input.portNumber);
+  if (portNumber && !/^\d+$/.test(portNumber)) {
+    throw requestError('portNumber must be a World Port Index number');
+  }
+
+  const waterBody = text(input.waterBody);
+  const port = {
+    name,
+    country,
+    region: text(input.region) || waterBody || 'Indian Ocean',
+    waterBody,
+    lat: number('lat', -90, 90),
+    lon: number('lon', -180, 180),
+    portNumber: portNumber ? Number(portNumber) : null,
+    unLocode: unLocode || null,
+    alternateName: text(input.alternateName) || null
+  };
+  for (const field of MEASUREMENT_FIELDS) {
+    port[field] = optionalMeters(field);
+  }
+  return port;
+}
+
+/**
+ * Fields that differ between two port records: { field: { from, to } }
+ */
+function diffPort(before, after, fields = PORT_FIELDS) {
+  const changes = {};
+  for (const field of fields) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (from !== to) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+function pickFields(port) {
+  return Object.fromEntries(PORT_FIELDS.map(field => [field, port[field] ?? null]));
+}
+
+function changeUser(user) {
+  return user ? { id: user._id, email: user.email } : undefined;
+}
+
+function notFound(id) {
+  return requestError(`Port not found: ${id}`, 404);
+}
+
+/**
+ * Ports of the first start: the dataset's ports, and the ones removed from it as deactivated
+ */
+function seedPortRecords() {
+  const ports = JSON.parse(fs.readFileSync(PORTS_FILE, 'utf8')).ports.map(port => ({
+    ...normalizePort(port),
+    active: true,
+    source: path.basename(PORTS_FILE)
+  }));
+
+  if (fs.existsSync(REMOVED_PORTS_FILE)) {
+    const removed = JSON.parse(fs.readFileSync(REMOVED_PORTS_FILE, 'utf8'));
+    for (const port of removed.removedPorts || []) {
+      ports.push({
+        ...normalizePort(port),
+        active: false,
+        deactivatedReason: port.lon > 105
+          ? 'East Asian port (lon > 105°E), outside the routed region'
+          : removed.metadata?.reason || 'Removed from the port dataset',
+        source: path.basename(REMOVED_PORTS_FILE)
+      });
+    }
+  }
+  return ports;
+}
+
+/**
+ * Reload indianOceanPorts.js's snapshot from the store
+ */
+async function refreshPorts(store = getStore()) {
+  const ports = await store.listPorts({ includeInactive: true });
+  setPorts(ports);
+  return ports;
+}
+
+/**
+ * Seed the store on first start, then load the snapshot (server start-up)
+ */
+async function loadPorts(store = getStore()) {
+  if (await store.countPorts() === 0) {
+    const seeded = await store.insertPorts(seedPortRecords());
+    console.log(`⚓ Seeded ${seeded.length} ports (${seeded.filter(port => port.active).length} active) from ${path.basename(PORTS_FILE)} and ${path.basename(REMOVED_PORTS_FILE)}`);
+  }
+  const ports = await refreshPorts(store);
+  console.log(`⚓ Port registry: ${ports.filter(port => port.active).length} active ports`);
+  return ports;
+}
+
+async function findActiveByName(store, name, exceptId) {
+  const ports = await store.listPorts();
+  return ports.find(port =>
+    port.name.toLowerCase() === name.toLowerCase() && String(port._id) !== String(exceptId)
+  );
+}
+
+async function getExistingPort(store, id) {
+  const port = await store.getPortById(id);
+  if (!port) throw notFound(id);
+  return port;
+}
+
+/**
+ * Add a port; another active port of the same name is a conflict (409)
+ */
+async function createPort(input, user, store = getStore()) {
+  const fields = normalizePort(input);
+  if (await findActiveByName(store, fields.name)) {
+    throw requestError(`An active port named "${fields.name}" already exists`, 409);
+  }
+
+  const [port] = await store.insertPorts([{ ...fields, active: true, source: 'api', createdBy: user?._id }]);
+  await store.addPortChanges([{
+    portId: port._id,
+    portName: port.name,
+    action: 'create',
+    changes: diffPort({}, fields),
+    user: changeUser(user)
+  }]);
+  await refreshPorts(store);
+  return port;
+}
+
+/**
+ * Change a port's fields (those sent replace the stored ones); active: true reactivates it
+ */
+async function updatePort(id, input, user, store = getStore()) {
+  const existing = await getExistingPort(store, id);
+  const fields = normalizePort({ ...pickFields(existing), ...input });
+  const reactivate = input.active === true && !existing.active;
+  if ((existing.active || reactivate) && await findActiveByName(store, fields.name, existing._id)) {
+    throw requestError(`An active port named "${fields.name}" already exists`, 409);
+  }
+
+  const changes = diffPort(existing, fields);
+  if (Object.keys(changes).length === 0 && !reactivate) {
+    return { port: existing, changes };
+  }
+
+  const port = await store.updatePort(existing._id, {
+    ...fields,
+    ...(reactivate && { active: true, deactivatedReason: null, mergedInto: null }),
+    updatedBy: user?._id
+  });
+  await store.addPortChanges([{
+    portId: port._id,
+    portName: port.name,
+    action: reactivate ? 'reactivate' : 'update',
+    changes,
+    user: changeUser(user)
+  }]);
+  await refreshPorts(store);
+  return { port, changes };
+}
+
+/**
+ * Take a port out of use; it stays stored (and in its history) and can be reactivated
+ */
+async function deactivatePort(id, reason, user, store = getStore()) {
+  const existing = await getExistingPort(store, id);
+  if (!existing.active) {
+    throw requestError(`Port "${existing.name}" is already inactive`, 409);
+  }
+
+  const port = await store.updatePort(existing._id, {
+    active: false,
+    deactivatedReason: reason || null,
+    updatedBy: user?._id
+  });
+  await store.addPortChanges([{
+    portId: port._id,
+    portName: port.name,
+    action: 'deactivate',
+    reason: reason || undefined,
+    user: changeUser(user)
+  }]);
+  await refreshPorts(store);
+  return port;
+}
+
+/**
+ * Merge a duplicate port into another: the target keeps its fields and takes the duplicate's
+ * where it has none, the duplicate's name becomes one of its alternate names, and the duplicate
+ * is deactivated (requests naming it are served by the target)
+ */
+async function mergePorts(id, intoId, user, store = getStore()) {
+  if (!intoId) throw requestError('into (the id of the port to merge into) is required');
+  if (String(id) === String(intoId)) throw requestError('A port cannot be merged into itself');
+
+  const duplicate = await getExistingPort(store, id);
+  const target = await getExistingPort(store, intoId);
+  if (!target.active) {
+    throw requestError(`Port "${target.name}" is inactive: merge into an active port`, 409);
+  }
+
+  const merged = pickFields(target);
+  for (const field of PORT_FIELDS) {
+    if (merged[field] === null && duplicate[field] !== null && duplicate[field] !== undefined) {
+      merged[field] = duplicate[field];
+    }
+  }
+  const alternateNames = (merged.alternateName || '').split(';').map(name => name.trim()).filter(Boolean);
+  for (const name of [duplicate.name, ...(duplicate.alternateName || '').split(';').map(n => n.trim())]) {
+    if (name && name.toLowerCase() !== target.name.toLowerCase() && !alternateNames.some(n => n.toLowerCase() === name.toLowerCase())) {
+      alternateNames.push(name);
+    }
+  }
+  merged.alternateName = alternateNames.join('; ') || null;
+
+  const changes = diffPort(target, merged);
+  const port = await store.updatePort(target._id, { ...merged, updatedBy: user?._id });
+  const retired = await store.updatePort(duplicate._id, {
+    active: false,
+    mergedInto: target._id,
+    deactivatedReason: `Merged into ${target.name}`,
+    updatedBy: user?._id
+  });
+  await store.addPortChanges([
+    { portId: retired._id, portName: retired.name, action: 'merge', mergedInto: target._id, user: changeUser(user) },
+    { portId: port._id, portName: port.name, action: 'merge', mergedFrom: duplicate._id, changes, user: changeUser(user) }
+  ]);
+  await refreshPorts(store);
+  return { port, merged: retired, changes };
+}
+
+/**
+ * Difference between a World Port Index release (CSV text) and the stored ports
+ * Rows match stored ports (active or not) by WPI port number, else by name and position; rows
+ * outside the Indian Ocean region that match nothing are skipped, rows that fail validation listed.
+ * @returns {Object} { release, rows, added, updated, missing, invalid, unchanged, skipped }
+ */
+async function diffRelease(csvContent, store = getStore()) {
+  const rows = readPortRows(csvContent);
+  const stored = await store.listPorts({ includeInactive: true });
+
+  const byNumber = new Map();
+  const byName = new Map();
+  for (const port of stored) {
+    if (port.portNumber) byNumber.set(port.portNumber, port);
+    const key = port.name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(port);
+  }
+
+  const added = [];
+  const updated = [];
+  const invalid = [];
+  const seen = new Set();
+  let unchanged = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    let port;
+    try {
+      port = normalizePort(row);
+    } catch (error) {
+      invalid.push({ name: row.name, country: row.country, portNumber: row.portNumber, error: error.message });
+      continue;
+    }
+    // Some WPI numbers appear on more than one row: the name and position decide first
+    const unseen = candidate => candidate && !seen.has(String(candidate._id));
+    const match = (byName.get(port.name.toLowerCase()) || []).find(candidate => unseen(candidate) &&
+        Math.abs(candidate.lat - port.lat) < SAME_PORT_DEGREES && Math.abs(candidate.lon - port.lon) < SAME_PORT_DEGREES
+      ) || (port.portNumber && unseen(byNumber.get(port.portNumber)) && byNumber.get(port.portNumber));
+
+    if (match) {
+      seen.add(String(match._id));
+      // A value the release does not report keeps the stored one (manual edits, merged names)
+      const fields = { ...port };
+      for (const field of PORT_FIELDS) {
+        if (fields[field] === null) fields[field] = match[field] ?? null;
+      }
+      const changes = diffPort(match, fields);
+      if (Object.keys(changes).length > 0) {
+        updated.push({ id: match._id, name: match.name, active: match.active, changes, fields });
+      } else {
+        unchanged++;
+      }
+    } else if (isIndianOceanPort(port)) {
+      added.push(port);
+    } else {
+      skipped++;
+    }
+  }
+
+  const missing = stored
+    .filter(port => port.active && port.portNumber && !seen.has(String(port._id)))
+    .map(port => ({ id: port._id, name: port.name, country: port.country, portNumber: port.portNumber }));
+
+  return {
+    release: crypto.createHash('sha1').update(csvContent).digest('hex').slice(0, 12),
+    rows: rows.length,
+    added,
+    updated,
+    missing,
+    invalid,
+    unchanged,
+    skipped
+  };
+}
+
+/**
+ * Diff a release and, with apply, write it: add the new ports, update the changed ones and (with
+ * deactivateMissing) deactivate active ports the release no longer lists. Every change is recorded
+ * as an 'import' in the history.
+ */
+async function importRelease(csvContent, options = {}, user, store = getStore()) {
+  const { apply = false, deactivateMissing = false, source } = options;
+  const diff = await diffRelease(csvContent, store);
+  const summary = {
+    release: diff.release,
+    rows: diff.rows,
+    applied: Boolean(apply),
+    added: diff.added,
+    updated: diff.updated.map(({ fields, ...change }) => change),
+    missing: diff.missing,
+    invalid: diff.invalid,
+    unchanged: diff.unchanged,
+    skipped: diff.skipped
+  };
+  if (!apply) return summary;
+
+  const label = source || `wpi-${diff.release}`;
+  const changes = [];
+
+  const inserted = await store.insertPorts(diff.added.map(port => ({ ...port, active: true, source: label, createdBy: user?._id })));
+  for (const port of inserted) {
+    changes.push({ portId: port._id, portName: port.name, action: 'import', changes: diffPort({}, port), source: label, user: changeUser(user) });
+  }
+  summary.added = inserted;
+
+  for (const change of diff.updated) {
+    await store.updatePort(change.id, { ...change.fields, source: label, updatedBy: user?._id });
+    changes.push({ portId: change.id, portName: change.fields.name, action: 'import', changes: change.changes, source: label, user: changeUser(user) });
+  }
+
+  if (deactivateMissing) {
+    for (const port of diff.missing) {
+      await store.updatePort(port.id, { active: false, deactivatedReason: `Not in WPI release ${diff.release}`, updatedBy: user?._id });
+      changes.push({ portId: port.id, portName: port.name, action: 'deactivate', reason: `Not in WPI release ${diff.release}`, source: label, user: changeUser(user) });
+    }
+  }
+  summary.deactivated = deactivateMissing ? diff.missing.length : 0;
+
+  await store.addPortChanges(changes);
+  await refreshPorts(store);
+  console.log(`⚓ WPI release ${diff.release}: ${inserted.length} added, ${diff.updated.length} updated, ${summary.deactivated} deactivated`);
+  return summary;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const [command, file] = process.argv.slice(2);
+  const flags = new Set(process.argv.slice(4));
+
+  if (command !== 'import' || !file) {
+    console.log('Usage: node portRegistry.js import <wpi.csv> [--apply] [--deactivate-missing]');
+    process.exit(1);
+  }
+
+  (async () => {
+    const store = await initStore();
+    await loadPorts(store);
+    const summary = await importRelease(fs.readFileSync(file, 'utf8'), {
+      apply: flags.has('--apply'),
+      deactivateMissing: flags.has('--deactivate-missing'),
+      source: path.basename(file)
+    });
+
+    console.log(`\n📊 WPI release ${summary.release} (${summary.rows} rows)`);
+    console.log(`   Added: ${summary.added.length}`);
+    summary.added.slice(0, 20).forEach(port => console.log(`     + ${port.name}, ${port.country} (${port.lat}, ${port.lon})`));
+    console.log(`   Updated: ${summary.updated.length}`);
+    summary.updated.slice(0, 20).forEach(change => console.log(`     ~ ${change.name}: ${Object.keys(change.changes).join(', ')}`));
+    console.log(`   No longer listed: ${summary.missing.length}${flags.has('--deactivate-missing') ? ' (deactivated)' : ''}`);
+    console.log(`   Unchanged: ${summary.unchanged}, outside the region: ${summary.skipped}, invalid rows: ${summary.invalid.length}`);
+    if (!summary.applied) console.log('\n💡 Nothing written: add --apply to import the release');
+
+    await store.close();
+  })().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  PORT_FIELDS,
+  normalizePort,
+  diffPort,
+  loadPorts,
+  refreshPorts,
+  createPort,
+  updatePort,
+  deactivatePort,
+  mergePorts,
+  diffRelease,
+  importRelease
+};
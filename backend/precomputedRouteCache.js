@@ -1,133 +1,259 @@
 /**
  * 🚀 PRECOMPUTED ROUTE CACHE MANAGER
- * Ultra-fast route retrieval for common hub-to-hub segments
- * Eliminates computation time for frequently used routes
+ * Ultra-fast route retrieval for common port-to-port routes
+ * Routes are batch-computed for hub-to-hub and popular port pairs in every mode:
+ *   node precomputedRouteCache.js build      or      POST /api/route/cache/build (admin)
+ * Each entry records the grid version and cost-model version it was built with; entries
+ * built with other versions are stale - never served, and dropped by the next build
+ * Routes and request counts are kept in data/precomputedRoutes.json (under STORAGE_DIR when set),
+ * next to the offline file store - build output, not part of the source tree
  */
 
 const fs = require('fs');
 const path = require('path');
+const { getStore } = require('./storage');
+const { COST_MODEL_VERSION } = require('./costFunction');
+const { DEFAULT_ENGINE } = require('./engines');
+const { findNearestPort, getPortByName } = require('./indianOceanPorts');
+const { ROUTE_MODES } = require('./modePresets');
+
+const CACHE_FILE = path.join(process.env.STORAGE_DIR || path.join(__dirname, 'data'), 'precomputedRoutes.json');
+const FORMAT_VERSION = 2;
+
+// Ports routed to each other by default (names from indianOceanPorts.json)
+const DEFAULT_HUB_PORTS = [
+  'Mumbai (Bombay)',
+  'Chennai (Madras)',
+  'Kochi (Cochin)',
+  'Colombo',
+  'Karachi',
+  'Port Klang',
+  'Keppel - (East Singapore)',
+  'Mombasa'
+];
+const DEFAULT_POPULAR_PAIRS = 10;
+
+// A request endpoint within this distance of a port counts as that port
+const PORT_MATCH_KM = 25;
+const DEMAND_SAVE_DELAY_MS = 60 * 1000;
+
+function badRequest(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Canonical mode name ('fuel', 'fuel-efficient' -> 'fuel_efficient'), null if unknown
+ */
+function normalizeMode(mode) {
+  const value = String(mode || 'optimal').toLowerCase().replace(/-/g, '_');
+  if (value === 'fuel') return 'fuel_efficient';
+  return ROUTE_MODES.includes(value) ? value : null;
+}
+
+function portId(port) {
+  return port.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function portSummary(port) {
+  return { name: port.name, country: port.country, lat: port.lat, lon: port.lon };
+}
+
+/**
+ * Port a request endpoint refers to: by exact name, else the nearest port within PORT_MATCH_KM
+ */
+function matchPort(point) {
+  if (!point) return null;
+  if (point.name) {
+    const named = getPortByName(String(point.name));
+    if (named) return named;
+  }
+  if (!Number.isFinite(Number(point.lat)) || !Number.isFinite(Number(point.lon))) return null;
+
+  const [nearest] = findNearestPort(Number(point.lat), Number(point.lon), 1);
+  return nearest && parseFloat(nearest.distance) <= PORT_MATCH_KM ? nearest : null;
+}
+
+/**
+ * Versions the cache is checked against: the routing grid in the store and the cost model
+ */
+async function currentVersions() {
+  const gridVersion = await getStore().getGridVersion();
+  return { gridVersion: gridVersion || 'unversioned', costModelVersion: COST_MODEL_VERSION };
+}
 
 class PrecomputedRouteCache {
-  constructor() {
+  /**
+   * @param {Object} options - { file } cache file (default data/precomputedRoutes.json)
+   */
+  constructor(options = {}) {
+    this.file = options.file || CACHE_FILE;
     this.cache = null;
+    this.building = false;
+    this.saveTimer = null;
     this.loadCache();
   }
 
   /**
    * Load precomputed routes from JSON file
+   * Entries from older files carry no versions, so they load as stale
    */
   loadCache() {
     try {
-      const cachePath = path.join(__dirname, 'precomputedRoutes.json');
-      const data = fs.readFileSync(cachePath, 'utf8');
-      this.cache = JSON.parse(data);
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.cache = { metadata: data.metadata || {}, routes: data.routes || {}, demand: data.demand || {} };
       console.log(`✅ Loaded ${Object.keys(this.cache.routes).length} precomputed routes`);
     } catch (error) {
-      console.warn('⚠️  Could not load precomputed routes cache:', error.message);
-      this.cache = { routes: {} };
+      if (error.code === 'ENOENT') {
+        console.log('ℹ️  No precomputed routes yet (build them with: node precomputedRouteCache.js build)');
+      } else {
+        console.warn('⚠️  Could not load precomputed routes cache:', error.message);
+      }
+      this.cache = { metadata: {}, routes: {}, demand: {} };
     }
   }
 
   /**
-   * Generate cache key for route lookup
+   * Write the cache file (temp file + rename, so readers never see half a file)
    */
-  generateKey(from, to, mode) {
-    // Normalize coordinates to 2 decimal places
-    const fromLat = from.lat.toFixed(2);
-    const fromLon = from.lon.toFixed(2);
-    const toLat = to.lat.toFixed(2);
-    const toLon = to.lon.toFixed(2);
-    
-    // Check if this matches any hub-to-hub route
-    const hubs = {
-      MUMBAI: { lat: 18.97, lon: 72.87 },
-      CHENNAI: { lat: 13.08, lon: 80.27 },
-      VISAKHAPATNAM: { lat: 17.68, lon: 83.30 },
-      KOCHI: { lat: 9.97, lon: 76.27 },
-      BANGLADESH: { lat: 22.0, lon: 89.8 },
-      SINGAPORE: { lat: 1.28, lon: 103.85 }
+  saveCache() {
+    this.cache.metadata = {
+      ...this.cache.metadata,
+      formatVersion: FORMAT_VERSION,
+      description: 'Precomputed port-to-port routes (node precomputedRouteCache.js build)',
+      lastUpdated: new Date().toISOString()
     };
+    const tempFile = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify(this.cache));
+    fs.renameSync(tempFile, this.file);
+  }
 
-    // Find matching hubs (within 0.5° tolerance)
-    let fromHub = null;
-    let toHub = null;
+  static routeKey(fromPort, toPort, mode) {
+    return `${portId(fromPort)}__${portId(toPort)}__${mode.toUpperCase()}`;
+  }
 
-    for (const [name, coords] of Object.entries(hubs)) {
-      if (Math.abs(from.lat - coords.lat) < 0.5 && Math.abs(from.lon - coords.lon) < 0.5) {
-        fromHub = name;
-      }
-      if (Math.abs(to.lat - coords.lat) < 0.5 && Math.abs(to.lon - coords.lon) < 0.5) {
-        toHub = name;
-      }
+  isCurrent(entry, versions) {
+    return entry.gridVersion === versions.gridVersion && entry.costModelVersion === versions.costModelVersion;
+  }
+
+  /**
+   * Find the cached route between two points (either direction)
+   * @returns {Object} { fromPort, toPort, mode, key, status: 'valid' | 'stale' | 'missing' | 'no-port', route }
+   */
+  lookup(from, to, mode, versions) {
+    const routeMode = normalizeMode(mode);
+    const fromPort = matchPort(from);
+    const toPort = matchPort(to);
+    if (!routeMode || !fromPort || !toPort) {
+      return { fromPort, toPort, mode: routeMode, key: null, status: 'no-port', route: null };
     }
 
-    if (!fromHub || !toHub) return null;
+    const key = PrecomputedRouteCache.routeKey(fromPort, toPort, routeMode);
+    const reverseKey = PrecomputedRouteCache.routeKey(toPort, fromPort, routeMode);
+    let route = this.cache.routes[key];
+    let reversed = false;
+    if (!route && this.cache.routes[reverseKey]) {
+      route = this.cache.routes[reverseKey];
+      reversed = true;
+    }
 
-    // Normalize mode name
-    const normalizedMode = mode.toLowerCase().replace(/_/g, '').replace('efficient', '');
-    
-    // Try both directions
-    const key1 = `${fromHub}_${toHub}_${normalizedMode.toUpperCase()}`;
-    const key2 = `${toHub}_${fromHub}_${normalizedMode.toUpperCase()}`;
+    const base = { fromPort: portSummary(fromPort), toPort: portSummary(toPort), mode: routeMode, key: reversed ? reverseKey : key };
+    if (!route) return { ...base, status: 'missing', route: null };
+    if (!this.isCurrent(route, versions)) return { ...base, status: 'stale', route: null };
 
-    return { key1, key2, fromHub, toHub };
+    if (reversed) {
+      route = { ...route, from: route.to, to: route.from, path: [...route.path].reverse(), reversed: true };
+    }
+    return { ...base, status: 'valid', route };
   }
 
   /**
-   * Get precomputed route if available
+   * Get precomputed route if available and built with the current versions
    * Returns route object or null if not found
    */
-  getRoute(from, to, mode) {
-    if (!this.cache || !this.cache.routes) {
-      console.log('   ⚠️  Cache not loaded');
-      return null;
-    }
+  getRoute(from, to, mode, versions) {
+    return this.lookup(from, to, mode, versions).route;
+  }
 
-    const keys = this.generateKey(from, to, mode);
-    if (!keys) {
-      console.log(`   ⚠️  No hub match for ${from.lat.toFixed(2)},${from.lon.toFixed(2)} → ${to.lat.toFixed(2)},${to.lon.toFixed(2)}`);
-      return null;
-    }
+  /**
+   * Check if route can be served from cache
+   */
+  hasRoute(from, to, mode, versions) {
+    return this.getRoute(from, to, mode, versions) !== null;
+  }
 
-    console.log(`   🔍 Checking cache: ${keys.key1} or ${keys.key2}`);
-
-    // Try forward direction
-    let route = this.cache.routes[keys.key1];
-    
-    // Try reverse direction if not found
-    if (!route) {
-      route = this.cache.routes[keys.key2];
-      if (route) {
-        console.log(`   🔄 Using reversed cached route: ${keys.key2}`);
-        // Reverse the path
-        route = {
-          ...route,
-          from: route.to,
-          to: route.from,
-          path: [...route.path].reverse(),
-          reversed: true
-        };
-      } else {
-        console.log(`   ❌ No cached route found for ${keys.fromHub} → ${keys.toHub} (${mode})`);
-      }
-    } else {
-      console.log(`   ✅ Found cached route: ${keys.key1}`);
-    }
+  /**
+   * Count a route request between two ports (feeds the popular pairs of the next build)
+   * Saved with the cache at most once per DEMAND_SAVE_DELAY_MS
+   */
+  recordRequest(from, to) {
+    const fromPort = matchPort(from);
+    const toPort = matchPort(to);
+    if (!fromPort || !toPort || portId(fromPort) === portId(toPort)) return;
+
+    const [a, b] = [fromPort, toPort].sort((x, y) => portId(x).localeCompare(portId(y)));
+    const pairKey = `${portId(a)}__${portId(b)}`;
+    const demand = this.cache.demand[pairKey] || { from: a.name, to: b.name, count: 0 };
+    demand.count++;
+    demand.lastRequestedAt = new Date().toISOString();
+    this.cache.demand[pairKey] = demand;
 
-    if (route) {
-      console.log(`   🚀 Using precomputed route: ${keys.fromHub} → ${keys.toHub} (${mode})`);
-      console.log(`      Distance: ${route.distance} km, Waypoints: ${route.waypoints}`);
-      return route;
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = null;
+        try {
+          this.saveCache();
+        } catch (error) {
+          console.warn('⚠️  Could not save route demand:', error.message);
+        }
+      }, DEMAND_SAVE_DELAY_MS);
+      this.saveTimer.unref();
     }
+  }
 
-    return null;
+  /**
+   * Most requested port pairs: [{ from, to, count }]
+   */
+  getPopularPairs(limit = DEFAULT_POPULAR_PAIRS) {
+    return Object.values(this.cache.demand)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
   }
 
   /**
-   * Check if route can be served from cache
+   * Drop entries built with other versions (or every entry with { all: true })
+   * @returns {number} Entries removed
    */
-  hasRoute(from, to, mode) {
-    return this.getRoute(from, to, mode) !== null;
+  invalidate(versions, options = {}) {
+    let removed = 0;
+    for (const [key, entry] of Object.entries(this.cache.routes)) {
+      if (options.all || !this.isCurrent(entry, versions)) {
+        delete this.cache.routes[key];
+        removed++;
+      }
+    }
+    if (removed > 0) this.saveCache();
+    return removed;
+  }
+
+  /**
+   * Cached entries without their paths, filtered by mode, port name and status
+   */
+  list(versions, filters = {}) {
+    const mode = filters.mode ? normalizeMode(filters.mode) : null;
+    const port = filters.port ? String(filters.port).toLowerCase() : null;
+
+    return Object.entries(this.cache.routes)
+      .map(([key, { path: routePath, ...entry }]) => ({
+        key,
+        ...entry,
+        status: this.isCurrent(entry, versions) ? 'valid' : 'stale'
+      }))
+      .filter(entry => !mode || entry.mode === mode)
+      .filter(entry => !port || [entry.from, entry.to].some(p => p && p.name.toLowerCase().includes(port)))
+      .filter(entry => !filters.status || filters.status === 'all' || entry.status === filters.status);
   }
 
   /**
@@ -141,29 +267,202 @@ class PrecomputedRouteCache {
   /**
    * Get cache statistics
    */
-  getStats() {
-    if (!this.cache || !this.cache.routes) {
-      return { totalRoutes: 0, modes: [], hubs: [] };
-    }
-
-    const routes = this.cache.routes;
+  getStats(versions) {
+    const entries = Object.values(this.cache.routes);
+    const ports = new Set();
     const modes = new Set();
-    const hubs = new Set();
+    let valid = 0;
 
-    Object.values(routes).forEach(route => {
-      modes.add(route.mode);
-      hubs.add(route.from.name);
-      hubs.add(route.to.name);
-    });
+    for (const entry of entries) {
+      modes.add(entry.mode);
+      if (entry.from) ports.add(entry.from.name);
+      if (entry.to) ports.add(entry.to.name);
+      if (this.isCurrent(entry, versions)) valid++;
+    }
 
     return {
-      totalRoutes: Object.keys(routes).length,
+      totalRoutes: entries.length,
+      validRoutes: valid,
+      staleRoutes: entries.length - valid,
       modes: Array.from(modes),
-      hubs: Array.from(hubs),
-      version: this.cache.metadata?.version || 'unknown',
-      lastUpdated: this.cache.metadata?.lastUpdated || 'unknown'
+      ports: Array.from(ports),
+      gridVersion: versions.gridVersion,
+      costModelVersion: versions.costModelVersion,
+      lastBuild: this.cache.metadata.lastBuild || null,
+      lastUpdated: this.cache.metadata.lastUpdated || 'unknown',
+      building: this.building
     };
   }
+
+  /**
+   * Batch-compute hub-to-hub, requested and popular port pairs in every mode
+   * @param {Object} options - { hubs: [port names], pairs: [[from, to]], popular: N, modes, engine, force }
+   * @param {Object} context - { versions, computeRoute(params) -> engine result, reportProgress, throwIfCancelled }
+   * @returns {Object} Build summary
+   */
+  async build(options = {}, context) {
+    if (this.building) {
+      throw badRequest('A precomputed route build is already running', 409);
+    }
+
+    const { versions, computeRoute } = context;
+    const reportProgress = context.reportProgress || (() => {});
+    const throwIfCancelled = context.throwIfCancelled || (() => {});
+    const engine = options.engine || DEFAULT_ENGINE;
+
+    const modes = (options.modes || ROUTE_MODES).map(mode => {
+      const routeMode = normalizeMode(mode);
+      if (!routeMode) throw badRequest(`Unknown mode "${mode}" (use ${ROUTE_MODES.join(', ')})`);
+      return routeMode;
+    });
+
+    const resolvePort = name => {
+      const port = getPortByName(String(name));
+      if (!port) throw badRequest(`Unknown port "${name}" (names from indianOceanPorts.json, see GET /api/ports)`);
+      return port;
+    };
+
+    // Unique unordered port pairs, first source wins
+    const pairs = new Map();
+    const addPair = (from, to, source) => {
+      if (portId(from) === portId(to)) return;
+      const key = [portId(from), portId(to)].sort().join('__');
+      if (!pairs.has(key)) pairs.set(key, { from, to, source });
+    };
+
+    const hubs = (options.hubs || DEFAULT_HUB_PORTS).map(resolvePort);
+    for (let a = 0; a < hubs.length; a++) {
+      for (let b = a + 1; b < hubs.length; b++) {
+        addPair(hubs[a], hubs[b], 'hub');
+      }
+    }
+    for (const pair of options.pairs || []) {
+      if (!Array.isArray(pair) || pair.length !== 2) throw badRequest('pairs must be [[fromPortName, toPortName], ...]');
+      addPair(resolvePort(pair[0]), resolvePort(pair[1]), 'requested');
+    }
+    for (const demand of this.getPopularPairs(options.popular ?? DEFAULT_POPULAR_PAIRS)) {
+      const from = getPortByName(demand.from);
+      const to = getPortByName(demand.to);
+      if (from && to) addPair(from, to, 'popular');
+    }
+
+    this.building = true;
+    const startTime = Date.now();
+    const summary = {
+      gridVersion: versions.gridVersion,
+      costModelVersion: versions.costModelVersion,
+      engine,
+      modes,
+      hubs: hubs.map(port => port.name),
+      pairs: pairs.size,
+      staleRemoved: 0,
+      built: 0,
+      skipped: 0,
+      failed: []
+    };
+
+    try {
+      summary.staleRemoved = this.invalidate(versions);
+
+      const tasks = [];
+      for (const pair of pairs.values()) {
+        for (const mode of modes) tasks.push({ ...pair, mode });
+      }
+      console.log(`\n🚀 Precomputing ${tasks.length} routes (${pairs.size} port pairs x ${modes.length} modes, grid ${versions.gridVersion}, cost model ${versions.costModelVersion})`);
+
+      for (let i = 0; i < tasks.length; i++) {
+        throwIfCancelled();
+        const { from, to, mode, source } = tasks[i];
+        reportProgress({ phase: 'precomputing', percent: Math.round(i / tasks.length * 100), currentSegment: i + 1, totalSegments: tasks.length });
+
+        const existing = this.lookup(from, to, mode, versions);
+        if (existing.status === 'valid' && !options.force) {
+          summary.skipped++;
+          continue;
+        }
+
+        const key = PrecomputedRouteCache.routeKey(from, to, mode);
+        try {
+          const result = await computeRoute({ engine, mode, start: { lat: from.lat, lon: from.lon }, end: { lat: to.lat, lon: to.lon } });
+          if (existing.key && existing.key !== key) delete this.cache.routes[existing.key];
+          this.cache.routes[key] = {
+            from: portSummary(from),
+            to: portSummary(to),
+            mode,
+            source,
+            engine,
+            gridVersion: versions.gridVersion,
+            costModelVersion: versions.costModelVersion,
+            builtAt: new Date().toISOString(),
+            distance: result.metrics.distanceKm,
+            duration: result.metrics.durationHours,
+            fuelTons: result.metrics.fuelTons,
+            waypoints: result.path.length,
+            path: result.path.map(point => ({ lat: point.lat, lon: point.lon })),
+            precomputed: true
+          };
+          summary.built++;
+        } catch (error) {
+          if (error.name === 'JobCancelledError') throw error;
+          summary.failed.push({ key, error: error.message });
+          console.warn(`   ❌ ${key}: ${error.message}`);
+        }
+      }
+
+      summary.durationMs = Date.now() - startTime;
+      this.cache.metadata.lastBuild = { ...summary, failed: summary.failed.length, finishedAt: new Date().toISOString() };
+      this.saveCache();
+      console.log(`✅ Precomputed routes: ${summary.built} built, ${summary.skipped} up to date, ${summary.failed.length} failed, ${summary.staleRemoved} stale removed`);
+      return { success: true, ...summary, stats: this.getStats(versions) };
+    } finally {
+      this.building = false;
+    }
+  }
+}
+
+PrecomputedRouteCache.ROUTE_MODES = ROUTE_MODES;
+PrecomputedRouteCache.DEFAULT_HUB_PORTS = DEFAULT_HUB_PORTS;
+PrecomputedRouteCache.currentVersions = currentVersions;
+PrecomputedRouteCache.normalizeMode = normalizeMode;
+
+// CLI usage
+if (require.main === module) {
+  // node precomputedRouteCache.js build [--hubs="Colombo,Karachi"] [--modes=optimal,safe] [--popular=10] [--force]
+  // node precomputedRouteCache.js stats
+  const args = Object.fromEntries(process.argv.slice(3)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [name, ...value] = arg.slice(2).split('=');
+      return [name, value.length > 0 ? value.join('=') : true];
+    }));
+  const list = value => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+  (async () => {
+    require('dotenv').config();
+    const { initStore } = require('./storage');
+    await initStore();
+    const cache = new PrecomputedRouteCache();
+    const versions = await currentVersions();
+
+    if (process.argv[2] === 'build') {
+      // Same route calculation as POST /api/route (engine=...), on the route worker pool
+      const { calculateEngineRoute } = require('./routes/route');
+      await cache.build({
+        hubs: list(args.hubs),
+        modes: list(args.modes),
+        popular: args.popular !== undefined ? Number(args.popular) : undefined,
+        engine: typeof args.engine === 'string' ? args.engine : undefined,
+        force: Boolean(args.force)
+      }, { versions, computeRoute: calculateEngineRoute });
+    } else {
+      console.log(JSON.stringify(cache.getStats(versions), null, 2));
+    }
+
+    await getStore().close();
+  })().catch(error => {
+    console.error('❌ Precomputed route build failed:', error.message);
+    process.exitCode = 1;
+  });
 }
 
 module.exports = PrecomputedRouteCache;
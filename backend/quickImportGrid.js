@@ -81,7 +81,7 @@ async function quickImport() {
         lon: point.lon,
         is_land: point.is_land || false,  // Store land status permanently
         obstacle: point.obstacle || point.is_land || false,  // Backward compat
-        weatherData: point.weather || point.weatherData || {
+        weather: point.weather || point.weatherData || {
           temperature: null,
           windSpeed: null,
           windDirection: null,
@@ -0,0 +1,282 @@
+/**
+ * ⛔ ROUTE CONSTRAINTS
+ * Hard limits a route request can set; cells that break one are left out of the search
+ * (unlike mode weights, which only make them more expensive):
+ *   { maxWaveHeight (m), maxWindSpeed (knots), minCoastDistanceKm, minDepthMeters, underKeelClearanceMeters }
+ * The vessel's seakeeping limits apply as wave and wind constraints too, and its draft plus the
+ * under-keel clearance as the minimum depth (withVesselLimits).
+ * Wave and wind limits are checked against the weather a cell is costed with (the forecast at the
+ * ship's ETA in time-dependent searches); cells without that value are not excluded. The depth is
+ * checked against the cell's charted depth (bathymetry.js); cells without one are not excluded.
+ * The coast distance and depth do not apply in the port approaches (near the start and goal),
+ * which are on the coast and whose dredged channels the grid does not resolve.
+ * Kept free of Express/Mongo so it can run inside route worker threads
+ */
+
+const { haversineDistance } = require('./costFunction');
+
+const KM_PER_DEGREE = 111;
+const APPROACH_CELLS = 2; // Port approach beyond the coast distance, in grid cells
+
+// Under-keel clearance kept below the vessel's draft when the request does not set one (m)
+const DEFAULT_UNDER_KEEL_CLEARANCE = Number(process.env.UNDER_KEEL_CLEARANCE_METERS) || 2;
+// Water shallower than this times the draft still costs more (squat, speed loss), scaled by the
+// mode's draft clearance
+const SHALLOW_WATER_RATIO = 1.5;
+
+// Accepted constraints -> description (units)
+const CONSTRAINTS = {
+  maxWaveHeight: 'Maximum significant wave height (m)',
+  maxWindSpeed: 'Maximum wind speed (knots)',
+  minCoastDistanceKm: 'Minimum distance from the coast (km)',
+  minDepthMeters: 'Minimum charted depth (m); at least the vessel\'s draft plus the under-keel clearance',
+  underKeelClearanceMeters: `Clearance kept below the vessel's draft (m, default ${DEFAULT_UNDER_KEEL_CLEARANCE})`
+};
+// The constraints that set the minimum depth (every vessel has them)
+const DEPTH_CONSTRAINTS = ['minDepthMeters', 'underKeelClearanceMeters'];
+
+function invalid(message) {
+  const error = new Error(`constraints: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Validate a request's constraints
+ * @returns {Object} Constraints that were set, as numbers ({} when none)
+ * @throws {Error} statusCode 400 on unknown constraints or values that are not positive numbers
+ */
+function parseConstraints(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw invalid(`expected an object with any of: ${Object.keys(CONSTRAINTS).join(', ')}`);
+  }
+
+  const constraints = {};
+  for (const [name, value] of Object.entries(input)) {
+    if (!CONSTRAINTS[name]) {
+      throw invalid(`unknown constraint "${name}". Use: ${Object.keys(CONSTRAINTS).join(', ')}`);
+    }
+    if (value === undefined || value === null) continue;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      throw invalid(`${name} must be a positive number`);
+    }
+    constraints[name] = number;
+  }
+  return constraints;
+}
+
+/**
+ * A request's constraints tightened by its vessel: the seakeeping limits (the stricter limit
+ * wins) and the draft plus under-keel clearance as the minimum depth
+ * @param {Object} vessel - VESSEL_SPECS ({ draftMeters, seakeeping: { maxWaveHeight, maxWindSpeed } })
+ */
+function withVesselLimits(constraints, vessel = {}) {
+  const merged = { ...constraints };
+  const seakeeping = vessel.seakeeping || {};
+  for (const name of ['maxWaveHeight', 'maxWindSpeed']) {
+    if (Number.isFinite(seakeeping[name])) {
+      merged[name] = Math.min(merged[name] ?? Infinity, seakeeping[name]);
+    }
+  }
+  if (Number.isFinite(vessel.draftMeters)) {
+    merged.underKeelClearanceMeters = merged.underKeelClearanceMeters ?? DEFAULT_UNDER_KEEL_CLEARANCE;
+    const required = Math.round((vessel.draftMeters + merged.underKeelClearanceMeters) * 10) / 10;
+    merged.minDepthMeters = Math.max(merged.minDepthMeters ?? 0, required);
+  }
+  return merged;
+}
+
+/**
+ * How far into shallow water a charted depth is, 0 (deeper than SHALLOW_WATER_RATIO x draft,
+ * or not charted) to 1 (at the draft)
+ */
+function shallowWaterFactor(depth, draftMeters) {
+  if (!Number.isFinite(depth) || !Number.isFinite(draftMeters)) return 0;
+  const shallowBelow = draftMeters * SHALLOW_WATER_RATIO;
+  if (depth >= shallowBelow) return 0;
+  return Math.min(1, (shallowBelow - depth) / (shallowBelow - draftMeters));
+}
+
+/**
+ * Port approach distance around the start and goal (km) on a grid of the given resolution
+ */
+function approachDistanceKm(resolution) {
+  return APPROACH_CELLS * resolution * KM_PER_DEGREE;
+}
+
+/**
+ * Depth limit a cell breaks, or null (cells without a charted depth pass)
+ */
+function depthViolation(constraints, cell) {
+  if (constraints.minDepthMeters !== undefined && Number.isFinite(cell.depth) && cell.depth < constraints.minDepthMeters) {
+    return { constraint: 'minDepthMeters', value: cell.depth, limit: constraints.minDepthMeters };
+  }
+  return null;
+}
+
+/**
+ * Weather limit a cell's conditions break, or null
+ */
+function weatherViolation(constraints, weather) {
+  if (!weather) return null;
+  if (constraints.maxWaveHeight !== undefined && weather.waveHeight > constraints.maxWaveHeight) {
+    return { constraint: 'maxWaveHeight', value: weather.waveHeight, limit: constraints.maxWaveHeight };
+  }
+  if (constraints.maxWindSpeed !== undefined && weather.windSpeed > constraints.maxWindSpeed) {
+    return { constraint: 'maxWindSpeed', value: weather.windSpeed, limit: constraints.maxWindSpeed };
+  }
+  return null;
+}
+
+/**
+ * Constraints applied to the cells of one search
+ */
+class ConstraintSet {
+  /**
+   * @param {Object} constraints - Parsed constraints (parseConstraints)
+   * @param {GridIndex} waterIndex - The search's water cells; a grid position inside the corridor
+   *   with no water cell counts as land (as in the narrow passage check)
+   * @param {number} resolution - Grid resolution (degrees)
+   * @param {Array} approaches - Points the route leaves from / arrives at ({ lat, lon }): the coast
+   *   distance applies from APPROACH_CELLS cells beyond minCoastDistanceKm of them, the depth from
+   *   APPROACH_CELLS cells
+   */
+  constructor(constraints, waterIndex, resolution, approaches = []) {
+    this.constraints = constraints || {};
+    this.waterIndex = waterIndex;
+    this.resolution = resolution;
+    this.approaches = approaches;
+    this.depthApproachKm = approachDistanceKm(resolution);
+    this.approachKm = (this.constraints.minCoastDistanceKm || 0) + this.depthApproachKm;
+    this.coastDistances = new Map(); // grid index -> km to the coast
+    this.excludedCells = new Set(); // grid indexes left out at least once
+  }
+
+  get active() {
+    return Object.keys(this.constraints).length > 0;
+  }
+
+  /**
+   * Distance from a cell to the coast: to the nearest land cell's edge, searched out to `limitKm`
+   * (Infinity when no land is that close)
+   */
+  coastDistanceKm(cell, limitKm) {
+    const key = this.waterIndex.indexOf(cell.lat, cell.lon);
+    if (this.coastDistances.has(key)) return this.coastDistances.get(key);
+
+    const halfCellKm = this.resolution * KM_PER_DEGREE / 2;
+    const latCells = Math.ceil((limitKm + halfCellKm) / (this.resolution * KM_PER_DEGREE));
+    const lonCells = Math.ceil(latCells / Math.max(0.1, Math.cos(cell.lat * Math.PI / 180)));
+    let nearest = Infinity;
+    for (let i = -latCells; i <= latCells; i++) {
+      for (let j = -lonCells; j <= lonCells; j++) {
+        if (i === 0 && j === 0) continue;
+        const lat = cell.lat + i * this.resolution;
+        const lon = cell.lon + j * this.resolution;
+        const index = this.waterIndex.indexOf(lat, lon);
+        if (index === -1 || this.waterIndex.getByIndex(index)) continue; // Outside the corridor, or water
+        nearest = Math.min(nearest, haversineDistance(cell.lat, cell.lon, lat, lon) - halfCellKm);
+      }
+    }
+    this.coastDistances.set(key, nearest);
+    return nearest;
+  }
+
+  inApproach(cell, approachKm = this.approachKm) {
+    return this.approaches.some(point => haversineDistance(cell.lat, cell.lon, point.lat, point.lon) <= approachKm);
+  }
+
+  /**
+   * True when the cell's charted depth is less than minDepthMeters (outside the port approaches)
+   */
+  tooShallow(cell) {
+    return depthViolation(this.constraints, cell) !== null && !this.inApproach(cell, this.depthApproachKm);
+  }
+
+  /**
+   * Limit a cell breaks in the given weather, or null when it may be searched
+   * @returns {Object|null} { constraint, value, limit }
+   */
+  violation(cell, weather) {
+    const { minCoastDistanceKm } = this.constraints;
+    if (minCoastDistanceKm !== undefined && !this.inApproach(cell)) {
+      const coastKm = this.coastDistanceKm(cell, minCoastDistanceKm);
+      if (coastKm < minCoastDistanceKm) {
+        return { constraint: 'minCoastDistanceKm', value: parseFloat(Math.max(0, coastKm).toFixed(1)), limit: minCoastDistanceKm };
+      }
+    }
+    if (this.tooShallow(cell)) {
+      return depthViolation(this.constraints, cell);
+    }
+    return weatherViolation(this.constraints, weather);
+  }
+
+  /**
+   * True when the cell may be searched; remembers the cells left out
+   */
+  allows(cell, weather) {
+    if (!this.active || !this.violation(cell, weather)) return true;
+    this.excludedCells.add(this.waterIndex.indexOf(cell.lat, cell.lon));
+    return false;
+  }
+
+  get excluded() {
+    return this.excludedCells.size;
+  }
+}
+
+/**
+ * Route points that break the weather or depth limits (checked on finished routes)
+ * @param {Array} points - Route points (with the charted depth of their cell, if any)
+ * @param {Function} weatherOf - point -> weather it is judged by
+ * @param {number} approachKm - Distance from the first and last point within which depth is not checked
+ * @returns {Array} [{ index, lat, lon, constraint, value, limit }]
+ */
+function pathViolations(constraints, points, weatherOf, approachKm = 0) {
+  const violations = [];
+  const first = points[0];
+  const last = points[points.length - 1];
+  points.forEach((point, index) => {
+    const weather = weatherOf(point) || {};
+    for (const name of ['maxWaveHeight', 'maxWindSpeed']) {
+      const violation = weatherViolation({ [name]: constraints[name] }, weather);
+      if (violation) {
+        violations.push({ index, lat: point.lat, lon: point.lon, ...violation });
+      }
+    }
+    const depth = depthViolation(constraints, point);
+    if (depth && [first, last].every(end => haversineDistance(point.lat, point.lon, end.lat, end.lon) > approachKm)) {
+      violations.push({ index, lat: point.lat, lon: point.lon, ...depth });
+    }
+  });
+  return violations;
+}
+
+/**
+ * Shallowest charted depth along a route, or null when none of its points has one
+ * @returns {Object|null} { depthMeters, index, lat, lon }
+ */
+function minChartedDepth(points) {
+  let shallowest = null;
+  points.forEach((point, index) => {
+    if (Number.isFinite(point.depth) && (!shallowest || point.depth < shallowest.depthMeters)) {
+      shallowest = { depthMeters: point.depth, index, lat: point.lat, lon: point.lon };
+    }
+  });
+  return shallowest;
+}
+
+module.exports = {
+  CONSTRAINTS,
+  DEPTH_CONSTRAINTS,
+  DEFAULT_UNDER_KEEL_CLEARANCE,
+  ConstraintSet,
+  parseConstraints,
+  withVesselLimits,
+  shallowWaterFactor,
+  approachDistanceKm,
+  pathViolations,
+  minChartedDepth
+};
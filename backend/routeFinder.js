@@ -1,4 +1,9 @@
 const ScoringEngine = require('./scoringEngine');
+const { BinaryHeap, GridIndex } = require('./searchCore');
+const { MODE_PRESETS, MODE_ALIASES, ROUTE_MODES, resolvePreset } = require('./modePresets');
+const { DEFAULT_VESSEL, toVesselSpecs, consumptionAt } = require('./vesselProfile');
+const { DEFAULT_UNDER_KEEL_CLEARANCE, approachDistanceKm } = require('./routeConstraints');
+const { currentAt, groundSpeed, describeCurrent } = require('./oceanCurrents');
 
 /**
  * Maritime Route Finder using A* Pathfinding Algorithm
@@ -12,101 +17,52 @@ class RouteFinder {
   constructor() {
     this.scoringEngine = new ScoringEngine();
     
-    // Route mode weights - STRONG DIFFERENCES for visual distinction
-    // Higher multipliers = stronger influence on route path
-    this.ROUTE_WEIGHTS = {
-      // FUEL MODE: Shortest path, ignore weather/safety
-      fuel: { 
-        distance: 10.0,    // Heavily prioritize shortest distance
-        safety: 0.1,       // Minimal safety concern
-        weather: 0.1,      // Ignore weather
-        coastal: 0         // Can go near coast (0 = no buffer)
-      },
-      fuel_efficient: { 
-        distance: 10.0, 
-        safety: 0.1, 
-        weather: 0.1, 
-        coastal: 0 
-      },
-      
-      // SAFE MODE: Avoid coast, avoid bad weather, longer route OK
-      safe: { 
-        distance: 1.0,     // Distance less important
-        safety: 15.0,      // Heavily prioritize safety
-        weather: 10.0,     // Avoid bad weather strongly
-        coastal: 5.0       // Stay far from coast (100km+ buffer)
-      },
-      
-      // OPTIMAL MODE: Balanced - moderate weather/coast consideration
-      optimal: { 
-        distance: 5.0,     // Distance important but not critical
-        safety: 3.0,       // Moderate safety
-        weather: 2.0,      // Consider weather moderately
-        coastal: 1.0       // Moderate coastal buffer (50km)
-      },
-      
-      // NORMAL MODE: Similar to fuel but slightly more cautious
-      normal: { 
-        distance: 8.0, 
-        safety: 1.0, 
-        weather: 0.5, 
-        coastal: 0.5 
-      },
-    };
-    
-    // EXCLUSION ZONES for large vessels (ULCV: 300-400m length, 16m+ draft)
-    // These areas are too shallow or narrow for safe navigation
-    this.EXCLUSION_ZONES = [
-      {
-        name: 'Palk Strait',
-        description: 'Shallow water passage between India and Sri Lanka',
-        reason: 'Depth 3-10m, unsuitable for vessels with 16m+ draft',
-        latMin: 8.5,
-        latMax: 10.5,
-        lonMin: 78.5,
-        lonMax: 80.5
-      },
-      {
-        name: 'Gulf of Mannar (Southern)',
-        description: 'Shallow waters south of Palk Strait',
-        reason: 'Narrow passage with shallow depths',
-        latMin: 7.5,
-        latMax: 9.0,
-        lonMin: 78.0,
-        lonMax: 79.5
-      }
-    ];
+    // Route mode search weights, derived from the mode presets (modePresets.js)
+    // Multipliers: distance per km (fuel is mostly distance), safety / weather penalties from the
+    // exposure weight, coastal buffer from the preset's clearance
+    this.ROUTE_WEIGHTS = {};
+    for (const mode of [...Object.keys(MODE_PRESETS), ...Object.keys(MODE_ALIASES)]) {
+      const { weights, clearance } = resolvePreset(mode);
+      this.ROUTE_WEIGHTS[mode] = {
+        distance: 10 * weights.distance + 5 * weights.fuel,
+        safety: 15 * weights.exposure,
+        weather: 10 * weights.exposure,
+        coastal: clearance.coastal
+      };
+    }
     
     // NEW: Cache for open water cells (cells far from coast)
     // These cells get routing preference in SAFE and OPTIMAL modes
     this.openWaterCells = new Set();
     
+    // Grid index per cell array, so neighbour lookups are O(1) instead of scanning gridData
+    this.gridIndexes = new WeakMap();
+    
     // INDUSTRY STANDARD: Vessel specifications for realistic calculations
-    // Based on typical Panamax bulk carrier (50,000 DWT class)
-    this.VESSEL_SPECS = {
-      // Physical specifications
-      deadweight: 50000,           // DWT (cargo capacity in tons)
-      mainEngineKW: 15000,         // Main engine power (15 MW)
-      auxiliaryKW: 1500,           // Auxiliary engines (1.5 MW)
-      
-      // Fuel consumption (industry standard for Panamax vessels)
-      baseConsumptionTonsPerDay: 35,  // At service speed (20 knots)
-      auxiliaryConsumptionTonsPerDay: 3, // Generators, heating, cooling
-      serviceSpeedKnots: 20,       // Design service speed
-      
-      // Fuel economics
-      fuelType: 'HFO',             // Heavy Fuel Oil (standard for cargo ships)
-      fuelPriceUSD: 600,           // USD per ton (Nov 2024 average)
-      
-      // Speed limits by mode (industry best practices)
-      speedLimits: {
-        fuel: 15,      // Slow steaming for fuel efficiency (saves 40-50%)
-        optimal: 20,   // Service speed (balanced)
-        safe: 18       // Moderate speed for better control
-      }
-    };
+    // Default vessel profile (typical Panamax bulk carrier, 50,000 DWT class); requests with a
+    // vesselId calculate with forVessel(specs) instead (vesselProfile.js)
+    this.VESSEL_SPECS = toVesselSpecs(DEFAULT_VESSEL);
   }
   
+  /**
+   * This route finder calculating with another vessel's specs (toVesselSpecs); search state is shared
+   * @param {number} minDepthMeters - Charted depth the search keeps to (default: requiredDepth())
+   */
+  forVessel(specs, minDepthMeters) {
+    if ((!specs || specs === this.VESSEL_SPECS) && !minDepthMeters) return this;
+    return Object.assign(Object.create(this), {
+      ...(specs && { VESSEL_SPECS: specs }),
+      ...(minDepthMeters && { minDepthMeters })
+    });
+  }
+
+  /**
+   * Charted depth the search keeps to: the vessel's draft plus the under-keel clearance
+   */
+  requiredDepth() {
+    return this.minDepthMeters || this.VESSEL_SPECS.draftMeters + DEFAULT_UNDER_KEEL_CLEARANCE;
+  }
+
   /**
    * NEW: Identify open water cells (>50km from land) at route start
    * This pre-calculation helps routes prefer deep ocean over coastal paths
@@ -192,14 +148,23 @@ class RouteFinder {
   }
 
   /**
-   * Find grid cell by coordinates - simple exact match
+   * Grid index for a cell array (built once, reused for every lookup on the same array)
+   */
+  getGridIndex(gridData, resolution = 1) {
+    let index = this.gridIndexes.get(gridData);
+    if (!index || index.resolution !== resolution) {
+      index = new GridIndex(gridData, resolution);
+      this.gridIndexes.set(gridData, index);
+    }
+    return index;
+  }
+
+  /**
+   * Find grid cell by coordinates - nearest cell within half a resolution step
    * Used for neighbor lookups during pathfinding
    */
   findGridCell(gridData, lat, lon, resolution = 1) {
-    return gridData.find(cell => 
-      Math.abs(cell.lat - lat) < resolution / 2 && 
-      Math.abs(cell.lon - lon) < resolution / 2
-    );
+    return this.getGridIndex(gridData, resolution).get(lat, lon);
   }
 
   /**
@@ -274,22 +239,17 @@ class RouteFinder {
   }
 
   /**
-   * Check if a cell is within an exclusion zone for large vessels
-   * @param {Object} cell - Grid cell with lat, lon
-   * @returns {boolean|Object} - False if not in zone, zone object if in zone
+   * True when a cell's charted depth (bathymetry.js) is less than the vessel needs
+   * Cells without a charted depth, and the port approaches around start/end, are not restricted
    */
-  isInExclusionZone(cell) {
-    if (!cell || typeof cell.lat !== 'number' || typeof cell.lon !== 'number') {
+  isTooShallow(cell, resolution, startPoint = null, endPoint = null) {
+    if (!Number.isFinite(cell.depth) || cell.depth >= this.requiredDepth()) {
       return false;
     }
-    
-    for (const zone of this.EXCLUSION_ZONES) {
-      if (cell.lat >= zone.latMin && cell.lat <= zone.latMax &&
-          cell.lon >= zone.lonMin && cell.lon <= zone.lonMax) {
-        return zone; // Return the zone object for logging
-      }
-    }
-    return false;
+    const approachKm = approachDistanceKm(resolution);
+    return ![startPoint, endPoint].some(point =>
+      point && this.haversineDistance(cell.lat, cell.lon, point.lat, point.lon) <= approachKm
+    );
   }
 
   /**
@@ -421,10 +381,8 @@ class RouteFinder {
         continue;
       }
       
-      // CRITICAL CHECK 1: Skip if in exclusion zone (Palk Strait, shallow areas)
-      const zone = this.isInExclusionZone(neighborCell);
-      if (zone) {
-        // Silently skip - exclusion zones block large vessel navigation
+      // CRITICAL CHECK 1: Skip water too shallow for the vessel's draft (Palk Strait, banks)
+      if (this.isTooShallow(neighborCell, resolution, startPoint, endPoint)) {
         continue;
       }
       
@@ -509,20 +467,25 @@ class RouteFinder {
   }
 
   /**
-   * Priority Queue implementation for A*
+   * Safety / fuel scores of a cell from the weather forecast at the ship's ETA (time-dependent search)
    */
-  createPriorityQueue() {
-    const items = [];
-    
-    return {
-      enqueue: (item, priority) => {
-        items.push({ item, priority });
-        items.sort((a, b) => a.priority - b.priority);
-      },
-      dequeue: () => items.shift(),
-      isEmpty: () => items.length === 0,
-      size: () => items.length,
-    };
+  scoresAtArrival(cell, timeline, elapsedHours, mode, distance = 0, bearing = null) {
+    const scores = this.scoringEngine.calculateCellScore({
+      weather: timeline.weatherAt(cell, elapsedHours),
+      distance_to_next: distance
+    }, mode, bearing);
+    return { safety_score: scores.safety_score, fuel_efficiency_score: scores.fuel_efficiency_score };
+  }
+
+  /**
+   * Lowest possible movement cost per km for a mode
+   * Penalties only add cost, so the cheapest km is distance weight x best open water discount.
+   * Scaling the Haversine heuristic by this keeps A* admissible for every mode.
+   */
+  getMinCostPerKm(mode = 'optimal') {
+    const weights = this.ROUTE_WEIGHTS[mode] || this.ROUTE_WEIGHTS['optimal'];
+    const openWaterDiscount = mode === 'safe' ? 0.6 : mode === 'optimal' ? 0.8 : 1.0;
+    return weights.distance * openWaterDiscount;
   }
 
   /**
@@ -627,36 +590,84 @@ class RouteFinder {
     return baseSpeed * weatherFactor * openWaterBonus;
   }
 
+  /**
+   * Speed loss in wind and waves: the speed a ship actually makes on a heading at a set speed
+   *
+   * Loss = (waveCoefficient × Hs² + windCoefficient × wind²) × direction factor, capped at maxLoss
+   * Direction factor from the angle between the heading and where the sea comes from:
+   * head seas 1.0, beam seas 0.65, following seas 0.3
+   *
+   * @param {number} speedKnots - Set speed through the water
+   * @param {Object} weather - { waveHeight (m), waveDirection, windSpeed (knots), windDirection } (directions: from, degrees)
+   * @param {number} headingDeg - Ship heading (degrees)
+   * @returns {Object} { speedKnots, lossPercent }
+   */
+  calculateSpeedLoss(speedKnots, weather, headingDeg) {
+    const coefficients = this.VESSEL_SPECS.speedLoss || {};
+    if (!weather) {
+      return { speedKnots, lossPercent: 0 };
+    }
+
+    // 1 when the sea comes from dead ahead, 0 from astern
+    const headness = (fromDirection) => {
+      if (!Number.isFinite(fromDirection)) return 0.5;
+      return (1 + Math.cos((fromDirection - headingDeg) * Math.PI / 180)) / 2;
+    };
+    const directionFactor = (fromDirection) => 0.3 + 0.7 * headness(fromDirection);
+
+    const waveHeight = Number.isFinite(weather.waveHeight) ? weather.waveHeight : 0;
+    const windSpeed = Number.isFinite(weather.windSpeed) ? weather.windSpeed : 0;
+    const waveDirection = Number.isFinite(weather.waveDirection) ? weather.waveDirection : weather.windDirection;
+
+    const waveLoss = (coefficients.waveCoefficient || 0) * waveHeight * waveHeight * directionFactor(waveDirection);
+    const windLoss = (coefficients.windCoefficient || 0) * windSpeed * windSpeed * directionFactor(weather.windDirection);
+    const loss = Math.min(coefficients.maxLoss ?? 0.5, waveLoss + windLoss);
+
+    return {
+      speedKnots: speedKnots * (1 - loss),
+      lossPercent: parseFloat((loss * 100).toFixed(1))
+    };
+  }
+
   /**
    * INDUSTRY STANDARD: Calculate realistic fuel consumption
    * 
    * Based on maritime engineering cubic speed relationship:
    * Fuel = BaseConsumption × (ActualSpeed/ServiceSpeed)³ × WeatherFactor × LoadFactor × Days + Auxiliary
+   * Vessels with a measured speed-consumption curve use it instead of the cubic law and load factor:
+   * Fuel = Curve(ActualSpeed) × WeatherFactor × Days + Auxiliary
+   * Either way main engine fuel scales with the vessel's draftFactor (loading)
    * 
    * Key factors:
    * - Speed³: Marine engines follow cubic relationship (double speed = 8x fuel)
    * - Weather: Storms increase fuel 0-40% (higher waves = more resistance)
    * - Load: Engine load varies by mode (fuel=75%, optimal=82%, safe=85%)
-   * - Auxiliary: Generators, HVAC, pumps (~3 tons/day regardless of speed)
+   * - Auxiliary: Generators, HVAC, pumps (~3 tons/day regardless of speed), priced at the auxiliary fuel
+   * - Current: the engine works at the speed through the water, the voyage lasts distance / speed over ground
    * 
-   * @param {number} distanceKm - Total distance in kilometers
-   * @param {number} speedKnots - Average speed in knots
+   * @param {number} distanceKm - Total distance (over ground) in kilometers
+   * @param {number} speedKnots - Average speed through the water in knots (engine load)
    * @param {number} weatherIndex - Average weather severity (0-100)
    * @param {string} mode - Route mode (affects load factor)
-   * @returns {Object} {totalFuel, mainEngineFuel, auxiliaryFuel, fuelCostUSD, durationHours, durationDays}
+   * @param {number} groundSpeedKnots - Average speed over ground (default speedKnots: no current)
+   * @returns {Object} {totalFuel, mainEngineFuel, auxiliaryFuel, fuelCostUSD, durationHours, durationDays,
+   *   avgSpeedKnots (over ground), speedThroughWaterKnots}
    */
-  calculateFuelConsumption(distanceKm, speedKnots, weatherIndex, mode) {
+  calculateFuelConsumption(distanceKm, speedKnots, weatherIndex, mode, groundSpeedKnots = speedKnots) {
     const specs = this.VESSEL_SPECS;
     
-    // Convert distance to nautical miles and calculate duration
+    // Convert distance to nautical miles and calculate duration (over ground)
     const distanceNM = distanceKm / 1.852;
-    const durationHours = distanceNM / speedKnots;
+    const durationHours = distanceNM / groundSpeedKnots;
     const durationDays = durationHours / 24;
     
     // CUBIC SPEED RELATIONSHIP: Fuel scales with speed³
     // This is fundamental to marine propulsion (resistance increases exponentially)
+    // (a measured speed-consumption curve replaces the cubic law)
     const speedRatio = speedKnots / specs.serviceSpeedKnots;
-    const speedFactor = Math.pow(speedRatio, 3);
+    const speedFactor = specs.consumptionCurve
+      ? consumptionAt(specs.consumptionCurve, speedKnots) / specs.baseConsumptionTonsPerDay
+      : Math.pow(speedRatio, 3);
     
     // WEATHER FACTOR: Bad weather increases resistance
     // Light seas (<50): 1.0 (no increase)
@@ -680,10 +691,12 @@ class RouteFinder {
       optimal: 0.82,
       safe: 0.85
     };
-    const loadFactor = loadFactors[mode] || 0.82;
+    // The curve is measured at the speeds the ship runs: no separate load factor
+    const loadFactor = specs.consumptionCurve ? 1 : (loadFactors[mode] || 0.82);
+    const draftFactor = specs.draftFactor || 1;
     
-    // MAIN ENGINE FUEL: BaseConsumption × Speed³ × Weather × Load × Days
-    const mainEngineFuel = specs.baseConsumptionTonsPerDay * speedFactor * weatherFactor * loadFactor * durationDays;
+    // MAIN ENGINE FUEL: BaseConsumption × Speed³ × Weather × Load × Draft × Days
+    const mainEngineFuel = specs.baseConsumptionTonsPerDay * speedFactor * weatherFactor * loadFactor * draftFactor * durationDays;
     
     // AUXILIARY FUEL: Constant daily consumption for ship systems
     // Generators, HVAC, cargo equipment, navigation systems
@@ -691,7 +704,8 @@ class RouteFinder {
     
     // TOTAL FUEL AND COST
     const totalFuel = mainEngineFuel + auxiliaryFuel;
-    const fuelCostUSD = totalFuel * specs.fuelPriceUSD;
+    const fuelCostUSD = mainEngineFuel * specs.fuelPriceUSD +
+      auxiliaryFuel * (specs.auxiliaryFuelPriceUSD ?? specs.fuelPriceUSD);
     
     return {
       totalFuel: parseFloat(totalFuel.toFixed(2)),
@@ -700,10 +714,12 @@ class RouteFinder {
       fuelCostUSD: parseFloat(fuelCostUSD.toFixed(2)),
       durationHours: parseFloat(durationHours.toFixed(2)),
       durationDays: parseFloat(durationDays.toFixed(2)),
-      avgSpeedKnots: parseFloat(speedKnots.toFixed(2)),
+      avgSpeedKnots: parseFloat(groundSpeedKnots.toFixed(2)),
+      speedThroughWaterKnots: parseFloat(speedKnots.toFixed(2)),
       speedFactor: parseFloat(speedFactor.toFixed(3)),
       weatherFactor: parseFloat(weatherFactor.toFixed(2)),
-      loadFactor: parseFloat(loadFactor.toFixed(2))
+      loadFactor: parseFloat(loadFactor.toFixed(2)),
+      draftFactor
     };
   }
 
@@ -715,9 +731,12 @@ class RouteFinder {
    * @param {Array} gridData - Array of grid cells
    * @param {string} mode - Route mode (optimal, fuel_efficient, safe, normal)
    * @param {number} resolution - Grid resolution in degrees
+   * @param {Object} options - Optional hooks { onProgress, throwIfCancelled } used by background route jobs,
+   *   avoidance (AvoidanceSet) to exclude hard / penalise soft avoidance areas, and timeline
+   *   (VoyageTimeline) to cost each cell with the forecast at its ETA
    * @returns {Object} Route result with path and statistics
    */
-  async findOptimalRoute(start, end, gridData, mode = 'optimal', resolution = 1) {
+  async findOptimalRoute(start, end, gridData, mode = 'optimal', resolution = 1, options = {}) {
     console.log(`🧭 Finding ${mode} route from (${start.lat}, ${start.lon}) to (${end.lat}, ${end.lon})`);
     console.log(`   Grid contains ${gridData.length} cells, Resolution: ${resolution}°`);
     
@@ -756,28 +775,32 @@ class RouteFinder {
     }
 
     // Initialize A* data structures
-    const openSet = this.createPriorityQueue();
+    const openSet = new BinaryHeap();
     const closedSet = new Set();
     const cameFrom = new Map();
     const gScore = new Map();
-    const fScore = new Map();
+    const elapsedHours = new Map(); // node key -> hours since departure (time-dependent search)
+    const timeline = options.timeline || null;
+    const minCostPerKm = this.getMinCostPerKm(mode);
 
     // Initialize start node (startKey and endKey already declared above)
     gScore.set(startKey, 0);
-    fScore.set(startKey, this.haversineDistance(startNode.lat, startNode.lon, endNode.lat, endNode.lon));
-    openSet.enqueue(startNode, fScore.get(startKey));
+    elapsedHours.set(startKey, 0);
+    openSet.push(startKey, startNode, this.haversineDistance(startNode.lat, startNode.lon, endNode.lat, endNode.lon) * minCostPerKm);
 
     let nodesExplored = 0;
     const startTime = Date.now();
     const MAX_NODES = 100000; // Limit search to prevent infinite loops on impossible routes
+    const PROGRESS_INTERVAL = 1000; // Yield to the event loop and report progress this often
+    const totalKm = this.haversineDistance(startNode.lat, startNode.lon, endNode.lat, endNode.lon);
+    let closestRemainingKm = totalKm;
     
     console.log(`   🎯 Starting A* search...`);
     console.log(`   🔑 Start key: ${startKey}, End key: ${endKey}`);
 
     // A* main loop
     while (!openSet.isEmpty()) {
-      const current = openSet.dequeue().item;
-      const currentKey = this.getNodeKey(current.lat, current.lon);
+      const { key: currentKey, value: current } = openSet.pop();
       nodesExplored++;
       
       // Debug first iteration
@@ -792,6 +815,18 @@ class RouteFinder {
         console.log(`   ⏳ Explored ${nodesExplored} nodes in ${elapsed}s, ${distToGoal.toFixed(0)}km from goal`);
       }
       
+      // Report progress, honour cancellation and let other requests run
+      if (nodesExplored % PROGRESS_INTERVAL === 0) {
+        closestRemainingKm = Math.min(closestRemainingKm, this.haversineDistance(current.lat, current.lon, endNode.lat, endNode.lon));
+        if (options.onProgress) {
+          options.onProgress({ cellsExpanded: nodesExplored, remainingKm: closestRemainingKm, totalKm });
+        }
+        await new Promise(resolve => setImmediate(resolve));
+        if (options.throwIfCancelled) {
+          options.throwIfCancelled();
+        }
+      }
+      
       // Prevent infinite search on impossible routes
       if (nodesExplored > MAX_NODES) {
         throw new Error(`Route search exceeded ${MAX_NODES} nodes - route may be impossible or too complex. Try selecting ports closer together or within the Indian Ocean region.`);
@@ -799,7 +834,18 @@ class RouteFinder {
 
       // Goal reached
       if (currentKey === endKey) {
-        const rawPath = this.reconstructPath(cameFrom, current);
+        let rawPath = this.reconstructPath(cameFrom, current);
+        if (timeline) {
+          // ETA and expected conditions at every waypoint, safety judged by that forecast
+          rawPath = rawPath.map(node => {
+            const hours = elapsedHours.get(this.getNodeKey(node.lat, node.lon));
+            return {
+              ...node,
+              safety_score: this.scoresAtArrival(node, timeline, hours, mode).safety_score,
+              ...timeline.describe(node, hours)
+            };
+          });
+        }
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
         
         console.log(`✅ Route found! Nodes explored: ${nodesExplored}, Time: ${duration}s`);
@@ -809,7 +855,7 @@ class RouteFinder {
         const smoothedPath = this.smoothPath(rawPath, 0.1);
         console.log(`   ✨ Smoothed path: ${smoothedPath.length} waypoints (removed ${rawPath.length - smoothedPath.length})`);
         
-        return this.formatRouteResult(smoothedPath, mode);
+        return this.formatRouteResult(smoothedPath, mode, rawPath);
       }
 
       closedSet.add(currentKey);
@@ -830,13 +876,27 @@ class RouteFinder {
           continue; // Already evaluated
         }
 
+        const avoidPenalty = options.avoidance ? options.avoidance.segmentPenalty(current, neighbor) : 1;
+        if (avoidPenalty === Infinity) {
+          continue; // Inside a hard avoidance area
+        }
+
         // Calculate distance between cells
         const distance = this.haversineDistance(current.lat, current.lon, neighbor.lat, neighbor.lon);
         const bearing = this.calculateBearing(current.lat, current.lon, neighbor.lat, neighbor.lon);
         
+        // Time-dependent search: score the neighbour with the forecast when the ship gets there
+        // (at the speed over ground the current leaving this cell gives)
+        const arrivalHours = timeline
+          ? elapsedHours.get(currentKey) + timeline.legHours(current, bearing, distance, elapsedHours.get(currentKey))
+          : 0;
+        const node = timeline
+          ? { ...neighbor, ...this.scoresAtArrival(neighbor, timeline, arrivalHours, mode, distance, bearing) }
+          : neighbor;
+        
         // Calculate movement cost with mode-specific penalties
         // This is what makes routes VISUALLY DIFFERENT
-        const movementCost = this.calculateMovementCost(neighbor, mode, distance);
+        const movementCost = this.calculateMovementCost(node, mode, distance) * avoidPenalty;
         
         // g(n) = cost from start to current + movement cost (includes distance + penalties)
         const tentativeGScore = (gScore.get(currentKey) || 0) + movementCost;
@@ -845,15 +905,13 @@ class RouteFinder {
           // This path to neighbor is better
           cameFrom.set(neighborKey, current);
           gScore.set(neighborKey, tentativeGScore);
+          elapsedHours.set(neighborKey, arrivalHours);
           
-          // h(n) = heuristic (Haversine distance to goal)
-          const h = this.haversineDistance(neighbor.lat, neighbor.lon, endNode.lat, endNode.lon);
-          
-          // f(n) = g(n) + h(n)
-          const f = tentativeGScore + h;
-          fScore.set(neighborKey, f);
+          // h(n) = Haversine distance to goal x cheapest cost per km (admissible)
+          const h = this.haversineDistance(neighbor.lat, neighbor.lon, endNode.lat, endNode.lon) * minCostPerKm;
           
-          openSet.enqueue(neighbor, f);
+          // f(n) = g(n) + h(n); insert or decrease-key if already queued
+          openSet.push(neighborKey, neighbor, tentativeGScore + h);
         }
       }
     }
@@ -871,8 +929,9 @@ class RouteFinder {
 
   /**
    * Format route result with statistics
+   * @param {Array} fullPath - Every cell of the route before smoothing (for the minimum charted depth)
    */
-  formatRouteResult(path, mode) {
+  formatRouteResult(path, mode, fullPath = path) {
     let totalDistance = 0;
     let safetySum = 0;
     let fuelEfficiencySum = 0;
@@ -927,9 +986,13 @@ class RouteFinder {
           visibility: node.weather.visibility,
           humidity: node.weather.humidity,
           lastUpdated: node.weather.lastUpdated
-        } : null
+        } : null,
+        ...(Number.isFinite(node.depth) && { depth: node.depth }),
+        // Time-dependent search: when the ship gets here and the conditions forecast for then
+        ...(node.eta && { etaHours: node.etaHours, eta: node.eta, forecast: node.forecast })
       };
     });
+    const chartedDepths = fullPath.map(node => node.depth).filter(Number.isFinite);
 
     // Calculate average weather conditions (default 50 if no data)
     const avgWeatherIndex = safetyCount > 0 ? weatherSum / safetyCount : 50;
@@ -962,7 +1025,27 @@ class RouteFinder {
     
     // INDUSTRY STANDARD: Calculate realistic fuel and duration
     const optimalSpeed = this.getOptimalSpeed(mode, avgWeatherIndex, isOpenWater);
-    const fuelData = this.calculateFuelConsumption(totalDistance, optimalSpeed, avgWeatherIndex, mode);
+
+    // Ocean currents: speed over ground on each leg at that speed through the water (set and
+    // drift reported on the waypoint the leg leaves from)
+    let groundHours = 0;
+    for (let index = 0; index < path.length - 1; index++) {
+      const node = path[index];
+      const next = path[index + 1];
+      const legKm = this.haversineDistance(node.lat, node.lon, next.lat, next.lon);
+      const weather = node.forecast ? { ...node.weather, ...node.forecast } : node.weather;
+      const leg = groundSpeed(optimalSpeed, this.calculateBearing(node.lat, node.lon, next.lat, next.lon),
+        currentAt(node.lat, node.lon, node.eta ? Date.parse(node.eta) : Date.now(), weather));
+      groundHours += legKm / (leg.groundSpeedKnots * 1.852);
+      const { currentSet, currentDrift } = describeCurrent(leg);
+      Object.assign(coordinates[index], {
+        current_set: currentSet,
+        current_drift_knots: currentDrift,
+        speed_over_ground_knots: parseFloat(leg.groundSpeedKnots.toFixed(2))
+      });
+    }
+    const groundSpeedKnots = groundHours > 0 ? totalDistance / 1.852 / groundHours : optimalSpeed;
+    const fuelData = this.calculateFuelConsumption(totalDistance, optimalSpeed, avgWeatherIndex, mode, groundSpeedKnots);
     
     // Convert scores to percentages (0-100%) for better readability
     // Scores are stored as 0-1 range (e.g., 0.85 = 85%), so multiply by 100
@@ -991,7 +1074,8 @@ class RouteFinder {
         breakdown: {
           speed_factor: fuelData.speedFactor,      // Cubic relationship impact
           weather_factor: fuelData.weatherFactor,   // Weather resistance impact
-          load_factor: fuelData.loadFactor          // Engine load efficiency
+          load_factor: fuelData.loadFactor,         // Engine load efficiency
+          draft_factor: fuelData.draftFactor        // Loading (current vs design draft)
         }
       },
       
@@ -1000,7 +1084,8 @@ class RouteFinder {
         hours: fuelData.durationHours,
         days: fuelData.durationDays,
         avg_speed_knots: fuelData.avgSpeedKnots,
-        avg_speed_kmh: parseFloat((fuelData.avgSpeedKnots * 1.852).toFixed(2))
+        avg_speed_kmh: parseFloat((fuelData.avgSpeedKnots * 1.852).toFixed(2)),
+        speed_through_water_knots: fuelData.speedThroughWaterKnots
       },
       
       // Route quality metrics (0-100%)
@@ -1009,6 +1094,10 @@ class RouteFinder {
       
       // Vessel specifications for frontend display
       vessel_specs: {
+        vessel_id: this.VESSEL_SPECS.id,
+        name: this.VESSEL_SPECS.name,
+        draft_m: this.VESSEL_SPECS.draftMeters,
+        required_depth_m: parseFloat(this.requiredDepth().toFixed(1)),
         fuel_price_usd_per_ton: this.VESSEL_SPECS.fuelPriceUSD,
         fuel_price_inr_per_ton: Math.round(this.VESSEL_SPECS.fuelPriceUSD * 83), // $1 = ₹83
         deadweight_dwt: this.VESSEL_SPECS.deadweight,
@@ -1020,6 +1109,7 @@ class RouteFinder {
       conditions: {
         avg_weather_index: parseFloat(avgWeatherIndex.toFixed(1)),
         open_water_percentage: parseFloat(openWaterPercentage.toFixed(1)),
+        min_charted_depth_m: chartedDepths.length > 0 ? Math.min(...chartedDepths) : null,
         weather_description: avgWeatherIndex < 50 ? 'favorable' : avgWeatherIndex < 70 ? 'moderate' : 'challenging'
       },
       
@@ -1051,10 +1141,9 @@ class RouteFinder {
    * Compare multiple route modes
    */
   async compareRoutes(start, end, gridData, resolution = 1) {
-    const modes = ['optimal', 'fuel_efficient', 'safe', 'normal'];
     const comparison = {};
 
-    for (const mode of modes) {
+    for (const mode of ROUTE_MODES) {
       try {
         const result = await this.findOptimalRoute(start, end, gridData, mode, resolution);
         comparison[mode] = {
@@ -0,0 +1,233 @@
+/**
+ * 🧾 ROUTE JOB MANAGER
+ * Runs long route calculations as background jobs
+ * Clients submit a job, poll its progress and fetch the result when done
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Thrown inside a running calculation when its job has been cancelled
+ */
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Route job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+  }
+}
+
+class RouteJobManager {
+  constructor(options = {}) {
+    this.MAX_CONCURRENT_JOBS = options.maxConcurrentJobs || 2;
+    this.JOB_TTL_MS = options.jobTtlMs || 60 * 60 * 1000; // Keep finished jobs for 1 hour
+    this.MAX_STORED_JOBS = options.maxStoredJobs || 200;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.handlers = new Map();
+
+    // Periodically drop finished jobs nobody came back for
+    this.pruneTimer = setInterval(() => this.pruneExpired(), 10 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Register the function that executes jobs of a given type
+   * Handler signature: async (params, context) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a new job and return it immediately
+   */
+  submit(type, params, owner = null) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown route job type: ${type}. Must be one of: ${Array.from(this.handlers.keys()).join(', ')}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      owner,
+      params,
+      status: 'queued',
+      progress: {
+        phase: 'queued',
+        cellsExpanded: 0,
+        currentSegment: 0,
+        totalSegments: 0,
+        percent: 0,
+        etaSeconds: null
+      },
+      result: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.pruneExpired();
+
+    console.log(`🧾 Route job ${job.id} queued (${type}), ${this.queue.length} waiting`);
+    this.processQueue();
+
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Request cancellation of a job
+   * Queued jobs stop at once, running jobs stop at their next progress checkpoint
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued.id !== jobId);
+      this.finish(job, 'cancelled');
+    } else if (job.status === 'running') {
+      job.cancelRequested = true;
+      job.progress.phase = 'cancelling';
+    }
+
+    return job;
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   */
+  processQueue() {
+    while (this.running < this.MAX_CONCURRENT_JOBS && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date();
+    job.progress.phase = 'starting';
+
+    const handler = this.handlers.get(job.type);
+
+    try {
+      const result = await handler(job.params, this.createContext(job));
+      job.result = result;
+      job.progress.percent = 100;
+      job.progress.etaSeconds = 0;
+      this.finish(job, 'completed');
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        this.finish(job, 'cancelled');
+      } else {
+        job.error = {
+          message: error.message,
+          statusCode: error.statusCode || 500,
+          details: error.payload || null
+        };
+        this.finish(job, 'failed');
+      }
+    } finally {
+      this.running--;
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Context handed to job handlers for progress reporting and cancellation checks
+   */
+  createContext(job) {
+    return {
+      jobId: job.id,
+      owner: job.owner,
+      isCancelled: () => job.cancelRequested,
+      throwIfCancelled: () => {
+        if (job.cancelRequested) {
+          throw new JobCancelledError(job.id);
+        }
+      },
+      reportProgress: (update) => this.updateProgress(job, update)
+    };
+  }
+
+  /**
+   * Merge a progress update and re-estimate time remaining
+   */
+  updateProgress(job, update = {}) {
+    Object.assign(job.progress, update);
+
+    const percent = job.progress.percent;
+    if (percent > 0 && percent < 100 && job.startedAt) {
+      const elapsed = (Date.now() - job.startedAt.getTime()) / 1000;
+      job.progress.etaSeconds = Math.round(elapsed * (100 - percent) / percent);
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date();
+    job.progress.phase = status;
+
+    const duration = job.startedAt
+      ? ((job.finishedAt - job.startedAt) / 1000).toFixed(1)
+      : '0.0';
+    console.log(`🧾 Route job ${job.id} ${status} after ${duration}s`);
+  }
+
+  /**
+   * Remove finished jobs older than the TTL, and the oldest ones beyond the storage cap
+   */
+  pruneExpired() {
+    const now = Date.now();
+    const finished = [];
+
+    for (const job of this.jobs.values()) {
+      if (!job.finishedAt) continue;
+      if (now - job.finishedAt.getTime() > this.JOB_TTL_MS) {
+        this.jobs.delete(job.id);
+      } else {
+        finished.push(job);
+      }
+    }
+
+    const overflow = this.jobs.size - this.MAX_STORED_JOBS;
+    if (overflow > 0) {
+      finished
+        .sort((a, b) => a.finishedAt - b.finishedAt)
+        .slice(0, overflow)
+        .forEach(job => this.jobs.delete(job.id));
+    }
+  }
+
+  /**
+   * Public view of a job (without the potentially large result payload)
+   */
+  getStatus(job) {
+    return {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      progress: { ...job.progress },
+      error: job.error,
+      queuePosition: job.status === 'queued' ? this.queue.indexOf(job) + 1 : 0,
+      createdAt: job.createdAt.toISOString(),
+      startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+      finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null
+    };
+  }
+}
+
+module.exports = RouteJobManager;
+module.exports.JobCancelledError = JobCancelledError;
@@ -0,0 +1,142 @@
+/**
+ * 🎯 ROUTE OBJECTIVES
+ * What sailing a leg costs on the three objectives of the mode presets (modePresets.js):
+ * - distanceKm
+ * - fuelTons: RouteFinder's fuel model with the engine at the set speed for as long as the leg
+ *   really takes (speed loss in wind and waves makes it longer, the ocean current longer or shorter)
+ * - exposureHours: hours at sea weighted by how severe the wind and waves are (1 - safety score)
+ * A preset's cost counts each objective in km of calm-weather sailing, so weights over objectives
+ * in different units add up. Also Pareto helpers: dominance, front filtering and preset selection
+ */
+
+const RouteFinder = require('./routeFinder');
+const ScoringEngine = require('./scoringEngine');
+const weatherConfig = require('./weatherConfig');
+const { MAX_DRIFT_KNOTS, currentAt, groundSpeed } = require('./oceanCurrents');
+
+const KNOTS_TO_KMH = 1.852;
+const NEUTRAL_SEVERITY = 0.5; // Severity without weather data (ScoringEngine's neutral safety score)
+
+// Objective name (preset weights) -> value field
+const OBJECTIVE_FIELDS = {
+  distance: 'distanceKm',
+  fuel: 'fuelTons',
+  exposure: 'exposureHours'
+};
+
+const routeFinder = new RouteFinder();
+const scoringEngine = new ScoringEngine();
+
+class RouteObjectives {
+  /**
+   * @param {Object} options - { vessel (VESSEL_SPECS), speedKnots (set speed, default the mode's
+   *   speed limit), mode (fuel model load factor) }
+   */
+  constructor(options = {}) {
+    this.model = routeFinder.forVessel(options.vessel);
+    const specs = this.model.VESSEL_SPECS;
+    this.fuelMode = String(options.mode || 'optimal').startsWith('fuel') ? 'fuel' : (options.mode || 'optimal');
+    this.speedKnots = options.speedKnots || specs.speedLimits?.[this.fuelMode] || specs.serviceSpeedKnots;
+
+    // Calm-weather sailing per km: the unit preset costs are counted in
+    this.calmFuelPerKm = this.model.calculateFuelConsumption(1000, this.speedKnots, 0, this.fuelMode).totalFuel / 1000;
+    this.calmExposurePerKm = NEUTRAL_SEVERITY / (this.speedKnots * KNOTS_TO_KMH);
+    // Lowest fuel per km any leg can have: calm weather with the strongest fair current
+    const maxDrift = weatherConfig.OCEAN_CURRENTS ? MAX_DRIFT_KNOTS : 0;
+    this.minFuelPerKm = this.calmFuelPerKm * this.speedKnots / (this.speedKnots + maxDrift);
+  }
+
+  /**
+   * Objectives of sailing a leg on a heading in the given weather, and in the ocean current at
+   * `position` ({ lat, lon, time }: where and when the leg starts) when given
+   * @returns {Object} { distanceKm, fuelTons, exposureHours, hours, speedKnots (over ground),
+   *   throughWaterKnots, speedLossPercent, current (groundSpeed result) }
+   */
+  leg(distanceKm, weather, headingDeg, position = null) {
+    const { speedKnots: throughWaterKnots, lossPercent } = this.model.calculateSpeedLoss(this.speedKnots, weather, headingDeg);
+    const current = groundSpeed(throughWaterKnots, headingDeg,
+      position && currentAt(position.lat, position.lon, position.time, weather));
+    const hours = distanceKm / (current.groundSpeedKnots * KNOTS_TO_KMH);
+    const severity = 1 - scoringEngine.calculateSafetyScore(weather);
+    const fuel = this.model.calculateFuelConsumption(distanceKm, this.speedKnots, severity * 100, this.fuelMode, current.groundSpeedKnots);
+    return {
+      distanceKm,
+      fuelTons: fuel.totalFuel,
+      exposureHours: hours * severity,
+      hours,
+      speedKnots: current.groundSpeedKnots,
+      throughWaterKnots,
+      speedLossPercent: lossPercent,
+      current
+    };
+  }
+
+  /**
+   * Weighted cost of objective values, in km of calm-weather sailing
+   * @param {Object} weights - { distance, fuel, exposure }
+   */
+  cost(objectives, weights) {
+    return weights.distance * objectives.distanceKm +
+      weights.fuel * objectives.fuelTons / this.calmFuelPerKm +
+      weights.exposure * objectives.exposureHours / this.calmExposurePerKm;
+  }
+
+  /**
+   * Lowest cost per km any leg can have (fuel at the lowest rate, no exposure)
+   */
+  minCostPerKm(weights) {
+    return weights.distance + weights.fuel * this.minFuelPerKm / this.calmFuelPerKm;
+  }
+}
+
+/**
+ * True when `a` is at least as good as `b` on every objective and strictly better on one;
+ * with a relative epsilon, when `a` is no more than epsilon worse than `b` on every objective
+ */
+function dominates(a, b, epsilon = 0) {
+  let better = false;
+  for (const field of Object.values(OBJECTIVE_FIELDS)) {
+    if (a[field] > b[field] * (1 + epsilon) + 1e-9) return false;
+    if (a[field] < b[field]) better = true;
+  }
+  return better || epsilon > 0;
+}
+
+/**
+ * Non-dominated routes ({ objectives }), shortest first
+ */
+function paretoFront(routes) {
+  return routes
+    .filter(route => !routes.some(other => other !== route && dominates(other.objectives, route.objectives)))
+    .sort((a, b) => a.objectives.distanceKm - b.objectives.distanceKm);
+}
+
+/**
+ * Route of a front a set of weights picks: objectives scaled to 0-1 across the front (best to
+ * worst), then weighted
+ * @returns {Object} { route, score }
+ */
+function selectRoute(front, weights) {
+  const ranges = Object.entries(OBJECTIVE_FIELDS).map(([objective, field]) => {
+    const values = front.map(route => route.objectives[field]);
+    return { weight: weights[objective] || 0, field, min: Math.min(...values), max: Math.max(...values) };
+  });
+
+  let best = null;
+  for (const route of front) {
+    const score = ranges.reduce((sum, { weight, field, min, max }) =>
+      sum + (max > min ? weight * (route.objectives[field] - min) / (max - min) : 0), 0);
+    if (!best || score < best.score) {
+      best = { route, score };
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  OBJECTIVE_FIELDS,
+  RouteObjectives,
+  dominates,
+  paretoFront,
+  selectRoute
+};
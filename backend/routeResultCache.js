@@ -0,0 +1,144 @@
+/**
+ * 🗃️ ROUTE RESULT CACHE
+ * Computed POST /api/route results saved in the store (MongoDB, or the offline stores), keyed by
+ * everything that determines the route: snapped start/end cells, mode (or weights), constraints,
+ * vessel profile, avoidance areas, via-points, departure hour, grid version, cost-model version and
+ * weather epoch.
+ * A repeated request is answered from the cache until new weather arrives (next weather epoch)
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { COST_MODEL_VERSION } = require('./costFunction');
+const { getWeatherEpoch } = require('./weatherEpoch');
+
+/**
+ * JSON with object keys sorted, so equal requests give equal keys
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+class RouteResultCache {
+  /**
+   * @param {Object} options - { enabled } (default: ROUTE_RESULT_CACHE is not 'off')
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.ROUTE_RESULT_CACHE !== 'off';
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * What a route result depends on, for the given snapped cells and request
+   * @param {Object} request - { startCell, endCell, mode, weights, constraints, vessel, avoidAreas, via, departureTime }
+   */
+  async describe(request) {
+    const gridVersion = await getStore().getGridVersion();
+    const weatherEpoch = getWeatherEpoch();
+    const { startCell, endCell } = request;
+    return {
+      startCell: { lat: startCell.lat, lon: startCell.lon },
+      endCell: { lat: endCell.lat, lon: endCell.lon },
+      mode: request.mode,
+      weights: request.weights || null,
+      constraints: request.constraints && Object.keys(request.constraints).length > 0 ? request.constraints : null,
+      vessel: request.vessel || null,
+      avoidAreas: request.avoidAreas || null,
+      via: request.via || null,
+      // Departure hour: the forecast along the route, avoidance-area time windows and via-point ETAs
+      departureTime: request.departureTime || null,
+      gridVersion: gridVersion || 'unversioned',
+      costModelVersion: COST_MODEL_VERSION,
+      weatherEpoch
+    };
+  }
+
+  static routeKey(description) {
+    const { weatherEpoch, ...parts } = description;
+    return crypto.createHash('sha1')
+      .update(canonicalJson({ ...parts, weatherEpoch: weatherEpoch.id }))
+      .digest('hex');
+  }
+
+  /**
+   * Cached response for a description, or null (a failing store counts as a miss)
+   */
+  async lookup(description) {
+    if (!this.enabled) return null;
+
+    let entry;
+    try {
+      entry = await getStore().getCachedRoute(RouteResultCache.routeKey(description));
+    } catch (error) {
+      console.error('⚠️  Route cache lookup failed:', error.message);
+      entry = null;
+    }
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    return {
+      ...entry.response,
+      fromCache: true,
+      cachedAt: new Date(entry.createdAt).toISOString(),
+      cacheHits: entry.hits
+    };
+  }
+
+  /**
+   * Save a computed response; a failing store only costs the cache, never the route
+   */
+  async save(description, response) {
+    if (!this.enabled) return;
+
+    const { weatherEpoch } = description;
+    try {
+      await getStore().saveCachedRoute({
+        key: RouteResultCache.routeKey(description),
+        startCell: description.startCell,
+        endCell: description.endCell,
+        mode: description.mode,
+        gridVersion: description.gridVersion,
+        costModelVersion: description.costModelVersion,
+        weatherEpoch: weatherEpoch.id,
+        response,
+        expiresAt: weatherEpoch.expiresAt ? new Date(weatherEpoch.expiresAt) : undefined
+      });
+    } catch (error) {
+      console.error('⚠️  Could not cache route result:', error.message);
+    }
+  }
+
+  /**
+   * Remove expired entries (or all of them)
+   */
+  async clear(options = {}) {
+    return getStore().clearCachedRoutes(options);
+  }
+
+  async getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      entries: await getStore().countCachedRoutes(),
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? parseFloat((this.hits / lookups).toFixed(3)) : null,
+      costModelVersion: COST_MODEL_VERSION,
+      weatherEpoch: getWeatherEpoch()
+    };
+  }
+}
+
+module.exports = RouteResultCache;
@@ -4,47 +4,85 @@
  * Takes seconds instead of hours!
  */
 
-const axios = require('axios');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
 const Grid = require('./models/Grid');
 const config = require('./weatherConfig');
+const { getWeatherProvider } = require('./weatherProviders');
+const forecastStore = require('./forecastStore');
+
+const KNOTS_TO_KMH = 1.852;
+
+/**
+ * Weather for a cell from the forecast store (ingested GRIB2 or a recent fetch), in the same shape
+ * and units as fetchWeatherForCell; null when no stored forecast has wind there
+ */
+function storedWeatherForCell(lat, lon, time = Date.now()) {
+  const stored = forecastStore.conditionsAt(lat, lon, time);
+  if (!stored || stored.windSpeed === undefined) return null;
+
+  const windSpeed = parseFloat((stored.windSpeed * KNOTS_TO_KMH).toFixed(1));
+  const windDirection = stored.windDirection ?? 0;
+  const estimatedWaveHeight = Math.min(windSpeed * 0.15, 6);
+  return {
+    temperature: 25,
+    windSpeed,
+    windDirection,
+    windGusts: stored.windGusts !== undefined ? parseFloat((stored.windGusts * KNOTS_TO_KMH).toFixed(1)) : parseFloat((windSpeed * 1.5).toFixed(1)),
+    waveHeight: stored.waveHeight ?? parseFloat(estimatedWaveHeight.toFixed(1)),
+    waveDirection: stored.waveDirection ?? windDirection,
+    wavePeriod: stored.wavePeriod ?? parseFloat(Math.max(3, Math.min(estimatedWaveHeight * 2, 12)).toFixed(1)),
+    visibility: stored.visibility ?? 10000,
+    cloudCover: 50,
+    precipitation: 0,
+    ...(stored.currentVelocity !== undefined && {
+      currentVelocity: stored.currentVelocity,
+      currentDirection: stored.currentDirection
+    }),
+    forecastSnapshot: stored.snapshot,
+    timestamp: new Date()
+  };
+}
 
 /**
- * Fetch weather for a single cell from Open-Meteo API
+ * Fetch weather for a single cell from the configured weather provider
  */
 async function fetchWeatherForCell(lat, lon) {
   try {
-    // Use simpler API format - single request with current weather
-    const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
-      params: {
-        latitude: lat.toFixed(2),
-        longitude: lon.toFixed(2),
-        current: 'temperature_2m,wind_speed_10m,wind_direction_10m,wind_gusts_10m,cloud_cover,precipitation',
-        timezone: 'auto'
-      },
+    // Single request with current weather (wind in km/h, as stored before)
+    const provider = getWeatherProvider();
+    const current = await provider.current(lat, lon, {
+      variables: ['temperature', 'windSpeed', 'windDirection', 'windGusts', 'cloudCover', 'precipitation'],
+      windSpeedUnit: 'kmh',
       timeout: 5000
     });
 
-    const current = response.data.current;
-
     // Estimate wave conditions from wind speed (simplified marine data)
-    const windSpeed = current.wind_speed_10m || 10;
+    const windSpeed = current.windSpeed || 10;
     const estimatedWaveHeight = Math.min(windSpeed * 0.15, 6); // Rough estimate: wind/6.67
     const estimatedWavePeriod = Math.max(3, Math.min(estimatedWaveHeight * 2, 12));
 
+    // Local providers (file, snapshot, mock) have real wave data at no cost
+    const marine = provider.remote ? {} : await provider.currentMarine(lat, lon, {
+      variables: ['waveHeight', 'waveDirection', 'wavePeriod', 'currentVelocity', 'currentDirection']
+    });
+
     return {
-      temperature: current.temperature_2m || 25,
+      temperature: current.temperature || 25,
       windSpeed: windSpeed,
-      windDirection: current.wind_direction_10m || 0,
-      windGusts: current.wind_gusts_10m || windSpeed * 1.5,
-      waveHeight: parseFloat(estimatedWaveHeight.toFixed(1)),
-      waveDirection: current.wind_direction_10m || 0, // Waves follow wind
-      wavePeriod: parseFloat(estimatedWavePeriod.toFixed(1)),
+      windDirection: current.windDirection || 0,
+      windGusts: current.windGusts || windSpeed * 1.5,
+      waveHeight: marine.waveHeight ?? parseFloat(estimatedWaveHeight.toFixed(1)),
+      waveDirection: marine.waveDirection ?? (current.windDirection || 0), // Waves follow wind
+      wavePeriod: marine.wavePeriod ?? parseFloat(estimatedWavePeriod.toFixed(1)),
       visibility: 10000,
-      cloudCover: current.cloud_cover || 50,
+      cloudCover: current.cloudCover || 50,
       precipitation: current.precipitation || 0,
+      ...(marine.currentVelocity != null && {
+        currentVelocity: marine.currentVelocity,
+        currentDirection: marine.currentDirection
+      }),
       timestamp: new Date()
     };
   } catch (error) {
@@ -73,43 +111,63 @@ async function updateRouteWeather(routeCells) {
     return { updated: 0, failed: 0 };
   }
 
+  // Cells a stored forecast covers are read from the forecast store, all of them
+  const weatherMap = new Map(); // Store fetched weather data
+  let stored = 0;
+  const uncovered = [];
+  for (const cell of routeCells) {
+    const weather = storedWeatherForCell(cell.lat, cell.lon);
+    if (weather) {
+      weatherMap.set(`${cell.lat.toFixed(4)},${cell.lon.toFixed(4)}`, weather);
+      stored++;
+    } else {
+      uncovered.push(cell);
+    }
+  }
+  if (config.VERBOSE_LOGGING && stored > 0) {
+    console.log(`🗂️  Forecast store: ${stored}/${routeCells.length} cells`);
+  }
+  if (uncovered.length === 0) {
+    return { updated: stored, failed: 0, stored, weatherMap };
+  }
+
+  // Local providers (ingested GRIB snapshot, weather file, mock) answer without a network call:
+  // every cell gets its own weather (network requests are paced by the provider's rate limiter)
+  const remote = getWeatherProvider().remote;
+
   // SMART SAMPLING: Fetch weather for key points (start, 25%, 50%, 75%, end) + random samples
   const keyIndices = [
     0, // Start
-    Math.floor(routeCells.length * 0.25), // 25%
-    Math.floor(routeCells.length * 0.50), // Middle
-    Math.floor(routeCells.length * 0.75), // 75%
-    routeCells.length - 1 // End
+    Math.floor(uncovered.length * 0.25), // 25%
+    Math.floor(uncovered.length * 0.50), // Middle
+    Math.floor(uncovered.length * 0.75), // 75%
+    uncovered.length - 1 // End
   ];
   
   const sampledIndices = new Set(keyIndices);
   
   // Add random samples
-  for (let i = 0; i < routeCells.length; i++) {
-    if (Math.random() < config.SAMPLE_RATE) {
+  for (let i = 0; i < uncovered.length; i++) {
+    if (!remote || Math.random() < config.SAMPLE_RATE) {
       sampledIndices.add(i);
     }
   }
   
   const sampledCells = Array.from(sampledIndices)
     .sort((a, b) => a - b)
-    .map(i => ({ ...routeCells[i], index: i }));
+    .map(i => ({ ...uncovered[i], index: i }));
 
   if (config.VERBOSE_LOGGING) {
-    console.log(`🔄 Fetching weather for ${sampledCells.length}/${routeCells.length} cells (key points + ${(config.SAMPLE_RATE * 100).toFixed(0)}% random)`);
+    console.log(remote
+      ? `🔄 Fetching weather for ${sampledCells.length}/${uncovered.length} cells (key points + ${(config.SAMPLE_RATE * 100).toFixed(0)}% random)`
+      : `🔄 Reading weather for all ${sampledCells.length} cells from the ${getWeatherProvider().name} provider`);
   }
   
   let updated = 0;
   let failed = 0;
-  const weatherMap = new Map(); // Store fetched weather data
 
   for (let i = 0; i < sampledCells.length; i++) {
     const { lat, lon, index } = sampledCells[i];
-    
-    // Add delay between requests
-    if (i > 0) {
-      await new Promise(resolve => setTimeout(resolve, config.API_DELAY_MS));
-    }
 
     const weather = await fetchWeatherForCell(lat, lon);
     
@@ -144,7 +202,7 @@ async function updateRouteWeather(routeCells) {
     console.log(`✅ Weather fetch complete: ${updated} cells, ${failed} failed`);
   }
 
-  return { updated, failed, weatherMap }; // Return weather data directly
+  return { updated: updated + stored, failed, stored, weatherMap }; // Return weather data directly
 }
 
 /**
@@ -191,4 +249,4 @@ if (require.main === module) {
   })();
 }
 
-module.exports = { updateRouteWeather, extractRouteCells, fetchWeatherForCell };
+module.exports = { updateRouteWeather, extractRouteCells, fetchWeatherForCell, storedWeatherForCell };
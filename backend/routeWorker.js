@@ -0,0 +1,132 @@
+/**
+ * 🧵 ROUTE WORKER
+ * Worker thread entry point for RouteWorkerPool
+ * Runs one route search at a time against the grid tiles sent with the task
+ */
+
+const { parentPort } = require('worker_threads');
+const TiledGrid = require('./tiledGrid');
+const RouteFinder = require('./routeFinder');
+const { aStar } = require('./gridAStar');
+const { isochroneSearch } = require('./isochroneRouter');
+const { paretoSearch } = require('./paretoRouter');
+const StrictOceanRouter = require('./strictOceanRouter');
+const { JobCancelledError } = require('./routeJobManager');
+const { AvoidanceSet } = require('./avoidAreas');
+const { VoyageTimeline } = require('./forecastField');
+
+const routeFinder = new RouteFinder();
+const strictOceanRouters = new Map(); // gridFile -> StrictOceanRouter, built on first use
+
+/**
+ * Cells a task runs against, decoded from its (shared memory) tiles
+ */
+function getTaskCells(task, options = {}) {
+  const grid = TiledGrid.fromTransferable(task.tiles);
+
+  const region = task.params.region;
+  const cells = region
+    ? grid.getCellsInRegion(region.latMin, region.latMax, region.lonMin, region.lonMax, options)
+    : grid.getAllCells().filter(cell => !options.waterOnly || (!cell.is_land && !cell.obstacle));
+
+  return { grid, cells };
+}
+
+/**
+ * Search hooks plus the task's avoidance areas, via-points / gates, voyage timeline
+ * (departure, speed and forecast field for time-dependent routing), vessel, custom weights (preset)
+ * and hard constraints, all sent as plain objects
+ */
+function searchHooks(task, hooks) {
+  const { avoidAreas, passages, timeline, vessel, speedKnots, preset, constraints } = task.params;
+  return {
+    ...hooks,
+    ...(vessel && { vessel }),
+    ...(speedKnots && { speedKnots }),
+    ...(preset && { preset }),
+    ...(constraints && Object.keys(constraints).length > 0 && { constraints }),
+    ...(avoidAreas && avoidAreas.length > 0 && { avoidance: new AvoidanceSet(avoidAreas) }),
+    ...(passages && passages.length > 0 && { passages }),
+    ...(timeline && { timeline: new VoyageTimeline(timeline) })
+  };
+}
+
+const taskHandlers = {
+  // A* from gridAStar.js (POST /api/route, /calculate)
+  async 'grid-astar'(task, hooks) {
+    const { start, goal, mode } = task.params;
+    const { grid, cells } = getTaskCells(task, { waterOnly: true });
+    return aStar(start, goal, cells, task.params.resolution || grid.resolution, mode, searchHooks(task, hooks));
+  },
+
+  // RouteFinder A* (strict ocean route, GET /api/route)
+  async 'route-finder'(task, hooks) {
+    const { start, end, mode, vessel, constraints } = task.params;
+    const { grid, cells } = getTaskCells(task);
+    return routeFinder.forVessel(vessel, constraints && constraints.minDepthMeters).findOptimalRoute(start, end, cells, mode, task.params.resolution || grid.resolution, searchHooks(task, hooks));
+  },
+
+  // Minimum-time isochrone search (isochrone engine)
+  async 'isochrone'(task, hooks) {
+    const { start, goal, vessel, speedKnots } = task.params;
+    const { grid, cells } = getTaskCells(task, { waterOnly: true });
+    return isochroneSearch(start, goal, cells, task.params.resolution || grid.resolution, { vessel, speedKnots }, searchHooks(task, hooks));
+  },
+
+  // Non-dominated routes over distance, fuel and exposure (pareto engine)
+  async 'pareto'(task, hooks) {
+    const { start, goal, mode, vessel, speedKnots } = task.params;
+    const { grid, cells } = getTaskCells(task, { waterOnly: true });
+    return paretoSearch(start, goal, cells, task.params.resolution || grid.resolution, { vessel, speedKnots, mode }, searchHooks(task, hooks));
+  },
+
+  // Deep-water A* on StrictOceanRouter's own 1° grid file (strict-ocean engine) - no grid tiles
+  async 'strict-ocean'(task) {
+    const { start, end, gridFile, minDepthMeters } = task.params;
+    if (!strictOceanRouters.has(gridFile)) {
+      strictOceanRouters.set(gridFile, new StrictOceanRouter(gridFile));
+    }
+    return strictOceanRouters.get(gridFile).findSafeRoute(start.lat, start.lon, end.lat, end.lon, {}, minDepthMeters);
+  },
+
+  // RouteFinder mode comparison (POST /api/route/compare)
+  async 'compare-routes'(task) {
+    const { start, end, vessel } = task.params;
+    const { grid, cells } = getTaskCells(task);
+    return routeFinder.forVessel(vessel).compareRoutes(start, end, cells, task.params.resolution || grid.resolution);
+  }
+};
+
+async function runTask(task) {
+  const cancelFlag = new Int32Array(task.cancelBuffer);
+  const hooks = {
+    onProgress: (progress) => parentPort.postMessage({ type: 'progress', taskId: task.taskId, progress }),
+    throwIfCancelled: () => {
+      if (Atomics.load(cancelFlag, 0) === 1) {
+        throw new JobCancelledError(task.jobId);
+      }
+    }
+  };
+
+  try {
+    const handler = taskHandlers[task.taskType];
+    if (!handler) {
+      throw new Error(`Unknown route task type: ${task.taskType}`);
+    }
+
+    const result = await handler(task, hooks);
+    parentPort.postMessage({ type: 'result', taskId: task.taskId, result });
+  } catch (error) {
+    parentPort.postMessage({
+      type: 'error',
+      taskId: task.taskId,
+      error: { name: error.name, message: error.message, stack: error.stack }
+    });
+  }
+}
+
+parentPort.on('message', (message) => {
+  if (message.type === 'task') {
+    runTask(message);
+  }
+});
@@ -0,0 +1,304 @@
+/**
+ * 🧵 ROUTE WORKER POOL
+ * Runs CPU-heavy route searches on a bounded set of worker threads
+ * so the API keeps answering other requests while routes are calculated
+ *
+ * - Grid tiles are cached as shared memory (SharedGrid) and handed to workers without copying
+ * - A search only loads the tiles that intersect its corridor
+ * - Queued searches are served round-robin per owner (user id or client IP),
+ *   so one user submitting many routes cannot starve everyone else
+ */
+
+const { Worker } = require('worker_threads');
+const os = require('os');
+const path = require('path');
+const { JobCancelledError } = require('./routeJobManager');
+const SharedGrid = require('./sharedGrid');
+const TiledGrid = require('./tiledGrid');
+const { TILE_SIZE_DEGREES, getTileKeysForBounds } = require('./gridTiles');
+
+// Task types that load their own data instead of searching grid tiles
+const GRIDLESS_TASKS = new Set(['strict-ocean']);
+
+class RouteWorkerPool {
+  constructor(options = {}) {
+    this.POOL_SIZE = options.size || Math.max(1, Math.min(4, os.cpus().length - 1));
+    this.TILE_TTL_MS = options.tileTtlMs || 60 * 60 * 1000; // Reload cached tiles every hour
+    this.MAX_CACHED_TILES = options.maxCachedTiles || 200;
+    this.MAX_QUEUED_PER_OWNER = options.maxQueuedPerOwner || 20;
+
+    this.workerScript = path.join(__dirname, 'routeWorker.js');
+    this.workers = [];
+    this.ownerQueues = new Map();
+    this.nextTaskId = 1;
+
+    this.tileLoader = null;
+    this.tiles = new Map();     // tileKey -> SharedGrid (empty grid for tiles without cells)
+    this.tileLoads = new Map(); // tileKey -> pending load
+  }
+
+  /**
+   * Register the async function that loads grid tiles
+   * Loader signature: async (tileKeys) => Map<tileKey, SharedGrid> (missing keys = no cells)
+   */
+  setTileLoader(loader) {
+    this.tileLoader = loader;
+  }
+
+  /**
+   * Tiles covering a bounding box, loading only the ones not cached (or stale)
+   * Concurrent callers share pending tile loads
+   * @returns {Promise<TiledGrid|null>} null when no grid data covers the region
+   */
+  async getRegion(latMin, latMax, lonMin, lonMax) {
+    if (!this.tileLoader) {
+      throw new Error('Route worker pool has no tile loader');
+    }
+
+    const tileKeys = getTileKeysForBounds(latMin, latMax, lonMin, lonMax, TILE_SIZE_DEGREES);
+    const now = Date.now();
+    const missing = tileKeys.filter(key => {
+      const tile = this.tiles.get(key);
+      return !this.tileLoads.has(key) && (!tile || now - tile.loadedAt > this.TILE_TTL_MS);
+    });
+
+    if (missing.length > 0) {
+      const load = this.loadTiles(missing);
+      missing.forEach(key => this.tileLoads.set(key, load));
+    }
+
+    await Promise.all(tileKeys.filter(key => this.tileLoads.has(key)).map(key => this.tileLoads.get(key)));
+
+    const tiles = tileKeys
+      .map(key => this.tiles.get(key))
+      .filter(tile => tile && tile.count > 0);
+
+    return tiles.length > 0 ? new TiledGrid(tiles) : null;
+  }
+
+  async loadTiles(tileKeys) {
+    try {
+      const loadStart = Date.now();
+      const loaded = await this.tileLoader(tileKeys);
+
+      for (const key of tileKeys) {
+        // Remember empty tiles too, so land-only or out-of-grid areas are not queried again
+        this.tiles.set(key, loaded.get(key) || SharedGrid.fromCells([], { resolution: null }));
+      }
+      this.evictTiles();
+
+      console.log(`🧩 Loaded ${loaded.size}/${tileKeys.length} grid tiles in ${((Date.now() - loadStart) / 1000).toFixed(1)}s`);
+    } finally {
+      tileKeys.forEach(key => this.tileLoads.delete(key));
+    }
+  }
+
+  /**
+   * Drop the oldest cached tiles beyond the cache limit
+   * Workers only hold tiles for the task they are running, so nothing else needs updating
+   */
+  evictTiles() {
+    const overflow = this.tiles.size - this.MAX_CACHED_TILES;
+    if (overflow <= 0) return;
+
+    Array.from(this.tiles.entries())
+      .sort((a, b) => a[1].loadedAt - b[1].loadedAt)
+      .slice(0, overflow)
+      .forEach(([key]) => this.tiles.delete(key));
+  }
+
+  /**
+   * Run a search on a worker
+   * @param {string} taskType - 'grid-astar' | 'route-finder' | 'isochrone' | 'pareto' | 'strict-ocean' | 'compare-routes'
+   * @param {Object} params - Task parameters (start/end, region, mode, resolution)
+   * @param {Object} options - { owner, jobId, grid, onProgress, isCancelled }
+   *   grid: TiledGrid from getRegion(), or a SharedGrid built for a one-off grid (none for GRIDLESS_TASKS)
+   * @returns {Promise<*>} Whatever the search returned
+   */
+  async run(taskType, params, options = {}) {
+    if (!options.grid && !GRIDLESS_TASKS.has(taskType)) {
+      throw new Error('Route search needs a grid (use getRegion to load the corridor tiles)');
+    }
+
+    const owner = options.owner || 'anonymous';
+    const queue = this.ownerQueues.get(owner) || [];
+    if (queue.length >= this.MAX_QUEUED_PER_OWNER) {
+      const error = new Error(`Too many route calculations queued (max ${this.MAX_QUEUED_PER_OWNER} per user)`);
+      error.statusCode = 429;
+      throw error;
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: this.nextTaskId++,
+        taskType,
+        params,
+        owner,
+        jobId: options.jobId || null,
+        tiles: options.grid ? (options.grid.tiles || [options.grid]) : [],
+        onProgress: options.onProgress || null,
+        isCancelled: options.isCancelled || (() => false),
+        cancelFlag: new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT)),
+        resolve,
+        reject
+      };
+
+      queue.push(task);
+      this.ownerQueues.set(owner, queue);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Next task in round-robin order across owners
+   * The served owner moves to the back of the rotation
+   */
+  nextTask() {
+    for (const [owner, queue] of this.ownerQueues) {
+      const task = queue.shift();
+      this.ownerQueues.delete(owner);
+      if (queue.length > 0) {
+        this.ownerQueues.set(owner, queue);
+      }
+      if (task) return task;
+    }
+    return null;
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting workers up to the pool size
+   */
+  dispatch() {
+    while (this.ownerQueues.size > 0) {
+      let slot = this.workers.find(w => !w.task);
+      if (!slot && this.workers.length < this.POOL_SIZE) {
+        slot = this.spawnWorker();
+      }
+      if (!slot) return;
+
+      const task = this.nextTask();
+      if (!task) return;
+
+      // Cancelled while waiting in the queue
+      if (task.isCancelled()) {
+        task.reject(new JobCancelledError(task.jobId));
+        continue;
+      }
+
+      this.assign(slot, task);
+    }
+  }
+
+  assign(slot, task) {
+    slot.task = task;
+    // A busy worker keeps the process alive (CLI scripts await its result)
+    slot.worker.ref();
+
+    // Tiles are SharedArrayBuffers: posting them shares memory rather than copying cells
+    slot.worker.postMessage({
+      type: 'task',
+      taskId: task.id,
+      taskType: task.taskType,
+      params: task.params,
+      jobId: task.jobId,
+      tiles: task.tiles.map(tile => tile.toTransferable()),
+      cancelBuffer: task.cancelFlag.buffer
+    });
+  }
+
+  spawnWorker() {
+    const worker = new Worker(this.workerScript);
+    const slot = { worker, task: null };
+
+    worker.on('message', (message) => this.handleMessage(slot, message));
+    worker.on('error', (error) => {
+      console.error('🧵 Route worker crashed:', error.message);
+      this.retireWorker(slot, error);
+    });
+    worker.on('exit', (code) => {
+      if (this.workers.includes(slot)) {
+        this.retireWorker(slot, new Error(`Route worker exited with code ${code}`));
+      }
+    });
+
+    // Idle workers must not keep the process alive
+    worker.unref();
+
+    this.workers.push(slot);
+    return slot;
+  }
+
+  /**
+   * Drop a dead worker, fail its task and let dispatch start a replacement
+   */
+  retireWorker(slot, error) {
+    this.workers = this.workers.filter(w => w !== slot);
+    if (slot.task) {
+      slot.task.reject(error);
+      slot.task = null;
+    }
+    this.dispatch();
+  }
+
+  handleMessage(slot, message) {
+    const task = slot.task;
+    if (!task || message.taskId !== task.id) return;
+
+    if (message.type === 'progress') {
+      if (task.onProgress) {
+        task.onProgress(message.progress);
+      }
+      // Forward cancellation to the worker, which checks the flag at its next checkpoint
+      if (task.isCancelled()) {
+        Atomics.store(task.cancelFlag, 0, 1);
+      }
+      return;
+    }
+
+    slot.task = null;
+    slot.worker.unref();
+
+    if (message.type === 'result') {
+      task.resolve(message.result);
+    } else if (message.error.name === 'JobCancelledError') {
+      task.reject(new JobCancelledError(task.jobId));
+    } else {
+      const error = new Error(message.error.message);
+      error.stack = message.error.stack;
+      task.reject(error);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Pool status for monitoring
+   */
+  getStats() {
+    let queued = 0;
+    for (const queue of this.ownerQueues.values()) {
+      queued += queue.length;
+    }
+
+    let cachedCells = 0;
+    for (const tile of this.tiles.values()) {
+      cachedCells += tile.count;
+    }
+
+    return {
+      poolSize: this.POOL_SIZE,
+      workers: this.workers.length,
+      busy: this.workers.filter(w => w.task).length,
+      queued,
+      queuedOwners: this.ownerQueues.size,
+      tiles: {
+        cached: this.tiles.size,
+        loading: this.tileLoads.size,
+        cells: cachedCells,
+        maxCached: this.MAX_CACHED_TILES
+      }
+    };
+  }
+}
+
+module.exports = RouteWorkerPool;
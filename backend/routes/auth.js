@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { getStore } = require('../storage');
 
 // JWT secret (should be in environment variable in production)
 const JWT_SECRET = process.env.JWT_SECRET || 'jalmarg-maritime-routing-secret-2024';
@@ -26,7 +26,7 @@ router.post('/signup', async (req, res) => {
     }
 
     // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    const existingUser = await getStore().findUserByEmail(email);
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -35,15 +35,13 @@ router.post('/signup', async (req, res) => {
     }
 
     // Create new user
-    const user = new User({
+    const user = await getStore().createUser({
       name,
       email,
       password,
       organization: organization || ''
     });
 
-    await user.save();
-
     // Generate token
     const token = generateToken(user._id);
 
@@ -82,7 +80,7 @@ router.post('/login', async (req, res) => {
     }
 
     // Find user (include password for verification)
-    const user = await User.findOne({ email }).select('+password');
+    const user = await getStore().findUserByEmail(email, { withPassword: true });
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -91,7 +89,7 @@ router.post('/login', async (req, res) => {
     }
 
     // Verify password
-    const isPasswordValid = await user.comparePassword(password);
+    const isPasswordValid = await getStore().verifyPassword(user, password);
     if (!isPasswordValid) {
       return res.status(401).json({
         success: false,
@@ -140,7 +138,7 @@ router.get('/verify', async (req, res) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     
     // Find user
-    const user = await User.findById(decoded.userId);
+    const user = await getStore().findUserById(decoded.userId);
     if (!user) {
       return res.status(401).json({
         success: false,
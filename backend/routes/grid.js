@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const Grid = require('../models/Grid');
+const { getStore } = require('../storage');
 
 // Generate a new grid
 router.post('/generate', async (req, res) => {
@@ -26,14 +26,13 @@ router.post('/generate', async (req, res) => {
       }
     }
 
-    const grid = new Grid({
+    const grid = await getStore().createGrid({
       name: name || `Grid_${Date.now()}`,
       bounds,
       resolution: resolution || 0.1,
       cells,
     });
 
-    await grid.save();
     res.status(201).json({ success: true, grid });
   } catch (error) {
     res.status(500).json({ error: 'Failed to generate grid', message: error.message });
@@ -43,7 +42,7 @@ router.post('/generate', async (req, res) => {
 // Get all grids
 router.get('/', async (req, res) => {
   try {
-    const grids = await Grid.find().select('-cells');
+    const grids = await getStore().listGrids();
     res.json({ success: true, grids });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch grids', message: error.message });
@@ -53,7 +52,7 @@ router.get('/', async (req, res) => {
 // Get specific grid by ID
 router.get('/:id', async (req, res) => {
   try {
-    const grid = await Grid.findById(req.params.id);
+    const grid = await getStore().getGridById(req.params.id);
     if (!grid) {
       return res.status(404).json({ error: 'Grid not found' });
     }
@@ -67,11 +66,7 @@ router.get('/:id', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { cells } = req.body;
-    const grid = await Grid.findByIdAndUpdate(
-      req.params.id,
-      { cells, updatedAt: Date.now() },
-      { new: true }
-    );
+    const grid = await getStore().updateGridCells(req.params.id, cells);
     if (!grid) {
       return res.status(404).json({ error: 'Grid not found' });
     }
@@ -84,7 +79,7 @@ router.put('/:id', async (req, res) => {
 // Delete grid
 router.delete('/:id', async (req, res) => {
   try {
-    const grid = await Grid.findByIdAndDelete(req.params.id);
+    const grid = await getStore().deleteGrid(req.params.id);
     if (!grid) {
       return res.status(404).json({ error: 'Grid not found' });
     }
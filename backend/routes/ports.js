@@ -1,26 +1,77 @@
 const express = require('express');
 const router = express.Router();
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { getStore } = require('../storage');
 const {
   INDIAN_OCEAN_PORTS,
   getPortsByCountry,
   getPortsByRegion,
   searchPorts,
-  getAllCountries,
-  getAllRegions,
+  getCountries,
+  getRegions,
+  filterPortsByAccess,
 } = require('../indianOceanPorts');
+const { createPort, updatePort, deactivatePort, mergePorts, importRelease } = require('../portRegistry');
 
-// Get all ports (already filtered in indianOceanPorts.json)
-router.get('/', (req, res) => {
+// WPI release CSVs are posted as text/csv (a full release is a few MB)
+const MAX_RELEASE_SIZE = '50mb';
+
+function sendPortError(res, error, fallbackMessage) {
+  const status = error.statusCode || 500;
+  res.status(status).json({ error: status === 500 ? fallbackMessage : error.message, message: error.message });
+}
+
+/**
+ * Vessel access filters of a port list query: ?maxDraft=14&minEntranceWidth=60 (meters) keep ports
+ * that take that draft (channel depth plus tidal range) and beam; &includeUnknown=true keeps ports
+ * that do not report them. Null without filters.
+ */
+function parseAccessFilters(query) {
+  const filters = {};
+  for (const name of ['maxDraft', 'minEntranceWidth']) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value <= 0) {
+      const error = new Error(`${name} must be a positive number of meters`);
+      error.statusCode = 400;
+      throw error;
+    }
+    filters[name] = value;
+  }
+  if (Object.keys(filters).length === 0) return null;
+  filters.includeUnknown = query.includeUnknown === 'true';
+  return filters;
+}
+
+/**
+ * Port list response, with the query's access filters applied
+ */
+function sendPorts(req, res, ports, fields = {}) {
+  let filters;
   try {
-    // Ports are pre-filtered in indianOceanPorts.json:
-    // - 330 ports remaining (down from 667)
-    // - Removed 46 ports outside grid bounds
-    // - Removed 291 East Asian ports (lon > 105°E)
-    res.json({
-      success: true,
-      total: INDIAN_OCEAN_PORTS.length,
-      ports: INDIAN_OCEAN_PORTS,
-    });
+    filters = parseAccessFilters(req.query);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  const selected = filters ? filterPortsByAccess(ports, filters) : ports;
+  res.json({
+    success: true,
+    ...fields,
+    ...(filters && { filters }),
+    total: selected.length,
+    ports: selected,
+  });
+}
+
+// Get all active ports - query: maxDraft, minEntranceWidth, includeUnknown, includeInactive=true
+router.get('/', async (req, res) => {
+  try {
+    // Ports removed from the dataset (outside the grid, East Asia, merged duplicates) are stored
+    // inactive; includeInactive lists them too
+    if (req.query.includeInactive === 'true') {
+      return sendPorts(req, res, await getStore().listPorts({ includeInactive: true }));
+    }
+    sendPorts(req, res, INDIAN_OCEAN_PORTS);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch ports', message: error.message });
   }
@@ -31,7 +82,7 @@ router.get('/countries', (req, res) => {
   try {
     res.json({
       success: true,
-      countries: getAllCountries(),
+      countries: getCountries(),
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch countries', message: error.message });
@@ -43,7 +94,7 @@ router.get('/regions', (req, res) => {
   try {
     res.json({
       success: true,
-      regions: getAllRegions(),
+      regions: getRegions(),
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch regions', message: error.message });
@@ -53,13 +104,7 @@ router.get('/regions', (req, res) => {
 // Get ports by country
 router.get('/country/:country', (req, res) => {
   try {
-    const ports = getPortsByCountry(req.params.country);
-    res.json({
-      success: true,
-      country: req.params.country,
-      total: ports.length,
-      ports,
-    });
+    sendPorts(req, res, getPortsByCountry(req.params.country), { country: req.params.country });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch ports', message: error.message });
   }
@@ -68,13 +113,7 @@ router.get('/country/:country', (req, res) => {
 // Get ports by region
 router.get('/region/:region', (req, res) => {
   try {
-    const ports = getPortsByRegion(req.params.region);
-    res.json({
-      success: true,
-      region: req.params.region,
-      total: ports.length,
-      ports,
-    });
+    sendPorts(req, res, getPortsByRegion(req.params.region), { region: req.params.region });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch ports', message: error.message });
   }
@@ -88,16 +127,110 @@ router.get('/search', (req, res) => {
       return res.status(400).json({ error: 'Query parameter "q" is required' });
     }
     
-    const ports = searchPorts(q);
-    res.json({
-      success: true,
-      query: q,
-      total: ports.length,
-      ports,
-    });
+    sendPorts(req, res, searchPorts(q), { query: q });
   } catch (error) {
     res.status(500).json({ error: 'Failed to search ports', message: error.message });
   }
 });
 
+// Recent changes to the ports, newest first - query: limit (default 100)
+router.get('/history', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const changes = await getStore().listPortChanges({ limit });
+    res.json({ success: true, total: changes.length, changes });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch port history', message: error.message });
+  }
+});
+
+// Import a World Port Index release (admin) - body: the CSV as text/csv
+// query: apply=true to write it (default: only the diff), deactivateMissing=true, source=<label>
+router.post('/import', verifyToken, requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: MAX_RELEASE_SIZE }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the WPI CSV as the request body with Content-Type: text/csv' });
+    }
+    const summary = await importRelease(req.body, {
+      apply: req.query.apply === 'true',
+      deactivateMissing: req.query.deactivateMissing === 'true',
+      source: req.query.source
+    }, req.user);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    sendPortError(res, error, 'Failed to import ports');
+  }
+});
+
+// Get a port (active or not)
+router.get('/:id', async (req, res) => {
+  try {
+    const port = await getStore().getPortById(req.params.id);
+    if (!port) {
+      return res.status(404).json({ error: 'Port not found' });
+    }
+    res.json({ success: true, port });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch port', message: error.message });
+  }
+});
+
+// Change history of a port, newest first
+router.get('/:id/history', async (req, res) => {
+  try {
+    const port = await getStore().getPortById(req.params.id);
+    if (!port) {
+      return res.status(404).json({ error: 'Port not found' });
+    }
+    const changes = await getStore().listPortChanges({ portId: port._id, limit: 1000 });
+    res.json({ success: true, port: { _id: port._id, name: port.name, active: port.active }, total: changes.length, changes });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch port history', message: error.message });
+  }
+});
+
+// Add a port
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const port = await createPort(req.body, req.user);
+    console.log(`⚓ Port created: ${port.name}, ${port.country} (${port._id})`);
+    res.status(201).json({ success: true, port });
+  } catch (error) {
+    sendPortError(res, error, 'Failed to create port');
+  }
+});
+
+// Update a port (fields sent replace the stored ones; active: true reactivates it)
+router.put('/:id', verifyToken, async (req, res) => {
+  try {
+    const { port, changes } = await updatePort(req.params.id, req.body, req.user);
+    res.json({ success: true, port, changes });
+  } catch (error) {
+    sendPortError(res, error, 'Failed to update port');
+  }
+});
+
+// Deactivate a port - body or query: reason
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const reason = (req.body && req.body.reason) || req.query.reason;
+    const port = await deactivatePort(req.params.id, reason, req.user);
+    console.log(`⚓ Port deactivated: ${port.name} (${port._id})`);
+    res.json({ success: true, message: 'Port deactivated', port });
+  } catch (error) {
+    sendPortError(res, error, 'Failed to deactivate port');
+  }
+});
+
+// Merge a duplicate port into another - body: { into: <port id> }
+router.post('/:id/merge', verifyToken, async (req, res) => {
+  try {
+    const result = await mergePorts(req.params.id, req.body && req.body.into, req.user);
+    console.log(`⚓ Port merged: ${result.merged.name} → ${result.port.name}`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendPortError(res, error, 'Failed to merge ports');
+  }
+});
+
 module.exports = router;
@@ -1,52 +1,182 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const Grid = require('../models/Grid');
+const { getStore } = require('../storage');
 const ScoringEngine = require('../scoringEngine');
-const RouteFinder = require('../routeFinder');
 const { updateRouteWeather, extractRouteCells } = require('../routeWeatherUpdater');
 const weatherConfig = require('../weatherConfig');
+const RouteJobManager = require('../routeJobManager');
+const { JobCancelledError } = RouteJobManager;
+const { optionalAuth, verifyToken, requireAdmin } = require('../middleware/auth');
+const { calculateDistance, calculateHeading } = require('../gridAStar');
+const { GridIndex } = require('../searchCore');
+const SharedGrid = require('../sharedGrid');
+const RouteWorkerPool = require('../routeWorkerPool');
+const { getEngine, listEngines, RoutingEngineError } = require('../engines');
+const { requestSpeedKnots } = require('../engines/routingEngine');
+const { OBJECTIVES, MODE_PRESETS, MODE_ALIASES, REQUEST_WEIGHTS, customPreset, describePreset } = require('../modePresets');
+const { CONSTRAINTS, parseConstraints, withVesselLimits, minChartedDepth } = require('../routeConstraints');
+const { describeVessel } = require('../vesselProfile');
+const { resolveVesselSpecs } = require('../vesselRegistry');
+const { refusedPortCall, describePortAccess } = require('../indianOceanPorts');
+const RouteFinder = require('../routeFinder');
+const { parseAvoidAreas, routeAroundAreas, summarizeAvoidance } = require('../avoidAreas');
+const { parsePassages, passagePoints, gridToleranceKm, locatePassages, withArrivalTimes } = require('../passages');
+const PrecomputedRouteCache = require('../precomputedRouteCache');
+const RouteResultCache = require('../routeResultCache');
+const { fetchForecastField } = require('../forecastField');
+const { getWeatherProvider } = require('../weatherProviders');
+const forecastStore = require('../forecastStore');
+const { currentAt, groundSpeed, describeCurrent } = require('../oceanCurrents');
 
 const scoringEngine = new ScoringEngine();
-const routeFinder = new RouteFinder();
+const fuelModel = new RouteFinder();
+const routeWorkers = new RouteWorkerPool();
+// Jobs mostly wait on the worker pool, which bounds the actual CPU work
+const routeJobs = new RouteJobManager({ maxConcurrentJobs: 8 });
+const precomputedRoutes = new PrecomputedRouteCache();
+const routeResults = new RouteResultCache();
 
-// Simple in-memory cache for route cells (expires after 1 hour)
-const regionCache = new Map();
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+// Job types only admins may submit (through their own endpoints, not POST /jobs)
+const ADMIN_JOB_TYPES = ['precompute-routes'];
 
-function getCacheKey(latMin, latMax, lonMin, lonMax) {
-  return `${latMin.toFixed(1)}_${latMax.toFixed(1)}_${lonMin.toFixed(1)}_${lonMax.toFixed(1)}`;
+/**
+ * Error carrying an HTTP status and response body, thrown by the shared route calculators
+ * so the same code can answer a synchronous request or fail a background job
+ */
+class RouteRequestError extends Error {
+  constructor(statusCode, payload) {
+    super(payload.error);
+    this.name = 'RouteRequestError';
+    this.statusCode = statusCode;
+    this.payload = payload;
+  }
 }
 
-// A* Algorithm implementation for route calculation
-class PriorityQueue {
-  constructor() {
-    this.items = [];
+function sendRouteError(res, error, fallbackMessage) {
+  if (error instanceof RouteRequestError) {
+    return res.status(error.statusCode).json(error.payload);
   }
+  res.status(500).json({ 
+    error: fallbackMessage, 
+    message: error.message,
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+}
 
-  enqueue(element, priority) {
-    this.items.push({ element, priority });
-    this.items.sort((a, b) => a.priority - b.priority);
+/**
+ * Fail a route calling at a port the vessel cannot enter (draft over the channel depth, beam over the
+ * entrance width). points: the destination, or every port after the first of a multi-port route; only
+ * ports they name (portId, unLocode, name) are checked, and only for a vessel the request names.
+ */
+function assertPortCallsAccept(points, vessel, vesselId) {
+  if (!vesselId) return;
+  for (const point of points) {
+    const refused = refusedPortCall(point, vessel);
+    if (refused) {
+      throw new RouteRequestError(422, {
+        error: refused.message,
+        port: describePortAccess(refused.port),
+        vessel: { ...describeVessel(vessel), beamMeters: vessel.beamMeters ?? null },
+        reasons: refused.issues
+      });
+    }
   }
+}
+
+/**
+ * Identify who a route search is queued for, so the worker pool can share capacity fairly
+ */
+function requestOwner(req) {
+  return req.user ? String(req.user._id) : req.ip;
+}
 
-  dequeue() {
-    return this.items.shift();
+/**
+ * Load grid tiles by key for the route worker pool (only the tiles a corridor needs)
+ */
+async function loadGridTiles(tileKeys) {
+  const tiles = await getStore().getGridTiles(tileKeys);
+
+  const loaded = new Map();
+  for (const tile of tiles) {
+    loaded.set(tile.tileKey, SharedGrid.fromCells(tile.cells || [], { resolution: tile.resolution }));
   }
+  return loaded;
+}
 
-  isEmpty() {
-    return this.items.length === 0;
+routeWorkers.setTileLoader(loadGridTiles);
+
+/**
+ * Worker pool options for a search run on behalf of a request or job
+ */
+function searchOptions(context, extra = {}) {
+  return {
+    owner: context.owner,
+    jobId: context.jobId,
+    isCancelled: context.isCancelled,
+    ...extra
+  };
+}
+
+/**
+ * Parse a request's avoidAreas for one start/end pair at the vessel's speed (null when none were sent)
+ */
+function parseRequestAvoidAreas(params, start, end, speedKnots) {
+  if (!params.avoidAreas) return null;
+  try {
+    return parseAvoidAreas(params.avoidAreas, { start, end, departureTime: params.departureTime, speedKnots });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      throw new RouteRequestError(400, { error: 'Invalid avoidance areas', message: error.message });
+    }
+    throw error;
   }
 }
 
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+/**
+ * Parse a request's via-points and gates (400 on invalid entries)
+ */
+function parseRequestPassages(params) {
+  try {
+    return parsePassages(params.via);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      throw new RouteRequestError(400, { error: 'Invalid via-points or gates', message: error.message });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Specs of the vessel a request names with vesselId, or the default vessel (404 when unknown)
+ */
+async function resolveRequestVessel(vesselId) {
+  try {
+    return await resolveVesselSpecs(vesselId);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw new RouteRequestError(404, { error: 'Vessel not found', message: error.message, vesselId });
+    }
+    throw error;
+  }
+}
+
+/**
+ * A request's mode with its custom weights applied, and its hard constraints tightened by the
+ * vessel's seakeeping limits and draft (400 on invalid values)
+ */
+function parseRequestPreferences(params, mode, vessel) {
+  try {
+    return {
+      preset: customPreset(mode, params.weights),
+      constraints: withVesselLimits(parseConstraints(params.constraints), vessel)
+    };
+  } catch (error) {
+    if (error.statusCode === 400) {
+      throw new RouteRequestError(400, { error: 'Invalid weights or constraints', message: error.message });
+    }
+    throw error;
+  }
 }
 
 // Helper function to generate warnings based on cyclone intensity
@@ -85,6 +215,12 @@ function generateWarnings(windSpeed, waveHeight, pressure) {
   return warnings;
 }
 
+// Forecast time for a waypoint: its ETA when the route gave one (still ahead), else now
+function waypointTime(point) {
+  const eta = point.eta ? Date.parse(point.eta) : NaN;
+  return Number.isFinite(eta) && eta > Date.now() ? eta : Date.now();
+}
+
 // Helper function to generate forecast based on conditions
 function generateForecast(windSpeed, pressure) {
   if (windSpeed >= 64 && pressure < 970) {
@@ -98,554 +234,54 @@ function generateForecast(windSpeed, pressure) {
   }
 }
 
-function calculateHeading(lat1, lon1, lat2, lon2) {
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const lat1Rad = lat1 * Math.PI / 180;
-  const lat2Rad = lat2 * Math.PI / 180;
-
-  const y = Math.sin(dLon) * Math.cos(lat2Rad);
-  const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) -
-            Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
-
-  let heading = Math.atan2(y, x) * 180 / Math.PI;
-  return (heading + 360) % 360;
-}
-
-// Create spatial index for fast neighbor lookup
-const cellIndex = new Map();
-
-function buildCellIndex(cells) {
-  cellIndex.clear();
-  for (const cell of cells) {
-    // Only index water cells (already filtered, but double-check)
-    if (!cell.obstacle && !cell.is_land) {
-      const key = `${Math.round(cell.lat * 10000)},${Math.round(cell.lon * 10000)}`;
-      cellIndex.set(key, cell);
-    }
-  }
-}
-
 /**
- * Check if line segment between two cells crosses land or goes too close to land
- * Uses dense sampling along the line to ensure no land crossing
+ * Route through a named RoutingEngine (engine=<name>): common legs/waypoints/metrics/diagnostics result
  */
-function lineSegmentCrossesLand(from, to, resolution, allCells) {
-  // Calculate number of steps - use MANY steps for thorough checking
-  const distance = Math.sqrt(
-    Math.pow(to.lat - from.lat, 2) + 
-    Math.pow(to.lon - from.lon, 2)
-  );
-  const steps = Math.ceil(distance / resolution) * 3; // 3x more checks for safety
-  
-  // Check points along the line with high density
-  for (let i = 0; i <= steps; i++) {
-    const t = i / steps;
-    const checkLat = from.lat + (to.lat - from.lat) * t;
-    const checkLon = from.lon + (to.lon - from.lon) * t;
-    
-    // Round to nearest grid cell
-    const roundedLat = Math.round(checkLat / resolution) * resolution;
-    const roundedLon = Math.round(checkLon / resolution) * resolution;
-    const key = `${Math.round(roundedLat * 10000)},${Math.round(roundedLon * 10000)}`;
-    
-    const checkCell = cellIndex.get(key);
-    
-    // If we can't find the cell in water index, it's probably land
-    if (!checkCell) {
-      return true; // No water cell = REJECT
-    }
-    
-    // If cell is marked as land or obstacle
-    if (checkCell.is_land || checkCell.obstacle) {
-      return true; // Land detected = REJECT
-    }
-    
-    // Note: We don't check neighbors here to avoid being overly restrictive
-    // The getNeighbors() function already applies coastal distance requirements
-    // This function only rejects if the actual path crosses land cells
+async function calculateEngineRoute(params, context = {}) {
+  const engine = getEngine(params.engine);
+  if (!engine) {
+    throw new RouteRequestError(400, {
+      error: `Unknown routing engine: ${params.engine}`,
+      engines: listEngines().map(e => e.name)
+    });
   }
-  
-  return false; // All clear - no land crossing
-}
 
-/**
- * Check if a cell is in a narrow passage between land masses
- * Returns true if land detected on opposite sides (narrow strait)
- * Prevents routing through Palk Strait (India-Sri Lanka), Singapore Strait, etc.
- */
-function checkNarrowPassage(cell, allCells, resolution) {
-  // Check in 4 perpendicular directions to detect narrow passages
-  const checkDistance = 3; // Check 3 cells = 66km in each direction
-  
-  // Check North-South corridor (horizontal strait like Palk Strait)
-  let northLand = false;
-  let southLand = false;
-  for (let i = 1; i <= checkDistance; i++) {
-    const northKey = `${Math.round((cell.lat + i * resolution) * 10000)},${Math.round(cell.lon * 10000)}`;
-    const southKey = `${Math.round((cell.lat - i * resolution) * 10000)},${Math.round(cell.lon * 10000)}`;
-    
-    const northCell = cellIndex.get(northKey);
-    const southCell = cellIndex.get(southKey);
-    
-    if (!northCell || (northCell && (northCell.is_land || northCell.obstacle))) {
-      northLand = true;
-    }
-    if (!southCell || (southCell && (southCell.is_land || southCell.obstacle))) {
-      southLand = true;
-    }
-  }
-  
-  // If land on both north and south, it's a narrow east-west passage
-  if (northLand && southLand) {
-    return true;
-  }
-  
-  // Check East-West corridor (vertical strait like Singapore Strait)
-  let eastLand = false;
-  let westLand = false;
-  for (let i = 1; i <= checkDistance; i++) {
-    const eastKey = `${Math.round(cell.lat * 10000)},${Math.round((cell.lon + i * resolution) * 10000)}`;
-    const westKey = `${Math.round(cell.lat * 10000)},${Math.round((cell.lon - i * resolution) * 10000)}`;
-    
-    const eastCell = cellIndex.get(eastKey);
-    const westCell = cellIndex.get(westKey);
-    
-    if (!eastCell || (eastCell && (eastCell.is_land || eastCell.obstacle))) {
-      eastLand = true;
-    }
-    if (!westCell || (westCell && (westCell.is_land || westCell.obstacle))) {
-      westLand = true;
+  console.log(`\n🧭 Routing with engine "${engine.name}": (${params.start?.lat}, ${params.start?.lon}) → (${params.end?.lat}, ${params.end?.lon})`);
+  try {
+    const result = await engine.route(params, { ...context, workers: routeWorkers });
+    console.log(`✅ ${engine.name}: ${result.metrics.distanceKm}km, ${result.waypoints.length} waypoints in ${result.diagnostics.computeMs}ms`);
+    return result;
+  } catch (error) {
+    if (error instanceof RoutingEngineError) {
+      throw new RouteRequestError(error.statusCode, { error: error.message, engine: engine.name, ...error.details });
     }
+    throw error;
   }
-  
-  // If land on both east and west, it's a narrow north-south passage
-  if (eastLand && westLand) {
-    return true;
-  }
-  
-  // Check diagonal corridors (NE-SW and NW-SE)
-  let neLand = false, swLand = false, nwLand = false, seLand = false;
-  for (let i = 1; i <= checkDistance; i++) {
-    const neKey = `${Math.round((cell.lat + i * resolution) * 10000)},${Math.round((cell.lon + i * resolution) * 10000)}`;
-    const swKey = `${Math.round((cell.lat - i * resolution) * 10000)},${Math.round((cell.lon - i * resolution) * 10000)}`;
-    const nwKey = `${Math.round((cell.lat + i * resolution) * 10000)},${Math.round((cell.lon - i * resolution) * 10000)}`;
-    const seKey = `${Math.round((cell.lat - i * resolution) * 10000)},${Math.round((cell.lon + i * resolution) * 10000)}`;
-    
-    const neCell = cellIndex.get(neKey);
-    const swCell = cellIndex.get(swKey);
-    const nwCell = cellIndex.get(nwKey);
-    const seCell = cellIndex.get(seKey);
-    
-    if (!neCell || (neCell && (neCell.is_land || neCell.obstacle))) neLand = true;
-    if (!swCell || (swCell && (swCell.is_land || swCell.obstacle))) swLand = true;
-    if (!nwCell || (nwCell && (nwCell.is_land || nwCell.obstacle))) nwLand = true;
-    if (!seCell || (seCell && (seCell.is_land || seCell.obstacle))) seLand = true;
-  }
-  
-  // If land on opposite diagonal corners, it's a diagonal narrow passage
-  if ((neLand && swLand) || (nwLand && seLand)) {
-    return true;
-  }
-  
-  return false; // Not a narrow passage
 }
 
 /**
- * Calculate minimum distance from a cell to nearest land
- * Returns distance in grid cells (0.2° = ~22km)
+ * Simple route calculation (frontend compatible)
+ * Shared by POST /api/route and background route jobs
+ * @param {Object} params - Request body { start, end, mode, vesselId }
+ * @param {Object} context - Optional job context { owner, jobId, reportProgress, isCancelled }
+ * @returns {Object} Route response payload
  */
-function getDistanceToLand(cell, allCells, resolution, maxCheckDistance = 7) {
-  let minDistance = maxCheckDistance + 1; // Start beyond max
-  
-  // Check in expanding square around cell
-  for (let dist = 1; dist <= maxCheckDistance; dist++) {
-    for (let latOffset = -dist; latOffset <= dist; latOffset++) {
-      for (let lonOffset = -dist; lonOffset <= dist; lonOffset++) {
-        // Only check perimeter of current square
-        if (Math.abs(latOffset) === dist || Math.abs(lonOffset) === dist) {
-          const checkLat = cell.lat + (latOffset * resolution);
-          const checkLon = cell.lon + (lonOffset * resolution);
-          const key = `${Math.round(checkLat * 10000)},${Math.round(checkLon * 10000)}`;
-          
-          const checkCell = cellIndex.get(key);
-          if (checkCell && (checkCell.is_land || checkCell.obstacle)) {
-            const actualDist = Math.sqrt(latOffset * latOffset + lonOffset * lonOffset);
-            minDistance = Math.min(minDistance, actualDist);
-            return minDistance; // Early return when land found
-          }
-        }
-      }
-    }
-  }
-  
-  return minDistance;
-}
-
-function getNeighbors(cell, cells, resolution, allCells) {
-  const neighbors = [];
-  const directions = [
-    { lat: resolution, lon: 0 },
-    { lat: -resolution, lon: 0 },
-    { lat: 0, lon: resolution },
-    { lat: 0, lon: -resolution },
-    { lat: resolution, lon: resolution },
-    { lat: resolution, lon: -resolution },
-    { lat: -resolution, lon: resolution },
-    { lat: -resolution, lon: -resolution },
-  ];
-
-  for (const dir of directions) {
-    const neighborLat = cell.lat + dir.lat;
-    const neighborLon = cell.lon + dir.lon;
-    const key = `${Math.round(neighborLat * 10000)},${Math.round(neighborLon * 10000)}`;
-    
-    // Fast lookup using spatial index (only water cells are indexed)
-    const neighbor = cellIndex.get(key);
-    
-    // Triple safety check: neighbor exists AND is water AND not obstacle
-    if (neighbor && !neighbor.obstacle && !neighbor.is_land) {
-      // Skip line segment check for immediate neighbors (adjacent cells)
-      // Only check for diagonal/distant moves to avoid being overly restrictive
-      const isDiagonal = (Math.abs(dir.lat) + Math.abs(dir.lon)) > resolution;
-      const isDistant = Math.abs(dir.lat) > resolution || Math.abs(dir.lon) > resolution;
-      
-      if ((isDiagonal || isDistant) && lineSegmentCrossesLand(cell, neighbor, resolution, allCells)) {
-        continue; // Skip diagonal/distant moves that cross land
-      }
-      
-      // Calculate distance to nearest land for coastal buffer
-      // Check up to 5 cells = 110km range for large ship safety
-      neighbor.distanceToLand = getDistanceToLand(neighbor, allCells, resolution, 5);
-      
-      // CRITICAL NARROW STRAIT DETECTION
-      // Check if this cell is in a narrow passage between two land masses
-      // This prevents routes through Palk Strait (India-Sri Lanka), Singapore Strait, etc.
-      const isNarrowPassage = checkNarrowPassage(neighbor, allCells, resolution);
-      if (isNarrowPassage) {
-        continue; // REJECT - too narrow for large cargo ships
-      }
-      
-      // COASTAL SAFETY FILTER: Apply distance requirements based on cell's coastal proximity
-      // Minimum clearance: 3 cells = 66km for large ships (300-400m length, 60m beam)
-      // This ensures safe passage with adequate maneuvering room
-      if (neighbor.distanceToLand < 3) {
-        continue; // Too close to coastline - REJECT
-      }
-      
-      neighbors.push(neighbor);
-    }
-  }
-
-  return neighbors;
-}
-
-function aStar(start, goal, cells, resolution, mode = 'optimal', allCells = null) {
-  const startTime = Date.now();
-  const MAX_CALC_TIME = 180000; // 3 minutes max calculation time - supports any Indian Ocean route
-  
-  const openSet = new PriorityQueue();
-  const cameFrom = new Map();
-  const gScore = new Map();
-  const fScore = new Map();
-
-  const startKey = `${start.lat},${start.lon}`;
-  const goalKey = `${goal.lat},${goal.lon}`;
-  
-  // Store allCells for coastal distance calculation
-  const cellsForLandCheck = allCells || cells;
-
-  // Mode-specific heuristic weights OPTIMIZED FOR LARGE CARGO/CONTAINER SHIPS
-  // Typical specs: 300-400m length, 50-60m beam, 16m draft, 20,000+ TEU capacity
-  const modeHeuristics = {
-    optimal: { 
-      distanceWeight: 1.0, 
-      safetyPenalty: 8.0,      // INCREASED for large ship safety (was 5.0)
-      fuelPenalty: 6.0,         // INCREASED - fuel critical for long voyages (was 4.0)
-      windPenalty: 3.0,         // INCREASED - large ships affected by wind (was 2.0)
-      wavePenalty: 4.0,         // INCREASED - cargo stability important (was 3.0)
-      coastalPenaltyMultiplier: 2.0,  // DOUBLED - large ships need wide channels (was 1.0)
-      draftPenalty: 5.0,        // NEW - avoid shallow waters
-      channelWidthPenalty: 3.0  // NEW - need wide passages
-    },
-    fuel_efficient: { 
-      distanceWeight: 2.5,      // REDUCED - still important but balanced (was 3.0)
-      safetyPenalty: 1.0,       // INCREASED - can't risk large cargo ship (was 0.3)
-      fuelPenalty: 20.0,        // MAXIMUM fuel efficiency priority (unchanged)
-      windPenalty: 0.5,         // INCREASED - large ships can't ignore wind (was 0.2)
-      wavePenalty: 1.0,         // INCREASED - container stability (was 0.5)
-      coastalPenaltyMultiplier: 1.5,  // TRIPLED - large ships need clearance (was 0.5)
-      draftPenalty: 3.0,        // NEW - still need adequate depth
-      channelWidthPenalty: 2.0  // NEW - need navigable width
-    },
-    fuel: { 
-      distanceWeight: 2.5,      // Same as fuel_efficient
-      safetyPenalty: 1.0,       // INCREASED for large ships (was 0.3)
-      fuelPenalty: 20.0,
-      windPenalty: 0.5,         // INCREASED (was 0.2)
-      wavePenalty: 1.0,         // INCREASED (was 0.5)
-      coastalPenaltyMultiplier: 1.5,  // TRIPLED (was 0.5)
-      draftPenalty: 3.0,
-      channelWidthPenalty: 2.0
-    },
-    safe: { 
-      distanceWeight: 0.1,      // EVEN LOWER - safety is paramount for large ships (was 0.2)
-      safetyPenalty: 35.0,      // INCREASED - maximum priority for cargo ships (was 25.0)
-      fuelPenalty: 0.1,         // Fuel not a concern in safe mode
-      windPenalty: 18.0,        // INCREASED - large ships very affected by heavy wind (was 12.0)
-      wavePenalty: 20.0,        // INCREASED - container stack stability critical (was 15.0)
-      coastalPenaltyMultiplier: 6.0,  // INCREASED - stay very far from coast (was 4.0)
-      draftPenalty: 10.0,       // NEW - avoid all shallow areas
-      channelWidthPenalty: 8.0  // NEW - need maximum maneuvering room
-    },
-    // NEW MODE: Specifically for ultra-large container vessels (ULCV)
-    ulcv: {
-      distanceWeight: 0.05,     // Minimal - safety is everything
-      safetyPenalty: 50.0,      // MAXIMUM - these ships can't take risks
-      fuelPenalty: 8.0,         // Moderate - fuel matters but not at cost of safety
-      windPenalty: 25.0,        // EXTREME - windage on 20+ deck containers
-      wavePenalty: 30.0,        // EXTREME - container lashing critical
-      coastalPenaltyMultiplier: 8.0,  // EXTREME - need deepwater channels only
-      draftPenalty: 15.0,       // EXTREME - 16m+ draft, need deep water
-      channelWidthPenalty: 12.0 // EXTREME - 400m length needs wide turns
-    }
-  };
-
-  const heuristic = modeHeuristics[mode] || modeHeuristics.optimal;
-  
-  // Calculate route distance for optimization decisions
-  const routeDistance = calculateDistance(start.lat, start.lon, goal.lat, goal.lon);
-  const isLongRoute = routeDistance > 1500; // Routes over 1500km
-  const isVeryLongRoute = routeDistance > 3000; // Routes over 3000km
-  
-  if (isVeryLongRoute) {
-    console.log(`   🎯 Very long route (${routeDistance.toFixed(0)}km) - using aggressive heuristic for speed`);
-  } else if (isLongRoute) {
-    console.log(`   🎯 Long route (${routeDistance.toFixed(0)}km) - using optimized heuristic`);
-  }
-
-  gScore.set(startKey, 0);
-  fScore.set(startKey, routeDistance * heuristic.distanceWeight);
-  openSet.enqueue(start, fScore.get(startKey));
-
-  let iterations = 0;
-  while (!openSet.isEmpty()) {
-    // Check timeout and log progress every 10000 iterations (less frequent = faster)
-    if (++iterations % 10000 === 0) {
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log(`   ⏳ Progress: ${iterations.toLocaleString()} iterations, ${elapsed}s, queue: ${openSet.items.length}`);
-      
-      if (Date.now() - startTime > MAX_CALC_TIME) {
-        console.error(`   ⏱️ Timeout after ${iterations.toLocaleString()} iterations (3min limit)`);
-        return null; // Timeout - route too complex
-      }
-    }
-    
-    const current = openSet.dequeue().element;
-    const currentKey = `${current.lat},${current.lon}`;
-
-    if (currentKey === goalKey) {
-      const path = [];
-      let temp = current;
-      while (temp) {
-        path.unshift({ 
-          lat: temp.lat, 
-          lon: temp.lon,
-          weather: temp.weather || temp.weatherData,
-        });
-        temp = cameFrom.get(`${temp.lat},${temp.lon}`);
-      }
-      return path;
-    }
-
-    const neighbors = getNeighbors(current, cells, resolution, cellsForLandCheck);
-    for (const neighbor of neighbors) {
-      const neighborKey = `${neighbor.lat},${neighbor.lon}`;
-      const distance = calculateDistance(current.lat, current.lon, neighbor.lat, neighbor.lon);
-      const heading = calculateHeading(current.lat, current.lon, neighbor.lat, neighbor.lon);
-      
-      // Use scoring engine to calculate cost based on mode
-      // MongoDB stores weather data in 'weather' field, not 'weatherData'
-      const weatherData = neighbor.weather || neighbor.weatherData;
-      const cellWithDistance = {
-        weather: weatherData,
-        distance_to_next: distance,
-        wind_direction: weatherData?.windDirection,
-        fuel_rate_per_km: 0.5,
-      };
-      
-      const scores = scoringEngine.calculateCellScore(cellWithDistance, mode, heading);
-      
-      // Calculate STRONGLY MODE-SPECIFIC cost to ensure different paths
-      let costMultiplier = 1.0;
-      
-      // Get mode-specific weights
-      const weights = modeHeuristics[mode] || modeHeuristics.optimal;
-      
-      // 🏝️ COASTAL BUFFER PENALTY: Keep routes VERY FAR from coastlines (MODE-DEPENDENT)
-      // Professional maritime standard: Stay >50 nautical miles (~110km) from coast
-      const distToLand = neighbor.distanceToLand || 6; // Default to safe distance if not calculated
-      let coastalPenalty = 0;
-      
-      // ENHANCED 5-tier coastal buffer system (MODE-DEPENDENT)
-      if (distToLand < 3) {
-        // CRITICAL: Very close to land (<66km) - BLOCKED (already filtered above)
-        coastalPenalty = 200.0 * weights.coastalPenaltyMultiplier; // Should never reach here
-      } else if (distToLand < 4) {
-        // EXTREME RISK: Near coastline (66-88km) - EXTREME penalty
-        coastalPenalty = (4 - distToLand) * 25.0 * weights.coastalPenaltyMultiplier; // HEAVILY avoid
-      } else if (distToLand < 5) {
-        // HIGH RISK: Still close (88-110km) - Heavy penalty
-        coastalPenalty = (5 - distToLand) * 12.0 * weights.coastalPenaltyMultiplier; // Heavy penalty
-      } else if (distToLand < 6) {
-        // MODERATE: Getting better (110-132km) - Moderate penalty
-        coastalPenalty = (6 - distToLand) * 5.0 * weights.coastalPenaltyMultiplier; // Moderate
-      } else if (distToLand < 7) {
-        // LOW RISK: Far enough (132-154km) - Light penalty
-        coastalPenalty = (7 - distToLand) * 2.0; // 2x penalty
-      }
-      // Beyond 7 cells (~154km) from coast: minimal/no penalty - safe open water
-      
-      // Apply mode-specific coastal penalty multiplier
-      coastalPenalty *= (heuristic.coastalPenaltyMultiplier || 1.0);
-      costMultiplier += coastalPenalty;
-      
-      // 🚢 LARGE SHIP SPECIFIC PENALTIES
-      // Ultra-Large Container Vessels (ULCV): 400m length, 59m beam, 16m draft
-      // Capesize Bulk Carriers: 300m length, 45m beam, 18m draft
-      
-      // Channel Width Penalty: Large ships need wide passages
-      // Minimum safe width = 3x beam (180m for ULCV) + safety margin
-      // Reject narrow channels and straits
-      if (distToLand < 6) {
-        // Closer to land = narrower channels = higher penalty
-        const channelWidthPenalty = (6 - distToLand) * (heuristic.channelWidthPenalty || 0);
-        costMultiplier += channelWidthPenalty;
-        
-        if (channelWidthPenalty > 5 && iterations % 5000 === 0) {
-          console.log(`   🚢 Channel width penalty: ${channelWidthPenalty.toFixed(1)}x (large ship needs wide passage)`);
-        }
-      }
-      
-      // Draft/Depth Penalty: Large ships need deep water (16m+ draft)
-      // Avoid shallow areas, banks, and continental shelves
-      // Assume cells closer to land have shallower water
-      if (distToLand < 7) {
-        const draftPenalty = (7 - distToLand) * (heuristic.draftPenalty || 0);
-        costMultiplier += draftPenalty;
-        
-        if (draftPenalty > 5 && iterations % 5000 === 0) {
-          console.log(`   ⚓ Draft penalty: ${draftPenalty.toFixed(1)}x (need deep water for large ship)`);
-        }
-      }
-      
-      // Log coastal avoidance (only for cells with penalty)
-      if (coastalPenalty > 1 && iterations % 5000 === 0) {
-        console.log(`   🏝️ Coastal buffer active: ${(distToLand * 22).toFixed(0)}km from land, penalty: ${coastalPenalty.toFixed(1)}x`);
-      }
-      
-      // Apply RADICALLY DIFFERENT penalties based on mode for DISTINCT paths
-      const weather = neighbor.weather || neighbor.weatherData || {};
-      const windSpeed = weather.windSpeed || 10; // Default value
-      const waveHeight = weather.waveHeight || 2; // Default value
-      
-      if (mode === 'fuel_efficient' || mode === 'fuel') {
-        // FUEL MODE: Take shortest possible route, accept risks for fuel savings
-        // MINIMIZE distance at all costs
-        costMultiplier = 0.5; // Start with low base cost
-        
-        // MASSIVE fuel priority - penalize high fuel consumption heavily
-        costMultiplier += (1 - scores.fuel_efficiency_score) * weights.fuelPenalty;
-        
-        // HUGE bonus for favorable winds (significantly reduce cost)
-        const windBonus = Math.max(0, (15 - windSpeed) / 30); // Up to 50% reduction for calm winds
-        costMultiplier = Math.max(0.2, costMultiplier - windBonus);
-        
-        // MINIMAL wave penalty - accept some rough seas for fuel savings
-        costMultiplier += (waveHeight / 15) * weights.wavePenalty;
-        
-        // CRITICAL: Make distance extremely cheap - willing to cut corners
-        costMultiplier += distance * 0.05; // Very low distance cost = takes shortcuts
-        
-        // Willing to go closer to coast for fuel efficiency
-        costMultiplier -= coastalPenalty * 0.5; // Reduce coastal penalty by 50%
-        
-      } else if (mode === 'safe') {
-        // SAFE MODE: Take longest route staying far from coast and bad weather
-        // MAXIMIZE safety - distance doesn't matter
-        costMultiplier = 3.0; // Start with high base cost to encourage longer routes
-        
-        // EXTREME safety priority - heavily penalize any danger
-        costMultiplier += (1 - scores.safety_score) * weights.safetyPenalty;
-        
-        // MASSIVE penalties for ANY wind or waves
-        costMultiplier += (windSpeed / 5) * weights.windPenalty; // Even light winds matter
-        costMultiplier += (waveHeight / 2) * weights.wavePenalty; // Even small waves matter
-        
-        // Distance is NOT a concern - prioritize safety by taking longer routes
-        costMultiplier += distance * 0.01; // Extremely low distance cost = takes detours
-        
-        // DOUBLE coastal penalty - stay VERY far from land
-        costMultiplier += coastalPenalty * 2.0; // Extra coastal avoidance
-        
-        // Add bonus for open ocean (far from land = safer)
-        if (distToLand > 8) {
-          costMultiplier *= 0.7; // 30% cost reduction for open ocean
-        }
-        
-      } else {
-        // OPTIMAL MODE: Balanced - different from both fuel and safe
-        costMultiplier = 1.0; // Neutral base cost
-        
-        // Balanced scoring - consider all factors equally
-        costMultiplier += (1 - scores.total_score) * weights.safetyPenalty;
-        
-        // Moderate penalties for weather
-        costMultiplier += (windSpeed / 15) * weights.windPenalty;
-        costMultiplier += (waveHeight / 8) * weights.wavePenalty;
-        
-        // Balanced distance consideration - not too short, not too long
-        costMultiplier += distance * weights.distanceWeight;
-        costMultiplier += distance * 1.0; // Standard distance weight
-      }
-      
-      const tentativeGScore = gScore.get(currentKey) + distance * costMultiplier;
-
-      if (!gScore.has(neighborKey) || tentativeGScore < gScore.get(neighborKey)) {
-        cameFrom.set(neighborKey, current);
-        gScore.set(neighborKey, tentativeGScore);
-        
-        // Adaptive heuristic based on route length and mode:
-        // - Normal routes: 1.0x (optimal path)
-        // - Long routes (1500-3000km): 2.0x (faster, still mode-specific)
-        // - Very long routes (>3000km): 3.0x (fast but maintains mode differences)
-        let heuristicMultiplier = 1.0;
-        if (isVeryLongRoute) {
-          heuristicMultiplier = 3.0; // Fast but allows mode differences
-        } else if (isLongRoute) {
-          heuristicMultiplier = 2.0; // Moderately fast
-        }
-        
-        const h = calculateDistance(neighbor.lat, neighbor.lon, goal.lat, goal.lon) * heuristic.distanceWeight * heuristicMultiplier;
-        fScore.set(neighborKey, tentativeGScore + h);
-        openSet.enqueue(neighbor, fScore.get(neighborKey));
-      }
-    }
+async function calculateSimpleRoute(params, context = {}) {
+  precomputedRoutes.recordRequest(params.start, params.end);
+  if (params.engine) {
+    return calculateEngineRoute(params, context);
   }
 
-  return null; // No path found
-}
-
-// Simple route calculation endpoint (frontend compatible)
-router.post('/', async (req, res) => {
   const requestStart = Date.now();
+  const reportProgress = context.reportProgress || (() => {});
   console.log(`\n🚢 === NEW ROUTE REQUEST === ${new Date().toISOString()}`);
   
   try {
-    const { start, end, mode = 'optimal' } = req.body;
+    const { start, end, mode = 'optimal' } = params;
     console.log(`📍 Start: (${start?.lat}, ${start?.lon}), End: (${end?.lat}, ${end?.lon}), Mode: ${mode}`);
 
     if (!start || !end) {
-      return res.status(400).json({ 
+      throw new RouteRequestError(400, { 
         error: 'Start and end coordinates are required',
         received: { start, end }
       });
@@ -653,66 +289,34 @@ router.post('/', async (req, res) => {
 
     // Validate coordinates
     if (!start.lat || !start.lon || !end.lat || !end.lon) {
-      return res.status(400).json({ 
+      throw new RouteRequestError(400, { 
         error: 'Invalid coordinates. Required: {lat, lon}',
         received: { start, end }
       });
     }
 
-    // Get grid metadata (just the first chunk for bounds/resolution)
-    const sampleGrid = await Grid.findOne({ isChunked: true });
-    
-    if (!sampleGrid) {
-      return res.status(404).json({ 
-        error: 'No grid data available. Please import grid data first.',
-        hint: 'Run: node importGridChunked.js'
+    // Via-points and gates the route must pass, in order (not port calls - the route does not stop)
+    const passages = parseRequestPassages(params);
+
+    // Vessel profile the fuel, speed and ETAs are calculated for
+    const vessel = await resolveRequestVessel(params.vesselId);
+    assertPortCallsAccept([end], vessel, params.vesselId);
+    const speedKnots = requestSpeedKnots({ vessel, mode });
+
+    // Custom weights over the mode's preset, and hard limits the route must stay within
+    const { preset, constraints } = parseRequestPreferences(params, mode, vessel);
+    const constrained = Object.keys(constraints).length > 0;
+
+    // Departure time: ETAs along the route, and the forecast time each cell is judged by
+    const departure = params.departureTime ? new Date(params.departureTime) : new Date();
+    if (Number.isNaN(departure.getTime())) {
+      throw new RouteRequestError(400, {
+        error: 'Invalid departureTime. Use an ISO date, e.g. 2025-01-15T06:00:00Z',
+        received: params.departureTime
       });
     }
 
-    console.log(`📦 Using chunked grid with resolution: ${sampleGrid.resolution}°`);
-    
-    // Function to find cells in a specific region (load only needed chunks)
-    async function getCellsInRegion(latMin, latMax, lonMin, lonMax) {
-      // Check cache first
-      const cacheKey = getCacheKey(latMin, latMax, lonMin, lonMax);
-      const cached = regionCache.get(cacheKey);
-      
-      if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
-        console.log(`⚡ Using cached cells for region (${cached.cells.length} cells)`);
-        return cached.cells;
-      }
-      
-      const cells = [];
-      
-      // Load chunks one at a time to avoid memory issues
-      // Use lean() for faster query (returns plain JS objects instead of Mongoose docs)
-      const chunkCount = await Grid.countDocuments({ isChunked: true });
-      
-      for (let i = 0; i < chunkCount; i++) {
-        const chunk = await Grid.findOne({ isChunked: true, chunkIndex: i }, { cells: 1 }).lean();
-        if (chunk && chunk.cells) {
-          // Filter cells in region
-          const regionCells = chunk.cells.filter(c => 
-            c.lat >= latMin && c.lat <= latMax &&
-            c.lon >= lonMin && c.lon <= lonMax
-          );
-          cells.push(...regionCells);
-        }
-      }
-      
-      // Cache the result
-      regionCache.set(cacheKey, { cells, timestamp: Date.now() });
-      
-      // Limit cache size (keep last 10 regions)
-      if (regionCache.size > 10) {
-        const firstKey = regionCache.keys().next().value;
-        regionCache.delete(firstKey);
-      }
-      
-      return cells;
-    }
-    
-    // Define search region (expanded around start/end points)
+    // Define search region (expanded around start/end points and any via-points / gates)
     // Calculate dynamic buffer based on route distance
     const routeLatSpan = Math.abs(start.lat - end.lat);
     const routeLonSpan = Math.abs(start.lon - end.lon);
@@ -727,41 +331,48 @@ router.post('/', async (req, res) => {
     
     console.log(`   📊 Route analysis: Span ${routeSpan.toFixed(1)}°, Distance ${routeDistance.toFixed(1)}°, Buffer ${buffer}°`);
     
-    const latMin = Math.min(start.lat, end.lat) - buffer;
-    const latMax = Math.max(start.lat, end.lat) + buffer;
-    const lonMin = Math.min(start.lon, end.lon) - buffer;
-    const lonMax = Math.max(start.lon, end.lon) + buffer;
+    const corridorPoints = [start, end, ...passagePoints(passages)];
+    const latMin = Math.min(...corridorPoints.map(p => p.lat)) - buffer;
+    const latMax = Math.max(...corridorPoints.map(p => p.lat)) + buffer;
+    const lonMin = Math.min(...corridorPoints.map(p => p.lon)) - buffer;
+    const lonMax = Math.max(...corridorPoints.map(p => p.lon)) + buffer;
     
     console.log(`🔍 Route span: ${routeSpan.toFixed(1)}° (distance: ${routeDistance.toFixed(1)}°), Using ${buffer}° buffer`);
     console.log(`🔍 Region: ${latMin.toFixed(1)}°-${latMax.toFixed(1)}°N, ${lonMin.toFixed(1)}°-${lonMax.toFixed(1)}°E`);
     
+    // Load only the grid tiles intersecting the corridor (cached, shared with route workers)
+    reportProgress({ phase: 'loading-grid', percent: 2 });
     const loadStart = Date.now();
-    let allCells = await getCellsInRegion(latMin, latMax, lonMin, lonMax);
-    const loadTime = ((Date.now() - loadStart) / 1000).toFixed(1);
-    console.log(`✅ Loaded ${allCells.length.toLocaleString()} cells in ${loadTime}s (0.2° = 22km resolution)`);
+    const grid = await routeWorkers.getRegion(latMin, latMax, lonMin, lonMax);
     
-    const grid = sampleGrid; // Use sample for metadata
+    if (!grid) {
+      throw new RouteRequestError(404, { 
+        error: 'No grid data available. Please import grid data first.',
+        hint: 'Run: node importGridChunked.js (MongoDB), or add gridData.json.gz / gridData.bin (offline storage)'
+      });
+    }
+
+    const allCells = grid.getCellsInRegion(latMin, latMax, lonMin, lonMax);
+    const loadTime = ((Date.now() - loadStart) / 1000).toFixed(1);
+    console.log(`✅ Loaded ${allCells.length.toLocaleString()} cells from ${grid.tiles.length} tiles in ${loadTime}s (resolution ${grid.resolution}°)`);
     
     // CRITICAL: Filter out BOTH obstacle AND is_land flags to ensure ONLY water cells
     const waterCells = allCells.filter(cell => !cell.obstacle && !cell.is_land);
     const landCells = allCells.filter(cell => cell.is_land || cell.obstacle);
 
     console.log(`\n🚢 Calculating route from (${start.lat}, ${start.lon}) to (${end.lat}, ${end.lon})`);
-    console.log(`📊 Mode: ${mode.toUpperCase()}`);
+    console.log(`📊 Mode: ${mode.toUpperCase()}, 🚢 Vessel: ${vessel.name} at ${speedKnots} kn`);
     console.log(`📐 Grid info: Total=${allCells.length}, 🌊Water=${waterCells.length}, 🏝️Land=${landCells.length}`);
     
-    // Log mode-specific priorities
-    const modePriorities = {
-      optimal: '⚖️  Balanced (Safety: 40%, Fuel: 40%, Distance: 20%)',
-      fuel_efficient: '⛽ Fuel Priority (Fuel: 60%, Safety: 20%, Distance: 20%)',
-      safe: '🛡️  Safety Priority (Safety: 60%, Fuel: 20%, Distance: 20%)',
-      weather: '🌤️  Weather-Optimized (Safety: 70%, Fuel: 15%, Distance: 15%)',
-      normal: '📏 Shortest Path (Distance: 80%, Safety: 10%, Fuel: 10%)',
-    };
-    console.log(`🎯 Priority: ${modePriorities[mode] || modePriorities.optimal}`);
+    // Weights the search minimises (the mode's preset, or the request's custom weights)
+    const prioritySummary = Object.entries(preset.weights).map(([objective, weight]) => `${objective} ${Math.round(weight * 100)}%`).join(', ');
+    console.log(`🎯 Priority: ${preset.name} (${prioritySummary})`);
+    if (constrained) {
+      console.log(`⛔ Constraints: ${Object.entries(constraints).map(([name, limit]) => `${name} ${limit}`).join(', ')}`);
+    }
 
     if (waterCells.length === 0) {
-      return res.status(500).json({ 
+      throw new RouteRequestError(500, { 
         error: 'No water cells found in grid. Please regenerate grid with land detection.',
         hint: 'Run: node gridGenerator.js'
       });
@@ -784,30 +395,104 @@ router.post('/', async (req, res) => {
 
     const startCell = findNearestWaterCell(start);
     const endCell = findNearestWaterCell(end);
+    const avoidance = parseRequestAvoidAreas(params, start, end, speedKnots);
 
     console.log(`📍 Start cell: (${startCell.lat}, ${startCell.lon})`);
     console.log(`📍 End cell: (${endCell.lat}, ${endCell.lon})`);
 
-    // Build spatial index for fast neighbor lookup (10x faster!)
-    console.log(`🗺️  Building spatial index for ${waterCells.length} water cells...`);
-    buildCellIndex(waterCells);
+    // Same cells, mode, vessel, areas, grid and weather epoch as an earlier request: answer from the cache
+    // (cache: false in the request forces a new calculation, which replaces the cached result)
+    const cacheDescription = await routeResults.describe({
+      startCell,
+      endCell,
+      mode,
+      weights: params.weights,
+      constraints,
+      vessel: { id: vessel.id, updatedAt: vessel.updatedAt },
+      avoidAreas: params.avoidAreas,
+      via: params.via,
+      departureTime: departure.toISOString().slice(0, 13)
+    });
+    if (params.cache !== false) {
+      const cached = await routeResults.lookup(cacheDescription);
+      if (cached) {
+        console.log(`🗃️  Route served from cache (weather epoch ${cached.weatherEpoch?.id}, cached ${cached.cachedAt})`);
+        return cached;
+      }
+    }
+
+    // Time-dependent routing: hourly forecast over the corridor for the expected voyage,
+    // each cell is costed with the forecast for when the ship reaches it
+    let forecastField = null;
+    if (weatherConfig.TIME_DEPENDENT_ROUTING) {
+      reportProgress({ phase: 'fetching-forecast', percent: 5 });
+      const voyageHours = calculateDistance(start.lat, start.lon, end.lat, end.lon) * 1.5 / (speedKnots * 1.852) + 24;
+      forecastField = await fetchForecastField({ latMin, latMax, lonMin, lonMax }, departure, voyageHours);
+    }
+    const timeline = {
+      departureTime: departure.toISOString(),
+      speedKnots,
+      forecast: forecastField && forecastField.toJSON()
+    };
 
     // Calculate path using A* with grid resolution (use waterCells for pathfinding)
     console.log(`🔍 Computing ${mode} route with coastal buffer...`);
+    reportProgress({ phase: 'searching', percent: 10, currentSegment: 1, totalSegments: 1 });
     const startTime = Date.now();
-    let path = aStar(startCell, endCell, waterCells, grid.resolution, mode, allCells); // Pass allCells for land distance check
+    const searchRoute = (avoidAreas = []) => routeWorkers.run('grid-astar', {
+      start: startCell,
+      goal: endCell,
+      region: { latMin, latMax, lonMin, lonMax },
+      mode,
+      preset,
+      constraints,
+      vessel,
+      speedKnots,
+      avoidAreas,
+      passages,
+      timeline
+    }, searchOptions(context, {
+      grid,
+      onProgress: ({ cellsExpanded, remainingKm, totalKm }) => {
+        const searched = totalKm > 0 ? Math.max(0, 1 - remainingKm / totalKm) : 0;
+        reportProgress({ cellsExpanded, percent: Math.round(10 + searched * 80) });
+      }
+    }));
+
+    // With avoidance areas, extra searches measure the detour each area causes
+    let avoidanceSearch = null;
+    let path;
+    if (passages.length > 0) {
+      console.log(`🚩 Passing ${passages.length} via-points / gates: ${passages.map(p => p.name).join(' → ')}`);
+    }
+    if (avoidance) {
+      console.log(`🚫 Avoiding ${avoidance.active.length}/${avoidance.areas.length} areas`);
+      avoidanceSearch = await routeAroundAreas(avoidance, searchRoute);
+      path = avoidanceSearch.path;
+    } else {
+      path = await searchRoute();
+    }
     const computeTime = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(`⚡ Route computed in ${computeTime}s`);
 
     if (!path) {
-      return res.status(404).json({ 
+      const hardAreas = avoidance ? avoidance.active.filter(area => area.mode === 'hard').map(area => area.id) : [];
+      throw new RouteRequestError(404, { 
         error: 'No route found',
-        details: 'Unable to find a valid path between the specified locations'
+        details: hardAreas.length > 0
+          ? 'No path between the specified locations avoids the hard avoidance areas'
+          : constrained
+            ? 'No path between the specified locations stays within the constraints'
+            : passages.length > 0
+              ? 'No path passes all via-points and gates in order (check they are reachable by water)'
+              : 'Unable to find a valid path between the specified locations',
+        ...(hardAreas.length > 0 && { hardAreas }),
+        ...(constrained && { constraints })
       });
     }
-
     // 🌤️ FETCH REAL WEATHER: Get fresh weather data for route cells
     if (weatherConfig.ENABLE_ROUTE_WEATHER_UPDATE) {
+      reportProgress({ phase: 'fetching-weather', percent: 90 });
       console.log(`🌤️  Fetching real weather data for route...`);
       const routeCells = extractRouteCells(path);
       
@@ -838,12 +523,10 @@ router.post('/', async (req, res) => {
     }
 
     // FINAL VALIDATION: Ensure NO land cells in path
+    const regionIndex = new GridIndex(allCells, grid.resolution);
     const landCellsInPath = path.filter(cell => {
       // Check if this cell is land in the original grid
-      const originalCell = allCells.find(c => 
-        Math.abs(c.lat - cell.lat) < 0.0001 && 
-        Math.abs(c.lon - cell.lon) < 0.0001
-      );
+      const originalCell = regionIndex.get(cell.lat, cell.lon);
       return originalCell && (originalCell.is_land || originalCell.obstacle);
     });
 
@@ -852,7 +535,7 @@ router.post('/', async (req, res) => {
       landCellsInPath.forEach(cell => {
         console.error(`   Land cell at: (${cell.lat}, ${cell.lon})`);
       });
-      return res.status(500).json({ 
+      throw new RouteRequestError(500, { 
         error: 'Invalid route: path crosses land',
         details: `Route contains ${landCellsInPath.length} land cells. This should never happen.`,
         landCells: landCellsInPath.map(c => ({ lat: c.lat, lon: c.lon }))
@@ -860,9 +543,13 @@ router.post('/', async (req, res) => {
     }
 
     console.log(`✅ Route validation passed: All ${path.length} cells are water`);
+    reportProgress({ phase: 'finalizing', percent: 97 });
+
+    // Shallowest charted depth over every cell of the route (before simplification drops any)
+    const shallowest = minChartedDepth(path);
 
     // Simplify route for very long paths (reduce waypoints while maintaining accuracy)
-    function simplifyRoute(path, tolerance = 0.05) {
+    function simplifyRoute(path, tolerance = 0.05, keep = new Set()) {
       if (path.length < 50) return path; // Don't simplify short routes
       
       const simplified = [path[0]]; // Always keep first point
@@ -879,7 +566,7 @@ router.post('/', async (req, res) => {
         const deviation = actualDist - directDist;
         
         // Keep point if it deviates significantly OR every 5th point for safety
-        if (deviation > tolerance || i % 5 === 0) {
+        if (deviation > tolerance || i % 5 === 0 || keep.has(i)) {
           simplified.push(curr);
         }
       }
@@ -889,9 +576,14 @@ router.post('/', async (req, res) => {
     }
     
     // Apply simplification for long routes (>150 points)
+    // Points either side of a via-point / gate crossing are kept so the simplified route still passes it
+    const passageToleranceKm = gridToleranceKm(grid.resolution);
+    const keepPoints = new Set(locatePassages(path, passages, passageToleranceKm)
+      .filter(passage => passage.reached)
+      .flatMap(passage => [passage.waypointIndex - 1, passage.waypointIndex]));
     const originalPointCount = path.length;
     if (path.length > 150) {
-      path = simplifyRoute(path, 0.08); // More aggressive simplification for very long routes
+      path = simplifyRoute(path, 0.08, keepPoints); // More aggressive simplification for very long routes
       console.log(`   🔧 Route simplified: ${originalPointCount} → ${path.length} points (${Math.round((1 - path.length/originalPointCount) * 100)}% reduction)`);
     }
 
@@ -915,7 +607,11 @@ router.post('/', async (req, res) => {
 
     // Calculate route statistics with dynamic thresholds
     let totalDistance = 0;
+    let totalHours = 0;
+    const waypointHours = [0]; // hours since departure at each waypoint (passage ETAs are interpolated from them)
     let totalFuelCost = 0;
+    let maxDrift = 0;
+    let legsWithCurrent = 0;
     let safetyScores = [];
     let windSpeeds = [];
     let waveHeights = [];
@@ -934,8 +630,24 @@ router.post('/', async (req, res) => {
       const segmentDist = calculateDistance(current.lat, current.lon, next.lat, next.lon);
       totalDistance += segmentDist;
 
-      // Get weather data (real-time from API or cached)
-      const weather = current.weather || {};
+      // Get weather data: forecast for the ship's ETA, else real-time from API or cached
+      const weather = current.forecast ? { ...current.weather, ...current.forecast } : current.weather || {};
+
+      // Ocean current where the leg starts; hours over ground from the search's ETAs (speed loss and
+      // current included), else at the set speed in that current
+      const leg = groundSpeed(speedKnots, calculateHeading(current.lat, current.lon, next.lat, next.lon),
+        currentAt(current.lat, current.lon, current.eta ? Date.parse(current.eta) : Date.now(), weather));
+      const legHours = next.etaHours > current.etaHours
+        ? next.etaHours - current.etaHours
+        : segmentDist / (leg.groundSpeedKnots * 1.852);
+      totalHours += legHours;
+      waypointHours.push(totalHours);
+      Object.assign(current, describeCurrent(leg), { speedKnots: segmentDist / 1.852 / legHours });
+      if (leg.driftKnots > 0) {
+        legsWithCurrent++;
+        maxDrift = Math.max(maxDrift, leg.driftKnots);
+      }
+
       const windSpeed = weather.windSpeed || 10;
       const waveHeight = weather.waveHeight || 2;
       const visibility = weather.visibility || 10;
@@ -1058,9 +770,21 @@ router.post('/', async (req, res) => {
       ? safetyScores.reduce((a, b) => a + b, 0) / safetyScores.length 
       : 85;
 
-    // Estimate time (assuming average speed of 15 knots = 27.78 km/h)
-    const avgSpeed = 27.78;
-    const totalTime = totalDistance / avgSpeed; // hours
+    // Time over ground at the vessel's speed for the mode (speed loss and ocean currents included)
+    const totalTime = totalHours; // hours
+    const avgSpeed = totalTime > 0 ? totalDistance / totalTime : speedKnots * 1.852; // km/h made good
+
+    // Fuel burnt by the vessel over the route (RouteFinder fuel model, weather severity from the safety
+    // score): the engine at the set speed through the water for the time over ground
+    const fuel = fuelModel.forVessel(vessel).calculateFuelConsumption(totalDistance, speedKnots, 100 - safetyScore, mode.startsWith('fuel') ? 'fuel' : mode, avgSpeed / 1.852);
+
+    // Detours around avoidance areas in time and fuel, at the route's fuel rate
+    const avoidanceSummary = avoidance
+      ? summarizeAvoidance(avoidance, avoidanceSearch, {
+        speedKnots,
+        fuelTonsPerKm: totalDistance > 0 ? fuel.totalFuel / totalDistance : 0
+      })
+      : undefined;
 
     // Calculate mode-specific metrics with visual styling
     const modeMetrics = {
@@ -1138,11 +862,37 @@ router.post('/', async (req, res) => {
         lat: cell.lat, 
         lon: cell.lon,
         // Include weather data for dynamic display
-        weather: cell.weather || null
+        weather: cell.weather || null,
+        depth: Number.isFinite(cell.depth) ? cell.depth : null,
+        // When the ship gets here and the conditions forecast for then
+        etaHours: cell.etaHours,
+        eta: cell.eta,
+        forecast: cell.forecast || null,
+        // Leg leaving the point: speed over ground and the current's set (° towards) and drift (kn)
+        ...(cell.speedKnots !== undefined && {
+          speedKnots: Math.round(cell.speedKnots * 100) / 100,
+          currentSet: cell.currentSet,
+          currentDrift: cell.currentDrift
+        })
       })),
       totalDistance: Math.round(totalDistance * 100) / 100,
       totalTime: Math.round(totalTime * 100) / 100,
       fuelCost: Math.round(totalFuelCost),
+      // Vessel the route was calculated for, and the fuel it burns on it
+      vessel: describeVessel(vessel),
+      fuelConsumption: {
+        totalTons: fuel.totalFuel,
+        mainEngineTons: fuel.mainEngineFuel,
+        auxiliaryTons: fuel.auxiliaryFuel,
+        costUSD: fuel.fuelCostUSD
+      },
+      // Charted depth along the route against the depth the vessel needs (null without bathymetry)
+      bathymetry: {
+        minDepthMeters: shallowest ? shallowest.depthMeters : null,
+        at: shallowest ? { lat: shallowest.lat, lon: shallowest.lon } : null,
+        requiredDepthMeters: constraints.minDepthMeters ?? null,
+        underKeelClearanceMeters: constraints.underKeelClearanceMeters ?? null
+      },
       safetyScore: Math.round(safetyScore * 10) / 10,
       avgWind: Math.round(avgWind * 10) / 10,
       avgWaveHeight: Math.round(avgWaveHeight * 10) / 10,
@@ -1159,6 +909,8 @@ router.post('/', async (req, res) => {
         hasHigh: alerts.high.length > 0
       },
       mode: mode,
+      // Weights and hard limits the route was searched with
+      preferences: { ...describePreset(preset), constraints },
       pointsCount: path.length,
       modeSpecific: {
         ...modeStyle,
@@ -1171,7 +923,7 @@ router.post('/', async (req, res) => {
         safety: Math.round(safetyScore * 10) / 10,
         fuel: Math.round(totalFuelCost),
         fuelPerKm: Math.round((totalFuelCost / totalDistance) * 10) / 10,
-        avgSpeed: 27.78, // km/h (15 knots)
+        avgSpeed: Math.round(avgSpeed * 100) / 100, // km/h
         weatherScore: Math.round((100 - (avgWind / 50 * 50) - (avgWaveHeight / 8 * 50)) * 10) / 10
       },
       // Visual styling for frontend
@@ -1185,27 +937,67 @@ router.post('/', async (req, res) => {
       thresholds: THRESHOLDS,
       // Timestamp for data freshness
       calculatedAt: new Date().toISOString(),
-      weatherDataAge: 'real-time' // or 'cached' based on actual fetch
+      weatherDataAge: 'real-time', // or 'cached' based on actual fetch
+      // Weather data this route was computed with; cached results are reused until the epoch changes
+      weatherEpoch: cacheDescription.weatherEpoch,
+      // Time-dependent routing: the forecast each waypoint was judged by
+      timeDependent: {
+        enabled: Boolean(forecastField),
+        source: forecastField ? forecastField.source : 'stored-weather',
+        issuedAt: forecastField ? forecastField.issuedAt : null,
+        departureTime: timeline.departureTime,
+        arrivalTime: path[path.length - 1].eta,
+        speedKnots,
+        horizonEnd: forecastField ? new Date(forecastField.endTime).toISOString() : null,
+        waypointsBeyondHorizon: path.filter(cell => cell.forecast && cell.forecast.beyondHorizon).length
+      },
+      // Ocean currents (oceanCurrents.js): legs sailed in a current and the strongest drift met
+      currents: {
+        enabled: Boolean(weatherConfig.OCEAN_CURRENTS),
+        legsWithCurrent,
+        maxDriftKnots: Math.round(maxDrift * 100) / 100
+      },
+      fromCache: false,
+      // Avoidance areas: which were avoided and the detour each caused
+      avoidance: avoidanceSummary,
+      // Via-points / gates in order: where the route passes each one and when (between the ETAs of
+      // the waypoints either side)
+      passages: passages.length > 0
+        ? withArrivalTimes(locatePassages(path, passages, passageToleranceKm), path, waypointHours, departure)
+        : undefined
     };
 
     console.log(`✅ Route calculated: ${totalDistance.toFixed(2)}km, ${path.length} points`);
     console.log(`📊 Mode: ${mode}, Efficiency: ${response.modeSpecific.efficiency}, Safety: ${safetyScore.toFixed(1)}`);
 
+    await routeResults.save(cacheDescription, response);
+
     const requestTime = ((Date.now() - requestStart) / 1000).toFixed(2);
     console.log(`⏱️  Total request time: ${requestTime}s`);
     console.log(`🚢 === REQUEST COMPLETE ===\n`);
     
-    res.json(response);
+    return response;
 
   } catch (error) {
-    const requestTime = ((Date.now() - requestStart) / 1000).toFixed(2);
-    console.error(`❌ Route calculation error after ${requestTime}s:`, error.message);
-    console.error('Stack:', error.stack);
-    res.status(500).json({ 
-      error: 'Failed to calculate route', 
-      message: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    if (!(error instanceof RouteRequestError) && !(error instanceof JobCancelledError)) {
+      const requestTime = ((Date.now() - requestStart) / 1000).toFixed(2);
+      console.error(`❌ Route calculation error after ${requestTime}s:`, error.message);
+      console.error('Stack:', error.stack);
+    }
+    throw error;
+  }
+}
+
+// Simple route calculation endpoint (frontend compatible)
+// Body (or query) engine=<name> switches to the common RoutingEngine result, see GET /engines
+// Body cache: false (or ?cache=false) bypasses the route result cache
+router.post('/', async (req, res) => {
+  try {
+    const params = req.query.engine ? { ...req.body, engine: req.query.engine } : { ...req.body };
+    if (req.query.cache === 'false') params.cache = false;
+    res.json(await calculateSimpleRoute(params, { owner: requestOwner(req) }));
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to calculate route');
   }
 });
 
@@ -1218,13 +1010,26 @@ router.post('/calculate', async (req, res) => {
       return res.status(400).json({ error: 'Grid ID, start, and goal coordinates are required' });
     }
 
-    if (!['optimal', 'fuel_efficient', 'safe', 'normal'].includes(mode)) {
+    // Any preset or alias; weights and constraints refine it
+    if (!MODE_PRESETS[MODE_ALIASES[mode] || mode]) {
       return res.status(400).json({ 
-        error: 'Invalid mode. Must be: optimal, fuel_efficient, safe, or normal' 
+        error: `Invalid mode. Must be one of: ${[...Object.keys(MODE_PRESETS), ...Object.keys(MODE_ALIASES)].join(', ')}`,
+        message: `Or send weights (${REQUEST_WEIGHTS.join(', ')}) and constraints (${Object.keys(CONSTRAINTS).join(', ')}) with a mode`
       });
     }
 
-    const grid = await Grid.findById(gridId);
+    let vessel;
+    let preferences;
+    try {
+      vessel = await resolveRequestVessel(req.body.vesselId);
+      assertPortCallsAccept([goal], vessel, req.body.vesselId);
+      preferences = parseRequestPreferences(req.body, mode, vessel);
+    } catch (error) {
+      return sendRouteError(res, error, 'Failed to calculate route');
+    }
+    const { preset, constraints } = preferences;
+
+    const grid = await getStore().getGridById(gridId);
     if (!grid) {
       return res.status(404).json({ error: 'Grid not found' });
     }
@@ -1243,10 +1048,24 @@ router.post('/calculate', async (req, res) => {
       return res.status(400).json({ error: 'Start or goal coordinates not found in grid' });
     }
 
-    const path = aStar(startCell, goalCell, grid.cells, grid.resolution, mode, grid.cells);
+    const path = await routeWorkers.run('grid-astar', {
+      start: { lat: startCell.lat, lon: startCell.lon, weather: startCell.weather },
+      goal: { lat: goalCell.lat, lon: goalCell.lon, weather: goalCell.weather },
+      mode,
+      preset,
+      constraints,
+      vessel,
+      speedKnots: requestSpeedKnots({ vessel, mode })
+    }, {
+      owner: requestOwner(req),
+      grid: SharedGrid.fromCells(grid.cells, { resolution: grid.resolution })
+    });
 
     if (!path) {
-      return res.status(404).json({ error: 'No route found' });
+      return res.status(404).json({
+        error: 'No route found',
+        ...(Object.keys(constraints).length > 0 && { message: 'No path stays within the constraints', constraints })
+      });
     }
 
     // Score the complete route
@@ -1255,6 +1074,8 @@ router.post('/calculate', async (req, res) => {
     res.json({ 
       success: true,
       mode: mode,
+      preferences: { ...describePreset(preset), constraints },
+      vessel: describeVessel(vessel),
       path: routeScore.path,
       summary: routeScore.summary,
     });
@@ -1266,43 +1087,45 @@ router.post('/calculate', async (req, res) => {
 // Compare route modes using RouteFinder
 router.post('/compare', async (req, res) => {
   try {
-    const { gridId, start, goal } = req.body;
+    const { gridId, start, goal, vesselId } = req.body;
 
     if (!gridId || !start || !goal) {
       return res.status(400).json({ 
         error: 'Grid ID, start, and goal coordinates are required' 
       });
     }
+    const vessel = await resolveRequestVessel(vesselId);
+    assertPortCallsAccept([goal], vessel, vesselId);
 
-    const grid = await Grid.findById(gridId);
+    const grid = await getStore().getGridById(gridId);
     if (!grid) {
       return res.status(404).json({ error: 'Grid not found' });
     }
 
-    // Use RouteFinder to compare all modes
-    const comparison = await routeFinder.compareRoutes(
+    // Use RouteFinder to compare all modes (on a route worker)
+    const comparison = await routeWorkers.run('compare-routes', {
       start,
-      goal,
-      grid.cells,
-      grid.resolution
-    );
+      end: goal,
+      vessel
+    }, {
+      owner: requestOwner(req),
+      grid: SharedGrid.fromCells(grid.cells, { resolution: grid.resolution })
+    });
 
     res.json({ 
       success: true,
+      vessel: describeVessel(vessel),
       comparison,
     });
   } catch (error) {
-    res.status(500).json({ 
-      error: 'Failed to compare routes', 
-      message: error.message 
-    });
+    sendRouteError(res, error, 'Failed to compare routes');
   }
 });
 
 // GET endpoint for route calculation (query parameters)
 router.get('/', async (req, res) => {
   try {
-    const { start, end, mode = 'optimal', gridId } = req.query;
+    const { start, end, mode = 'optimal', gridId, vesselId } = req.query;
 
     if (!start || !end) {
       return res.status(400).json({ 
@@ -1322,33 +1145,33 @@ router.get('/', async (req, res) => {
       return res.status(400).json({ error: 'Invalid coordinate format' });
     }
 
-    const grid = await Grid.findById(gridId);
+    const grid = await getStore().getGridById(gridId);
     if (!grid) {
       return res.status(404).json({ error: 'Grid not found' });
     }
+    const vessel = await resolveRequestVessel(vesselId);
 
-    // Find route
-    const result = await routeFinder.findOptimalRoute(
-      { lat: startLat, lon: startLon },
-      { lat: endLat, lon: endLon },
-      grid.cells,
+    // Find route (on a route worker)
+    const result = await routeWorkers.run('route-finder', {
+      start: { lat: startLat, lon: startLon },
+      end: { lat: endLat, lon: endLon },
       mode,
-      grid.resolution
-    );
+      vessel
+    }, {
+      owner: requestOwner(req),
+      grid: SharedGrid.fromCells(grid.cells, { resolution: grid.resolution })
+    });
 
     res.json(result);
   } catch (error) {
-    res.status(500).json({ 
-      error: 'Failed to calculate route', 
-      message: error.message 
-    });
+    sendRouteError(res, error, 'Failed to calculate route');
   }
 });
 
 // NEW: Get weather for specific waypoint index
 router.post('/waypoint-weather', async (req, res) => {
   try {
-    const { lat, lon, waypointIndex, totalWaypoints } = req.body;
+    const { lat, lon, waypointIndex, totalWaypoints, eta } = req.body;
 
     if (!lat || !lon || waypointIndex === undefined) {
       return res.status(400).json({ 
@@ -1356,8 +1179,6 @@ router.post('/waypoint-weather', async (req, res) => {
       });
     }
 
-    const axios = require('axios');
-    
     let weather = {
       temperature: 25,
       windSpeed: 10,
@@ -1371,28 +1192,31 @@ router.post('/waypoint-weather', async (req, res) => {
       timestamp: new Date().toISOString()
     };
 
-    try {
-      // Try to fetch real-time weather from Open-Meteo API
-      const weatherResponse = await axios.get('https://api.open-meteo.com/v1/forecast', {
-        params: {
-          latitude: lat.toFixed(2),
-          longitude: lon.toFixed(2),
-          current: 'temperature_2m,wind_speed_10m,wind_direction_10m',
-          timezone: 'auto'
-        },
-        timeout: 5000
-      });
+    // Stored forecast (ingested GRIB2 or a recent fetch) for when the ship gets there
+    const stored = forecastStore.conditionsAt(lat, lon, waypointTime({ eta }));
+    if (stored && stored.windSpeed !== undefined) {
+      weather.windSpeed = stored.windSpeed;
+      weather.windDirection = stored.windDirection ?? weather.windDirection;
+      weather.waveHeight = stored.waveHeight ?? weather.waveHeight;
+      weather.waveDirection = stored.waveDirection ?? weather.waveDirection;
+      weather.visibility = stored.visibility !== undefined ? stored.visibility / 1000 : weather.visibility; // m to km
+      weather.forecastTime = stored.forecastTime;
+      weather.forecastSnapshot = stored.snapshot;
+    } else {
+      try {
+        // Try to fetch real-time weather from the configured weather provider (wind in knots)
+        const current = await getWeatherProvider().current(lat, lon, {
+          variables: ['temperature', 'windSpeed', 'windDirection'],
+          timeout: 5000
+        });
 
-      const current = weatherResponse.data.current;
-      
-      if (current) {
-        weather.temperature = current.temperature_2m || weather.temperature;
-        weather.windSpeed = current.wind_speed_10m || weather.windSpeed;
-        weather.windDirection = current.wind_direction_10m || weather.windDirection;
+        weather.temperature = current.temperature ?? weather.temperature;
+        weather.windSpeed = current.windSpeed ?? weather.windSpeed;
+        weather.windDirection = current.windDirection ?? weather.windDirection;
+      } catch (apiError) {
+        console.log('Weather API unavailable, using defaults:', apiError.message);
+        // Continue with default values
       }
-    } catch (apiError) {
-      console.log('Weather API unavailable, using defaults:', apiError.message);
-      // Continue with default values
     }
 
     res.json({ 
@@ -1409,192 +1233,471 @@ router.post('/waypoint-weather', async (req, res) => {
   }
 });
 
-// NEW: Strict Multi-Port Ocean Routing - OPTIMIZED FOR LARGE CARGO/CONTAINER SHIPS
-// Ship Specifications Considered:
-// - Ultra-Large Container Vessels (ULCV): 400m length, 59m beam, 16m draft, 20,000+ TEU
-// - New Panamax: 366m length, 49m beam, 15m draft, 13,000 TEU
-// - Capesize Bulk Carriers: 300m length, 45m beam, 18m draft
-router.post('/strict-ocean-route', async (req, res) => {
-  try {
-    const { ports, mode = 'safe' } = req.body;
+// NEW: Strict Multi-Port Ocean Routing
+// Speeds, ETAs and fuel are calculated for the request's vessel profile (vesselId, default vessel when none)
+async function calculateStrictOceanRoute(params, context = {}) {
+  const reportProgress = context.reportProgress || (() => {});
+  const { ports, mode = 'safe' } = params;
 
-    if (!ports || !Array.isArray(ports) || ports.length < 2) {
-      return res.status(400).json({ 
-        error: 'At least 2 ports are required. Format: [{ name, lat, lon }, ...]' 
+  if (!ports || !Array.isArray(ports) || ports.length < 2) {
+    throw new RouteRequestError(400, { 
+      error: 'At least 2 ports are required. Format: [{ name, lat, lon }, ...]' 
+    });
+  }
+
+  // Validate port format
+  for (const port of ports) {
+    if (!port.name || !port.lat || !port.lon) {
+      throw new RouteRequestError(400, { 
+        error: 'Each port must have name, lat, and lon properties' 
       });
     }
+  }
 
-    // Validate port format
-    for (const port of ports) {
-      if (!port.name || !port.lat || !port.lon) {
-        return res.status(400).json({ 
-          error: 'Each port must have name, lat, and lon properties' 
-        });
-      }
-    }
+  // Time-dependent routing: each segment departs when the previous one arrives (no port stay)
+  const departure = params.departureTime ? new Date(params.departureTime) : new Date();
+  if (Number.isNaN(departure.getTime())) {
+    throw new RouteRequestError(400, {
+      error: 'Invalid departureTime. Use an ISO date, e.g. 2025-01-15T06:00:00Z',
+      received: params.departureTime
+    });
+  }
+  const vessel = await resolveRequestVessel(params.vesselId);
+  assertPortCallsAccept(ports.slice(1), vessel, params.vesselId);
+  const avgSpeed = requestSpeedKnots({ vessel, mode }); // knots, the vessel's speed for the mode
 
-    console.log(`\n🌊 Calculating ${mode.toUpperCase()} multi-port ocean route for ${ports.length} ports`);
-    console.log(`   Optimized for: Large Cargo/Container Ships (300-400m length, 16m+ draft)`);
-    
-    // Load grid from MongoDB chunks (same approach as regular calculate endpoint)
-    const sampleGrid = await Grid.findOne({ isChunked: true });
-    
-    if (!sampleGrid) {
-      return res.status(404).json({ 
-        error: 'No grid data available. Please import grid data first.',
-        hint: 'Run: node importGridChunked.js'
-      });
-    }
+  // Validate avoidance areas up front (each segment applies them again for its own start/end)
+  parseRequestAvoidAreas(params, ports[0], ports[ports.length - 1], avgSpeed);
+
+  let segmentDeparture = departure.getTime();
+
+  console.log(`\n🌊 Calculating ${mode.toUpperCase()} multi-port ocean route for ${ports.length} ports`);
+  console.log(`   🚢 Vessel: ${vessel.name} (draft ${vessel.draftMeters}m) at ${avgSpeed} kn`);
+  
+  const hasGrid = await getStore().hasGrid();
+  
+  if (!hasGrid) {
+    throw new RouteRequestError(404, { 
+      error: 'No grid data available. Please import grid data first.',
+      hint: 'Run: node importGridChunked.js (MongoDB), or add gridData.json.gz / gridData.bin (offline storage)'
+    });
+  }
 
-    const resolution = sampleGrid.resolution;
-    console.log(`📦 Using chunked grid with resolution: ${resolution}°`);
+  // Calculate routes between consecutive ports using existing routing
+  const routes = [];
+  let totalDistance = 0;
+  let allValid = true;
+
+  for (let i = 0; i < ports.length - 1; i++) {
+    const from = ports[i];
+    const to = ports[i + 1];
+    
+    console.log(`\n📍 Segment ${i + 1}: ${from.name} → ${to.name}`);
+    const segmentCount = ports.length - 1;
+    reportProgress({
+      phase: 'searching',
+      currentSegment: i + 1,
+      totalSegments: segmentCount,
+      percent: Math.round((i / segmentCount) * 100)
+    });
     
-    // Helper function to load cells in region from MongoDB chunks
-    async function getCellsInRegion(latMin, latMax, lonMin, lonMax) {
-      const cacheKey = `${latMin}_${latMax}_${lonMin}_${lonMax}`;
-      const cached = regionCache.get(cacheKey);
+    try {
+      // Calculate region for this segment
+      const routeLatSpan = Math.abs(from.lat - to.lat);
+      const routeLonSpan = Math.abs(from.lon - to.lon);
+      const routeSpan = Math.max(routeLatSpan, routeLonSpan);
+      const buffer = Math.max(10, Math.min(18, routeSpan * 0.3));
       
-      if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
-        return cached.cells;
-      }
+      const latMin = Math.min(from.lat, to.lat) - buffer;
+      const latMax = Math.max(from.lat, to.lat) + buffer;
+      const lonMin = Math.min(from.lon, to.lon) - buffer;
+      const lonMax = Math.max(from.lon, to.lon) + buffer;
       
-      const cells = [];
-      const chunkCount = await Grid.countDocuments({ isChunked: true });
+      console.log(`   🔍 Search region: ${latMin.toFixed(1)}°-${latMax.toFixed(1)}°N, ${lonMin.toFixed(1)}°-${lonMax.toFixed(1)}°E`);
       
-      for (let i = 0; i < chunkCount; i++) {
-        const chunk = await Grid.findOne({ isChunked: true, chunkIndex: i }, { cells: 1 }).lean();
-        if (chunk && chunk.cells) {
-          const regionCells = chunk.cells.filter(c => 
-            c.lat >= latMin && c.lat <= latMax &&
-            c.lon >= lonMin && c.lon <= lonMax
-          );
-          cells.push(...regionCells);
-        }
+      // Load only the tiles intersecting this segment's corridor
+      const grid = await routeWorkers.getRegion(latMin, latMax, lonMin, lonMax);
+      if (!grid) {
+        throw new Error('No grid data covers this segment');
       }
       
-      regionCache.set(cacheKey, { cells, timestamp: Date.now() });
-      if (regionCache.size > 10) {
-        const firstKey = regionCache.keys().next().value;
-        regionCache.delete(firstKey);
+      // Forecast over the segment corridor from the segment's departure
+      let forecastField = null;
+      if (weatherConfig.TIME_DEPENDENT_ROUTING) {
+        const voyageHours = calculateDistance(from.lat, from.lon, to.lat, to.lon) * 1.5 / (avgSpeed * 1.852) + 24;
+        forecastField = await fetchForecastField({ latMin, latMax, lonMin, lonMax }, segmentDeparture, voyageHours);
       }
-      
-      return cells;
-    }
+      const timeline = {
+        departureTime: new Date(segmentDeparture).toISOString(),
+        speedKnots: avgSpeed,
+        forecast: forecastField && forecastField.toJSON()
+      };
 
-    // Calculate routes between consecutive ports using existing routing
-    const routes = [];
-    let totalDistance = 0;
-    let allValid = true;
+      // Run RouteFinder on a worker over ALL cells in the region (not just water)
+      // so findGridCell can search for the nearest water cell
+      const searchSegment = (avoidAreas = []) => routeWorkers.run('route-finder', {
+        start: { lat: from.lat, lon: from.lon },
+        end: { lat: to.lat, lon: to.lon },
+        region: { latMin, latMax, lonMin, lonMax },
+        mode,
+        vessel,
+        resolution: grid.resolution,
+        avoidAreas,
+        timeline
+      }, searchOptions(context, {
+        grid,
+        onProgress: ({ cellsExpanded, remainingKm, totalKm }) => {
+          const searched = totalKm > 0 ? Math.max(0, 1 - remainingKm / totalKm) : 0;
+          reportProgress({ cellsExpanded, percent: Math.round(((i + searched) / segmentCount) * 100) });
+        }
+      }));
+
+      const avoidance = parseRequestAvoidAreas(params, from, to, avgSpeed);
+      let result;
+      let avoidanceSummary;
+      if (avoidance) {
+        let found = null;
+        const avoidanceSearch = await routeAroundAreas(avoidance, async (areas) => {
+          const segmentResult = await searchSegment(areas);
+          if (areas === avoidance.active) found = segmentResult;
+          return segmentResult?.coordinates || null;
+        });
+        result = found;
+        // Detours in time and fuel, at the segment's fuel rate
+        const distanceKm = result?.total_distance_km || 0;
+        avoidanceSummary = summarizeAvoidance(avoidance, avoidanceSearch, {
+          speedKnots: avgSpeed,
+          fuelTonsPerKm: distanceKm > 0 ? (result.fuel_consumption?.total_tons || 0) / distanceKm : 0
+        });
+      } else {
+        result = await searchSegment();
+      }
 
-    for (let i = 0; i < ports.length - 1; i++) {
-      const from = ports[i];
-      const to = ports[i + 1];
-      
-      console.log(`\n📍 Segment ${i + 1}: ${from.name} → ${to.name}`);
-      
-      try {
-        // Calculate region for this segment
-        const routeLatSpan = Math.abs(from.lat - to.lat);
-        const routeLonSpan = Math.abs(from.lon - to.lon);
-        const routeSpan = Math.max(routeLatSpan, routeLonSpan);
-        const buffer = Math.max(10, Math.min(18, routeSpan * 0.3));
-        
-        const latMin = Math.min(from.lat, to.lat) - buffer;
-        const latMax = Math.max(from.lat, to.lat) + buffer;
-        const lonMin = Math.min(from.lon, to.lon) - buffer;
-        const lonMax = Math.max(from.lon, to.lon) + buffer;
-        
-        console.log(`   🔍 Loading region: ${latMin.toFixed(1)}°-${latMax.toFixed(1)}°N, ${lonMin.toFixed(1)}°-${lonMax.toFixed(1)}°E`);
-        
-        // Load cells for this segment
-        const allCells = await getCellsInRegion(latMin, latMax, lonMin, lonMax);
-        const waterCells = allCells.filter(cell => !cell.obstacle && !cell.is_land);
+      // RouteFinder returns result with coordinates array if found
+      if (result && result.success && result.coordinates && result.coordinates.length > 0) {
+        const distance = result.total_distance_km || 0;
+        const duration = result.duration.hours; // Over ground, with the current on each leg
+        const arrival = segmentDeparture + duration * 3600000;
         
-        console.log(`   📊 Loaded ${allCells.length} cells (${waterCells.length} water, ${allCells.length - waterCells.length} land)`);
+        routes.push({
+          from: from.name,
+          to: to.name,
+          distance: distance,
+          duration: parseFloat(duration.toFixed(2)),
+          departureTime: timeline.departureTime,
+          arrivalTime: new Date(arrival).toISOString(),
+          forecastSource: forecastField ? forecastField.source : 'stored-weather',
+          waypoints: result.waypoints || result.coordinates.length,
+          path: result.coordinates,
+          fuelConsumption: result.fuel_consumption?.total_tons || 0, // tons
+          fuelCostUSD: result.fuel_consumption?.total_cost_usd || 0,
+          minDepthMeters: result.conditions?.min_charted_depth_m ?? null, // Shallowest charted depth
+          avgWindSpeed: 0,
+          avgWaveHeight: 0,
+          safetyScore: result.safety_index_avg || 0,
+          avoidance: avoidanceSummary
+        });
         
-        // Use existing routeFinder with specified mode
-        // Pass ALL cells (not just water) so findGridCell can search for nearest water cell
-        const result = await routeFinder.findOptimalRoute(
-          { lat: from.lat, lon: from.lon },
-          { lat: to.lat, lon: to.lon },
-          allCells,
-          mode,
-          resolution
-        );
-
-        // RouteFinder returns result with coordinates array if found
-        if (result && result.success && result.coordinates && result.coordinates.length > 0) {
-          const distance = result.total_distance_km || 0;
-          const avgSpeed = 20; // knots average speed
-          const duration = distance / (avgSpeed * 1.852); // Convert to hours
-          
-          routes.push({
-            from: from.name,
-            to: to.name,
-            distance: distance,
-            duration: parseFloat(duration.toFixed(2)),
-            waypoints: result.waypoints || result.coordinates.length,
-            path: result.coordinates,
-            fuelConsumption: result.total_fuel_cost || 0,
-            avgWindSpeed: 0,
-            avgWaveHeight: 0,
-            safetyScore: result.safety_index_avg || 0
-          });
-          
-          totalDistance += distance;
-          console.log(`   ✅ Route found: ${distance.toFixed(2)} km, ${result.waypoints || result.coordinates.length} waypoints`);
-        } else {
-          console.log(`   ❌ No route found: ${result?.message || 'No path available'}`);
-          allValid = false;
-          routes.push({
-            from: from.name,
-            to: to.name,
-            error: result?.message || 'No route found',
-            success: false
-          });
-        }
-      } catch (error) {
-        console.error(`   ❌ Error calculating segment: ${error.message}`);
+        totalDistance += distance;
+        segmentDeparture = arrival;
+        console.log(`   ✅ Route found: ${distance.toFixed(2)} km, ${result.waypoints || result.coordinates.length} waypoints`);
+      } else {
+        console.log(`   ❌ No route found: ${result?.message || 'No path available'}`);
         allValid = false;
         routes.push({
           from: from.name,
           to: to.name,
-          error: error.message,
+          error: result?.message || 'No route found',
           success: false
         });
       }
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        throw error;
+      }
+      console.error(`   ❌ Error calculating segment: ${error.message}`);
+      allValid = false;
+      routes.push({
+        from: from.name,
+        to: to.name,
+        error: error.message,
+        success: false
+      });
     }
+  }
 
-    const successfulRoutes = routes.filter(r => r.path);
-    
+  const successfulRoutes = routes.filter(r => r.path);
+  
+  return {
+    success: allValid,
+    routes: successfulRoutes,
+    summary: {
+      totalSegments: ports.length - 1,
+      successfulSegments: successfulRoutes.length,
+      failedSegments: routes.length - successfulRoutes.length,
+      totalDistance: totalDistance.toFixed(2) + ' km',
+      totalDistanceKm: parseFloat(totalDistance.toFixed(2)), // Add numeric version
+      totalWaypoints: successfulRoutes.reduce((sum, r) => sum + r.waypoints, 0),
+      avgSafetyScore: successfulRoutes.length > 0 
+        ? (successfulRoutes.reduce((sum, r) => sum + (r.safetyScore || 0), 0) / successfulRoutes.length).toFixed(1)
+        : 0,
+      totalFuelTons: parseFloat(successfulRoutes.reduce((sum, r) => sum + r.fuelConsumption, 0).toFixed(2)),
+      minDepthMeters: successfulRoutes.some(r => r.minDepthMeters !== null)
+        ? Math.min(...successfulRoutes.filter(r => r.minDepthMeters !== null).map(r => r.minDepthMeters))
+        : null
+    },
+    mode,
+    vessel: describeVessel(vessel),
+    ports: ports.map(p => p.name).join(' → '),
+    message: allValid 
+      ? 'All routes calculated successfully with strict land avoidance'
+      : 'Some routes could not be calculated'
+  };
+}
+
+router.post('/strict-ocean-route', async (req, res) => {
+  try {
+    res.json(await calculateStrictOceanRoute(req.body, { owner: requestOwner(req) }));
+  } catch (error) {
+    console.error('Error calculating strict ocean route:', error.message);
+    sendRouteError(res, error, 'Failed to calculate strict ocean route');
+  }
+});
+
+// Background route jobs: submit, poll progress, cancel and fetch the result
+// Long calculations survive page reloads and dropped connections because the job keeps running server-side
+routeJobs.registerHandler('route', calculateSimpleRoute);
+routeJobs.registerHandler('strict-ocean-route', calculateStrictOceanRoute);
+
+/**
+ * Batch-compute the precomputed route cache (job type 'precompute-routes', see POST /cache/build)
+ */
+async function buildPrecomputedRoutes(params, context = {}) {
+  return precomputedRoutes.build(params, {
+    ...context,
+    versions: await PrecomputedRouteCache.currentVersions(),
+    computeRoute: routeParams => calculateEngineRoute(routeParams, context)
+  });
+}
+
+routeJobs.registerHandler('precompute-routes', buildPrecomputedRoutes);
+
+// Submit a route job - body: { type: 'route' | 'strict-ocean-route', ...same params as the synchronous endpoint }
+router.post('/jobs', optionalAuth, (req, res) => {
+  try {
+    const { type = 'route', ...params } = req.body;
+    if (ADMIN_JOB_TYPES.includes(type)) {
+      return res.status(403).json({ error: `Job type ${type} is admin-only`, message: 'Use POST /api/route/cache/build' });
+    }
+    const job = routeJobs.submit(type, params, requestOwner(req));
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/route/jobs/${job.id}`,
+      resultUrl: `/api/route/jobs/${job.id}/result`
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to submit route job', message: error.message });
+  }
+});
+
+/**
+ * A job submitted by whoever makes the request (null for other callers' jobs, so their ids reveal nothing)
+ */
+function ownJob(req) {
+  const job = routeJobs.get(req.params.id);
+  return job && job.owner === requestOwner(req) ? job : null;
+}
+
+// Poll job status and progress (cells expanded, current segment, ETA)
+router.get('/jobs/:id', optionalAuth, (req, res) => {
+  const job = ownJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Route job not found', jobId: req.params.id });
+  }
+  res.json({ success: true, ...routeJobs.getStatus(job) });
+});
+
+// Fetch the result of a finished job
+router.get('/jobs/:id/result', optionalAuth, (req, res) => {
+  const job = ownJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Route job not found', jobId: req.params.id });
+  }
+
+  if (job.status === 'completed') {
+    return res.json(job.result);
+  }
+  if (job.status === 'failed') {
+    return res.status(job.error.statusCode).json({
+      error: job.error.message,
+      ...(job.error.details || {}),
+      jobId: job.id
+    });
+  }
+  if (job.status === 'cancelled') {
+    return res.status(409).json({ error: 'Route job was cancelled', jobId: job.id });
+  }
+
+  res.status(202).json({ success: true, ...routeJobs.getStatus(job) });
+});
+
+// Cancel a queued or running job
+router.delete('/jobs/:id', optionalAuth, (req, res) => {
+  if (!ownJob(req)) {
+    return res.status(404).json({ error: 'Route job not found', jobId: req.params.id });
+  }
+  res.json({ success: true, ...routeJobs.getStatus(routeJobs.cancel(req.params.id)) });
+});
+
+// Precomputed route cache: stats and entries (no paths) - query: mode, port, status=valid|stale|all
+router.get('/cache', async (req, res) => {
+  try {
+    const versions = await PrecomputedRouteCache.currentVersions();
+    const { mode, port, status = 'all' } = req.query;
     res.json({
-      success: allValid,
-      routes: successfulRoutes,
-      summary: {
-        totalSegments: ports.length - 1,
-        successfulSegments: successfulRoutes.length,
-        failedSegments: routes.length - successfulRoutes.length,
-        totalDistance: totalDistance.toFixed(2) + ' km',
-        totalDistanceKm: parseFloat(totalDistance.toFixed(2)), // Add numeric version
-        totalWaypoints: successfulRoutes.reduce((sum, r) => sum + r.waypoints, 0),
-        avgSafetyScore: successfulRoutes.length > 0 
-          ? (successfulRoutes.reduce((sum, r) => sum + (r.safetyScore || 0), 0) / successfulRoutes.length).toFixed(1)
-          : 0
-      },
-      mode,
-      ports: ports.map(p => p.name).join(' → '),
-      message: allValid 
-        ? 'All routes calculated successfully with strict land avoidance'
-        : 'Some routes could not be calculated'
+      success: true,
+      stats: precomputedRoutes.getStats(versions),
+      routes: precomputedRoutes.list(versions, { mode, port, status })
     });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to read route cache');
+  }
+});
+
+// Cached route between two ports - query: start=lat,lon&end=lat,lon&mode=optimal (or from=<port name>&to=<port name>)
+router.get('/cache/lookup', async (req, res) => {
+  try {
+    const parsePoint = (value, name) => {
+      if (name) return { name };
+      const [lat, lon] = String(value || '').split(',').map(Number);
+      return { lat, lon };
+    };
+    const versions = await PrecomputedRouteCache.currentVersions();
+    const result = precomputedRoutes.lookup(
+      parsePoint(req.query.start, req.query.from),
+      parsePoint(req.query.end, req.query.to),
+      req.query.mode,
+      versions
+    );
 
+    if (result.status !== 'valid') {
+      const messages = {
+        'no-port': 'Start and end must be known ports (within 25 km) and mode one of ' + PrecomputedRouteCache.ROUTE_MODES.join(', '),
+        missing: 'Route not precomputed',
+        stale: 'Cached route was built with another grid or cost-model version'
+      };
+      return res.status(404).json({ error: messages[result.status], ...result, ...versions });
+    }
+    res.json({ success: true, ...result, ...versions });
   } catch (error) {
-    console.error('Error calculating strict ocean route:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to calculate strict ocean route', 
-      message: error.message 
+    sendRouteError(res, error, 'Failed to read route cache');
+  }
+});
+
+// Rebuild the cache as a background job (admin) - body: { hubs, pairs, popular, modes, engine, force }
+router.post('/cache/build', verifyToken, requireAdmin, (req, res) => {
+  try {
+    const job = routeJobs.submit('precompute-routes', req.body || {}, requestOwner(req));
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/route/jobs/${job.id}`,
+      resultUrl: `/api/route/jobs/${job.id}/result`
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to start route cache build', message: error.message });
+  }
+});
+
+// Drop stale entries (admin) - ?all=true clears the whole cache
+router.delete('/cache', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const versions = await PrecomputedRouteCache.currentVersions();
+    const removed = precomputedRoutes.invalidate(versions, { all: req.query.all === 'true' });
+    res.json({ success: true, removed, stats: precomputedRoutes.getStats(versions) });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to invalidate route cache');
+  }
+});
+
+// Stored results of computed routes (POST /api/route): entries, hits and misses, current weather epoch
+router.get('/result-cache', async (req, res) => {
+  try {
+    res.json({ success: true, ...await routeResults.getStats() });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to read route result cache');
+  }
+});
+
+// Remove expired route results (?all=true removes every entry)
+router.delete('/result-cache', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const removed = await routeResults.clear({ all: req.query.all === 'true' });
+    res.json({ success: true, removed, ...await routeResults.getStats() });
+  } catch (error) {
+    sendRouteError(res, error, 'Failed to clear route result cache');
+  }
+});
+
+// Available routing engines (strategies selectable with engine=<name>)
+router.get('/engines', (req, res) => {
+  res.json({ success: true, engines: listEngines() });
+});
+
+// Route modes: presets of weights over the route objectives (distance, fuel, exposure),
+// and the custom weights and hard constraints a route request may add
+router.get('/modes', (req, res) => {
+  res.json({
+    success: true,
+    objectives: OBJECTIVES,
+    modes: Object.entries(MODE_PRESETS).map(([name, preset]) => ({ name, ...preset })),
+    aliases: MODE_ALIASES,
+    weights: REQUEST_WEIGHTS,
+    constraints: CONSTRAINTS
+  });
+});
+
+// Run the same request through several engines and compare their metrics side by side
+// Body: { start, end, mode, weights, vesselId, constraints, departureTime, engines: ['grid-astar', ...] }
+router.post('/engines/compare', async (req, res) => {
+  const { engines: names = listEngines().map(e => e.name), ...params } = req.body;
+  if (!Array.isArray(names) || names.length === 0 || names.some(name => !getEngine(name))) {
+    return res.status(400).json({
+      error: 'Invalid engines',
+      message: 'engines must be a non-empty array of engine names',
+      engines: listEngines().map(e => e.name)
     });
   }
+  const results = {};
+
+  // One engine at a time: they share the worker pool with regular requests
+  for (const name of names) {
+    try {
+      results[name] = await calculateEngineRoute({ ...params, engine: name }, { owner: requestOwner(req) });
+    } catch (error) {
+      results[name] = {
+        success: false,
+        error: error instanceof RouteRequestError ? error.payload.error : error.message
+      };
+    }
+  }
+
+  res.json({
+    success: Object.values(results).some(result => result.success),
+    comparison: Object.entries(results).map(([engine, result]) => result.success
+      ? { engine, success: true, ...result.metrics, computeMs: result.diagnostics.computeMs }
+      : { engine, success: false, error: result.error }),
+    results
+  });
+});
+
+// Route worker pool status (workers busy, searches queued, shared grid snapshot)
+router.get('/workers', (req, res) => {
+  res.json({ success: true, ...routeWorkers.getStats() });
 });
 
 // NEW: Real-time hazard monitoring endpoint
@@ -1614,43 +1717,32 @@ router.post('/check-hazards', async (req, res) => {
 
     console.log(`🔍 Checking hazards for route with ${path.length} waypoints`);
 
-    // Fetch real-time weather for all waypoints
-    const axios = require('axios');
+    // Weather for all waypoints: the forecast store first (at each waypoint's ETA), the provider for the rest
+    const provider = getWeatherProvider();
     const hazards = [];
     let requiresReroute = false;
+    let storedWaypoints = 0;
 
     for (let i = 0; i < path.length; i += 5) { // Check every 5th waypoint for performance
       const point = path[i];
       
       try {
-        // Fetch real weather from Open-Meteo Marine API (correct endpoint)
-        const response = await axios.get('https://marine-api.open-meteo.com/v1/marine', {
-          params: {
-            latitude: point.lat.toFixed(4),
-            longitude: point.lon.toFixed(4),
-            current: 'wave_height,wind_wave_height,wind_wave_direction,swell_wave_height',
-            hourly: 'wave_height,wind_wave_height,swell_wave_height',
-            timezone: 'auto'
-          },
-          timeout: 5000
-        });
-
-        // Also get wind data from forecast API
-        const windResponse = await axios.get('https://api.open-meteo.com/v1/forecast', {
-          params: {
-            latitude: point.lat.toFixed(4),
-            longitude: point.lon.toFixed(4),
-            current: 'wind_speed_10m,wind_direction_10m,visibility',
-            timezone: 'auto'
-          },
-          timeout: 5000
-        });
-
-        const marine = response.data.current;
-        const wind = windResponse.data.current;
+        // Waves and wind (knots): stored forecast, else current values from the configured weather provider
+        const stored = forecastStore.conditionsAt(point.lat, point.lon, waypointTime(point)) || {};
+        if (stored.snapshot) storedWaypoints++;
+        const [marine, wind] = await Promise.all([
+          stored.waveHeight !== undefined ? stored : provider.currentMarine(point.lat, point.lon, {
+            variables: ['waveHeight', 'windWaveHeight', 'windWaveDirection', 'swellWaveHeight'],
+            timeout: 5000
+          }),
+          stored.windSpeed !== undefined ? stored : provider.current(point.lat, point.lon, {
+            variables: ['windSpeed', 'windDirection', 'visibility'],
+            timeout: 5000
+          })
+        ]);
         
-        const windSpeed = (wind.wind_speed_10m || 0) * 0.54; // Convert m/s to knots
-        const waveHeight = marine.wave_height || 0;
+        const windSpeed = wind.windSpeed || 0;
+        const waveHeight = marine.waveHeight || 0;
         const visibility = wind.visibility ? wind.visibility / 1000 : 10; // Convert m to km
 
         // Check for hazards
@@ -1693,10 +1785,12 @@ router.post('/check-hazards', async (req, res) => {
 
     res.json({
       success: true,
+      provider: provider.name,
       hazards,
       requiresReroute,
       totalWaypoints: path.length,
       checkedWaypoints: Math.ceil(path.length / 5),
+      forecastStoreWaypoints: storedWaypoints,
       timestamp: new Date().toISOString(),
       recommendation: requiresReroute 
         ? 'CRITICAL: Immediate route recalculation recommended'
@@ -1715,45 +1809,28 @@ router.post('/check-hazards', async (req, res) => {
 });
 
 // NEW: Dynamic route update endpoint (recalculates avoiding hazardous areas)
+// Recalculate a route around avoidance areas (hazards, cyclones, user-drawn zones)
+// Body: same as POST / plus avoidAreas - circles, polygons or GeoJSON features, hard or soft, optionally time-bounded
 router.post('/update-route', async (req, res) => {
   try {
-    const { start, end, mode, avoidAreas } = req.body;
-
-    if (!start || !end) {
-      return res.status(400).json({ error: 'Start and end coordinates are required' });
-    }
-
-    console.log(`🔄 Updating route with hazard avoidance: ${avoidAreas?.length || 0} areas to avoid`);
-
-    // Store avoided areas for this calculation
-    const avoidedAreas = avoidAreas || [];
-    
-    // Recalculate route (will automatically fetch fresh weather data)
-    // The regular /api/route endpoint will be called with updated parameters
-    
-    res.json({
-      success: true,
-      message: 'Route update triggered',
-      avoidedAreas: avoidAreas.length,
-      timestamp: new Date().toISOString()
-    });
+    const { avoidAreas = [] } = req.body;
+    console.log(`🔄 Updating route with hazard avoidance: ${avoidAreas.length ?? avoidAreas.features?.length ?? 1} areas to avoid`);
 
+    const route = await calculateSimpleRoute({ ...req.body, avoidAreas }, { owner: requestOwner(req) });
+    res.json({ ...route, timestamp: new Date().toISOString() });
   } catch (error) {
     console.error('Error updating route:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to update route', 
-      message: error.message 
-    });
+    sendRouteError(res, error, 'Failed to update route');
   }
 });
 
 // NEW: REAL-TIME Cyclone Detection from Weather API
 router.get('/live-cyclones', async (req, res) => {
   try {
-    const axios = require('axios');
+    const provider = getWeatherProvider();
     const cyclones = [];
 
-    console.log('🌀 Fetching real-time cyclone data from weather API...');
+    console.log(`🌀 Fetching real-time cyclone data from the ${provider.name} weather provider...`);
 
     // Scan Indian Ocean region for extreme weather patterns (potential cyclones)
     // Arabian Sea and Bay of Bengal - common cyclone regions
@@ -1773,34 +1850,21 @@ router.get('/live-cyclones', async (req, res) => {
     for (const region of scanRegions) {
       try {
         // Get marine conditions (increased timeout to 15s)
-        const marineResponse = await axios.get('https://marine-api.open-meteo.com/v1/marine', {
-          params: {
-            latitude: region.lat,
-            longitude: region.lon,
-            current: 'wave_height,wind_wave_height,swell_wave_height',
-            timezone: 'auto'
-          },
+        const marine = await provider.currentMarine(region.lat, region.lon, {
+          variables: ['waveHeight', 'windWaveHeight', 'swellWaveHeight'],
           timeout: 15000
         });
 
-        // Get wind conditions (increased timeout to 15s)
-        const windResponse = await axios.get('https://api.open-meteo.com/v1/forecast', {
-          params: {
-            latitude: region.lat,
-            longitude: region.lon,
-            current: 'wind_speed_10m,wind_gusts_10m,wind_direction_10m,surface_pressure,visibility',
-            timezone: 'auto'
-          },
+        // Get wind conditions in knots (increased timeout to 15s)
+        const wind = await provider.current(region.lat, region.lon, {
+          variables: ['windSpeed', 'windGusts', 'windDirection', 'surfacePressure', 'visibility'],
           timeout: 15000
         });
 
-        const marine = marineResponse.data.current;
-        const wind = windResponse.data.current;
-
-        const windSpeed = (wind.wind_speed_10m || 0) * 0.54; // m/s to knots
-        const gustSpeed = (wind.wind_gusts_10m || 0) * 0.54;
-        const waveHeight = marine.wave_height || 0;
-        const pressure = wind.surface_pressure || 1013;
+        const windSpeed = wind.windSpeed || 0;
+        const gustSpeed = wind.windGusts || 0;
+        const waveHeight = marine.waveHeight || 0;
+        const pressure = wind.surfacePressure || 1013;
         const visibility = wind.visibility ? wind.visibility / 1000 : 10;
 
         // Cyclone detection criteria:
@@ -1851,7 +1915,7 @@ router.get('/live-cyclones', async (req, res) => {
               avgWaveHeight: (waveHeight * 0.7).toFixed(1),
               visibility: visibility.toFixed(1),
               pressure: Math.round(pressure),
-              movement: `Wind direction: ${wind.wind_direction_10m}°`
+              movement: `Wind direction: ${wind.windDirection}°`
             },
             warnings: generateWarnings(windSpeed, waveHeight, pressure),
             affectedZones: [
@@ -1882,7 +1946,8 @@ router.get('/live-cyclones', async (req, res) => {
       watchCount: cyclones.filter(c => c.status === 'WATCH').length,
       lastUpdate: new Date().toISOString(),
       scannedRegions: scanRegions.length,
-      source: 'Open-Meteo Weather API - Real-time data'
+      provider: provider.name,
+      source: `${provider.description} - Real-time data`
     });
 
   } catch (error) {
@@ -1967,3 +2032,4 @@ router.post('/check-cyclone-intersection', async (req, res) => {
 });
 
 module.exports = router;
+module.exports.calculateEngineRoute = calculateEngineRoute;
@@ -1,14 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../middleware/auth');
-const User = require('../models/User');
+const { getStore } = require('../storage');
 
 // GET /api/user/routes - Get user's last 3 routes
 router.get('/routes', verifyToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    const routeHistory = await getStore().getRouteHistory(req.user._id);
     
-    if (!user) {
+    if (!routeHistory) {
       return res.status(404).json({
         success: false,
         error: 'User not found'
@@ -17,8 +17,8 @@ router.get('/routes', verifyToken, async (req, res) => {
 
     res.json({
       success: true,
-      routes: user.routeHistory,
-      count: user.routeHistory.length
+      routes: routeHistory,
+      count: routeHistory.length
     });
 
   } catch (error) {
@@ -70,28 +70,26 @@ router.post('/routes', verifyToken, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user._id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
     // Add route to history (FIFO, max 3)
-    await user.addRoute({
+    const routeHistory = await getStore().addRouteHistory(req.user._id, {
       from,
       to,
       mode,
       distance,
       duration: duration || null
     });
+    
+    if (!routeHistory) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
 
     res.json({
       success: true,
       message: 'Route saved to history',
-      routeHistory: user.routeHistory
+      routeHistory
     });
 
   } catch (error) {
@@ -106,7 +104,7 @@ router.post('/routes', verifyToken, async (req, res) => {
 // GET /api/user/profile - Get user profile
 router.get('/profile', verifyToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    const user = await getStore().findUserById(req.user._id);
     
     if (!user) {
       return res.status(404).json({
@@ -148,16 +146,17 @@ router.delete('/routes/:index', verifyToken, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user._id);
+    const store = getStore();
+    const currentHistory = await store.getRouteHistory(req.user._id);
     
-    if (!user) {
+    if (!currentHistory) {
       return res.status(404).json({
         success: false,
         error: 'User not found'
       });
     }
 
-    if (index >= user.routeHistory.length) {
+    if (index >= currentHistory.length) {
       return res.status(404).json({
         success: false,
         error: 'Route not found'
@@ -165,13 +164,12 @@ router.delete('/routes/:index', verifyToken, async (req, res) => {
     }
 
     // Remove route at index
-    user.routeHistory.splice(index, 1);
-    await user.save();
+    const routeHistory = await store.deleteRouteHistory(req.user._id, index);
 
     res.json({
       success: true,
       message: 'Route deleted',
-      routeHistory: user.routeHistory
+      routeHistory
     });
 
   } catch (error) {
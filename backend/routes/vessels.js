@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { getStore } = require('../storage');
+const { DEFAULT_VESSEL, DEFAULT_VESSEL_ID, VESSEL_TYPES, FUEL_TYPES, normalizeVessel, toVesselSpecs } = require('../vesselProfile');
+const { getVesselProfile } = require('../vesselRegistry');
+
+// Vessels may be changed by whoever created them, and by admins
+function canEdit(user, vessel) {
+  return isAdmin(user) || (vessel.createdBy && String(vessel.createdBy) === String(user._id));
+}
+
+// Stored vessel the request names, or an error response (the default vessel is read-only)
+async function findEditableVessel(req, res) {
+  if (req.params.id === DEFAULT_VESSEL_ID) {
+    res.status(403).json({ error: 'The default vessel is built in and read-only' });
+    return null;
+  }
+  const vessel = await getStore().getVesselById(req.params.id);
+  if (!vessel) {
+    res.status(404).json({ error: 'Vessel not found' });
+    return null;
+  }
+  if (!canEdit(req.user, vessel)) {
+    res.status(403).json({ error: 'Only the vessel\'s creator or an admin can change it' });
+    return null;
+  }
+  return vessel;
+}
+
+// GET /api/vessels - Built-in default vessel and stored vessel profiles
+router.get('/', async (req, res) => {
+  try {
+    const vessels = await getStore().listVessels();
+    res.json({
+      success: true,
+      vessels: [DEFAULT_VESSEL, ...vessels],
+      types: VESSEL_TYPES,
+      fuelTypes: FUEL_TYPES
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch vessels', message: error.message });
+  }
+});
+
+// GET /api/vessels/:id - Vessel profile, with the specs route calculations use
+router.get('/:id', async (req, res) => {
+  try {
+    const vessel = await getVesselProfile(req.params.id);
+    if (!vessel) {
+      return res.status(404).json({ error: 'Vessel not found' });
+    }
+    res.json({ success: true, vessel, specs: toVesselSpecs(vessel) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch vessel', message: error.message });
+  }
+});
+
+// POST /api/vessels - Create a vessel profile
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const profile = normalizeVessel(req.body);
+    const vessel = await getStore().createVessel({ ...profile, createdBy: req.user._id });
+    console.log(`🚢 Vessel created: ${vessel.name} (${vessel.type}, ${vessel._id})`);
+    res.status(201).json({ success: true, vessel });
+  } catch (error) {
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 400 ? 'Invalid vessel profile' : 'Failed to create vessel', message: error.message });
+  }
+});
+
+// PUT /api/vessels/:id - Update a vessel profile (fields sent replace the stored ones)
+router.put('/:id', verifyToken, async (req, res) => {
+  try {
+    const existing = await findEditableVessel(req, res);
+    if (!existing) return;
+
+    const profile = normalizeVessel({ ...existing, ...req.body });
+    const vessel = await getStore().updateVessel(existing._id, profile);
+    res.json({ success: true, vessel });
+  } catch (error) {
+    const status = error.statusCode || 500;
+    res.status(status).json({ error: status === 400 ? 'Invalid vessel profile' : 'Failed to update vessel', message: error.message });
+  }
+});
+
+// DELETE /api/vessels/:id - Delete a vessel profile
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const existing = await findEditableVessel(req, res);
+    if (!existing) return;
+
+    await getStore().deleteVessel(existing._id);
+    res.json({ success: true, message: 'Vessel deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete vessel', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,94 +1,200 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const { getWeatherProvider, getWeatherFetchStats, listWeatherProviders, ATMOSPHERE_VARIABLES, MARINE_VARIABLES } = require('../weatherProviders');
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { ingestGrib } = require('../gribIngest');
+const { getSnapshotStore } = require('../weatherSnapshots');
+const forecastStore = require('../forecastStore');
 
-// Fetch current weather using Open-Meteo API (free, no API key needed)
+const HOUR_MS = 3600000;
+const MAX_FORECAST_DAYS = 16;
+// GRIB2 uploads are posted as application/octet-stream (a regional GFS + wave forecast is tens of MB)
+const MAX_GRIB_SIZE = '500mb';
+
+/**
+ * { lat, lon } from the query, or null when either is missing or not a number
+ */
+function queryPosition(query) {
+  const lat = parseFloat(query.lat);
+  const lon = parseFloat(query.lon);
+  return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+}
+
+/**
+ * Hourly window from now for ?days= (1 to MAX_FORECAST_DAYS, default 7)
+ */
+function forecastWindow(days = 7) {
+  const count = Math.min(Math.max(parseInt(days, 10) || 7, 1), MAX_FORECAST_DAYS);
+  const startTime = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  return { days: count, startTime, endTime: startTime + count * 24 * HOUR_MS - HOUR_MS };
+}
+
+/**
+ * Hourly series at a position: the forecast store for the variables it holds, the provider for the
+ * rest (stored values alone when the provider fails)
+ * @param {Function} fetchHourly - (options) => provider series for one location
+ * @returns {Object} { hourly, snapshot, source } (snapshot and source null without stored data)
+ */
+async function storedHourly(position, window, allowed, fetchHourly) {
+  const stored = forecastStore.seriesAt(position.lat, position.lon, { ...window, variables: allowed });
+  const storedNames = stored ? stored.variables : [];
+  const missing = allowed.filter(name => !storedNames.includes(name));
+
+  let hourly = null;
+  if (missing.length > 0) {
+    try {
+      hourly = await fetchHourly({ ...window, variables: missing });
+    } catch (error) {
+      if (!stored) throw error;
+      console.warn(`⚠️  Weather provider failed, serving the stored forecast only: ${error.message}`);
+    }
+  }
+  if (!stored) return { hourly, snapshot: null, source: null };
+
+  // Stored values on the provider's time axis (the same hours unless the provider returned fewer)
+  const merged = hourly || { time: stored.time };
+  const index = new Map(stored.time.map((time, i) => [Date.parse(time), i]));
+  for (const name of storedNames) {
+    merged[name] = merged.time.map(time => {
+      const i = index.get(Date.parse(time));
+      return i === undefined ? null : stored[name][i];
+    });
+  }
+  return { hourly: merged, snapshot: stored.snapshot, source: stored.source };
+}
+
+function sendWeatherError(res, error, message) {
+  res.status(error.statusCode || 500).json({
+    error: message,
+    message: error.response?.data?.reason || error.message
+  });
+}
+
+// Active weather provider and the ones WEATHER_PROVIDER can select
+router.get('/providers', (req, res) => {
+  res.json({ success: true, active: getWeatherProvider().describe(), providers: listWeatherProviders() });
+});
+
+// Shared weather fetch cache: hit / miss counts, requests sent, retries and time spent rate limited
+router.get('/cache', (req, res) => {
+  res.json({ success: true, cache: getWeatherFetchStats() });
+});
+
+// Ingest a GRIB2 forecast (admin) - body: the GRIB2 file(s) as application/octet-stream
+// query: source=<label>. Stored as a weather snapshot on the routing grid (WEATHER_PROVIDER=snapshot)
+router.post('/grib', verifyToken, requireAdmin, express.raw({ type: () => true, limit: MAX_GRIB_SIZE }), (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the GRIB2 file as the request body with Content-Type: application/octet-stream' });
+    }
+    const snapshot = ingestGrib(req.body, {
+      source: req.query.source,
+      fileName: req.query.fileName,
+      uploadedBy: req.user.email
+    });
+    res.status(201).json({ success: true, snapshot });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to ingest GRIB2 forecast',
+      message: error.message,
+      ...(error.skipped && { skipped: error.skipped })
+    });
+  }
+});
+
+// Ingested forecast snapshots, newest first
+router.get('/snapshots', (req, res) => {
+  try {
+    const snapshots = getSnapshotStore().list();
+    res.json({ success: true, total: snapshots.length, snapshots });
+  } catch (error) {
+    sendWeatherError(res, error, 'Failed to list weather snapshots');
+  }
+});
+
+router.get('/snapshots/:id', (req, res) => {
+  const snapshot = getSnapshotStore().get(req.params.id);
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Weather snapshot not found' });
+  }
+  res.json({ success: true, snapshot });
+});
+
+router.delete('/snapshots/:id', verifyToken, requireAdmin, (req, res) => {
+  if (!getSnapshotStore().delete(req.params.id)) {
+    return res.status(404).json({ error: 'Weather snapshot not found' });
+  }
+  res.json({ success: true, message: 'Weather snapshot deleted' });
+});
+
+// Current weather from the configured provider (wind in m/s unless ?windSpeedUnit=kn|kmh)
 router.get('/current', async (req, res) => {
   try {
-    const { lat, lon } = req.query;
+    const position = queryPosition(req.query);
 
-    if (!lat || !lon) {
+    if (!position) {
       return res.status(400).json({ error: 'Latitude and longitude are required' });
     }
 
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation,rain,showers,snowfall,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m&wind_speed_unit=ms&timezone=auto`;
-    
-    const response = await axios.get(url);
-    const current = response.data.current;
-
-    const weatherData = {
-      temperature: current.temperature_2m,
-      apparentTemperature: current.apparent_temperature,
-      humidity: current.relative_humidity_2m,
-      windSpeed: current.wind_speed_10m,
-      windDirection: current.wind_direction_10m,
-      windGusts: current.wind_gusts_10m,
-      pressure: current.pressure_msl,
-      surfacePressure: current.surface_pressure,
-      cloudCover: current.cloud_cover,
-      precipitation: current.precipitation,
-      rain: current.rain,
-      showers: current.showers,
-      snowfall: current.snowfall,
-      weatherCode: current.weather_code,
-      isDay: current.is_day === 1,
-      timestamp: current.time,
-    };
-
-    res.json({ success: true, weather: weatherData });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Failed to fetch weather data', 
-      message: error.response?.data?.message || error.message 
+    const provider = getWeatherProvider();
+    const windSpeedUnit = req.query.windSpeedUnit || 'ms';
+    const { time, ...current } = await provider.current(position.lat, position.lon, { windSpeedUnit });
+
+    res.json({
+      success: true,
+      provider: provider.name,
+      windSpeedUnit,
+      weather: { ...current, timestamp: time }
     });
+  } catch (error) {
+    sendWeatherError(res, error, 'Failed to fetch weather data');
   }
 });
 
-// Fetch weather forecast using Open-Meteo API
+// Hourly weather forecast for ?days= days (wind in m/s unless ?windSpeedUnit=kn|kmh), stored forecast first
 router.get('/forecast', async (req, res) => {
   try {
-    const { lat, lon, days = 7 } = req.query;
+    const position = queryPosition(req.query);
 
-    if (!lat || !lon) {
+    if (!position) {
       return res.status(400).json({ error: 'Latitude and longitude are required' });
     }
 
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&hourly=temperature_2m,relative_humidity_2m,dew_point_2m,apparent_temperature,precipitation_probability,precipitation,rain,showers,snowfall,snow_depth,weather_code,pressure_msl,surface_pressure,cloud_cover,visibility,wind_speed_10m,wind_speed_80m,wind_direction_10m,wind_direction_80m,wind_gusts_10m,temperature_80m&daily=weather_code,temperature_2m_max,temperature_2m_min,sunrise,sunset,precipitation_sum,rain_sum,showers_sum,snowfall_sum,precipitation_hours,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant&wind_speed_unit=ms&timezone=auto&forecast_days=${days}`;
-    
-    const response = await axios.get(url);
+    const provider = getWeatherProvider();
+    const { days, startTime, endTime } = forecastWindow(req.query.days);
+    const windSpeedUnit = req.query.windSpeedUnit || 'ms';
+    const { hourly, snapshot, source } = await storedHourly(position, { startTime, endTime, windSpeedUnit }, ATMOSPHERE_VARIABLES,
+      async options => (await provider.hourly([position], options))[0]);
 
-    res.json({ success: true, forecast: response.data });
-  } catch (error) {
-    res.status(500).json({ 
-      error: 'Failed to fetch weather forecast', 
-      message: error.response?.data?.message || error.message 
+    res.json({
+      success: true,
+      forecast: { latitude: position.lat, longitude: position.lon, provider: provider.name, snapshot, source, days, windSpeedUnit, hourly }
     });
+  } catch (error) {
+    sendWeatherError(res, error, 'Failed to fetch weather forecast');
   }
 });
 
-// Fetch marine/maritime weather using Open-Meteo Marine API
+// Hourly waves, wind waves and swell for ?days= days, stored forecast first
 router.get('/marine', async (req, res) => {
   try {
-    const { lat, lon } = req.query;
+    const position = queryPosition(req.query);
 
-    if (!lat || !lon) {
+    if (!position) {
       return res.status(400).json({ error: 'Latitude and longitude are required' });
     }
 
-    // Open-Meteo Marine Weather API
-    const url = `https://marine-api.open-meteo.com/v1/marine?latitude=${lat}&longitude=${lon}&hourly=wave_height,wave_direction,wave_period,wind_wave_height,wind_wave_direction,wind_wave_period,wind_wave_peak_period,swell_wave_height,swell_wave_direction,swell_wave_period,swell_wave_peak_period&daily=wave_height_max,wave_direction_dominant,wave_period_max&timezone=auto`;
-    
-    const response = await axios.get(url);
+    const provider = getWeatherProvider();
+    const { days, startTime, endTime } = forecastWindow(req.query.days);
+    const { hourly, snapshot, source } = await storedHourly(position, { startTime, endTime }, MARINE_VARIABLES,
+      async options => (await provider.hourlyMarine([position], options))[0]);
 
     res.json({ 
       success: true, 
-      marine: response.data
+      marine: { latitude: position.lat, longitude: position.lon, provider: provider.name, snapshot, source, days, hourly }
     });
   } catch (error) {
-    res.status(500).json({ 
-      error: 'Failed to fetch marine weather', 
-      message: error.response?.data?.message || error.message 
-    });
+    sendWeatherError(res, error, 'Failed to fetch marine weather');
   }
 });
 
@@ -103,25 +209,41 @@ router.post('/route', async (req, res) => {
     
     // Limit to 15 waypoints max for performance
     const sampledWaypoints = waypoints.slice(0, 15);
+    const provider = getWeatherProvider();
     
-    // Fetch weather for each waypoint in parallel (max 15 requests)
+    // Weather for each waypoint: forecast store first, else the provider in parallel (max 15 requests)
+    let stored = 0;
     const weatherPromises = sampledWaypoints.map(async (wp) => {
       try {
         const lat = wp[0] || wp.lat;
         const lon = wp[1] || wp.lon;
+
+        const forecast = forecastStore.conditionsAt(lat, lon);
+        if (forecast && forecast.waveHeight !== undefined) {
+          stored++;
+          return {
+            lat,
+            lon,
+            waveHeight: forecast.waveHeight,
+            waveDirection: forecast.waveDirection ?? null,
+            wavePeriod: forecast.wavePeriod ?? null,
+            windWaveHeight: null,
+            timestamp: forecast.forecastTime
+          };
+        }
         
-        const url = `https://marine-api.open-meteo.com/v1/marine?latitude=${lat}&longitude=${lon}&current=wave_height,wave_direction,wave_period,wind_wave_height,wind_wave_direction,wind_wave_period&hourly=wave_height,wave_direction,wave_period`;
-        
-        const response = await axios.get(url, { timeout: 5000 });
-        const current = response.data.current;
+        const current = await provider.currentMarine(lat, lon, {
+          variables: ['waveHeight', 'waveDirection', 'wavePeriod', 'windWaveHeight'],
+          timeout: 5000
+        });
         
         return {
           lat,
           lon,
-          waveHeight: current.wave_height,
-          waveDirection: current.wave_direction,
-          wavePeriod: current.wave_period,
-          windWaveHeight: current.wind_wave_height,
+          waveHeight: current.waveHeight,
+          waveDirection: current.waveDirection,
+          wavePeriod: current.wavePeriod,
+          windWaveHeight: current.windWaveHeight,
           timestamp: current.time
         };
       } catch (err) {
@@ -143,11 +265,13 @@ router.post('/route', async (req, res) => {
     
     res.json({
       success: true,
+      provider: provider.name,
       waypoints: validData,
       stats: {
         avgWaveHeight: avgWave.toFixed(2),
         maxWaveHeight: maxWave.toFixed(2),
         dataPoints: validData.length,
+        forecastStorePoints: stored,
         coverage: ((validData.length / sampledWaypoints.length) * 100).toFixed(1)
       },
       timestamp: new Date().toISOString()
@@ -183,11 +307,17 @@ router.post('/route-stats', async (req, res) => {
     }
     
     // Fetch weather for samples
+    const provider = getWeatherProvider();
+    let stored = 0;
     const weatherPromises = samples.map(async ([lat, lon]) => {
       try {
-        const url = `https://marine-api.open-meteo.com/v1/marine?latitude=${lat}&longitude=${lon}&current=wave_height,wind_wave_height`;
-        const response = await axios.get(url, { timeout: 3000 });
-        return response.data.current.wave_height || 0;
+        const forecast = forecastStore.conditionsAt(lat, lon, Date.now(), ['waveHeight']);
+        if (forecast) {
+          stored++;
+          return forecast.waveHeight;
+        }
+        const current = await provider.currentMarine(lat, lon, { variables: ['waveHeight'], timeout: 3000 });
+        return current.waveHeight || 0;
       } catch {
         return null;
       }
@@ -202,7 +332,8 @@ router.post('/route-stats', async (req, res) => {
       stats: {
         avgWaveHeight: avgWave.toFixed(2),
         maxWaveHeight: maxWave.toFixed(2),
-        samples: waves.length
+        samples: waves.length,
+        forecastStoreSamples: stored
       }
     });
     
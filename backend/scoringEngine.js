@@ -13,6 +13,8 @@
  * - Distance: Shortest path optimization
  */
 
+const { MODE_PRESETS, ROUTE_MODES, resolvePreset } = require('./modePresets');
+
 class ScoringEngine {
   constructor() {
     // Normalization factors
@@ -24,29 +26,12 @@ class ScoringEngine {
     this.TAILWIND_FACTOR = 0.8;  // 20% reduction with favorable wind
     this.HEADWIND_FACTOR = 1.2;  // 20% increase with opposing wind
     
-    // Route mode weights
-    this.ROUTE_WEIGHTS = {
-      optimal: {
-        safety: 0.4,
-        fuel: 0.4,
-        distance: 0.2,
-      },
-      fuel_efficient: {
-        safety: 0.2,
-        fuel: 0.6,
-        distance: 0.2,
-      },
-      safe: {
-        safety: 0.6,
-        fuel: 0.2,
-        distance: 0.2,
-      },
-      normal: {
-        safety: 0.1,
-        fuel: 0.1,
-        distance: 0.8,
-      },
-    };
+    // Route mode weights, from the mode presets (safety weighs the exposure objective)
+    this.ROUTE_WEIGHTS = Object.fromEntries(Object.entries(MODE_PRESETS).map(([mode, preset]) => [mode, {
+      safety: preset.weights.exposure,
+      fuel: preset.weights.fuel,
+      distance: preset.weights.distance,
+    }]));
   }
 
   /**
@@ -185,7 +170,8 @@ class ScoringEngine {
   /**
    * Calculate total score for a grid cell based on route mode
    * 
-   * @param {Object} cell - Grid cell data
+   * @param {Object} cell - Grid cell data; cell.forecast (conditions forecast for the ship's ETA,
+   *   see forecastField.js) takes precedence over the cell's current weather
    * @param {string} mode - Route mode: 'optimal', 'fuel_efficient', 'safe', or 'normal'
    * @param {number} shipHeading - Current ship heading in degrees
    * @returns {Object} Scores object with all components
@@ -200,20 +186,21 @@ class ScoringEngine {
         total_score: 0,
         mode: mode,
         is_land: true,
-        weights: this.ROUTE_WEIGHTS[mode] || this.ROUTE_WEIGHTS.optimal,
+        weights: this.ROUTE_WEIGHTS[resolvePreset(mode).name],
       };
     }
 
     // Get weights for the selected mode
-    const weights = this.ROUTE_WEIGHTS[mode] || this.ROUTE_WEIGHTS.optimal;
+    const weights = this.ROUTE_WEIGHTS[resolvePreset(mode).name];
 
     // Calculate individual scores
-    const safetyScore = this.calculateSafetyScore(cell.weather);
+    const weather = cell.forecast ? { ...cell.weather, ...cell.forecast } : cell.weather;
+    const safetyScore = this.calculateSafetyScore(weather);
     
     const fuelEfficiencyScore = this.calculateFuelEfficiencyScore(
       cell.distance_to_next || 0,
       cell.fuel_rate_per_km || 0.5,
-      cell.wind_direction || cell.weather?.windDirection || cell.weather?.wind_direction,
+      cell.wind_direction || weather?.windDirection || weather?.wind_direction,
       shipHeading
     );
     
@@ -357,10 +344,9 @@ class ScoringEngine {
    * @returns {Object} Comparison of all route modes
    */
   compareRouteModes(path) {
-    const modes = ['optimal', 'fuel_efficient', 'safe', 'normal'];
     const comparison = {};
 
-    for (const mode of modes) {
+    for (const mode of ROUTE_MODES) {
       comparison[mode] = this.scoreRoute(path, mode);
     }
 
@@ -502,9 +488,7 @@ if (require.main === module) {
 
   console.log('🎯 Scoring Results:\n');
 
-  const modes = ['optimal', 'fuel_efficient', 'safe', 'normal'];
-  
-  modes.forEach(mode => {
+  ROUTE_MODES.forEach(mode => {
     const score = engine.calculateCellScore(sampleCell, mode, shipHeading);
     console.log(`${mode.toUpperCase()} Mode:`);
     console.log(`  Safety Score:         ${score.safety_score}`);
@@ -0,0 +1,744 @@
+/**
+ * 🧭 SEA-LANE GRAPH
+ * Sparse graph of coarse waypoints derived offline from the water grid, so every port pair
+ * gets lane waypoints without hand-coded lists:
+ *   headland - water just off a convex coast corner (where routes round the land)
+ *   strait   - entrances of narrow water between two separate land masses
+ *   hub      - open-water point furthest from the coast in each HUB_SPACING_DEG block
+ * Edges join nodes with a clear line of water; each edge records its minimum distance to coast
+ * so modes can trade distance against coastal exposure
+ *
+ * Stored in data/seaLaneGraph.json (under STORAGE_DIR when set; build output, not committed) with the
+ * grid version it was built from and a content version, together with the grid's water mask (used to
+ * attach route endpoints to visible nodes). The server reloads the file when it changes
+ *
+ * Usage:
+ *   node seaLaneGraph.js build            # rebuild seaLaneGraph.json from the local grid
+ *   node seaLaneGraph.js check            # coarse waypoints for every port pair in indianOceanPorts.json
+ *   node seaLaneGraph.js route <lat,lon> <lat,lon> [mode]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BinaryHeap } = require('./searchCore');
+const { haversineDistance } = require('./costFunction');
+
+const FORMAT_VERSION = 1;
+const GRAPH_FILE = path.join(process.env.STORAGE_DIR || path.join(__dirname, 'data'), 'seaLaneGraph.json');
+
+const BUILD_DEFAULTS = {
+  headlandWindow: 3,          // cells either side used to measure how much land surrounds a coast cell
+  headlandMaxLandFraction: 0.4, // straight coast ~0.57, box corner ~0.33, cape tip lower
+  headlandOffsetCells: 2,     // how far off the corner the rounding node sits
+  headlandSpacingKm: 120,
+  straitMaxWidthKm: 300,      // water narrower than this between two land masses is a strait
+  straitMinLengthKm: 60,      // shorter straits get a single node instead of two entrances
+  hubSpacingDeg: 5,
+  hubMinCoastKm: 200,
+  minNodeSpacingKm: 50,
+  maxEdgeKm: 1500,
+  edgesPerNode: 8
+};
+
+// Coastal exposure penalty per mode: edge cost = km * (1 + weight * shortfall below CLEARANCE_KM)
+const MODE_EXPOSURE_WEIGHTS = { fuel: 0, optimal: 0.3, safe: 1.5 };
+const CLEARANCE_KM = 100;
+
+// Route endpoints (ports) often sit on a coast or land cell: they join the lanes from the
+// nearest water cell within SNAP_MAX_CELLS
+const SNAP_MAX_CELLS = 20;
+const ATTACH_MAX_KM = 1500;
+const ATTACH_NEIGHBOURS = 6;
+
+const KM_PER_DEGREE = 111.32;
+const DIRECTIONS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+function normalizeMode(mode) {
+  const value = String(mode || 'optimal').toLowerCase();
+  if (value.startsWith('fuel')) return 'fuel';
+  if (value === 'safe' || value === 'safety') return 'safe';
+  return 'optimal';
+}
+
+function formatPosition(lat, lon) {
+  return `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? 'E' : 'W'}`;
+}
+
+function round(value, digits = 2) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// ==================== BUILDER ====================
+
+/**
+ * Raster helpers over a BinaryGrid
+ */
+function rasterView(grid) {
+  const blocked = i => grid.hasCell(i) && !grid.isWater(i);
+  const at = (row, col) => (row < 0 || row >= grid.rows || col < 0 || col >= grid.cols) ? -1 : row * grid.cols + col;
+  return { blocked, at };
+}
+
+/**
+ * Sample the straight line a -> b; returns the minimum distance to coast, or -1 if it crosses land
+ */
+function lineClearance(grid, a, b) {
+  const steps = Math.max(1, Math.ceil(Math.max(Math.abs(b.lat - a.lat), Math.abs(b.lon - a.lon)) / (grid.resolution / 4)));
+  let clearance = Infinity;
+  for (let s = 0; s <= steps; s++) {
+    const t = s / steps;
+    const i = grid.indexOf(a.lat + (b.lat - a.lat) * t, a.lon + (b.lon - a.lon) * t);
+    if (!grid.isWater(i)) return -1;
+    const distance = grid.layers.distanceToCoast[i];
+    if (!Number.isNaN(distance)) clearance = Math.min(clearance, distance);
+  }
+  return Number.isFinite(clearance) ? clearance : 0;
+}
+
+/**
+ * Nodes off convex coast corners, sharpest corners first, thinned to headlandSpacingKm
+ */
+function findHeadlands(grid, options) {
+  const { blocked, at } = rasterView(grid);
+  const R = options.headlandWindow;
+  const candidates = [];
+
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.cols; col++) {
+      const i = at(row, col);
+      if (!blocked(i)) continue;
+
+      const onCoast = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dr, dc]) => grid.isWater(at(row + dr, col + dc)));
+      if (!onCoast) continue;
+
+      let cells = 0;
+      let land = 0;
+      let sumRow = 0;
+      let sumCol = 0;
+      for (let dr = -R; dr <= R; dr++) {
+        for (let dc = -R; dc <= R; dc++) {
+          const j = at(row + dr, col + dc);
+          if (!grid.hasCell(j)) continue;
+          cells++;
+          if (blocked(j)) {
+            land++;
+            sumRow += dr;
+            sumCol += dc;
+          }
+        }
+      }
+
+      const fraction = land / cells;
+      if (fraction > options.headlandMaxLandFraction) continue;
+
+      // Step away from the centre of the surrounding land
+      const dirRow = -sumRow / land;
+      const dirCol = -sumCol / land;
+      const length = Math.hypot(dirRow, dirCol);
+      if (length === 0) continue;
+
+      const offsets = [options.headlandOffsetCells, options.headlandOffsetCells + 1, 1];
+      for (const k of offsets) {
+        const j = at(row + Math.round(dirRow / length * k), col + Math.round(dirCol / length * k));
+        if (grid.isWater(j)) {
+          candidates.push({ index: j, score: fraction });
+          break;
+        }
+      }
+    }
+  }
+
+  candidates.sort((a, b) => a.score - b.score);
+  return thin(grid, candidates.map(candidate => candidate.index), options.headlandSpacingKm, [])
+    .map(i => ({ type: 'headland', index: i }));
+}
+
+/**
+ * Whether two land cells are joined by land within a window around a centre cell
+ */
+function connectedLocally(grid, from, to, centreRow, centreCol, radius) {
+  const { blocked } = rasterView(grid);
+  const seen = new Set([from]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const i = queue.pop();
+    if (i === to) return true;
+    const row = Math.floor(i / grid.cols);
+    const col = i % grid.cols;
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const r = row + dr;
+        const c = col + dc;
+        if (Math.abs(r - centreRow) > radius || Math.abs(c - centreCol) > radius) continue;
+        if (r < 0 || r >= grid.rows || c < 0 || c >= grid.cols) continue;
+        const j = r * grid.cols + c;
+        if (!seen.has(j) && blocked(j)) {
+          seen.add(j);
+          queue.push(j);
+        }
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Entrance nodes of straits: water cells with separate land masses close on opposite sides
+ */
+function findStraits(grid, options) {
+  const { blocked, at } = rasterView(grid);
+  const reach = Math.max(1, Math.round(options.straitMaxWidthKm / 2 / (grid.resolution * KM_PER_DEGREE)));
+  const narrow = new Set();
+
+  const firstLand = (row, col, dr, dc) => {
+    for (let k = 1; k <= reach; k++) {
+      const j = at(row + dr * k, col + dc * k);
+      if (j === -1) return -1;
+      if (blocked(j)) return j;
+    }
+    return -1;
+  };
+
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.cols; col++) {
+      const i = at(row, col);
+      if (!grid.isWater(i)) continue;
+
+      for (const [dr, dc] of DIRECTIONS) {
+        const ahead = firstLand(row, col, dr, dc);
+        const behind = ahead === -1 ? -1 : firstLand(row, col, -dr, -dc);
+        if (behind !== -1 && !connectedLocally(grid, ahead, behind, row, col, reach * 2 + 2)) {
+          narrow.add(i);
+          break;
+        }
+      }
+    }
+  }
+
+  // One strait per connected patch of narrow water
+  const nodes = [];
+  const visited = new Set();
+  for (const seed of narrow) {
+    if (visited.has(seed)) continue;
+    const patch = [];
+    const queue = [seed];
+    visited.add(seed);
+    while (queue.length > 0) {
+      const i = queue.pop();
+      patch.push(i);
+      const row = Math.floor(i / grid.cols);
+      const col = i % grid.cols;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const j = at(row + dr, col + dc);
+          if (narrow.has(j) && !visited.has(j)) {
+            visited.add(j);
+            queue.push(j);
+          }
+        }
+      }
+    }
+
+    let ends = [patch[0], patch[0]];
+    let length = 0;
+    for (let a = 0; a < patch.length; a++) {
+      for (let b = a + 1; b < patch.length; b++) {
+        const d = haversineDistance(grid.latAt(patch[a]), grid.lonAt(patch[a]), grid.latAt(patch[b]), grid.lonAt(patch[b]));
+        if (d > length) {
+          length = d;
+          ends = [patch[a], patch[b]];
+        }
+      }
+    }
+
+    if (length >= options.straitMinLengthKm) {
+      nodes.push({ type: 'strait', index: ends[0] }, { type: 'strait', index: ends[1] });
+    } else {
+      const lat = patch.reduce((sum, i) => sum + grid.latAt(i), 0) / patch.length;
+      const lon = patch.reduce((sum, i) => sum + grid.lonAt(i), 0) / patch.length;
+      const middle = patch.reduce((best, i) =>
+        haversineDistance(lat, lon, grid.latAt(i), grid.lonAt(i)) < haversineDistance(lat, lon, grid.latAt(best), grid.lonAt(best)) ? i : best);
+      nodes.push({ type: 'strait', index: middle });
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Open-water hubs: the cell furthest from the coast in each block
+ */
+function findHubs(grid, options) {
+  const blockCells = Math.max(1, Math.round(options.hubSpacingDeg / grid.resolution));
+  const hubs = [];
+
+  for (let row0 = 0; row0 < grid.rows; row0 += blockCells) {
+    for (let col0 = 0; col0 < grid.cols; col0 += blockCells) {
+      let best = -1;
+      let bestDistance = options.hubMinCoastKm;
+      for (let row = row0; row < Math.min(grid.rows, row0 + blockCells); row++) {
+        for (let col = col0; col < Math.min(grid.cols, col0 + blockCells); col++) {
+          const i = row * grid.cols + col;
+          const distance = grid.layers.distanceToCoast[i];
+          if (grid.isWater(i) && distance >= bestDistance) {
+            best = i;
+            bestDistance = distance;
+          }
+        }
+      }
+      if (best !== -1) hubs.push({ type: 'hub', index: best });
+    }
+  }
+  return hubs;
+}
+
+/**
+ * Keep indices in order, dropping any within spacingKm of one already kept (or of `existing`)
+ */
+function thin(grid, indices, spacingKm, existing) {
+  const kept = [];
+  const near = (i, j) => haversineDistance(grid.latAt(i), grid.lonAt(i), grid.latAt(j), grid.lonAt(j)) < spacingKm;
+  for (const i of indices) {
+    if (!kept.some(j => near(i, j)) && !existing.some(j => near(i, j))) {
+      kept.push(i);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Join each node to its nearest visible neighbours, then bridge any disconnected parts
+ */
+function buildEdges(grid, nodes, options) {
+  const edges = new Map(); // "a-b" (a < b) -> edge
+  const candidates = nodes.map(() => []);
+
+  for (let a = 0; a < nodes.length; a++) {
+    for (let b = a + 1; b < nodes.length; b++) {
+      const distanceKm = haversineDistance(nodes[a].lat, nodes[a].lon, nodes[b].lat, nodes[b].lon);
+      if (distanceKm > options.maxEdgeKm) continue;
+      const clearanceKm = lineClearance(grid, nodes[a], nodes[b]);
+      if (clearanceKm < 0) continue;
+      const edge = { from: a, to: b, distanceKm: round(distanceKm), clearanceKm: round(clearanceKm, 1) };
+      candidates[a].push(edge);
+      candidates[b].push(edge);
+    }
+  }
+
+  for (const list of candidates) {
+    list.sort((x, y) => x.distanceKm - y.distanceKm);
+    for (const edge of list.slice(0, options.edgesPerNode)) {
+      edges.set(`${edge.from}-${edge.to}`, edge);
+    }
+  }
+
+  // Bridge components with the shortest visible candidate edge between them
+  for (;;) {
+    const component = components(nodes.length, [...edges.values()]);
+    const bridges = candidates.flat()
+      .filter(edge => component[edge.from] !== component[edge.to])
+      .sort((x, y) => x.distanceKm - y.distanceKm);
+    if (bridges.length === 0) break;
+    edges.set(`${bridges[0].from}-${bridges[0].to}`, bridges[0]);
+  }
+
+  return [...edges.values()].sort((x, y) => x.from - y.from || x.to - y.to);
+}
+
+function components(count, edges) {
+  const parent = Array.from({ length: count }, (_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (const edge of edges) {
+    parent[find(edge.from)] = find(edge.to);
+  }
+  return parent.map((_, i) => find(i));
+}
+
+/**
+ * Water mask of the grid as a base64 bitset (1 = navigable water), row-major from the origin
+ */
+function encodeWaterMask(grid) {
+  const bits = Buffer.alloc(Math.ceil(grid.size / 8));
+  for (let i = 0; i < grid.size; i++) {
+    if (grid.isWater(i)) bits[i >> 3] |= 1 << (i & 7);
+  }
+  return bits.toString('base64');
+}
+
+/**
+ * Derive the sea-lane graph from a BinaryGrid
+ * @returns {Object} Graph file content (see SeaLaneGraph)
+ */
+function buildSeaLaneGraph(grid, overrides = {}) {
+  const options = { ...BUILD_DEFAULTS, ...overrides };
+  const startTime = Date.now();
+
+  const straits = findStraits(grid, options);
+  const straitIndices = straits.map(node => node.index);
+  const headlands = findHeadlands(grid, options)
+    .filter(node => thin(grid, [node.index], options.minNodeSpacingKm, straitIndices).length > 0);
+  const taken = [...straitIndices, ...headlands.map(node => node.index)];
+  const hubs = findHubs(grid, options)
+    .filter(node => thin(grid, [node.index], options.minNodeSpacingKm, taken).length > 0);
+
+  const counters = { headland: 0, strait: 0, hub: 0 };
+  const labels = { headland: 'Headland', strait: 'Strait entrance', hub: 'Open-water hub' };
+  const nodes = [...straits, ...headlands, ...hubs].map((node, id) => {
+    const lat = grid.latAt(node.index);
+    const lon = grid.lonAt(node.index);
+    counters[node.type]++;
+    return { id, type: node.type, name: `${labels[node.type]} ${formatPosition(lat, lon)}`, lat, lon };
+  });
+
+  const edges = buildEdges(grid, nodes, options);
+  const parts = new Set(components(nodes.length, edges)).size;
+
+  const content = { nodes, edges };
+  const hash = crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').slice(0, 10);
+
+  return {
+    formatVersion: FORMAT_VERSION,
+    version: `${grid.version}-${hash}`,
+    gridVersion: grid.version,
+    builtAt: new Date().toISOString(),
+    options,
+    stats: {
+      nodes: nodes.length,
+      headlands: counters.headland,
+      straits: counters.strait,
+      hubs: counters.hub,
+      edges: edges.length,
+      components: parts,
+      buildMs: Date.now() - startTime
+    },
+    raster: {
+      origin: grid.origin,
+      resolution: grid.resolution,
+      rows: grid.rows,
+      cols: grid.cols,
+      water: encodeWaterMask(grid)
+    },
+    nodes,
+    edges
+  };
+}
+
+// ==================== QUERY ====================
+
+class SeaLaneGraph {
+  /**
+   * @param {Object} data - seaLaneGraph.json content (from buildSeaLaneGraph)
+   */
+  constructor(data) {
+    if (data.formatVersion !== FORMAT_VERSION) {
+      throw new Error(`Unsupported sea-lane graph format ${data.formatVersion} (expected ${FORMAT_VERSION})`);
+    }
+    this.version = data.version;
+    this.gridVersion = data.gridVersion;
+    this.builtAt = data.builtAt;
+    this.stats = data.stats;
+    this.raster = data.raster;
+    this.water = Buffer.from(data.raster.water, 'base64');
+    this.nodes = data.nodes;
+    this.stale = false;               // built from another grid than the one routes are searched on
+    this.routingGridVersion = null;
+
+    this.adjacency = this.nodes.map(() => []);
+    for (const edge of data.edges) {
+      this.adjacency[edge.from].push({ node: edge.to, edge });
+      this.adjacency[edge.to].push({ node: edge.from, edge });
+    }
+  }
+
+  static load(file = GRAPH_FILE) {
+    return new SeaLaneGraph(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Compare with the routing grid's version: a graph built from another grid is stale
+   * (its nodes and water mask may not match the cells routes are searched on)
+   */
+  checkGridVersion(gridVersion) {
+    const stale = this.gridVersion !== gridVersion;
+    if (stale && this.routingGridVersion !== gridVersion) {
+      console.warn(`⚠️  Sea-lane graph ${this.version} was built from grid ${this.gridVersion}, the routing grid is ${gridVersion}. Rebuild it with: node seaLaneGraph.js build`);
+    }
+    this.stale = stale;
+    this.routingGridVersion = gridVersion;
+  }
+
+  isWater(lat, lon) {
+    const { origin, resolution, rows, cols } = this.raster;
+    const row = Math.round((lat - origin.lat) / resolution);
+    const col = Math.round((lon - origin.lon) / resolution);
+    if (row < 0 || row >= rows || col < 0 || col >= cols) return false;
+    const i = row * cols + col;
+    return (this.water[i >> 3] & (1 << (i & 7))) !== 0;
+  }
+
+  /**
+   * Whether the straight line a -> b stays on water
+   */
+  lineOfWater(a, b) {
+    const step = this.raster.resolution / 4;
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(b.lat - a.lat), Math.abs(b.lon - a.lon)) / step));
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      if (!this.isWater(a.lat + (b.lat - a.lat) * t, a.lon + (b.lon - a.lon) * t)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Nearest water cell centre to a point (the point itself when it is on water), or null
+   */
+  nearestWater(point) {
+    if (this.isWater(point.lat, point.lon)) return point;
+
+    const { origin, resolution } = this.raster;
+    const row0 = Math.round((point.lat - origin.lat) / resolution);
+    const col0 = Math.round((point.lon - origin.lon) / resolution);
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (let ring = 1; ring <= SNAP_MAX_CELLS && !best; ring++) {
+      for (let dr = -ring; dr <= ring; dr++) {
+        for (let dc = -ring; dc <= ring; dc++) {
+          if (Math.max(Math.abs(dr), Math.abs(dc)) !== ring) continue;
+          const lat = origin.lat + (row0 + dr) * resolution;
+          const lon = origin.lon + (col0 + dc) * resolution;
+          if (!this.isWater(lat, lon)) continue;
+          const distance = haversineDistance(point.lat, point.lon, lat, lon);
+          if (distance < bestDistance) {
+            best = { lat: round(lat, 4), lon: round(lon, 4) };
+            bestDistance = distance;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Nodes a route endpoint can reach over water from its nearest water cell (nearest first)
+   * Falls back to the nearest nodes when none is visible, flagged as blind
+   */
+  attach(point, water) {
+    const byDistance = this.nodes
+      .map(node => ({ node: node.id, distanceKm: haversineDistance(point.lat, point.lon, node.lat, node.lon) }))
+      .filter(link => link.distanceKm <= ATTACH_MAX_KM)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    const visible = [];
+    if (water) {
+      for (const link of byDistance) {
+        if (this.lineOfWater(water, this.nodes[link.node])) {
+          visible.push(link);
+          if (visible.length === ATTACH_NEIGHBOURS) break;
+        }
+      }
+    }
+    if (visible.length > 0) return { links: visible, blind: false };
+    return { links: byDistance.slice(0, 3), blind: true };
+  }
+
+  edgeCost(edge, mode) {
+    const weight = MODE_EXPOSURE_WEIGHTS[mode];
+    const shortfall = Math.max(0, CLEARANCE_KM - edge.clearanceKm) / CLEARANCE_KM;
+    return edge.distanceKm * (1 + weight * shortfall);
+  }
+
+  /**
+   * Coarse lane waypoints from start to end
+   * @returns {Object|null} { waypoints: [start, ...nodes, end], direct, distanceKm, warnings, graphVersion }
+   *   null when the graph has no path between the endpoints
+   */
+  findWaypoints(start, end, mode = 'optimal') {
+    const laneMode = normalizeMode(mode);
+    const graphVersion = this.version;
+    const warnings = [];
+    if (this.stale) {
+      warnings.push(`Sea-lane graph was built from grid ${this.gridVersion}, not the routing grid ${this.routingGridVersion}`);
+    }
+
+    const startWater = this.nearestWater(start);
+    const endWater = this.nearestWater(end);
+
+    if (startWater && endWater && this.lineOfWater(startWater, endWater)) {
+      return {
+        waypoints: [start, end],
+        direct: true,
+        distanceKm: round(haversineDistance(start.lat, start.lon, end.lat, end.lon)),
+        warnings,
+        graphVersion
+      };
+    }
+
+    const from = this.attach(start, startWater);
+    const to = this.attach(end, endWater);
+    if (from.blind) warnings.push('Start has no line of water to a lane node; joined the nearest node');
+    if (to.blind) warnings.push('End has no line of water to a lane node; joined the nearest node');
+
+    // A* over lane nodes; START/END are virtual node ids
+    const START = -1;
+    const END = -2;
+    const endLinks = new Map(to.links.map(link => [link.node, link.distanceKm]));
+    const heuristic = id => id === END ? 0 : haversineDistance(this.nodes[id].lat, this.nodes[id].lon, end.lat, end.lon);
+
+    const heap = new BinaryHeap();
+    const cost = new Map([[START, 0]]);
+    const cameFrom = new Map();
+    heap.push(START, null, 0);
+
+    while (!heap.isEmpty()) {
+      const { key: current } = heap.pop();
+      if (current === END) break;
+
+      const neighbours = current === START
+        ? from.links.map(link => ({ node: link.node, cost: link.distanceKm }))
+        : this.adjacency[current].map(({ node, edge }) => ({ node, cost: this.edgeCost(edge, laneMode) }));
+      if (endLinks.has(current)) {
+        neighbours.push({ node: END, cost: endLinks.get(current) });
+      }
+
+      for (const { node, cost: stepCost } of neighbours) {
+        const next = cost.get(current) + stepCost;
+        if (!cost.has(node) || next < cost.get(node)) {
+          cost.set(node, next);
+          cameFrom.set(node, current);
+          heap.push(node, null, next + heuristic(node));
+        }
+      }
+    }
+
+    if (!cameFrom.has(END)) return null;
+
+    const route = [];
+    for (let id = cameFrom.get(END); id !== START; id = cameFrom.get(id)) {
+      route.unshift(this.nodes[id]);
+    }
+
+    const waypoints = [start, ...route.map(node => ({ lat: node.lat, lon: node.lon, name: node.name, type: node.type, laneNode: node.id })), end];
+    let distanceKm = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+      distanceKm += haversineDistance(waypoints[i - 1].lat, waypoints[i - 1].lon, waypoints[i].lat, waypoints[i].lon);
+    }
+
+    return { waypoints, direct: false, distanceKm: round(distanceKm), warnings, graphVersion };
+  }
+}
+
+// Graph of seaLaneGraph.json as last seen (mtimeMs null = no file, undefined = not looked yet)
+let loaded = { mtimeMs: undefined, graph: null };
+
+/**
+ * Shared graph loaded from seaLaneGraph.json, reloaded when the file changes
+ * (null while it is not built or cannot be read)
+ * @param {string} gridVersion - Version of the routing grid; a graph built from another grid is marked stale
+ */
+function getSeaLaneGraph(gridVersion = null) {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(GRAPH_FILE).mtimeMs;
+  } catch (error) {
+    // Not built yet
+  }
+
+  if (mtimeMs !== loaded.mtimeMs) {
+    loaded = { mtimeMs, graph: null };
+    try {
+      if (mtimeMs === null) {
+        throw new Error(`${GRAPH_FILE} not found`);
+      }
+      loaded.graph = SeaLaneGraph.load();
+      console.log(`✅ Loaded sea-lane graph ${loaded.graph.version} (${loaded.graph.stats.nodes} nodes, ${loaded.graph.stats.edges} edges)`);
+    } catch (error) {
+      console.warn(`⚠️  Sea-lane graph unavailable (${error.message}). Build it with: node seaLaneGraph.js build`);
+    }
+  }
+
+  if (loaded.graph && gridVersion) {
+    loaded.graph.checkGridVersion(gridVersion);
+  }
+  return loaded.graph;
+}
+
+// CLI usage
+if (require.main === module) {
+  const command = process.argv[2];
+
+  if (command === 'build') {
+    const GridCacheManager = require('./gridCacheManager');
+    const BinaryGrid = require('./binaryGrid');
+    const manager = new GridCacheManager();
+
+    let grid = manager.hasBinaryCache() ? manager.loadBinary() : null;
+    if (!grid) {
+      const gridData = manager.loadLocalGrid();
+      if (!gridData) {
+        console.error('❌ No local grid found. Generate one first: node gridGenerator.js');
+        process.exit(1);
+      }
+      grid = BinaryGrid.fromGridData(gridData);
+    }
+
+    console.log(`🔨 Building sea-lane graph from grid ${grid.version} (${grid.rows}x${grid.cols} @ ${grid.resolution}°)...`);
+    const data = buildSeaLaneGraph(grid);
+    // Written aside and renamed, so a running server never reads a half-written graph
+    fs.mkdirSync(path.dirname(GRAPH_FILE), { recursive: true });
+    fs.writeFileSync(`${GRAPH_FILE}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${GRAPH_FILE}.tmp`, GRAPH_FILE);
+    const { stats } = data;
+    console.log(`✅ Sea-lane graph ${data.version}: ${stats.nodes} nodes (${stats.headlands} headlands, ${stats.straits} strait entrances, ${stats.hubs} hubs), ${stats.edges} edges in ${stats.buildMs}ms`);
+    if (stats.components > 1) {
+      console.warn(`⚠️  Graph has ${stats.components} disconnected parts (no water line between them)`);
+    }
+  } else if (command === 'check') {
+    const graph = SeaLaneGraph.load();
+    const ports = require('./indianOceanPorts.json').ports;
+    const startTime = Date.now();
+    let pairs = 0;
+    let direct = 0;
+    let blind = 0;
+    const failed = [];
+
+    for (let a = 0; a < ports.length; a++) {
+      for (let b = a + 1; b < ports.length; b++) {
+        pairs++;
+        const result = graph.findWaypoints(ports[a], ports[b]);
+        if (!result) {
+          failed.push(`${ports[a].name} → ${ports[b].name}`);
+        } else {
+          if (result.direct) direct++;
+          if (result.warnings.length > 0) blind++;
+        }
+      }
+    }
+
+    console.log(`🧭 Sea-lane graph ${graph.version}: ${pairs} port pairs in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    console.log(`   ✅ ${pairs - failed.length} routed (${direct} direct, ${blind} joined a node without a line of water)`);
+    if (failed.length > 0) {
+      console.log(`   ❌ ${failed.length} without a lane path, e.g. ${failed.slice(0, 5).join(', ')}`);
+      process.exitCode = 1;
+    }
+  } else if (command === 'route') {
+    const parse = value => {
+      const [lat, lon] = String(value).split(',').map(Number);
+      return { lat, lon };
+    };
+    const result = SeaLaneGraph.load().findWaypoints(parse(process.argv[3]), parse(process.argv[4]), process.argv[5]);
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log('Usage: node seaLaneGraph.js build | check | route <lat,lon> <lat,lon> [mode]');
+  }
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  GRAPH_FILE,
+  MODE_EXPOSURE_WEIGHTS,
+  SeaLaneGraph,
+  buildSeaLaneGraph,
+  getSeaLaneGraph
+};
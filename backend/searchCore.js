@@ -0,0 +1,188 @@
+/**
+ * ⚙️ SEARCH CORE
+ * Shared building blocks for the A* routers:
+ * - BinaryHeap: min-heap priority queue with decrease-key (O(log n) push/pop/update)
+ * - GridIndex: O(1) cell lookup by grid row/column instead of scanning cell arrays
+ */
+
+class BinaryHeap {
+  constructor() {
+    this.nodes = [];
+    this.positions = new Map(); // key -> index in nodes
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  isEmpty() {
+    return this.nodes.length === 0;
+  }
+
+  has(key) {
+    return this.positions.has(key);
+  }
+
+  peek() {
+    return this.nodes[0];
+  }
+
+  /**
+   * Insert an entry, or lower its priority if the key is already queued
+   * @returns {boolean} True if the heap changed
+   */
+  push(key, value, priority) {
+    if (this.positions.has(key)) {
+      return this.decreaseKey(key, priority, value);
+    }
+
+    this.nodes.push({ key, value, priority });
+    this.positions.set(key, this.nodes.length - 1);
+    this.siftUp(this.nodes.length - 1);
+    return true;
+  }
+
+  /**
+   * Lower the priority of a queued key (ignored if the new priority is not lower)
+   */
+  decreaseKey(key, priority, value) {
+    const index = this.positions.get(key);
+    if (index === undefined || priority >= this.nodes[index].priority) {
+      return false;
+    }
+
+    this.nodes[index].priority = priority;
+    if (value !== undefined) {
+      this.nodes[index].value = value;
+    }
+    this.siftUp(index);
+    return true;
+  }
+
+  /**
+   * Remove and return the entry with the lowest priority: { key, value, priority }
+   */
+  pop() {
+    if (this.nodes.length === 0) return undefined;
+
+    const top = this.nodes[0];
+    const last = this.nodes.pop();
+    this.positions.delete(top.key);
+
+    if (this.nodes.length > 0) {
+      this.nodes[0] = last;
+      this.positions.set(last.key, 0);
+      this.siftDown(0);
+    }
+
+    return top;
+  }
+
+  siftUp(index) {
+    const node = this.nodes[index];
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = this.nodes[parentIndex];
+      if (parent.priority <= node.priority) break;
+
+      this.nodes[index] = parent;
+      this.positions.set(parent.key, index);
+      index = parentIndex;
+    }
+    this.nodes[index] = node;
+    this.positions.set(node.key, index);
+  }
+
+  siftDown(index) {
+    const length = this.nodes.length;
+    const node = this.nodes[index];
+
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+      let smallestPriority = node.priority;
+
+      if (left < length && this.nodes[left].priority < smallestPriority) {
+        smallest = left;
+        smallestPriority = this.nodes[left].priority;
+      }
+      if (right < length && this.nodes[right].priority < smallestPriority) {
+        smallest = right;
+      }
+      if (smallest === index) break;
+
+      const child = this.nodes[smallest];
+      this.nodes[index] = child;
+      this.positions.set(child.key, index);
+      index = smallest;
+    }
+    this.nodes[index] = node;
+    this.positions.set(node.key, index);
+  }
+}
+
+/**
+ * Regular lat/lon grid index
+ * A coordinate maps to the cell whose centre is nearest (same as a "within resolution / 2" match)
+ */
+class GridIndex {
+  /**
+   * @param {Array} cells - Grid cells with lat/lon on a regular grid
+   * @param {number} resolution - Grid resolution in degrees
+   */
+  constructor(cells, resolution) {
+    this.resolution = resolution;
+    this.count = 0;
+
+    let latMin = Infinity, latMax = -Infinity, lonMin = Infinity, lonMax = -Infinity;
+    for (const cell of cells) {
+      if (cell.lat < latMin) latMin = cell.lat;
+      if (cell.lat > latMax) latMax = cell.lat;
+      if (cell.lon < lonMin) lonMin = cell.lon;
+      if (cell.lon > lonMax) lonMax = cell.lon;
+    }
+
+    if (cells.length === 0) {
+      latMin = latMax = lonMin = lonMax = 0;
+    }
+
+    this.latMin = latMin;
+    this.lonMin = lonMin;
+    this.rows = Math.round((latMax - latMin) / resolution) + 1;
+    this.cols = Math.round((lonMax - lonMin) / resolution) + 1;
+    this.cells = new Array(cells.length === 0 ? 0 : this.rows * this.cols);
+
+    for (const cell of cells) {
+      const index = this.indexOf(cell.lat, cell.lon);
+      if (this.cells[index] === undefined) this.count++;
+      this.cells[index] = cell;
+    }
+  }
+
+  /**
+   * Flat grid index of the cell nearest to (lat, lon), or -1 outside the grid
+   */
+  indexOf(lat, lon) {
+    const row = Math.round((lat - this.latMin) / this.resolution);
+    const col = Math.round((lon - this.lonMin) / this.resolution);
+    if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
+      return -1;
+    }
+    return row * this.cols + col;
+  }
+
+  get(lat, lon) {
+    const index = this.indexOf(lat, lon);
+    return index === -1 ? undefined : this.cells[index];
+  }
+
+  getByIndex(index) {
+    return this.cells[index];
+  }
+}
+
+module.exports = {
+  BinaryHeap,
+  GridIndex
+};
@@ -9,49 +9,39 @@ dotenv.config({ path: path.join(__dirname, '.env') });
 
 const app = express();
 
-// Increase server timeout for long route calculations (25 minutes)
+// Server timeout for synchronous requests (5 minutes)
+// Long route calculations should be submitted as background jobs via POST /api/route/jobs
 const server = require('http').createServer(app);
-server.timeout = 1500000; // 25 minutes
-server.keepAliveTimeout = 1500000;
-server.headersTimeout = 1505000;
+server.timeout = 300000; // 5 minutes
+server.keepAliveTimeout = 65000;
+server.headersTimeout = 66000;
 
 // Middleware
 app.use(cors({ origin: process.env.CORS_ORIGIN || '*' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// MongoDB Connection
-const connectDB = async () => {
-  try {
-    // Check if MongoDB URI is loaded
-    if (!process.env.MONGODB_URI) {
-      throw new Error('MONGODB_URI is not defined in .env file');
-    }
+// Storage: MongoDB when MONGODB_URI is set, otherwise local grid files + file store (see storage/index.js)
+const { initStore, resolveBackend } = require('./storage');
+const { resolveWeatherProvider } = require('./weatherProviders');
 
-    console.log('🔌 Connecting to MongoDB Atlas...');
-    
-    await mongoose.connect(process.env.MONGODB_URI);
-    
-    console.log('✅ MongoDB Atlas connected successfully');
-  } catch (error) {
-    console.error('❌ MongoDB connection error:', error.message);
-    process.exit(1);
-  }
-};
-
-connectDB();
+if (resolveBackend() !== 'mongo') {
+  // Without a connection, leftover direct model calls should fail fast instead of buffering
+  mongoose.set('bufferCommands', false);
+}
 
 // Routes
 app.use('/api/grid', require('./routes/grid'));
 app.use('/api/weather', require('./routes/weather'));
 app.use('/api/route', require('./routes/route'));
 app.use('/api/ports', require('./routes/ports'));
+app.use('/api/vessels', require('./routes/vessels'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/user', require('./routes/user'));
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Maritime Navigation API is running' });
+  res.json({ status: 'ok', message: 'Maritime Navigation API is running', storage: resolveBackend(), weatherProvider: resolveWeatherProvider() });
 });
 
 // Error handling middleware
@@ -61,7 +51,20 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`⏱️ Request timeout: 25 minutes (for complex route calculations)`);
-});
+
+// Only accept requests once the store is ready (and the ports are loaded from it)
+const { loadPorts } = require('./portRegistry');
+
+initStore()
+  .then(async (store) => {
+    await loadPorts(store);
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`💾 Storage: ${store.name}${store.name === 'mongo' ? '' : ' (offline, no database)'}`);
+      console.log(`⏱️ Request timeout: 5 minutes (long routes run as jobs: POST /api/route/jobs)`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Storage connection error:', error.message);
+    process.exit(1);
+  });
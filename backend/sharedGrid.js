@@ -0,0 +1,151 @@
+/**
+ * 🧊 SHARED GRID SNAPSHOT
+ * Packs grid cells into SharedArrayBuffer-backed typed arrays
+ * Route worker threads read the same memory instead of each holding a copy of the grid
+ */
+
+// Bit flags stored per cell
+const FLAG_LAND = 1;
+const FLAG_OBSTACLE = 2;
+const FLAG_OPEN_WATER = 4;
+
+// Zone enum <-> code (0 = not set); also the codes of the binary grid file (binaryGrid.js)
+const ZONES = [null, 'open_water', 'coastal', 'port'];
+
+// Weather fields kept per cell (NaN = missing); also the weather layers of the binary grid file
+const WEATHER_FIELDS = [
+  'temperature', 'windSpeed', 'windDirection', 'waveHeight', 'visibility',
+  'currentVelocity', 'currentDirection' // ocean current (kn, ° towards), oceanCurrents.js
+];
+
+class SharedGrid {
+  /**
+   * @param {Object} data - { count, resolution, version, loadedAt, buffers }
+   */
+  constructor(data) {
+    this.count = data.count;
+    this.resolution = data.resolution;
+    this.version = data.version;
+    this.loadedAt = data.loadedAt;
+    this.buffers = data.buffers;
+
+    this.lat = new Float64Array(data.buffers.lat);
+    this.lon = new Float64Array(data.buffers.lon);
+    this.flags = new Uint8Array(data.buffers.flags);
+    this.zone = new Uint8Array(data.buffers.zone);
+    this.depth = new Float32Array(data.buffers.depth); // Charted depth (m, NaN = unknown), bathymetry.js
+    this.weather = {};
+    for (const field of WEATHER_FIELDS) {
+      this.weather[field] = new Float32Array(data.buffers[field]);
+    }
+  }
+
+  /**
+   * Build a snapshot from plain cell objects (Mongo chunks, gridData.json, ...)
+   */
+  static fromCells(cells, { resolution, version = 'v1' } = {}) {
+    const count = cells.length;
+    const buffers = {
+      lat: new SharedArrayBuffer(count * Float64Array.BYTES_PER_ELEMENT),
+      lon: new SharedArrayBuffer(count * Float64Array.BYTES_PER_ELEMENT),
+      flags: new SharedArrayBuffer(count),
+      zone: new SharedArrayBuffer(count),
+      depth: new SharedArrayBuffer(count * Float32Array.BYTES_PER_ELEMENT)
+    };
+    for (const field of WEATHER_FIELDS) {
+      buffers[field] = new SharedArrayBuffer(count * Float32Array.BYTES_PER_ELEMENT);
+    }
+
+    const grid = new SharedGrid({ count, resolution, version, loadedAt: Date.now(), buffers });
+
+    cells.forEach((cell, i) => {
+      grid.lat[i] = cell.lat;
+      grid.lon[i] = cell.lon;
+      grid.flags[i] =
+        (cell.is_land ? FLAG_LAND : 0) |
+        (cell.obstacle ? FLAG_OBSTACLE : 0) |
+        (cell.open_water ? FLAG_OPEN_WATER : 0);
+      grid.zone[i] = Math.max(0, ZONES.indexOf(cell.zone || null));
+      grid.depth[i] = typeof cell.depth === 'number' ? cell.depth : NaN;
+
+      const weather = cell.weather || cell.weatherData || {};
+      for (const field of WEATHER_FIELDS) {
+        const value = weather[field];
+        grid.weather[field][i] = typeof value === 'number' ? value : NaN;
+      }
+    });
+
+    return grid;
+  }
+
+  /**
+   * Rebuild a snapshot received through postMessage (buffers are shared, not copied)
+   */
+  static fromTransferable(data) {
+    return new SharedGrid(data);
+  }
+
+  toTransferable() {
+    return {
+      count: this.count,
+      resolution: this.resolution,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      buffers: this.buffers
+    };
+  }
+
+  /**
+   * Decode one cell back into the object shape the routers expect
+   */
+  getCell(i) {
+    const flags = this.flags[i];
+    const weather = {};
+    for (const field of WEATHER_FIELDS) {
+      const value = this.weather[field][i];
+      weather[field] = Number.isNaN(value) ? null : value;
+    }
+
+    const cell = {
+      lat: this.lat[i],
+      lon: this.lon[i],
+      is_land: (flags & FLAG_LAND) !== 0,
+      obstacle: (flags & FLAG_OBSTACLE) !== 0,
+      weather
+    };
+    if (flags & FLAG_OPEN_WATER) cell.open_water = true;
+    if (this.zone[i]) cell.zone = ZONES[this.zone[i]];
+    if (!Number.isNaN(this.depth[i])) cell.depth = this.depth[i];
+
+    return cell;
+  }
+
+  /**
+   * Decode all cells inside a bounding box
+   * @param {Object} options - { waterOnly } skip land/obstacle cells
+   */
+  getCellsInRegion(latMin, latMax, lonMin, lonMax, options = {}) {
+    const cells = [];
+    for (let i = 0; i < this.count; i++) {
+      const lat = this.lat[i];
+      const lon = this.lon[i];
+      if (lat < latMin || lat > latMax || lon < lonMin || lon > lonMax) continue;
+      if (options.waterOnly && (this.flags[i] & (FLAG_LAND | FLAG_OBSTACLE))) continue;
+      cells.push(this.getCell(i));
+    }
+    return cells;
+  }
+
+  getAllCells() {
+    const cells = new Array(this.count);
+    for (let i = 0; i < this.count; i++) {
+      cells[i] = this.getCell(i);
+    }
+    return cells;
+  }
+}
+
+SharedGrid.ZONES = ZONES;
+SharedGrid.WEATHER_FIELDS = WEATHER_FIELDS;
+
+module.exports = SharedGrid;
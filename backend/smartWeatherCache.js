@@ -4,11 +4,11 @@
  * Much faster than updating all cells!
  */
 
-const axios = require('axios');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
 const Grid = require('./models/Grid');
+const { getWeatherProvider } = require('./weatherProviders');
 
 // Define regions (lat/lon boundaries)
 const REGIONS = {
@@ -42,35 +42,28 @@ async function getCellsInRegion(regionName) {
  */
 async function fetchWeather(lat, lon) {
   try {
+    const provider = getWeatherProvider();
+    // Wind in km/h, as stored before
     const [forecast, marine] = await Promise.all([
-      axios.get('https://api.open-meteo.com/v1/forecast', {
-        params: {
-          latitude: lat.toFixed(2),
-          longitude: lon.toFixed(2),
-          current: 'temperature_2m,wind_speed_10m,wind_direction_10m,wind_gusts_10m',
-          timezone: 'auto'
-        },
+      provider.current(lat, lon, {
+        variables: ['temperature', 'windSpeed', 'windDirection', 'windGusts'],
+        windSpeedUnit: 'kmh',
         timeout: 5000
       }),
-      axios.get('https://marine-api.open-meteo.com/v1/marine', {
-        params: {
-          latitude: lat.toFixed(2),
-          longitude: lon.toFixed(2),
-          current: 'wave_height,wave_direction,wave_period',
-          timezone: 'auto'
-        },
+      provider.currentMarine(lat, lon, {
+        variables: ['waveHeight', 'waveDirection', 'wavePeriod'],
         timeout: 5000
       })
     ]);
 
     return {
-      temperature: forecast.data.current.temperature_2m || 25,
-      windSpeed: forecast.data.current.wind_speed_10m || 10,
-      windDirection: forecast.data.current.wind_direction_10m || 0,
-      windGusts: forecast.data.current.wind_gusts_10m || 15,
-      waveHeight: marine.data.current.wave_height || 1.5,
-      waveDirection: marine.data.current.wave_direction || 0,
-      wavePeriod: marine.data.current.wave_period || 6,
+      temperature: forecast.temperature || 25,
+      windSpeed: forecast.windSpeed || 10,
+      windDirection: forecast.windDirection || 0,
+      windGusts: forecast.windGusts || 15,
+      waveHeight: marine.waveHeight || 1.5,
+      waveDirection: marine.waveDirection || 0,
+      wavePeriod: marine.wavePeriod || 6,
       visibility: 10000,
       cloudCover: 50,
       precipitation: 0,
@@ -0,0 +1,105 @@
+/**
+ * 📁 FILE STORE
+ * In-memory store that also saves users, route history, API-created grids, vessel profiles, ports and cached routes
+ * as JSON files (STORAGE_DIR, default backend/data), so they survive restarts
+ * The routing grid itself is always read from the local grid files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'calculatedAt', 'expiresAt'];
+
+// JSON.parse reviver: bring back Date objects the in-memory records use
+function reviveDates(key, value) {
+  return DATE_FIELDS.includes(key) && typeof value === 'string' ? new Date(value) : value;
+}
+
+class FileStore extends MemoryStore {
+  /**
+   * @param {Object} options - { dir, gridDir }
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'file';
+    this.dir = options.dir || process.env.STORAGE_DIR || path.join(__dirname, '..', 'data');
+    this.usersFile = path.join(this.dir, 'users.json');
+    this.gridsFile = path.join(this.dir, 'grids.json');
+    this.vesselsFile = path.join(this.dir, 'vessels.json');
+    this.portsFile = path.join(this.dir, 'ports.json');
+    this.portChangesFile = path.join(this.dir, 'portChanges.json');
+    this.routeCacheFile = path.join(this.dir, 'routeCache.json');
+    this.writeChain = Promise.resolve();
+  }
+
+  async connect() {
+    await super.connect();
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    for (const user of this.readFile(this.usersFile)) {
+      this.users.set(user._id, user);
+    }
+    for (const grid of this.readFile(this.gridsFile)) {
+      this.grids.set(grid._id, grid);
+    }
+    for (const vessel of this.readFile(this.vesselsFile)) {
+      this.vessels.set(vessel._id, vessel);
+    }
+    for (const port of this.readFile(this.portsFile)) {
+      this.ports.set(port._id, port);
+    }
+    this.portChanges = this.readFile(this.portChangesFile);
+    for (const entry of this.readFile(this.routeCacheFile)) {
+      this.routeCache.set(entry.key, entry);
+    }
+
+    console.log(`📁 File store: ${this.users.size} users, ${this.grids.size} grids, ${this.vessels.size} vessels, ${this.ports.size} ports, ${this.routeCache.size} cached routes (${this.dir})`);
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+
+  readFile(file) {
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf8'), reviveDates);
+  }
+
+  /**
+   * Write the users, grids, vessels and ports files (serialised, so overlapping requests cannot interleave writes)
+   * Each file is written to a temp file and renamed, so a crash never leaves half a file
+   */
+  async persist() {
+    const users = JSON.stringify(Array.from(this.users.values()), null, 2);
+    const grids = JSON.stringify(
+      Array.from(this.grids.values()).filter(grid => grid._id !== MemoryStore.LOCAL_GRID_ID)
+    );
+    const vessels = JSON.stringify(Array.from(this.vessels.values()), null, 2);
+    const ports = JSON.stringify(Array.from(this.ports.values()), null, 2);
+    const portChanges = JSON.stringify(this.portChanges);
+
+    this.writeChain = this.writeChain.then(async () => {
+      await this.writeAtomic(this.usersFile, users);
+      await this.writeAtomic(this.gridsFile, grids);
+      await this.writeAtomic(this.vesselsFile, vessels);
+      await this.writeAtomic(this.portsFile, ports);
+      await this.writeAtomic(this.portChangesFile, portChanges);
+    });
+    return this.writeChain;
+  }
+
+  async persistRouteCache() {
+    const entries = JSON.stringify(Array.from(this.routeCache.values()));
+    this.writeChain = this.writeChain.then(() => this.writeAtomic(this.routeCacheFile, entries));
+    return this.writeChain;
+  }
+
+  async writeAtomic(file, content) {
+    const tempFile = `${file}.tmp`;
+    await fs.promises.writeFile(tempFile, content);
+    await fs.promises.rename(tempFile, file);
+  }
+}
+
+module.exports = FileStore;
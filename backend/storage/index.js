@@ -0,0 +1,64 @@
+/**
+ * 💾 STORAGE
+ * Grid, user, route-history, vessel and port access behind one interface, so the API can run
+ * against MongoDB or, with no database at all, against the local grid files
+ *
+ * STORAGE_BACKEND = 'mongo' | 'file' | 'memory'
+ *   default: 'mongo' when MONGODB_URI is set, otherwise 'file'
+ */
+
+const MongoStore = require('./mongoStore');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+const BACKENDS = {
+  mongo: MongoStore,
+  file: FileStore,
+  memory: MemoryStore
+};
+
+let store = null;
+
+function resolveBackend(env = process.env) {
+  if (env.STORAGE_BACKEND) {
+    return env.STORAGE_BACKEND.toLowerCase();
+  }
+  return env.MONGODB_URI ? 'mongo' : 'file';
+}
+
+function createStore(backend = resolveBackend(), options = {}) {
+  const Store = BACKENDS[backend];
+  if (!Store) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+/**
+ * The process-wide store (created on first use)
+ */
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+/**
+ * Create (if needed) and connect the process-wide store
+ */
+async function initStore() {
+  const current = getStore();
+  await current.connect();
+  return current;
+}
+
+module.exports = {
+  createStore,
+  getStore,
+  initStore,
+  resolveBackend,
+  MongoStore,
+  MemoryStore,
+  FileStore
+};
@@ -0,0 +1,426 @@
+/**
+ * 🧠 IN-MEMORY STORE
+ * Storage backend with no database: the routing grid comes from the local grid files
+ * (gridData.bin / gridData.json / gridData.json.gz via GridCacheManager),
+ * users, route history, vessel profiles and ports live in memory and are lost on restart
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const GridCacheManager = require('../gridCacheManager');
+const { TILE_SIZE_DEGREES, getTileKeysForBounds, groupCellsByTile } = require('../gridTiles');
+
+const LOCAL_GRID_ID = 'local-grid';
+const MAX_ROUTE_HISTORY = 3;
+const MAX_CACHED_ROUTES = 500;
+
+// Same rules as models/User.js
+const EMAIL_PATTERN = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+function newId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+class MemoryStore {
+  /**
+   * @param {Object} options - { gridDir } folder holding the grid cache files
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.gridCache = new GridCacheManager(options.gridDir || process.env.GRID_CACHE_DIR || undefined);
+
+    this.grids = new Map(); // id -> grid record (cells included)
+    this.tiles = new Map(); // tileKey -> cells of the local routing grid
+    this.tileResolution = null;
+    this.gridVersion = null;
+    this.users = new Map(); // id -> user record (password hash included)
+    this.vessels = new Map(); // id -> vessel profile
+    this.ports = new Map(); // id -> port record (active or not)
+    this.portChanges = []; // port change history, oldest first
+    this.routeCache = new Map(); // key -> cached route result, oldest first
+  }
+
+  async connect() {
+    this.loadLocalGrid();
+  }
+
+  async close() {}
+
+  /**
+   * Hook called after every change; the file store writes its files here
+   */
+  async persist() {}
+
+  /**
+   * Hook called after the route result cache changes
+   */
+  async persistRouteCache() {}
+
+  loadLocalGrid() {
+    const gridData = this.gridCache.loadLocalGrid();
+    if (!gridData) {
+      console.warn('⚠️  No local grid files found - route requests will fail until a grid is generated');
+      return;
+    }
+
+    const { metadata = {}, grid: cells } = gridData;
+    this.tiles = groupCellsByTile(cells, TILE_SIZE_DEGREES);
+    this.tileResolution = metadata.resolution;
+    this.gridVersion = metadata.version || null;
+
+    this.grids.set(LOCAL_GRID_ID, {
+      _id: LOCAL_GRID_ID,
+      name: metadata.name || 'Local Navigation Grid',
+      bounds: metadata.bounds,
+      resolution: metadata.resolution,
+      version: metadata.version,
+      isTiled: true,
+      cells,
+      createdAt: metadata.generatedAt ? new Date(metadata.generatedAt) : new Date(),
+      updatedAt: metadata.generatedAt ? new Date(metadata.generatedAt) : new Date()
+    });
+
+    console.log(`🗺️  Local grid ready: ${cells.length} cells in ${this.tiles.size} tiles`);
+  }
+
+  // ---------- Grid ----------
+
+  async hasGrid() {
+    return this.tiles.size > 0;
+  }
+
+  /**
+   * Version of the routing grid (metadata.version of the grid files)
+   */
+  async getGridVersion() {
+    return this.gridVersion;
+  }
+
+  async getGridTiles(tileKeys) {
+    return tileKeys
+      .filter(key => this.tiles.has(key))
+      .map(key => ({ tileKey: key, resolution: this.tileResolution, cells: this.tiles.get(key) }));
+  }
+
+  async getCellsInBounds(latMin, latMax, lonMin, lonMax) {
+    const cells = [];
+    for (const key of getTileKeysForBounds(latMin, latMax, lonMin, lonMax, TILE_SIZE_DEGREES)) {
+      for (const cell of this.tiles.get(key) || []) {
+        if (cell.lat >= latMin && cell.lat <= latMax &&
+            cell.lon >= lonMin && cell.lon <= lonMax) {
+          cells.push(cell);
+        }
+      }
+    }
+    return cells;
+  }
+
+  async listGrids() {
+    return Array.from(this.grids.values()).map(({ cells, ...grid }) => ({ ...grid, cellCount: cells.length }));
+  }
+
+  async getGridById(id) {
+    return this.grids.get(String(id)) || null;
+  }
+
+  async createGrid(data) {
+    const now = new Date();
+    const grid = { _id: newId(), ...data, cells: data.cells || [], createdAt: now, updatedAt: now };
+    this.grids.set(grid._id, grid);
+    await this.persist();
+    return grid;
+  }
+
+  async updateGridCells(id, cells) {
+    const grid = this.grids.get(String(id));
+    if (!grid) return null;
+    if (grid._id === LOCAL_GRID_ID) {
+      throw new Error('The local routing grid is read-only; regenerate the grid files to change it');
+    }
+
+    grid.cells = cells;
+    grid.updatedAt = new Date();
+    await this.persist();
+    return grid;
+  }
+
+  async deleteGrid(id) {
+    const grid = this.grids.get(String(id));
+    if (!grid) return null;
+    if (grid._id === LOCAL_GRID_ID) {
+      throw new Error('The local routing grid is read-only; remove the grid files to delete it');
+    }
+
+    this.grids.delete(grid._id);
+    await this.persist();
+    return grid;
+  }
+
+  // ---------- Users ----------
+
+  /**
+   * User record without the password hash (unless asked for)
+   */
+  toUser(record, options = {}) {
+    if (!record) return null;
+    const { password, ...user } = record;
+    return options.withPassword ? { ...user, password } : user;
+  }
+
+  async findUserById(id) {
+    return this.toUser(this.users.get(String(id)));
+  }
+
+  async findUserByEmail(email, options = {}) {
+    const normalized = String(email).trim().toLowerCase();
+    for (const record of this.users.values()) {
+      if (record.email === normalized) {
+        return this.toUser(record, options);
+      }
+    }
+    return null;
+  }
+
+  async createUser(data) {
+    const name = (data.name || '').trim();
+    const email = (data.email || '').trim().toLowerCase();
+
+    if (!name) throw new Error('Name is required');
+    if (!email) throw new Error('Email is required');
+    if (!EMAIL_PATTERN.test(email)) throw new Error('Please provide a valid email');
+    if (!data.password) throw new Error('Password is required');
+    if (data.password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (await this.findUserByEmail(email)) {
+      throw new Error('User with this email already exists');
+    }
+
+    const record = {
+      _id: newId(),
+      name,
+      email,
+      password: await bcrypt.hash(data.password, 10),
+      organization: (data.organization || '').trim(),
+      routeHistory: [],
+      createdAt: new Date()
+    };
+
+    this.users.set(record._id, record);
+    await this.persist();
+    return this.toUser(record);
+  }
+
+  async verifyPassword(user, candidatePassword) {
+    const record = this.users.get(String(user._id));
+    return record ? bcrypt.compare(candidatePassword, record.password) : false;
+  }
+
+  // ---------- Route history ----------
+
+  async getRouteHistory(userId) {
+    const record = this.users.get(String(userId));
+    return record ? record.routeHistory : null;
+  }
+
+  /**
+   * Newest first, keeps the last MAX_ROUTE_HISTORY routes (same as User.addRoute)
+   */
+  async addRouteHistory(userId, route) {
+    const record = this.users.get(String(userId));
+    if (!record) return null;
+
+    record.routeHistory.unshift({
+      _id: newId(),
+      from: route.from,
+      to: route.to,
+      mode: route.mode,
+      distance: route.distance,
+      duration: route.duration,
+      calculatedAt: new Date()
+    });
+    record.routeHistory = record.routeHistory.slice(0, MAX_ROUTE_HISTORY);
+
+    await this.persist();
+    return record.routeHistory;
+  }
+
+  async deleteRouteHistory(userId, index) {
+    const record = this.users.get(String(userId));
+    if (!record) return null;
+
+    record.routeHistory.splice(index, 1);
+    await this.persist();
+    return record.routeHistory;
+  }
+
+  // ---------- Vessels ----------
+
+  async listVessels() {
+    return Array.from(this.vessels.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getVesselById(id) {
+    return this.vessels.get(String(id)) || null;
+  }
+
+  /**
+   * @param {Object} data - Profile from vesselProfile.normalizeVessel, plus createdBy
+   */
+  async createVessel(data) {
+    const now = new Date();
+    const vessel = { _id: newId(), ...data, createdAt: now, updatedAt: now };
+    this.vessels.set(vessel._id, vessel);
+    await this.persist();
+    return vessel;
+  }
+
+  /**
+   * Replace a vessel's profile (createdBy and createdAt are kept)
+   */
+  async updateVessel(id, data) {
+    const existing = this.vessels.get(String(id));
+    if (!existing) return null;
+
+    const vessel = {
+      ...data,
+      _id: existing._id,
+      createdBy: existing.createdBy,
+      createdAt: existing.createdAt,
+      updatedAt: new Date()
+    };
+    this.vessels.set(vessel._id, vessel);
+    await this.persist();
+    return vessel;
+  }
+
+  async deleteVessel(id) {
+    const vessel = this.vessels.get(String(id));
+    if (!vessel) return null;
+
+    this.vessels.delete(vessel._id);
+    await this.persist();
+    return vessel;
+  }
+
+  // ---------- Ports ----------
+
+  /**
+   * @param {Object} options - { includeInactive } (default: active ports only)
+   */
+  async listPorts(options = {}) {
+    return Array.from(this.ports.values())
+      .filter(port => options.includeInactive || port.active)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getPortById(id) {
+    return this.ports.get(String(id)) || null;
+  }
+
+  async countPorts() {
+    return this.ports.size;
+  }
+
+  /**
+   * @param {Array<Object>} ports - Records from portRegistry.normalizePort, plus active, source, createdBy
+   */
+  async insertPorts(ports) {
+    const now = new Date();
+    const inserted = ports.map(data => ({ _id: newId(), ...data, createdAt: now, updatedAt: now }));
+    for (const port of inserted) {
+      this.ports.set(port._id, port);
+    }
+    await this.persist();
+    return inserted;
+  }
+
+  /**
+   * Set some of a port's fields (the others are kept)
+   */
+  async updatePort(id, fields) {
+    const existing = this.ports.get(String(id));
+    if (!existing) return null;
+
+    const port = { ...existing, ...fields, _id: existing._id, updatedAt: new Date() };
+    this.ports.set(port._id, port);
+    await this.persist();
+    return port;
+  }
+
+  async addPortChanges(entries) {
+    if (entries.length === 0) return [];
+    const now = new Date();
+    const added = entries.map(entry => ({ _id: newId(), changes: {}, ...entry, createdAt: now }));
+    this.portChanges.push(...added);
+    await this.persist();
+    return added;
+  }
+
+  /**
+   * Port change history, newest first
+   * @param {Object} options - { portId, limit }
+   */
+  async listPortChanges(options = {}) {
+    const { portId, limit = 100 } = options;
+    return this.portChanges
+      .filter(entry => !portId || String(entry.portId) === String(portId))
+      .slice(-limit)
+      .reverse();
+  }
+
+  // ---------- Route result cache ----------
+
+  isExpired(entry, now = new Date()) {
+    return Boolean(entry.expiresAt) && new Date(entry.expiresAt) <= now;
+  }
+
+  /**
+   * Cached route result by key (null when missing or expired); counts the hit
+   */
+  async getCachedRoute(key) {
+    const entry = this.routeCache.get(key);
+    if (!entry || this.isExpired(entry)) return null;
+    entry.hits++;
+    return entry;
+  }
+
+  /**
+   * Insert or replace an entry; the oldest entries go beyond MAX_CACHED_ROUTES
+   */
+  async saveCachedRoute(entry) {
+    this.routeCache.delete(entry.key);
+    this.routeCache.set(entry.key, { ...entry, hits: 0, createdAt: new Date() });
+    for (const key of this.routeCache.keys()) {
+      if (this.routeCache.size <= MAX_CACHED_ROUTES) break;
+      this.routeCache.delete(key);
+    }
+    await this.persistRouteCache();
+  }
+
+  /**
+   * Remove expired entries, or every entry with { all: true }
+   * @returns {Promise<number>} entries removed
+   */
+  async clearCachedRoutes(options = {}) {
+    const now = new Date();
+    let removed = 0;
+    for (const [key, entry] of this.routeCache) {
+      if (options.all || this.isExpired(entry, now)) {
+        this.routeCache.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) await this.persistRouteCache();
+    return removed;
+  }
+
+  async countCachedRoutes() {
+    return this.routeCache.size;
+  }
+}
+
+MemoryStore.LOCAL_GRID_ID = LOCAL_GRID_ID;
+
+module.exports = MemoryStore;
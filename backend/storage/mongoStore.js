@@ -0,0 +1,265 @@
+/**
+ * 🍃 MONGODB STORE
+ * Storage backend over the Grid, User, Vessel, Port, PortChange and RouteCache models (MongoDB Atlas)
+ */
+
+const mongoose = require('mongoose');
+const Grid = require('../models/Grid');
+const User = require('../models/User');
+const RouteCache = require('../models/RouteCache');
+const Vessel = require('../models/Vessel');
+const Port = require('../models/Port');
+const PortChange = require('../models/PortChange');
+
+class MongoStore {
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.uri = options.uri || process.env.MONGODB_URI;
+  }
+
+  async connect() {
+    if (!this.uri) {
+      throw new Error('MONGODB_URI is not defined in .env file');
+    }
+
+    console.log('🔌 Connecting to MongoDB Atlas...');
+    await mongoose.connect(this.uri);
+    console.log('✅ MongoDB Atlas connected successfully');
+  }
+
+  async close() {
+    await mongoose.connection.close();
+  }
+
+  // ---------- Grid ----------
+
+  async hasGrid() {
+    return Boolean(await Grid.exists({ isTiled: true }));
+  }
+
+  /**
+   * Version of the routing grid (stored on each tile by importGridChunked.js)
+   */
+  async getGridVersion() {
+    const tile = await Grid.findOne({ isTiled: true }, { version: 1 }).lean();
+    return tile?.version || null;
+  }
+
+  /**
+   * Tile documents by key: [{ tileKey, resolution, cells }]
+   */
+  async getGridTiles(tileKeys) {
+    return Grid.find(
+      { isTiled: true, tileKey: { $in: tileKeys } },
+      { tileKey: 1, resolution: 1, cells: 1 }
+    ).lean();
+  }
+
+  async getCellsInBounds(latMin, latMax, lonMin, lonMax) {
+    return Grid.findCellsInBounds(latMin, latMax, lonMin, lonMax);
+  }
+
+  async listGrids() {
+    return Grid.find().select('-cells');
+  }
+
+  async getGridById(id) {
+    return Grid.findById(id);
+  }
+
+  async createGrid(data) {
+    const grid = new Grid(data);
+    await grid.save();
+    return grid;
+  }
+
+  async updateGridCells(id, cells) {
+    return Grid.findByIdAndUpdate(id, { cells, updatedAt: Date.now() }, { new: true });
+  }
+
+  async deleteGrid(id) {
+    return Grid.findByIdAndDelete(id);
+  }
+
+  // ---------- Users ----------
+
+  async findUserById(id) {
+    return User.findById(id);
+  }
+
+  /**
+   * @param {Object} options - { withPassword } include the password hash (for login)
+   */
+  async findUserByEmail(email, options = {}) {
+    const query = User.findOne({ email });
+    return options.withPassword ? query.select('+password') : query;
+  }
+
+  async createUser(data) {
+    const user = new User(data);
+    await user.save();
+    return user;
+  }
+
+  async verifyPassword(user, candidatePassword) {
+    return user.comparePassword(candidatePassword);
+  }
+
+  // ---------- Route history ----------
+
+  /**
+   * @returns {Promise<Array|null>} null when the user does not exist
+   */
+  async getRouteHistory(userId) {
+    const user = await User.findById(userId);
+    return user ? user.routeHistory : null;
+  }
+
+  async addRouteHistory(userId, route) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    await user.addRoute(route);
+    return user.routeHistory;
+  }
+
+  async deleteRouteHistory(userId, index) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    user.routeHistory.splice(index, 1);
+    await user.save();
+    return user.routeHistory;
+  }
+
+  // ---------- Vessels ----------
+
+  async listVessels() {
+    return Vessel.find().sort({ name: 1 }).lean();
+  }
+
+  async getVesselById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Vessel.findById(id).lean();
+  }
+
+  /**
+   * @param {Object} data - Profile from vesselProfile.normalizeVessel, plus createdBy
+   */
+  async createVessel(data) {
+    const vessel = new Vessel(data);
+    await vessel.save();
+    return vessel.toObject();
+  }
+
+  /**
+   * Replace a vessel's profile (createdBy and createdAt are kept)
+   */
+  async updateVessel(id, data) {
+    const vessel = await this.getVesselById(id);
+    if (!vessel) return null;
+    return Vessel.findOneAndReplace(
+      { _id: vessel._id },
+      { ...data, createdBy: vessel.createdBy, createdAt: vessel.createdAt, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  async deleteVessel(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Vessel.findByIdAndDelete(id).lean();
+  }
+
+  // ---------- Ports ----------
+
+  /**
+   * @param {Object} options - { includeInactive } (default: active ports only)
+   */
+  async listPorts(options = {}) {
+    return Port.find(options.includeInactive ? {} : { active: true }).sort({ name: 1 }).lean();
+  }
+
+  async getPortById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Port.findById(id).lean();
+  }
+
+  async countPorts() {
+    return Port.estimatedDocumentCount();
+  }
+
+  /**
+   * @param {Array<Object>} ports - Records from portRegistry.normalizePort, plus active, source, createdBy
+   */
+  async insertPorts(ports) {
+    if (ports.length === 0) return [];
+    const inserted = await Port.insertMany(ports);
+    return inserted.map(port => port.toObject());
+  }
+
+  /**
+   * Set some of a port's fields (the others are kept)
+   */
+  async updatePort(id, fields) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Port.findByIdAndUpdate(
+      id,
+      { $set: { ...fields, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  async addPortChanges(entries) {
+    if (entries.length === 0) return [];
+    const added = await PortChange.insertMany(entries);
+    return added.map(entry => entry.toObject());
+  }
+
+  /**
+   * Port change history, newest first
+   * @param {Object} options - { portId, limit }
+   */
+  async listPortChanges(options = {}) {
+    const { portId, limit = 100 } = options;
+    if (portId && !mongoose.isValidObjectId(portId)) return [];
+    return PortChange.find(portId ? { portId } : {}).sort({ createdAt: -1, _id: -1 }).limit(limit).lean();
+  }
+
+  // ---------- Route result cache ----------
+
+  /**
+   * Cached route result by key (null when missing or expired); counts the hit
+   * Expired documents are filtered here too, MongoDB's TTL monitor only runs every minute
+   */
+  async getCachedRoute(key) {
+    return RouteCache.findOneAndUpdate(
+      { key, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  async saveCachedRoute(entry) {
+    await RouteCache.updateOne(
+      { key: entry.key },
+      { $set: { ...entry, hits: 0, createdAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Remove expired entries, or every entry with { all: true }
+   * @returns {Promise<number>} entries removed
+   */
+  async clearCachedRoutes(options = {}) {
+    const filter = options.all ? {} : { expiresAt: { $lte: new Date() } };
+    const { deletedCount } = await RouteCache.deleteMany(filter);
+    return deletedCount;
+  }
+
+  async countCachedRoutes() {
+    return RouteCache.countDocuments();
+  }
+}
+
+module.exports = MongoStore;
@@ -1,4 +1,5 @@
 const fs = require('fs');
+const { BinaryHeap } = require('./searchCore');
 
 /**
  * Strict Ocean Router - Ensures routes never cross land or get close to coastlines
@@ -15,7 +16,7 @@ class StrictOceanRouter {
     
     this.options = {
       coastalBufferKm: options.coastalBufferKm || 20, // 20km buffer from coast
-      minWaterDepth: options.minWaterDepth || 10,     // Minimum depth in meters
+      minWaterDepth: options.minWaterDepth || 10,     // Minimum charted depth in meters (cell.depth, bathymetry.js)
       checkPointsPerSegment: options.checkPointsPerSegment || 50, // Points to check along each line
       maxRouteDeviation: options.maxRouteDeviation || 1.5 // Max ratio vs direct distance
     };
@@ -229,10 +230,19 @@ class StrictOceanRouter {
     return true;
   }
 
+  /**
+   * True when a cell's charted depth is less than the minimum (uncharted cells pass)
+   */
+  isTooShallow(cell, minWaterDepth) {
+    return Number.isFinite(cell.depth) && cell.depth < minWaterDepth;
+  }
+
   /**
    * Find route between two ports using A* with strict ocean-only paths
+   * @param {number} minWaterDepth - Charted depth the route keeps to, e.g. the vessel's draft plus
+   *   under-keel clearance (default options.minWaterDepth); the start and end cells are exempt
    */
-  findSafeRoute(startLat, startLon, endLat, endLon, portNames = {}) {
+  findSafeRoute(startLat, startLon, endLat, endLon, portNames = {}, minWaterDepth = this.options.minWaterDepth) {
     console.log(`\n🚢 Finding safe route from ${portNames.start || 'Start'} to ${portNames.end || 'End'}`);
     console.log(`   From: (${startLat}, ${startLon})`);
     console.log(`   To: (${endLat}, ${endLon})`);
@@ -252,38 +262,30 @@ class StrictOceanRouter {
     console.log(`   Start adjusted to: (${start.lat}, ${start.lon}) - ${start.distanceToLand.toFixed(1)}km from land`);
     console.log(`   End adjusted to: (${end.lat}, ${end.lon}) - ${end.distanceToLand.toFixed(1)}km from land`);
     
-    // A* pathfinding
-    const openSet = [start];
+    // A* pathfinding (binary heap open set with decrease-key)
+    const openSet = new BinaryHeap();
     const cameFrom = new Map();
     const gScore = new Map();
-    const fScore = new Map();
     
     const startKey = this.getCellKey(start);
     const endKey = this.getCellKey(end);
     
     gScore.set(startKey, 0);
-    fScore.set(startKey, this.heuristic(start, end));
+    openSet.push(startKey, start, this.heuristic(start, end));
     
     let iterations = 0;
     const maxIterations = 100000;
     
-    while (openSet.length > 0 && iterations < maxIterations) {
+    while (!openSet.isEmpty() && iterations < maxIterations) {
       iterations++;
       
       // Get node with lowest fScore
-      openSet.sort((a, b) => {
-        const aKey = this.getCellKey(a);
-        const bKey = this.getCellKey(b);
-        return (fScore.get(aKey) || Infinity) - (fScore.get(bKey) || Infinity);
-      });
-      
-      const current = openSet.shift();
-      const currentKey = this.getCellKey(current);
+      const { key: currentKey, value: current } = openSet.pop();
       
       // Check if we reached the goal
-      if (this.getCellKey(current) === endKey) {
+      if (currentKey === endKey) {
         const path = this.reconstructPath(cameFrom, current);
-        const validation = this.validatePath(path);
+        const validation = this.validatePath(path, minWaterDepth);
         
         console.log(`✓ Route found after ${iterations} iterations`);
         console.log(`   Waypoints: ${path.length}`);
@@ -307,23 +309,26 @@ class StrictOceanRouter {
       for (let neighbor of neighbors) {
         const neighborKey = this.getCellKey(neighbor);
         
+        // Too shallow for the vessel (the destination cell is its port approach)
+        if (neighborKey !== endKey && this.isTooShallow(neighbor, minWaterDepth)) {
+          continue;
+        }
+        
         // Check if line to neighbor is safe
         if (!this.isLineSafe(current, neighbor)) {
           continue;
         }
         
-        const tentativeGScore = (gScore.get(currentKey) || Infinity) + 
+        // gScore of the start cell is 0, so "|| Infinity" would treat it as unvisited
+        const tentativeGScore = gScore.get(currentKey) + 
                                 this.distance(current.lat, current.lon, neighbor.lat, neighbor.lon) * 
                                 neighbor.cost;
         
-        if (tentativeGScore < (gScore.get(neighborKey) || Infinity)) {
+        if (!gScore.has(neighborKey) || tentativeGScore < gScore.get(neighborKey)) {
           cameFrom.set(neighborKey, current);
           gScore.set(neighborKey, tentativeGScore);
-          fScore.set(neighborKey, tentativeGScore + this.heuristic(neighbor, end));
-          
-          if (!openSet.some(n => this.getCellKey(n) === neighborKey)) {
-            openSet.push(neighbor);
-          }
+          // Insert, or decrease-key if already queued
+          openSet.push(neighborKey, neighbor, tentativeGScore + this.heuristic(neighbor, end));
         }
       }
     }
@@ -404,9 +409,9 @@ class StrictOceanRouter {
   }
 
   /**
-   * Validate entire path doesn't cross land or get too close to coast
+   * Validate entire path doesn't cross land, get too close to coast or into shallow water
    */
-  validatePath(path) {
+  validatePath(path, minWaterDepth = this.options.minWaterDepth) {
     let totalDistance = 0;
     let minDistanceFromLand = Infinity;
     const violations = [];
@@ -433,6 +438,15 @@ class StrictOceanRouter {
         });
       }
       
+      if (i > 0 && i < path.length - 1 && this.isTooShallow(point, minWaterDepth)) {
+        violations.push({
+          index: i,
+          type: 'SHALLOW',
+          location: `(${point.lat}, ${point.lon})`,
+          issue: `Charted depth ${point.depth}m is less than ${minWaterDepth}m`
+        });
+      }
+      
       minDistanceFromLand = Math.min(minDistanceFromLand, point.distanceToLand || Infinity);
       
       // Check line to next point
@@ -0,0 +1,36 @@
+/**
+ * 🧩 TILED GRID
+ * A set of SharedGrid tiles covering a route corridor, read as one grid
+ * Tiles are shared memory, so passing them to a route worker does not copy cells
+ */
+
+const SharedGrid = require('./sharedGrid');
+
+class TiledGrid {
+  /**
+   * @param {Array<SharedGrid>} tiles - Non-empty tiles covering the region
+   */
+  constructor(tiles) {
+    this.tiles = tiles;
+    this.resolution = tiles.length > 0 ? tiles[0].resolution : null;
+    this.count = tiles.reduce((sum, tile) => sum + tile.count, 0);
+  }
+
+  static fromTransferable(list) {
+    return new TiledGrid(list.map(data => SharedGrid.fromTransferable(data)));
+  }
+
+  toTransferable() {
+    return this.tiles.map(tile => tile.toTransferable());
+  }
+
+  getCellsInRegion(latMin, latMax, lonMin, lonMax, options = {}) {
+    return [].concat(...this.tiles.map(tile => tile.getCellsInRegion(latMin, latMax, lonMin, lonMax, options)));
+  }
+
+  getAllCells() {
+    return [].concat(...this.tiles.map(tile => tile.getAllCells()));
+  }
+}
+
+module.exports = TiledGrid;
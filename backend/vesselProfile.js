@@ -0,0 +1,275 @@
+/**
+ * 🚢 VESSEL PROFILES
+ * What a route, fuel and ETA calculation needs to know about a ship: dimensions and drafts,
+ * service speed, the speed-consumption curve, main and auxiliary engines, fuel types and
+ * seakeeping limits. Profiles are stored through storage/ (Vessel model) and turned into the
+ * flat VESSEL_SPECS the fuel model uses with toVesselSpecs().
+ * Kept free of Express/Mongo so it can run inside route worker threads
+ */
+
+const VESSEL_TYPES = ['bulker', 'tanker', 'feeder', 'container', 'general_cargo', 'ro_ro', 'other'];
+const FUEL_TYPES = ['HFO', 'VLSFO', 'LSFO', 'MGO', 'MDO', 'LNG', 'methanol'];
+
+const DEFAULT_VESSEL_ID = 'default';
+const SERVICE_ENGINE_LOAD = 0.85;  // Main engine load at service speed (share of MCR)
+const AUXILIARY_LOAD = 0.5;        // Average auxiliary engine load at sea
+const AUXILIARY_SFOC = 220;        // g/kWh, typical medium-speed generator sets
+
+// Typical Panamax bulk carrier (50,000 DWT class): the vessel routes used before profiles existed
+const DEFAULT_VESSEL = {
+  _id: DEFAULT_VESSEL_ID,
+  name: 'Panamax bulk carrier (default)',
+  type: 'bulker',
+  builtIn: true,
+  loaMeters: 225,
+  beamMeters: 32.2,
+  designDraftMeters: 12.2,
+  currentDraftMeters: 12.2,
+  deadweight: 50000,
+  serviceSpeedKnots: 20,
+  speedLimits: {
+    fuel: 15,      // Slow steaming for fuel efficiency (saves 40-50%)
+    optimal: 20,   // Service speed (balanced)
+    safe: 18       // Moderate speed for better control
+  },
+  mainEngine: { powerKW: 15000, consumptionTonsPerDay: 35 },
+  auxiliaryEngines: { powerKW: 1500, consumptionTonsPerDay: 3 },
+  fuelTypes: {
+    main: { type: 'HFO', priceUSD: 600 },
+    auxiliary: { type: 'HFO', priceUSD: 600 }
+  },
+  seakeeping: {
+    // No wave / wind limits set: routes are not restricted beyond the request's constraints
+    // Involuntary speed loss in wind and waves (see RouteFinder.calculateSpeedLoss)
+    speedLoss: {
+      waveCoefficient: 0.01,     // Loss per m² of significant wave height (4m head seas: -16%)
+      windCoefficient: 0.00008,  // Loss per knot² of wind speed (30kn head wind: -7%)
+      maxLoss: 0.5               // Ships slow down no further than half speed
+    }
+  }
+};
+
+function invalid(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function positive(value, field, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw invalid(`${field} is required`);
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw invalid(`${field} must be a positive number`);
+  }
+  return number;
+}
+
+function fuel(input, field, fallback) {
+  if (!input) return fallback;
+  const type = input.type || fallback?.type;
+  if (!FUEL_TYPES.includes(type)) {
+    throw invalid(`${field}.type must be one of: ${FUEL_TYPES.join(', ')}`);
+  }
+  return { type, priceUSD: positive(input.priceUSD, `${field}.priceUSD`) ?? fallback?.priceUSD ?? DEFAULT_VESSEL.fuelTypes.main.priceUSD };
+}
+
+/**
+ * Validate a vessel profile and fill in what can be derived
+ * Needs a consumption source: speedConsumption, mainEngine.consumptionTonsPerDay, or
+ * mainEngine.powerKW with sfocGPerKWh
+ * @param {Object} input - Profile fields (see DEFAULT_VESSEL; speedConsumption: [{ speedKnots, tonsPerDay }])
+ * @returns {Object} Profile ready to store
+ * @throws {Error} statusCode 400 on missing or invalid fields
+ */
+function normalizeVessel(input = {}) {
+  const name = String(input.name || '').trim();
+  if (!name) throw invalid('name is required');
+
+  const type = input.type || 'other';
+  if (!VESSEL_TYPES.includes(type)) {
+    throw invalid(`type must be one of: ${VESSEL_TYPES.join(', ')}`);
+  }
+  const imo = input.imo ? String(input.imo).trim() : undefined;
+  if (imo && !/^\d{7}$/.test(imo)) {
+    throw invalid('imo must be a 7-digit IMO number');
+  }
+
+  const designDraftMeters = positive(input.designDraftMeters, 'designDraftMeters', { required: true });
+  const serviceSpeedKnots = positive(input.serviceSpeedKnots, 'serviceSpeedKnots', { required: true });
+
+  // Speed-consumption curve of the main engine at design draft in calm water
+  let speedConsumption;
+  if (input.speedConsumption !== undefined && input.speedConsumption !== null) {
+    if (!Array.isArray(input.speedConsumption) || input.speedConsumption.length < 2) {
+      throw invalid('speedConsumption must list at least two { speedKnots, tonsPerDay } points');
+    }
+    speedConsumption = input.speedConsumption
+      .map((point, index) => ({
+        speedKnots: positive(point?.speedKnots, `speedConsumption[${index}].speedKnots`, { required: true }),
+        tonsPerDay: positive(point?.tonsPerDay, `speedConsumption[${index}].tonsPerDay`, { required: true })
+      }))
+      .sort((a, b) => a.speedKnots - b.speedKnots);
+    if (speedConsumption.some((point, index) => index > 0 && point.speedKnots === speedConsumption[index - 1].speedKnots)) {
+      throw invalid('speedConsumption speeds must be distinct');
+    }
+  }
+
+  const mainInput = input.mainEngine || {};
+  const mainEngine = {
+    powerKW: positive(mainInput.powerKW, 'mainEngine.powerKW'),
+    sfocGPerKWh: positive(mainInput.sfocGPerKWh, 'mainEngine.sfocGPerKWh'),
+    consumptionTonsPerDay: positive(mainInput.consumptionTonsPerDay, 'mainEngine.consumptionTonsPerDay')
+  };
+  if (!mainEngine.consumptionTonsPerDay && mainEngine.powerKW && mainEngine.sfocGPerKWh) {
+    mainEngine.consumptionTonsPerDay = parseFloat((mainEngine.powerKW * SERVICE_ENGINE_LOAD * mainEngine.sfocGPerKWh * 24 / 1e6).toFixed(2));
+  }
+  if (!speedConsumption && !mainEngine.consumptionTonsPerDay) {
+    throw invalid('A consumption source is required: speedConsumption, mainEngine.consumptionTonsPerDay, or mainEngine.powerKW with sfocGPerKWh');
+  }
+
+  const auxInput = input.auxiliaryEngines || {};
+  const auxiliaryPowerKW = positive(auxInput.powerKW, 'auxiliaryEngines.powerKW');
+  const auxiliaryEngines = {
+    powerKW: auxiliaryPowerKW,
+    consumptionTonsPerDay: positive(auxInput.consumptionTonsPerDay, 'auxiliaryEngines.consumptionTonsPerDay') ??
+      (auxiliaryPowerKW ? parseFloat((auxiliaryPowerKW * AUXILIARY_LOAD * AUXILIARY_SFOC * 24 / 1e6).toFixed(2)) : 0)
+  };
+
+  const mainFuel = fuel(input.fuelTypes?.main, 'fuelTypes.main', DEFAULT_VESSEL.fuelTypes.main);
+  const fuelTypes = {
+    main: mainFuel,
+    auxiliary: fuel(input.fuelTypes?.auxiliary, 'fuelTypes.auxiliary', mainFuel)
+  };
+
+  const limitsInput = input.speedLimits || {};
+  const speedLimits = {
+    fuel: positive(limitsInput.fuel, 'speedLimits.fuel') ?? parseFloat((serviceSpeedKnots * 0.75).toFixed(1)),
+    optimal: positive(limitsInput.optimal, 'speedLimits.optimal') ?? serviceSpeedKnots,
+    safe: positive(limitsInput.safe, 'speedLimits.safe') ?? parseFloat((serviceSpeedKnots * 0.9).toFixed(1))
+  };
+
+  const seakeepingInput = input.seakeeping || {};
+  const lossInput = seakeepingInput.speedLoss || {};
+  const defaultLoss = DEFAULT_VESSEL.seakeeping.speedLoss;
+  const maxLoss = lossInput.maxLoss ?? defaultLoss.maxLoss;
+  if (!Number.isFinite(Number(maxLoss)) || maxLoss < 0 || maxLoss >= 1) {
+    throw invalid('seakeeping.speedLoss.maxLoss must be between 0 and 1');
+  }
+  const seakeeping = {
+    maxWaveHeight: positive(seakeepingInput.maxWaveHeight, 'seakeeping.maxWaveHeight'),
+    maxWindSpeed: positive(seakeepingInput.maxWindSpeed, 'seakeeping.maxWindSpeed'),
+    speedLoss: {
+      waveCoefficient: Number(lossInput.waveCoefficient ?? defaultLoss.waveCoefficient),
+      windCoefficient: Number(lossInput.windCoefficient ?? defaultLoss.windCoefficient),
+      maxLoss: Number(maxLoss)
+    }
+  };
+
+  return {
+    name,
+    type,
+    ...(imo && { imo }),
+    loaMeters: positive(input.loaMeters, 'loaMeters', { required: true }),
+    beamMeters: positive(input.beamMeters, 'beamMeters', { required: true }),
+    designDraftMeters,
+    currentDraftMeters: positive(input.currentDraftMeters, 'currentDraftMeters') ?? designDraftMeters,
+    deadweight: positive(input.deadweight, 'deadweight'),
+    serviceSpeedKnots,
+    speedLimits,
+    ...(speedConsumption && { speedConsumption }),
+    mainEngine,
+    auxiliaryEngines,
+    fuelTypes,
+    seakeeping
+  };
+}
+
+/**
+ * Main engine consumption (tons/day) at a speed from a speed-consumption curve: linear between
+ * points, cubic in speed beyond the first and last point
+ */
+function consumptionAt(curve, speedKnots) {
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+  if (speedKnots <= first.speedKnots) {
+    return first.tonsPerDay * Math.pow(speedKnots / first.speedKnots, 3);
+  }
+  if (speedKnots >= last.speedKnots) {
+    return last.tonsPerDay * Math.pow(speedKnots / last.speedKnots, 3);
+  }
+  const upper = curve.findIndex(point => point.speedKnots >= speedKnots);
+  const a = curve[upper - 1];
+  const b = curve[upper];
+  return a.tonsPerDay + (b.tonsPerDay - a.tonsPerDay) * (speedKnots - a.speedKnots) / (b.speedKnots - a.speedKnots);
+}
+
+/**
+ * The flat specs RouteFinder's fuel model, speed loss and the searches read (VESSEL_SPECS)
+ * Loading: main engine consumption scales with displacement^(2/3), taken as (current / design draft)^(2/3)
+ */
+function toVesselSpecs(profile) {
+  const curve = profile.speedConsumption && profile.speedConsumption.length >= 2 ? profile.speedConsumption : null;
+  const draftMeters = profile.currentDraftMeters || profile.designDraftMeters;
+  return {
+    id: profile._id ? String(profile._id) : null,
+    name: profile.name,
+    type: profile.type,
+    updatedAt: profile.updatedAt ? new Date(profile.updatedAt).toISOString() : null,
+
+    // Physical specifications
+    loaMeters: profile.loaMeters,
+    beamMeters: profile.beamMeters,
+    designDraftMeters: profile.designDraftMeters,
+    draftMeters,
+    deadweight: profile.deadweight,
+    mainEngineKW: profile.mainEngine?.powerKW,
+    auxiliaryKW: profile.auxiliaryEngines?.powerKW,
+
+    // Fuel consumption
+    baseConsumptionTonsPerDay: curve ? consumptionAt(curve, profile.serviceSpeedKnots) : profile.mainEngine.consumptionTonsPerDay,
+    consumptionCurve: curve,
+    draftFactor: parseFloat(Math.pow(draftMeters / profile.designDraftMeters, 2 / 3).toFixed(3)),
+    auxiliaryConsumptionTonsPerDay: profile.auxiliaryEngines?.consumptionTonsPerDay || 0,
+    serviceSpeedKnots: profile.serviceSpeedKnots,
+
+    // Fuel economics
+    fuelType: profile.fuelTypes.main.type,
+    fuelPriceUSD: profile.fuelTypes.main.priceUSD,
+    auxiliaryFuelType: profile.fuelTypes.auxiliary.type,
+    auxiliaryFuelPriceUSD: profile.fuelTypes.auxiliary.priceUSD,
+
+    speedLimits: profile.speedLimits,
+    speedLoss: profile.seakeeping?.speedLoss || DEFAULT_VESSEL.seakeeping.speedLoss,
+    seakeeping: {
+      maxWaveHeight: profile.seakeeping?.maxWaveHeight,
+      maxWindSpeed: profile.seakeeping?.maxWindSpeed
+    }
+  };
+}
+
+/**
+ * Short description of the vessel a result was calculated for
+ */
+function describeVessel(specs) {
+  return {
+    id: specs.id || null,
+    name: specs.name || null,
+    type: specs.type || null,
+    draftMeters: specs.draftMeters ?? null,
+    serviceSpeedKnots: specs.serviceSpeedKnots
+  };
+}
+
+module.exports = {
+  VESSEL_TYPES,
+  FUEL_TYPES,
+  DEFAULT_VESSEL_ID,
+  DEFAULT_VESSEL,
+  normalizeVessel,
+  consumptionAt,
+  toVesselSpecs,
+  describeVessel
+};
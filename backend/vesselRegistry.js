@@ -0,0 +1,39 @@
+/**
+ * 🚢 VESSEL REGISTRY
+ * Looks up the vessel profile a route request names with vesselId: the stored profiles
+ * (storage/, Vessel model) plus the built-in default vessel, id 'default', used when none is given
+ */
+
+const { getStore } = require('./storage');
+const { DEFAULT_VESSEL, DEFAULT_VESSEL_ID, toVesselSpecs } = require('./vesselProfile');
+
+function notFound(vesselId) {
+  const error = new Error(`Vessel not found: ${vesselId}. List vessels with GET /api/vessels`);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Stored profile by id, or the default vessel (null when the id is unknown)
+ */
+async function getVesselProfile(vesselId) {
+  if (vesselId === undefined || vesselId === null || vesselId === '' || vesselId === DEFAULT_VESSEL_ID) {
+    return DEFAULT_VESSEL;
+  }
+  return getStore().getVesselById(String(vesselId));
+}
+
+/**
+ * VESSEL_SPECS a request calculates with (the default vessel when no vesselId is given)
+ * @throws {Error} statusCode 404 when the vessel does not exist
+ */
+async function resolveVesselSpecs(vesselId) {
+  const profile = await getVesselProfile(vesselId);
+  if (!profile) throw notFound(vesselId);
+  return toVesselSpecs(profile);
+}
+
+module.exports = {
+  getVesselProfile,
+  resolveVesselSpecs
+};
@@ -8,16 +8,21 @@ module.exports = {
   ENABLE_ROUTE_WEATHER_UPDATE: true, // Enabled with smart sampling for weather-aware routing
   
   // Weather API settings
-  API_DELAY_MS: 10, // Delay between API calls (100 req/sec) - VERY FAST
   API_TIMEOUT_MS: 1000, // Quick timeout for each API call
+
+  // Shared weather fetch cache and rate limit toward network providers (weatherProviders/cachedProvider.js)
+  FETCH_CACHE_PRECISION_DEG: 0.1, // Positions rounded to this before fetching; entries live WEATHER_CACHE_HOURS
+  FETCH_CACHE_MAX_ENTRIES: 5000, // Oldest entries dropped beyond this
+  RATE_LIMIT_PER_SECOND: 10, // Token bucket refill (Open-Meteo free tier allows 600 calls/min)
+  RATE_LIMIT_BURST: 20, // Requests sent at once before the limiter paces them
   
   // Update strategy
   UPDATE_STRATEGY: 'blocking', // 'blocking' = wait for weather before route response
   
   // Sampling (to reduce API calls)
-  SAMPLE_RATE: 0.05, // 0.05 = update 5% of cells - FAST with representative samples
+  SAMPLE_RATE: 0.05, // 0.05 = update 5% of cells - FAST with representative samples (remote providers; local ones update every cell)
   
-  // Retry settings
+  // Retry settings (rate limited, server errors, timeouts; the delay doubles each retry)
   MAX_RETRIES: 2,
   RETRY_DELAY_MS: 1000,
   
@@ -26,4 +31,19 @@ module.exports = {
   
   // Cache settings
   WEATHER_CACHE_HOURS: 6, // Consider weather stale after 6 hours
+
+  // Time-dependent routing: judge each cell by the forecast at the ship's ETA
+  TIME_DEPENDENT_ROUTING: true,
+  FORECAST_GRID_STEP_DEG: 2, // Forecast lattice spacing (grows for very large corridors)
+  FORECAST_MAX_POINTS: 400, // Lattice points fetched per route
+  FORECAST_MAX_HOURS: 384, // Open-Meteo forecast horizon (16 days); later ETAs use the last hour
+
+  // Ocean currents (oceanCurrents.js): legs are sailed at the speed over ground the current gives,
+  // from the weather's currentVelocity / currentDirection, else the CURRENTS_FILE u/v field
+  OCEAN_CURRENTS: true,
+
+  // Forecast store (forecastStore.js): hourly forecasts per grid cell, one snapshot per source/fetch
+  FORECAST_STORE_HOURS: 168, // Hours kept per snapshot (7 days)
+  SNAPSHOT_KEEP: 6, // Snapshots kept at most (oldest deleted first)
+  SNAPSHOT_MAX_AGE_HOURS: 48, // Snapshots older than this are deleted (the newest is always kept)
 };
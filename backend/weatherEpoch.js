@@ -0,0 +1,38 @@
+/**
+ * 🕒 WEATHER EPOCH
+ * Identifies the weather data a route was computed with. Route weather is fetched live and
+ * considered fresh for WEATHER_CACHE_HOURS, so each window of that length is one epoch:
+ * results computed within the same epoch saw the same weather. Ingesting a GRIB2 forecast or
+ * replacing the current field file (oceanCurrents.js) starts a new epoch
+ */
+
+const weatherConfig = require('./weatherConfig');
+const { getSnapshotStore } = require('./weatherSnapshots');
+const { currentsVersion } = require('./oceanCurrents');
+
+const HOUR_MS = 3600000;
+
+/**
+ * Current weather epoch: { id, source, startsAt, expiresAt }
+ * With route weather updates disabled, routes only see the weather stored on the grid (no expiry)
+ */
+function getWeatherEpoch(now = new Date()) {
+  const ingested = getSnapshotStore().latest({ kind: 'grib' });
+  const currents = weatherConfig.OCEAN_CURRENTS ? currentsVersion() : null;
+  const suffix = (ingested ? `@${ingested.id}` : '') + (currents ? `+${currents}` : '');
+
+  if (!weatherConfig.ENABLE_ROUTE_WEATHER_UPDATE) {
+    return { id: `grid-weather${suffix}`, source: 'grid', startsAt: null, expiresAt: null };
+  }
+
+  const windowMs = weatherConfig.WEATHER_CACHE_HOURS * HOUR_MS;
+  const startsAt = new Date(Math.floor(now.getTime() / windowMs) * windowMs);
+  return {
+    id: `live-${startsAt.toISOString().slice(0, 13)}${suffix}`,
+    source: 'live',
+    startsAt: startsAt.toISOString(),
+    expiresAt: new Date(startsAt.getTime() + windowMs).toISOString()
+  };
+}
+
+module.exports = { getWeatherEpoch };
@@ -1,10 +1,10 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { getWeatherProvider } = require('./weatherProviders');
 
 /**
  * Weather Fetcher for Grid Points
- * Fetches weather data from Open-Meteo API for all grid points
+ * Fetches weather data from the configured weather provider for all grid points
  */
 
 // Load grid data
@@ -19,21 +19,19 @@ function loadGridData() {
 // Fetch weather for a single point
 async function fetchWeatherForPoint(lat, lon) {
   try {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,rain,weather_code,cloud_cover,pressure_msl,wind_speed_10m,wind_direction_10m,wind_gusts_10m&wind_speed_unit=ms&timezone=auto`;
-    
-    const response = await axios.get(url);
-    const current = response.data.current;
+    // Wind in m/s
+    const current = await getWeatherProvider().current(lat, lon, { windSpeedUnit: 'ms' });
 
     return {
-      temperature: current.temperature_2m,
-      windSpeed: current.wind_speed_10m,
-      windDirection: current.wind_direction_10m,
-      windGusts: current.wind_gusts_10m,
-      pressure: current.pressure_msl,
-      cloudCover: current.cloud_cover,
+      temperature: current.temperature,
+      windSpeed: current.windSpeed,
+      windDirection: current.windDirection,
+      windGusts: current.windGusts,
+      pressure: current.pressure,
+      cloudCover: current.cloudCover,
       precipitation: current.precipitation,
-      humidity: current.relative_humidity_2m,
-      weatherCode: current.weather_code,
+      humidity: current.humidity,
+      weatherCode: current.weatherCode,
       lastUpdated: current.time,
     };
   } catch (error) {
@@ -45,15 +43,16 @@ async function fetchWeatherForPoint(lat, lon) {
 // Fetch marine weather for a single point
 async function fetchMarineWeatherForPoint(lat, lon) {
   try {
-    const url = `https://marine-api.open-meteo.com/v1/marine?latitude=${lat}&longitude=${lon}&current=wave_height,wave_direction,wave_period&timezone=auto`;
-    
-    const response = await axios.get(url);
-    const current = response.data.current;
+    const current = await getWeatherProvider().currentMarine(lat, lon, {
+      variables: ['waveHeight', 'waveDirection', 'wavePeriod', 'currentVelocity', 'currentDirection']
+    });
 
     return {
-      waveHeight: current.wave_height,
-      waveDirection: current.wave_direction,
-      wavePeriod: current.wave_period,
+      waveHeight: current.waveHeight,
+      waveDirection: current.waveDirection,
+      wavePeriod: current.wavePeriod,
+      currentVelocity: current.currentVelocity,
+      currentDirection: current.currentDirection,
     };
   } catch (error) {
     console.error(`Failed to fetch marine weather for (${lat}, ${lon}):`, error.message);
@@ -145,6 +144,8 @@ async function updateGridWithWeather(sampleSize = null) {
         windDirection: weather.windDirection,
         waveHeight: marine?.waveHeight || null,
         visibility: weather.cloudCover < 50 ? 10000 : 5000, // Simplified visibility
+        currentVelocity: marine?.currentVelocity ?? null,
+        currentDirection: marine?.currentDirection ?? null,
         lastUpdated: weather.lastUpdated,
       };
 
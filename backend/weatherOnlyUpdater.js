@@ -1,7 +1,7 @@
 const mongoose = require('mongoose');
-const axios = require('axios');
 require('dotenv').config();
 const Grid = require('./models/Grid');
+const { getWeatherProvider } = require('./weatherProviders');
 
 /**
  * WEATHER-ONLY UPDATER
@@ -11,8 +11,7 @@ const Grid = require('./models/Grid');
 
 class WeatherOnlyUpdater {
   constructor() {
-    this.baseUrl = 'https://api.open-meteo.com/v1/forecast';
-    this.marineUrl = 'https://marine-api.open-meteo.com/v1/marine';
+    this.provider = getWeatherProvider();
     this.requestCount = 0;
     this.updateInterval = 3.5 * 60 * 60 * 1000; // 3.5 hours in milliseconds
   }
@@ -31,30 +30,32 @@ class WeatherOnlyUpdater {
           await new Promise(resolve => setTimeout(resolve, backoffDelay));
         }
 
-        // Single API request - simpler and faster
-        const weather = await axios.get(`${this.baseUrl}?latitude=${latitude}&longitude=${longitude}&current=temperature_2m,wind_speed_10m,wind_direction_10m,wind_gusts_10m,precipitation,cloud_cover,pressure_msl&timezone=auto`);
+        // Single provider request - simpler and faster (wind in km/h, as stored before)
+        const current = await this.provider.current(latitude, longitude, {
+          variables: ['temperature', 'windSpeed', 'windDirection', 'windGusts', 'precipitation', 'cloudCover', 'pressure'],
+          windSpeedUnit: 'kmh'
+        });
 
         this.requestCount++;
 
-        const current = weather.data.current;
-        const windSpeed = current?.wind_speed_10m || 10;
+        const windSpeed = current?.windSpeed || 10;
         
         // Estimate wave conditions from wind speed
         const estimatedWaveHeight = Math.min(windSpeed * 0.15, 6);
         const estimatedWavePeriod = Math.max(3, Math.min(estimatedWaveHeight * 2, 12));
 
         return {
-          temperature: current?.temperature_2m || null,
+          temperature: current?.temperature || null,
           windSpeed: windSpeed,
-          windDirection: current?.wind_direction_10m || null,
-          windGusts: current?.wind_gusts_10m || null,
+          windDirection: current?.windDirection || null,
+          windGusts: current?.windGusts || null,
           waveHeight: parseFloat(estimatedWaveHeight.toFixed(1)),
-          waveDirection: current?.wind_direction_10m || null, // Waves follow wind
+          waveDirection: current?.windDirection || null, // Waves follow wind
           wavePeriod: parseFloat(estimatedWavePeriod.toFixed(1)),
           precipitation: current?.precipitation || 0,
-          cloudCover: current?.cloud_cover || null,
-          pressure: current?.pressure_msl || null,
-          visibility: this.calculateVisibility(current?.cloud_cover),
+          cloudCover: current?.cloudCover || null,
+          pressure: current?.pressure || null,
+          visibility: this.calculateVisibility(current?.cloudCover),
           lastUpdated: new Date().toISOString(),
         };
       } catch (error) {
@@ -0,0 +1,211 @@
+/**
+ * 🧊 SHARED WEATHER FETCH CACHE
+ * Wraps a network provider (Open-Meteo) so every caller - hazard checks, waypoint weather, route
+ * weather, cyclone scans, the grid updaters - shares one cache and one request budget:
+ * - current() / currentMarine() are cached by position rounded to FETCH_CACHE_PRECISION_DEG and
+ *   forecast hour for WEATHER_CACHE_HOURS; all variables are fetched once (wind in knots) and each
+ *   caller gets the ones it asked for in its unit
+ * - identical requests in flight are merged into one
+ * - requests go through a token bucket (RATE_LIMIT_PER_SECOND, RATE_LIMIT_BURST) and are retried
+ *   with exponential backoff (MAX_RETRIES, RETRY_DELAY_MS) on rate limiting, server errors and timeouts
+ * Local providers (file, snapshot, mock) are read directly.
+ */
+
+const config = require('../weatherConfig');
+const { WeatherProvider, ATMOSPHERE_VARIABLES, MARINE_VARIABLES, HOUR_MS, floorHour } = require('./weatherProvider');
+
+// Network errors worth another try (not ENOTFOUND: no DNS entry will not appear on retry)
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED']);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Token bucket: `rate` requests per second on average, `burst` at once. Callers that find it
+ * empty reserve the next token and wait for it, so requests go out in arrival order.
+ */
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.refilledAt = Date.now();
+  }
+
+  /**
+   * Take a token, waiting until one is available
+   * @returns {Promise<number>} ms waited
+   */
+  async take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) / 1000 * this.rate);
+    this.refilledAt = now;
+    this.tokens -= 1;
+    if (this.tokens >= 0) return 0;
+
+    const wait = Math.ceil(-this.tokens / this.rate * 1000);
+    await sleep(wait);
+    return wait;
+  }
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Seconds from a Retry-After header, as ms (null when absent or a date)
+ */
+function retryAfterMs(error) {
+  const seconds = Number(error.response?.headers?.['retry-after']);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+class CachedWeatherProvider extends WeatherProvider {
+  /**
+   * @param {WeatherProvider} provider - the network provider to wrap
+   * @param {Object} options - { ttlHours, precision, maxEntries, rate, burst, maxRetries, retryDelayMs }
+   */
+  constructor(provider, options = {}) {
+    super(provider.name, provider.description);
+    this.provider = provider;
+    this.remote = provider.remote;
+    this.ttlMs = (options.ttlHours ?? config.WEATHER_CACHE_HOURS) * HOUR_MS;
+    this.precision = options.precision ?? config.FETCH_CACHE_PRECISION_DEG;
+    this.maxEntries = options.maxEntries ?? config.FETCH_CACHE_MAX_ENTRIES;
+    this.maxRetries = options.maxRetries ?? config.MAX_RETRIES;
+    this.retryDelayMs = options.retryDelayMs ?? config.RETRY_DELAY_MS;
+    this.bucket = new TokenBucket(options.rate ?? config.RATE_LIMIT_PER_SECOND, options.burst ?? config.RATE_LIMIT_BURST);
+
+    this.entries = new Map(); // key -> { value, fetchedAt }, oldest first
+    this.pending = new Map(); // key -> Promise of a request in flight
+    this.counts = { hits: 0, misses: 0, coalesced: 0, requests: 0, retries: 0, throttledMs: 0, errors: 0 };
+  }
+
+  describe() {
+    return { ...this.provider.describe(), fetchCache: this.stats() };
+  }
+
+  /**
+   * Hit / miss counts and cache size
+   */
+  stats() {
+    const lookups = this.counts.hits + this.counts.misses + this.counts.coalesced;
+    return {
+      ...this.counts,
+      hitRate: lookups > 0 ? parseFloat(((this.counts.hits + this.counts.coalesced) / lookups).toFixed(3)) : null,
+      entries: this.entries.size,
+      inFlight: this.pending.size,
+      ttlHours: this.ttlMs / HOUR_MS,
+      precisionDeg: this.precision
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  conditionsAt(lat, lon, time) {
+    return this.provider.conditionsAt(lat, lon, time);
+  }
+
+  async current(lat, lon, options = {}) {
+    const conditions = await this.cachedPoint('current', lat, lon, ATMOSPHERE_VARIABLES, options);
+    return this.pick(conditions, ATMOSPHERE_VARIABLES, options);
+  }
+
+  async currentMarine(lat, lon, options = {}) {
+    const conditions = await this.cachedPoint('currentMarine', lat, lon, MARINE_VARIABLES, options);
+    return this.pick(conditions, MARINE_VARIABLES, options);
+  }
+
+  // Hourly series are kept by the forecast store; here they only share the request budget
+  async hourly(locations, options = {}) {
+    return this.shared(`hourly:${JSON.stringify([locations, options])}`, () => this.provider.hourly(locations, options));
+  }
+
+  async hourlyMarine(locations, options = {}) {
+    return this.shared(`hourlyMarine:${JSON.stringify([locations, options])}`, () => this.provider.hourlyMarine(locations, options));
+  }
+
+  round(value) {
+    return parseFloat((Math.round(value / this.precision) * this.precision).toFixed(4));
+  }
+
+  /**
+   * All variables of one kind at the rounded position for the current hour (wind in knots)
+   */
+  async cachedPoint(method, lat, lon, variables, options) {
+    const position = { lat: this.round(Number(lat)), lon: this.round(Number(lon)) };
+    const key = `${method}:${position.lat},${position.lon}@${new Date(floorHour(Date.now())).toISOString().slice(0, 13)}`;
+
+    const cached = this.entries.get(key);
+    if (cached && Date.now() - cached.fetchedAt < this.ttlMs) {
+      this.counts.hits++;
+      return cached.value;
+    }
+    if (this.pending.has(key)) {
+      this.counts.coalesced++;
+      return this.pending.get(key);
+    }
+
+    this.counts.misses++;
+    const value = await this.shared(key, () => this.provider[method](position.lat, position.lon, {
+      variables,
+      windSpeedUnit: 'kn',
+      timeout: options.timeout
+    }));
+    this.store(key, value);
+    return value;
+  }
+
+  store(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, fetchedAt: Date.now() });
+    const expired = Date.now() - this.ttlMs;
+    for (const [oldKey, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries && entry.fetchedAt >= expired) break;
+      this.entries.delete(oldKey);
+    }
+  }
+
+  /**
+   * One request per key at a time: callers asking while it is in flight get the same promise
+   */
+  shared(key, fetch) {
+    if (this.pending.has(key)) {
+      this.counts.coalesced++;
+      return this.pending.get(key);
+    }
+    const request = this.limited(fetch).finally(() => this.pending.delete(key));
+    this.pending.set(key, request);
+    return request;
+  }
+
+  /**
+   * A provider request through the token bucket, retried with exponential backoff
+   */
+  async limited(fetch) {
+    for (let attempt = 0; ; attempt++) {
+      this.counts.throttledMs += await this.bucket.take();
+      this.counts.requests++;
+      try {
+        return await fetch();
+      } catch (error) {
+        if (attempt >= this.maxRetries || !isRetryable(error)) {
+          this.counts.errors++;
+          throw error;
+        }
+        const delay = retryAfterMs(error) ?? this.retryDelayMs * 2 ** attempt;
+        this.counts.retries++;
+        console.warn(`⚠️  ${this.name} weather request failed (${error.response?.status || error.code}), retry ${attempt + 1}/${this.maxRetries} in ${delay} ms`);
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = { CachedWeatherProvider, TokenBucket };
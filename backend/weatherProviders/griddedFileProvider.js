@@ -0,0 +1,172 @@
+/**
+ * 🗂️ GRIDDED FILE WEATHER PROVIDER
+ * Weather from a local file: an hourly lat/lon lattice in the ForecastField format
+ *   { source, issuedAt, lattice: { latMin, lonMin, step, rows, cols }, startTime, stepHours, steps,
+ *     variables: { name: [steps * rows * cols values, null where missing] } }
+ * with wind in knots. Values are interpolated in space and time; positions outside the lattice use
+ * its edge and times outside the forecast its first or last step. The file is re-read when it changes.
+ *
+ * WEATHER_FILE = path of the file (default backend/data/weatherGrid.json)
+ *
+ * Snapshot a provider into a file (e.g. to route offline later):
+ *   node weatherProviders/griddedFileProvider.js <latMin> <latMax> <lonMin> <lonMax> [hours] [--from open-meteo|mock] [--out file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WeatherProvider, WeatherProviderError, ATMOSPHERE_VARIABLES, MARINE_VARIABLES, HOUR_MS } = require('./weatherProvider');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'weatherGrid.json');
+
+// Variables a snapshot keeps
+const SNAPSHOT_VARIABLES = [
+  'windSpeed', 'windDirection', 'windGusts', 'visibility', 'temperature', 'humidity', 'pressure',
+  'cloudCover', 'precipitation', 'waveHeight', 'waveDirection', 'wavePeriod', 'swellWaveHeight',
+  'currentVelocity', 'currentDirection'
+];
+
+/**
+ * Read a weather file into a ForecastField
+ */
+function loadWeatherFile(filePath) {
+  // Required here: forecastField.js builds its fields through the weather providers
+  const { ForecastField } = require('../forecastField');
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const { lattice, steps, variables } = data;
+  if (!lattice || !steps || !variables) {
+    throw new WeatherProviderError(500, `${filePath} is not a weather grid file (lattice, steps and variables are required)`);
+  }
+
+  const size = steps * lattice.rows * lattice.cols;
+  const arrays = {};
+  for (const [name, values] of Object.entries(variables)) {
+    if (!Array.isArray(values) || values.length !== size) {
+      throw new WeatherProviderError(500, `${filePath}: variable ${name} needs ${size} values (steps x rows x cols)`);
+    }
+    arrays[name] = Float32Array.from(values, value => (value === null ? NaN : value));
+  }
+  return new ForecastField({
+    ...data,
+    startTime: new Date(data.startTime).getTime(),
+    stepHours: data.stepHours || 1,
+    variables: arrays
+  });
+}
+
+/**
+ * Write a ForecastField as a weather file
+ */
+function saveWeatherFile(field, filePath) {
+  const data = field.toJSON();
+  const variables = Object.fromEntries(Object.entries(data.variables).map(([name, values]) =>
+    [name, Array.from(values, value => (Number.isNaN(value) ? null : parseFloat(value.toFixed(2))))]
+  ));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ ...data, startTime: new Date(data.startTime).toISOString(), variables }));
+  return filePath;
+}
+
+class GriddedFileProvider extends WeatherProvider {
+  /**
+   * @param {Object} options - { file } (default WEATHER_FILE)
+   */
+  constructor(options = {}) {
+    super('file', 'Gridded forecast from a local file (no network)');
+    this.file = options.file || process.env.WEATHER_FILE || DEFAULT_FILE;
+    this.field = null;
+    this.loadedMtime = null;
+  }
+
+  /**
+   * The file's ForecastField, re-read when the file has changed
+   */
+  getField() {
+    let stat;
+    try {
+      stat = fs.statSync(this.file);
+    } catch (error) {
+      throw new WeatherProviderError(503, `No weather file at ${this.file} (set WEATHER_FILE or create one with node weatherProviders/griddedFileProvider.js)`);
+    }
+    if (!this.field || stat.mtimeMs !== this.loadedMtime) {
+      this.field = loadWeatherFile(this.file);
+      this.loadedMtime = stat.mtimeMs;
+      console.log(`🗂️  Weather file loaded: ${this.file} (${Object.keys(this.field.variables).length} variables, ${this.field.steps} hours)`);
+    }
+    return this.field;
+  }
+
+  describe() {
+    const description = { ...super.describe(), file: this.file };
+    try {
+      const field = this.getField();
+      return {
+        ...description,
+        source: field.source,
+        issuedAt: field.issuedAt,
+        startTime: new Date(field.startTime).toISOString(),
+        endTime: new Date(field.endTime).toISOString(),
+        variables: Object.keys(field.variables)
+      };
+    } catch (error) {
+      return { ...description, error: error.message };
+    }
+  }
+
+  async conditionsAt(lat, lon, time) {
+    const field = this.getField();
+    const conditions = { time: Math.floor(time / HOUR_MS) * HOUR_MS };
+    for (const name of [...ATMOSPHERE_VARIABLES, ...MARINE_VARIABLES]) {
+      const value = field.sample(name, lat, lon, time);
+      conditions[name] = value === undefined ? null : parseFloat(value.toFixed(2));
+    }
+    if (conditions.weatherCode !== null) conditions.weatherCode = Math.round(conditions.weatherCode);
+    const localHour = ((time / HOUR_MS + lon / 15) % 24 + 24) % 24;
+    conditions.isDay = localHour >= 6 && localHour < 18;
+    return conditions;
+  }
+}
+
+module.exports = {
+  DEFAULT_FILE,
+  GriddedFileProvider,
+  loadWeatherFile,
+  saveWeatherFile
+};
+
+// CLI: snapshot a provider's forecast for a region into a weather file
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (flag, fallback) => {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args.splice(index, 2)[1] : fallback;
+  };
+  const from = option('--from', 'open-meteo');
+  const out = option('--out', process.env.WEATHER_FILE || DEFAULT_FILE);
+  const [latMin, latMax, lonMin, lonMax, hours = 72] = args.map(Number);
+
+  if ([latMin, latMax, lonMin, lonMax].some(value => !Number.isFinite(value))) {
+    console.log('Usage: node weatherProviders/griddedFileProvider.js <latMin> <latMax> <lonMin> <lonMax> [hours] [--from open-meteo|mock] [--out file]');
+    console.log('Example: node weatherProviders/griddedFileProvider.js 0 25 60 95 120 --from open-meteo');
+    process.exit(1);
+  }
+
+  const { fetchForecastField } = require('../forecastField');
+  const { createWeatherProvider } = require('./index');
+
+  (async () => {
+    const field = await fetchForecastField({ latMin, latMax, lonMin, lonMax }, new Date(), hours, {
+      provider: createWeatherProvider(from),
+      variables: SNAPSHOT_VARIABLES
+    });
+    if (!field) {
+      console.error(`❌ No forecast from ${from}`);
+      process.exit(1);
+    }
+    saveWeatherFile(field, out);
+    console.log(`✅ Saved ${field.steps} hours x ${field.lattice.rows * field.lattice.cols} points from ${from} to ${out}`);
+    console.log('   Use it with WEATHER_PROVIDER=file' + (out === DEFAULT_FILE ? '' : ` WEATHER_FILE=${out}`));
+  })().catch(error => {
+    console.error('❌ Snapshot failed:', error.message);
+    process.exit(1);
+  });
+}
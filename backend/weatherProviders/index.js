@@ -0,0 +1,125 @@
+/**
+ * 🌦️ WEATHER PROVIDERS
+ * Every live-weather read (API routes, hazard checks, route forecasts, grid updaters) goes through
+ * the configured provider, so routing works without network access and other sources plug in
+ * without touching route code. Add a source by extending WeatherProvider and registering a factory.
+ * Network providers are wrapped in the shared fetch cache and rate limiter (cachedProvider.js).
+ *
+ * WEATHER_PROVIDER = 'open-meteo' | 'file' | 'snapshot' | 'mock'   (default 'open-meteo')
+ */
+
+const {
+  WeatherProvider,
+  WeatherProviderError,
+  ATMOSPHERE_VARIABLES,
+  MARINE_VARIABLES,
+  WIND_SPEED_UNITS
+} = require('./weatherProvider');
+const OpenMeteoProvider = require('./openMeteoProvider');
+const MockProvider = require('./mockProvider');
+const { GriddedFileProvider, loadWeatherFile, saveWeatherFile } = require('./griddedFileProvider');
+const SnapshotProvider = require('./snapshotProvider');
+const { CachedWeatherProvider } = require('./cachedProvider');
+
+const DEFAULT_PROVIDER = 'open-meteo';
+
+const factories = new Map();
+let provider = null;
+
+/**
+ * @param {string} name
+ * @param {Function} factory - options => WeatherProvider
+ * @param {string} description
+ */
+function registerWeatherProvider(name, factory, description) {
+  factories.set(name, { factory, description });
+}
+
+function resolveWeatherProvider(env = process.env) {
+  return (env.WEATHER_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+}
+
+function createWeatherProvider(name = resolveWeatherProvider(), options = {}) {
+  const entry = factories.get(name);
+  if (!entry) {
+    throw new Error(`Unknown WEATHER_PROVIDER "${name}" (use ${Array.from(factories.keys()).join(', ')})`);
+  }
+  const created = entry.factory(options);
+  if (!(created instanceof WeatherProvider)) {
+    throw new Error('Weather providers must extend WeatherProvider');
+  }
+  return created;
+}
+
+/**
+ * A provider as the process uses it: network providers behind the shared fetch cache
+ */
+function withFetchCache(created) {
+  return created.remote ? new CachedWeatherProvider(created) : created;
+}
+
+/**
+ * The process-wide provider (created on first use)
+ */
+function getWeatherProvider() {
+  if (!provider) {
+    provider = withFetchCache(createWeatherProvider());
+    console.log(`🌦️  Weather provider: ${provider.name}${provider instanceof CachedWeatherProvider ? ' (shared fetch cache)' : ''}`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the process-wide provider (tests, demos); a name gets the same fetch cache as on startup
+ */
+function setWeatherProvider(next) {
+  provider = typeof next === 'string' ? withFetchCache(createWeatherProvider(next)) : next;
+  return provider;
+}
+
+/**
+ * Fetch cache counts of the process-wide provider ({ enabled: false } for local providers)
+ */
+function getWeatherFetchStats() {
+  const active = getWeatherProvider();
+  return active instanceof CachedWeatherProvider
+    ? { enabled: true, provider: active.name, ...active.stats() }
+    : { enabled: false, provider: active.name };
+}
+
+function listWeatherProviders() {
+  const active = resolveWeatherProvider();
+  return Array.from(factories.entries()).map(([name, { description }]) => ({
+    name,
+    description,
+    active: (provider ? provider.name : active) === name
+  }));
+}
+
+registerWeatherProvider('open-meteo', options => new OpenMeteoProvider(options), 'Open-Meteo forecast and marine APIs');
+registerWeatherProvider('file', options => new GriddedFileProvider(options), 'Gridded forecast from a local file (WEATHER_FILE)');
+registerWeatherProvider('snapshot', options => new SnapshotProvider(options), 'Ingested GRIB2 forecast snapshot (WEATHER_SNAPSHOT, default the newest)');
+registerWeatherProvider('mock', options => new MockProvider(options), 'Deterministic synthetic weather');
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  ATMOSPHERE_VARIABLES,
+  MARINE_VARIABLES,
+  WIND_SPEED_UNITS,
+  registerWeatherProvider,
+  resolveWeatherProvider,
+  createWeatherProvider,
+  getWeatherProvider,
+  setWeatherProvider,
+  getWeatherFetchStats,
+  listWeatherProviders,
+  loadWeatherFile,
+  saveWeatherFile,
+  WeatherProvider,
+  WeatherProviderError,
+  OpenMeteoProvider,
+  GriddedFileProvider,
+  SnapshotProvider,
+  MockProvider,
+  CachedWeatherProvider
+};
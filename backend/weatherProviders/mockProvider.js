@@ -0,0 +1,90 @@
+/**
+ * 🧪 MOCK WEATHER PROVIDER
+ * Deterministic weather for tests and offline demos: smooth fields of (lat, lon, time) with a
+ * 4-day weather system drifting east, a daily cycle, rougher seas in the Bay of Bengal and
+ * south of 10°S, and ocean currents setting east south of the equator and west north of it. The same position and time always give the same values; WEATHER_MOCK_SEED
+ * shifts the pattern to get another scenario.
+ */
+
+const { WeatherProvider, HOUR_MS } = require('./weatherProvider');
+
+const DEG = Math.PI / 180;
+const SYSTEM_PERIOD_HOURS = 96;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value, digits = 1) {
+  return parseFloat(value.toFixed(digits));
+}
+
+class MockProvider extends WeatherProvider {
+  /**
+   * @param {Object} options - { seed } (default WEATHER_MOCK_SEED, else 0)
+   */
+  constructor(options = {}) {
+    super('mock', 'Deterministic synthetic weather (no network; for tests and demos)');
+    this.seed = Number(options.seed ?? process.env.WEATHER_MOCK_SEED) || 0;
+  }
+
+  describe() {
+    return { ...super.describe(), seed: this.seed };
+  }
+
+  async conditionsAt(lat, lon, time) {
+    const hours = time / HOUR_MS;
+    const system = (hours / SYSTEM_PERIOD_HOURS) * 2 * Math.PI + this.seed;
+    const localHour = ((hours + lon / 15) % 24 + 24) % 24;
+
+    // Wind: a travelling wave pattern, stronger towards high latitudes and in the Bay of Bengal
+    const pattern = 0.5 + 0.5 * Math.sin(lat * 0.35 + lon * 0.12 - system);
+    const bayOfBengal = lat > 8 && lat < 22 && lon > 80 && lon < 95 ? 4 : 0;
+    const southern = lat < -10 ? (-10 - lat) * 0.4 : 0;
+    const windSpeed = 6 + 14 * pattern * (0.7 + 0.3 * Math.cos(lon * 0.2 + system / 2)) + bayOfBengal + southern;
+    const windDirection = ((lat < 0 ? 120 : 240) + 50 * Math.sin(lon * 0.1 + system) + 360) % 360;
+
+    // Waves follow the wind
+    const waveHeight = 0.4 + windSpeed * 0.12;
+    const cloudCover = clamp(45 + 40 * Math.sin(lat * 0.5 + lon * 0.3 - system), 0, 100);
+    const precipitation = cloudCover > 75 ? (cloudCover - 75) * 0.12 : 0;
+    const temperature = 29 - 0.3 * Math.abs(lat - 5) + 1.5 * Math.sin((localHour - 9) * 15 * DEG);
+
+    // Currents: bands of 0.2-1.7 kn that change slowly with the weather system
+    const currentVelocity = 0.2 + 1.5 * (0.5 + 0.5 * Math.sin(lat * 0.3 + lon * 0.15 - system / 4));
+    const currentDirection = ((lat < 0 ? 90 : 270) + 30 * Math.sin(lon * 0.08 + lat * 0.1) + 360) % 360;
+
+    return {
+      time,
+      temperature: round(temperature),
+      apparentTemperature: round(temperature + 2),
+      humidity: round(clamp(70 + 15 * Math.sin(lon * 0.2 + system), 0, 100), 0),
+      windSpeed: round(windSpeed),
+      windDirection: round(windDirection, 0),
+      windGusts: round(windSpeed * 1.35),
+      pressure: round(1014 - (windSpeed - 10) * 0.9),
+      surfacePressure: round(1013 - (windSpeed - 10) * 0.9),
+      cloudCover: round(cloudCover, 0),
+      visibility: cloudCover > 85 ? 4000 : cloudCover > 70 ? 8000 : 20000,
+      precipitation: round(precipitation),
+      rain: round(precipitation),
+      showers: 0,
+      snowfall: 0,
+      weatherCode: precipitation > 1 ? 61 : cloudCover > 70 ? 3 : cloudCover > 30 ? 2 : 0,
+      isDay: localHour >= 6 && localHour < 18,
+      waveHeight: round(waveHeight),
+      waveDirection: round(windDirection, 0),
+      wavePeriod: round(4 + waveHeight * 1.5),
+      windWaveHeight: round(waveHeight * 0.6),
+      windWaveDirection: round(windDirection, 0),
+      windWavePeriod: round(3 + waveHeight),
+      swellWaveHeight: round(waveHeight * 0.8),
+      swellWaveDirection: round((windDirection + 20) % 360, 0),
+      swellWavePeriod: round(8 + waveHeight),
+      currentVelocity: round(currentVelocity, 2),
+      currentDirection: round(currentDirection, 0)
+    };
+  }
+}
+
+module.exports = MockProvider;
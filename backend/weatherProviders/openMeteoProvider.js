@@ -0,0 +1,152 @@
+/**
+ * 🌍 OPEN-METEO WEATHER PROVIDER
+ * Forecast and marine APIs of Open-Meteo (free, no API key). The URLs can point at a
+ * self-hosted instance with OPEN_METEO_FORECAST_URL and OPEN_METEO_MARINE_URL.
+ */
+
+const axios = require('axios');
+const { WeatherProvider, ATMOSPHERE_VARIABLES, MARINE_VARIABLES, HOUR_MS } = require('./weatherProvider');
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const MARINE_URL = 'https://marine-api.open-meteo.com/v1/marine';
+const LOCATIONS_PER_REQUEST = 50;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Provider variable -> Open-Meteo variable
+const API_NAMES = {
+  temperature: 'temperature_2m',
+  apparentTemperature: 'apparent_temperature',
+  humidity: 'relative_humidity_2m',
+  windSpeed: 'wind_speed_10m',
+  windDirection: 'wind_direction_10m',
+  windGusts: 'wind_gusts_10m',
+  pressure: 'pressure_msl',
+  surfacePressure: 'surface_pressure',
+  cloudCover: 'cloud_cover',
+  visibility: 'visibility',
+  precipitation: 'precipitation',
+  rain: 'rain',
+  showers: 'showers',
+  snowfall: 'snowfall',
+  weatherCode: 'weather_code',
+  isDay: 'is_day',
+  waveHeight: 'wave_height',
+  waveDirection: 'wave_direction',
+  wavePeriod: 'wave_period',
+  windWaveHeight: 'wind_wave_height',
+  windWaveDirection: 'wind_wave_direction',
+  windWavePeriod: 'wind_wave_period',
+  swellWaveHeight: 'swell_wave_height',
+  swellWaveDirection: 'swell_wave_direction',
+  swellWavePeriod: 'swell_wave_period',
+  currentVelocity: 'ocean_current_velocity',
+  currentDirection: 'ocean_current_direction'
+};
+
+const KMH_TO_KNOTS = 1 / 1.852;
+
+// Open-Meteo times are GMT without a zone (timezone=GMT)
+function isoTime(time) {
+  return time ? new Date(`${time}Z`).toISOString() : new Date().toISOString();
+}
+
+function hourString(time) {
+  return new Date(time).toISOString().slice(0, 16);
+}
+
+function apiValue(name, value) {
+  if (value === undefined || value === null) return null;
+  if (name === 'isDay') return value === 1;
+  // Ocean currents come in km/h
+  return name === 'currentVelocity' ? parseFloat((value * KMH_TO_KNOTS).toFixed(2)) : value;
+}
+
+class OpenMeteoProvider extends WeatherProvider {
+  constructor(options = {}) {
+    super('open-meteo', 'Open-Meteo forecast and marine APIs');
+    this.remote = true;
+    this.forecastUrl = options.forecastUrl || process.env.OPEN_METEO_FORECAST_URL || FORECAST_URL;
+    this.marineUrl = options.marineUrl || process.env.OPEN_METEO_MARINE_URL || MARINE_URL;
+  }
+
+  describe() {
+    return { ...super.describe(), forecastUrl: this.forecastUrl, marineUrl: this.marineUrl };
+  }
+
+  async current(lat, lon, options = {}) {
+    return this.fetchCurrent(this.forecastUrl, lat, lon, ATMOSPHERE_VARIABLES, {
+      wind_speed_unit: options.windSpeedUnit || 'kn'
+    }, options);
+  }
+
+  async currentMarine(lat, lon, options = {}) {
+    return this.fetchCurrent(this.marineUrl, lat, lon, MARINE_VARIABLES, {}, options);
+  }
+
+  async hourly(locations, options = {}) {
+    return this.fetchHourly(this.forecastUrl, locations, ATMOSPHERE_VARIABLES, {
+      wind_speed_unit: options.windSpeedUnit || 'kn'
+    }, options);
+  }
+
+  async hourlyMarine(locations, options = {}) {
+    return this.fetchHourly(this.marineUrl, locations, MARINE_VARIABLES, {}, options);
+  }
+
+  async fetchCurrent(url, lat, lon, allowed, params, options) {
+    const names = (options.variables || allowed).filter(name => allowed.includes(name));
+    const response = await axios.get(url, {
+      params: {
+        latitude: Number(lat).toFixed(4),
+        longitude: Number(lon).toFixed(4),
+        current: names.map(name => API_NAMES[name]).join(','),
+        timezone: 'GMT',
+        ...params
+      },
+      timeout: options.timeout || DEFAULT_TIMEOUT_MS
+    });
+
+    const current = response.data.current || {};
+    const result = { time: isoTime(current.time) };
+    names.forEach(name => { result[name] = apiValue(name, current[API_NAMES[name]]); });
+    return result;
+  }
+
+  /**
+   * Hourly series for many locations, LOCATIONS_PER_REQUEST at a time
+   */
+  async fetchHourly(url, locations, allowed, params, options) {
+    const names = (options.variables || allowed).filter(name => allowed.includes(name));
+    const startTime = options.startTime ?? Date.now();
+    const endTime = options.endTime ?? new Date(startTime).getTime() + 7 * 24 * HOUR_MS;
+
+    const series = [];
+    for (let offset = 0; offset < locations.length; offset += LOCATIONS_PER_REQUEST) {
+      const batch = locations.slice(offset, offset + LOCATIONS_PER_REQUEST);
+      const response = await axios.get(url, {
+        params: {
+          latitude: batch.map(point => Number(point.lat).toFixed(2)).join(','),
+          longitude: batch.map(point => Number(point.lon).toFixed(2)).join(','),
+          hourly: names.map(name => API_NAMES[name]).join(','),
+          start_hour: hourString(startTime),
+          end_hour: hourString(endTime),
+          timezone: 'GMT',
+          ...params
+        },
+        timeout: options.timeout || 15000
+      });
+      // One location returns an object, several an array
+      const results = Array.isArray(response.data) ? response.data : [response.data];
+      series.push(...results.map(({ hourly = {} }) => {
+        const values = { time: (hourly.time || []).map(isoTime) };
+        names.forEach(name => {
+          values[name] = (hourly[API_NAMES[name]] || []).map(value => apiValue(name, value));
+        });
+        return values;
+      }));
+    }
+    return series;
+  }
+}
+
+module.exports = OpenMeteoProvider;
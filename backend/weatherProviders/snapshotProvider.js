@@ -0,0 +1,48 @@
+/**
+ * 📥 WEATHER SNAPSHOT PROVIDER
+ * Weather from an ingested forecast snapshot (GRIB2 resampled onto the routing grid, see
+ * gribIngest.js): the newest ingested snapshot, or the one named by WEATHER_SNAPSHOT. A new upload
+ * is picked up on the next request. Forecasts the forecast store saved from network fetches are
+ * not served here.
+ */
+
+const { WeatherProviderError } = require('./weatherProvider');
+const { GriddedFileProvider } = require('./griddedFileProvider');
+const { getSnapshotStore } = require('../weatherSnapshots');
+
+class SnapshotProvider extends GriddedFileProvider {
+  /**
+   * @param {Object} options - { snapshot } id (default WEATHER_SNAPSHOT, else the newest), { store }
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'snapshot';
+    this.description = 'Ingested GRIB2 forecast snapshot (no network)';
+    this.snapshotId = options.snapshot || process.env.WEATHER_SNAPSHOT || null;
+    this.store = options.store || getSnapshotStore();
+    this.file = undefined;
+  }
+
+  getField() {
+    const snapshot = this.snapshotId ? this.store.get(this.snapshotId) : this.store.latest({ kind: 'grib' });
+    if (!snapshot) {
+      throw new WeatherProviderError(503, this.snapshotId
+        ? `Weather snapshot ${this.snapshotId} not found`
+        : 'No weather snapshot ingested yet (POST a GRIB2 file to /api/weather/grib or run node gribIngest.js)');
+    }
+    if (!this.field || this.field.snapshot.id !== snapshot.id) {
+      this.field = this.store.load(snapshot.id);
+      console.log(`📥 Weather snapshot loaded: ${snapshot.id} (${snapshot.variables.join(', ')}, ${snapshot.steps} steps)`);
+    }
+    return this.field;
+  }
+
+  describe() {
+    const description = super.describe();
+    delete description.file;
+    if (this.field && this.field.snapshot) description.snapshot = this.field.snapshot.id;
+    return description;
+  }
+}
+
+module.exports = SnapshotProvider;
@@ -0,0 +1,158 @@
+/**
+ * 🌦️ WEATHER PROVIDER CONTRACT
+ * Every weather source answers the same four questions with the same field names and units:
+ *
+ *   current(lat, lon, options)             -> { time, temperature, windSpeed, windDirection, ... }
+ *   currentMarine(lat, lon, options)       -> { time, waveHeight, waveDirection, wavePeriod, ... }
+ *   hourly(locations, options)             -> per location: { time: [ISO], windSpeed: [...], ... }
+ *   hourlyMarine(locations, options)       -> per location: { time: [ISO], waveHeight: [...], ... }
+ *
+ * Units: wind in knots (options.windSpeedUnit 'kn' | 'ms' | 'kmh'), directions in degrees (from),
+ * waves and swell in m, periods in s, visibility in m, pressure in hPa, temperature in °C,
+ * precipitation in mm, ocean currents in knots (currentDirection is where the current sets towards).
+ * Values a source does not have are null.
+ *
+ * Sources that can give the conditions at any (lat, lon, time) only implement conditionsAt();
+ * the four methods are built on it here. Sources behind an API (Open-Meteo) override them.
+ */
+
+const HOUR_MS = 3600000;
+
+const ATMOSPHERE_VARIABLES = [
+  'temperature', 'apparentTemperature', 'humidity', 'windSpeed', 'windDirection', 'windGusts',
+  'pressure', 'surfacePressure', 'cloudCover', 'visibility', 'precipitation', 'rain', 'showers',
+  'snowfall', 'weatherCode', 'isDay'
+];
+
+const MARINE_VARIABLES = [
+  'waveHeight', 'waveDirection', 'wavePeriod', 'windWaveHeight', 'windWaveDirection',
+  'windWavePeriod', 'swellWaveHeight', 'swellWaveDirection', 'swellWavePeriod', 'currentVelocity',
+  'currentDirection'
+];
+
+const WIND_VARIABLES = new Set(['windSpeed', 'windGusts']);
+
+// Knots -> requested wind speed unit
+const WIND_SPEED_UNITS = {
+  kn: 1,
+  ms: 0.514444,
+  kmh: 1.852
+};
+
+/**
+ * Error with an HTTP status, thrown for requests a provider cannot answer
+ */
+class WeatherProviderError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'WeatherProviderError';
+    this.statusCode = statusCode;
+  }
+}
+
+function windFactor(unit = 'kn') {
+  const factor = WIND_SPEED_UNITS[unit];
+  if (!factor) {
+    throw new WeatherProviderError(400, `Unknown windSpeedUnit "${unit}" (use ${Object.keys(WIND_SPEED_UNITS).join(', ')})`);
+  }
+  return factor;
+}
+
+/**
+ * Hour (ms) at or before a time
+ */
+function floorHour(time) {
+  return Math.floor(new Date(time).getTime() / HOUR_MS) * HOUR_MS;
+}
+
+class WeatherProvider {
+  /**
+   * @param {string} name - Selected with WEATHER_PROVIDER=<name>
+   * @param {string} description
+   */
+  constructor(name, description) {
+    this.name = name;
+    this.description = description;
+    // True when every read is a network request (callers then sample cells and pace requests)
+    this.remote = false;
+  }
+
+  /**
+   * Conditions at a position and time (ms): { time, ...every ATMOSPHERE_VARIABLES and
+   * MARINE_VARIABLES value }, wind in knots (null where unknown)
+   */
+  async conditionsAt(lat, lon, time) {
+    throw new Error(`${this.name} weather provider does not implement conditionsAt()`);
+  }
+
+  /**
+   * Name and description (providers with their own data add where it came from)
+   */
+  describe() {
+    return { name: this.name, description: this.description, remote: this.remote };
+  }
+
+  async current(lat, lon, options = {}) {
+    return this.pick(await this.conditionsAt(lat, lon, Date.now()), ATMOSPHERE_VARIABLES, options);
+  }
+
+  async currentMarine(lat, lon, options = {}) {
+    return this.pick(await this.conditionsAt(lat, lon, Date.now()), MARINE_VARIABLES, options);
+  }
+
+  /**
+   * @param {Array<{lat, lon}>} locations
+   * @param {Object} options - { startTime, endTime (default startTime + 7 days), variables, windSpeedUnit }
+   */
+  async hourly(locations, options = {}) {
+    return this.series(locations, ATMOSPHERE_VARIABLES, options);
+  }
+
+  async hourlyMarine(locations, options = {}) {
+    return this.series(locations, MARINE_VARIABLES, options);
+  }
+
+  /**
+   * The requested variables of one conditionsAt() result, wind in the requested unit
+   */
+  pick(conditions, allowed, options = {}) {
+    const factor = windFactor(options.windSpeedUnit);
+    const result = { time: new Date(conditions.time ?? Date.now()).toISOString() };
+    for (const name of options.variables || allowed) {
+      if (!allowed.includes(name)) continue;
+      const value = conditions[name] ?? null;
+      result[name] = value !== null && WIND_VARIABLES.has(name) ? parseFloat((value * factor).toFixed(2)) : value;
+    }
+    return result;
+  }
+
+  async series(locations, allowed, options = {}) {
+    const startTime = floorHour(options.startTime ?? Date.now());
+    const endTime = floorHour(options.endTime ?? startTime + 7 * 24 * HOUR_MS);
+    const names = (options.variables || allowed).filter(name => allowed.includes(name));
+
+    const result = [];
+    for (const { lat, lon } of locations) {
+      const hourly = { time: [] };
+      names.forEach(name => { hourly[name] = []; });
+      for (let time = startTime; time <= endTime; time += HOUR_MS) {
+        const values = this.pick(await this.conditionsAt(lat, lon, time), allowed, { ...options, variables: names });
+        hourly.time.push(values.time);
+        names.forEach(name => hourly[name].push(values[name]));
+      }
+      result.push(hourly);
+    }
+    return result;
+  }
+}
+
+module.exports = {
+  HOUR_MS,
+  ATMOSPHERE_VARIABLES,
+  MARINE_VARIABLES,
+  WIND_SPEED_UNITS,
+  WeatherProvider,
+  WeatherProviderError,
+  windFactor,
+  floorHour
+};
@@ -1,38 +1,76 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
 require('dotenv').config();
 const Grid = require('./models/Grid');
+const { getWeatherProvider, WIND_SPEED_UNITS } = require('./weatherProviders');
+const weatherConfig = require('./weatherConfig');
+const { ForecastField, VARIABLES } = require('./forecastField');
+const { saveForecast } = require('./forecastStore');
+
+const HOUR_MS = 3600000;
 
 /**
  * Weather Service - Real-Time Weather Integration
- * Fetches weather data from Open-Meteo API for maritime navigation
- * Updates both gridData.json and MongoDB Atlas
+ * Fetches weather data from the configured weather provider (WEATHER_PROVIDER) for maritime navigation
+ * Updates both gridData.json and MongoDB Atlas with the current hour; the hourly forecast fetched
+ * with it goes to the forecast store (forecastStore.js) as a 'grid' snapshot
  */
 
 class WeatherService {
   constructor() {
-    this.baseUrl = 'https://api.open-meteo.com/v1/forecast';
-    this.marineUrl = 'https://marine-api.open-meteo.com/v1/marine';
+    this.provider = getWeatherProvider();
     this.requestCount = 0;
     this.successCount = 0;
     this.failCount = 0;
+    this.forecasts = new Map(); // "lat,lon" -> { lat, lon, hourly, marine } fetched this run
+  }
+
+  /**
+   * Hourly window stored per cell: this hour to FORECAST_STORE_HOURS ahead
+   */
+  forecastWindow() {
+    const startTime = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    return { startTime, endTime: startTime + weatherConfig.FORECAST_STORE_HOURS * HOUR_MS };
+  }
+
+  /**
+   * Values of an hourly series at one hour: { time, ...variables }
+   */
+  valuesAt(hourly, index) {
+    const values = { time: hourly.time[index] };
+    for (const [name, series] of Object.entries(hourly)) {
+      if (name !== 'time') values[name] = series[index] ?? null;
+    }
+    return values;
+  }
+
+  rememberForecast(latitude, longitude, key, hourly) {
+    const id = `${latitude},${longitude}`;
+    const entry = this.forecasts.get(id) || { lat: latitude, lon: longitude };
+    entry[key] = hourly;
+    this.forecasts.set(id, entry);
   }
 
   /**
-   * Fetch weather data for a single point
+   * Fetch weather data for a single point: the hourly forecast (kept for the forecast store)
+   * and its current hour
    */
   async fetchWeatherData(latitude, longitude) {
     try {
-      const url = `${this.baseUrl}?latitude=${latitude}&longitude=${longitude}&current=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,rain,showers,snowfall,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m&hourly=wind_speed_10m,wind_speed_80m,wind_direction_10m,temperature_2m,precipitation,visibility&wind_speed_unit=ms&timezone=auto`;
-      
-      const response = await axios.get(url);
+      // Wind in knots like the forecast store; the grid keeps m/s
+      const [hourly] = await this.provider.hourly([{ lat: latitude, lon: longitude }], this.forecastWindow());
       this.requestCount++;
+      this.rememberForecast(latitude, longitude, 'hourly', hourly);
+
+      const current = this.valuesAt(hourly, 0);
+      for (const name of ['windSpeed', 'windGusts']) {
+        if (current[name] !== null) current[name] = parseFloat((current[name] * WIND_SPEED_UNITS.ms).toFixed(2));
+      }
       
       return {
-        current: response.data.current,
-        hourly: response.data.hourly,
+        current,
+        hourly,
         success: true,
       };
     } catch (error) {
@@ -46,13 +84,12 @@ class WeatherService {
    */
   async fetchMarineData(latitude, longitude) {
     try {
-      const url = `${this.marineUrl}?latitude=${latitude}&longitude=${longitude}&current=wave_height,wave_direction,wave_period,wind_wave_height,swell_wave_height&hourly=wave_height,wave_direction,wave_period&timezone=auto`;
-      
-      const response = await axios.get(url);
+      const [hourly] = await this.provider.hourlyMarine([{ lat: latitude, lon: longitude }], this.forecastWindow());
+      this.rememberForecast(latitude, longitude, 'marine', hourly);
       
       return {
-        current: response.data.current,
-        hourly: response.data.hourly,
+        current: this.valuesAt(hourly, 0),
+        hourly,
         success: true,
       };
     } catch (error) {
@@ -69,22 +106,22 @@ class WeatherService {
     const marine = marineData.success ? marineData.current : {};
 
     return {
-      temperature: current.temperature_2m || null,
-      windSpeed: current.wind_speed_10m || null,
-      windDirection: current.wind_direction_10m || null,
-      windGusts: current.wind_gusts_10m || null,
-      waveHeight: marine.wave_height || null,
-      waveDirection: marine.wave_direction || null,
-      wavePeriod: marine.wave_period || null,
+      temperature: current.temperature || null,
+      windSpeed: current.windSpeed || null,
+      windDirection: current.windDirection || null,
+      windGusts: current.windGusts || null,
+      waveHeight: marine.waveHeight || null,
+      waveDirection: marine.waveDirection || null,
+      wavePeriod: marine.wavePeriod || null,
       precipitation: current.precipitation || 0,
       rain: current.rain || 0,
       showers: current.showers || 0,
       snowfall: current.snowfall || 0,
-      visibility: this.calculateVisibility(current.cloud_cover),
-      cloudCover: current.cloud_cover || null,
-      humidity: current.relative_humidity_2m || null,
-      pressure: current.pressure_msl || null,
-      weatherCode: current.weather_code || null,
+      visibility: this.calculateVisibility(current.cloudCover),
+      cloudCover: current.cloudCover || null,
+      humidity: current.humidity || null,
+      pressure: current.pressure || null,
+      weatherCode: current.weatherCode || null,
       lastUpdated: current.time || new Date().toISOString(),
     };
   }
@@ -234,6 +271,60 @@ class WeatherService {
     };
   }
 
+  /**
+   * Save the hourly forecasts fetched this run as a forecast store snapshot on the grid lattice.
+   * Only for network providers: local ones (file, snapshot, mock) can be read again at any time
+   * @param {number} resolution - grid resolution in degrees
+   * @returns {Object|null} the snapshot summary
+   */
+  storeForecast(resolution) {
+    const points = Array.from(this.forecasts.values()).filter(point => point.hourly);
+    if (!this.provider.remote || points.length === 0) return null;
+
+    const latMin = Math.min(...points.map(point => point.lat));
+    const lonMin = Math.min(...points.map(point => point.lon));
+    const lattice = {
+      latMin,
+      lonMin,
+      step: resolution,
+      rows: Math.round((Math.max(...points.map(point => point.lat)) - latMin) / resolution) + 1,
+      cols: Math.round((Math.max(...points.map(point => point.lon)) - lonMin) / resolution) + 1
+    };
+    const startTime = Date.parse(points[0].hourly.time[0]);
+    const steps = Math.max(...points.map(point => point.hourly.time.length));
+    const size = lattice.rows * lattice.cols;
+
+    const variables = {};
+    for (const name of VARIABLES) {
+      const values = new Float32Array(steps * size).fill(NaN);
+      let found = false;
+      for (const point of points) {
+        const series = (point.hourly[name] ? point.hourly : point.marine || {})[name];
+        if (!series) continue;
+        const index = Math.round((point.lat - latMin) / resolution) * lattice.cols + Math.round((point.lon - lonMin) / resolution);
+        series.forEach((value, step) => {
+          if (value !== null && step < steps) {
+            values[step * size + index] = value;
+            found = true;
+          }
+        });
+      }
+      if (found) variables[name] = values;
+    }
+
+    const snapshot = saveForecast(new ForecastField({
+      source: this.provider.name,
+      issuedAt: new Date().toISOString(),
+      lattice,
+      startTime,
+      stepHours: 1,
+      steps,
+      variables
+    }), { kind: 'grid', cells: points.length });
+    console.log(`🗂️  Forecast store snapshot ${snapshot.id}: ${points.length} cells x ${snapshot.steps} hours\n`);
+    return snapshot;
+  }
+
   /**
    * Update all grid points from JSON file
    */
@@ -273,6 +364,7 @@ class WeatherService {
     console.log('\n\n✅ Weather update complete!');
     console.log(`⏱️  Duration: ${duration}s`);
     console.log(`📈 Success: ${this.successCount} | ❌ Failed: ${this.failCount}\n`);
+    this.storeForecast(gridData.metadata.resolution || 0.5);
 
     // Save updated data
     gridData.metadata.lastWeatherUpdate = new Date().toISOString();
@@ -328,14 +420,16 @@ class WeatherService {
         const fuelEfficiency = this.calculateFuelEfficiency(weather);
         const cost = this.calculateCost(safety, fuelEfficiency);
 
-        // Update cell
-        cell.weatherData = {
+        // Update cell (weatherData is the legacy copy, readers fall back to it)
+        cell.weather = {
           temperature: weather.temperature,
           windSpeed: weather.windSpeed,
           windDirection: weather.windDirection,
           waveHeight: weather.waveHeight,
           visibility: weather.visibility,
+          lastUpdated: weather.lastUpdated,
         };
+        cell.weatherData = undefined;
         cell.cost = cost;
         cell.obstacle = safety < 20 ? true : cell.obstacle;
 
@@ -356,6 +450,13 @@ class WeatherService {
     console.log('\n\n✅ Weather update complete!');
     console.log(`⏱️  Duration: ${duration}s\n`);
 
+    const snapshot = this.storeForecast(grid.resolution);
+    if (snapshot) {
+      cellsToUpdate.forEach(cell => {
+        if (cell.weather && this.forecasts.has(`${cell.lat},${cell.lon}`)) cell.weather.forecastSnapshot = snapshot.id;
+      });
+    }
+
     // Save to database
     grid.updatedAt = new Date();
     await grid.save();
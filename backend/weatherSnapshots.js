@@ -0,0 +1,272 @@
+/**
+ * 🗃️ WEATHER SNAPSHOTS
+ * Forecasts resampled onto the routing grid (see gribIngest.js), one ForecastField per snapshot,
+ * kept as binary files next to the other stored data so a restart keeps the latest forecast:
+ *   WEATHER_SNAPSHOT_DIR (default STORAGE_DIR/weather, i.e. backend/data/weather)
+ * With STORAGE_BACKEND=memory snapshots stay in memory like everything else.
+ *
+ * File layout (little-endian), same scheme as gridData.bin (binaryGrid.js):
+ *   bytes 0-3   magic "JMWS"
+ *   bytes 4-5   format version (uint16)
+ *   bytes 6-7   reserved
+ *   bytes 8-11  header length (uint32)
+ *   header      UTF-8 JSON: id, source, times, lattice, layer table, ingestion summary
+ *   layers      one Float32Array (steps * rows * cols, NaN = missing) per variable, 8-byte aligned
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveBackend } = require('./storage');
+
+const MAGIC = 'JMWS';
+const FORMAT_VERSION = 1;
+const PREAMBLE_BYTES = 12;
+const EXTENSION = '.jmws';
+const MAX_LOADED = 3; // Decoded snapshots kept in memory
+
+function align8(offset) {
+  return Math.ceil(offset / 8) * 8;
+}
+
+function defaultDir() {
+  return process.env.WEATHER_SNAPSHOT_DIR ||
+    path.join(process.env.STORAGE_DIR || path.join(__dirname, 'data'), 'weather');
+}
+
+/**
+ * Encode a ForecastField and its metadata as a snapshot file
+ */
+function encodeSnapshot(field, metadata) {
+  const names = Object.keys(field.variables);
+  const layers = [];
+  let offset = 0;
+  for (const name of names) {
+    layers.push({ name, offset, length: field.variables[name].length });
+    offset = align8(offset + field.variables[name].length * 4);
+  }
+
+  const header = {
+    ...metadata,
+    source: field.source,
+    issuedAt: field.issuedAt,
+    lattice: field.lattice,
+    startTime: new Date(field.startTime).toISOString(),
+    endTime: new Date(field.endTime).toISOString(),
+    stepHours: field.stepHours,
+    steps: field.steps,
+    variables: names,
+    layers
+  };
+  const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+  const dataStart = align8(PREAMBLE_BYTES + headerBytes.length);
+  const buffer = Buffer.alloc(dataStart + offset);
+
+  buffer.write(MAGIC, 0, 'ascii');
+  buffer.writeUInt16LE(FORMAT_VERSION, 4);
+  buffer.writeUInt32LE(headerBytes.length, 8);
+  headerBytes.copy(buffer, PREAMBLE_BYTES);
+  for (const layer of layers) {
+    const values = field.variables[layer.name];
+    Buffer.from(values.buffer, values.byteOffset, values.byteLength).copy(buffer, dataStart + layer.offset);
+  }
+  return buffer;
+}
+
+function readHeader(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== MAGIC) {
+    throw new Error('Not a weather snapshot file');
+  }
+  const version = buffer.readUInt16LE(4);
+  if (version > FORMAT_VERSION) {
+    throw new Error(`Weather snapshot format ${version} is newer than supported (${FORMAT_VERSION})`);
+  }
+  const headerLength = buffer.readUInt32LE(8);
+  return {
+    header: JSON.parse(buffer.toString('utf8', PREAMBLE_BYTES, PREAMBLE_BYTES + headerLength)),
+    dataStart: align8(PREAMBLE_BYTES + headerLength)
+  };
+}
+
+/**
+ * Decode a snapshot file into a ForecastField (field.snapshot holds the header)
+ */
+function decodeSnapshot(buffer) {
+  // Required here: forecastField.js loads the weather providers, which read snapshots
+  const { ForecastField } = require('./forecastField');
+  const { header, dataStart } = readHeader(buffer);
+  const variables = {};
+  for (const layer of header.layers) {
+    // Copy so the field does not pin the whole file buffer
+    const bytes = buffer.subarray(dataStart + layer.offset, dataStart + layer.offset + layer.length * 4);
+    variables[layer.name] = new Float32Array(new Uint8Array(bytes).buffer);
+  }
+  const { layers, ...snapshot } = header;
+  const field = new ForecastField({
+    source: header.source,
+    issuedAt: header.issuedAt,
+    lattice: header.lattice,
+    startTime: Date.parse(header.startTime),
+    stepHours: header.stepHours,
+    steps: header.steps,
+    variables
+  });
+  field.snapshot = snapshot;
+  return field;
+}
+
+function sortNewestFirst(headers) {
+  return headers
+    .map(({ layers, ...header }) => header)
+    .sort((a, b) => b.ingestedAt.localeCompare(a.ingestedAt));
+}
+
+class WeatherSnapshotStore {
+  /**
+   * @param {Object} options - { dir, persist } (persist = false keeps snapshots in memory only)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || defaultDir();
+    this.persist = options.persist ?? resolveBackend() !== 'memory';
+    this.snapshots = new Map(); // id -> { buffer, header } (memory mode)
+    this.loaded = new Map(); // id -> decoded ForecastField, least recently used first
+    this.listed = null; // { mtimeMs, headers } of the snapshot folder
+  }
+
+  fileFor(id) {
+    if (!/^[\w.-]+$/.test(id)) return null;
+    return path.join(this.dir, `${id}${EXTENSION}`);
+  }
+
+  /**
+   * Store a ForecastField as a new snapshot
+   * @param {Object} metadata - extra header fields (fileName, referenceTime, messages, ...)
+   * @returns {Object} the snapshot summary
+   */
+  save(field, metadata = {}) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+    const id = `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+    const buffer = encodeSnapshot(field, { id, ...metadata, ingestedAt: new Date().toISOString() });
+
+    if (this.persist) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this.fileFor(id), buffer);
+    } else {
+      this.snapshots.set(id, { buffer, header: readHeader(buffer).header });
+    }
+    const { layers, ...snapshot } = readHeader(buffer).header;
+    return snapshot;
+  }
+
+  /**
+   * Snapshot summaries, newest first
+   * @param {Object} filter - { kind } to list one kind of snapshot ('grib', 'corridor', 'grid')
+   */
+  list(filter = {}) {
+    const headers = this.readHeaders();
+    return filter.kind ? headers.filter(header => header.kind === filter.kind) : headers;
+  }
+
+  readHeaders() {
+    if (!this.persist) {
+      return sortNewestFirst(Array.from(this.snapshots.values(), entry => entry.header));
+    }
+    if (!fs.existsSync(this.dir)) return [];
+
+    // Providers look up the newest snapshot on every read: re-read headers only when the folder changed
+    const { mtimeMs } = fs.statSync(this.dir);
+    if (this.listed && this.listed.mtimeMs === mtimeMs) return this.listed.headers;
+
+    const headers = [];
+    for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith(EXTENSION))) {
+      try {
+        headers.push(this.readFileHeader(path.join(this.dir, file)));
+      } catch (error) {
+        console.warn(`⚠️  Skipping weather snapshot ${file}: ${error.message}`);
+      }
+    }
+    this.listed = { mtimeMs, headers: sortNewestFirst(headers) };
+    return this.listed.headers;
+  }
+
+  /**
+   * Header of a snapshot file without reading its layers
+   */
+  readFileHeader(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+      const preamble = Buffer.alloc(PREAMBLE_BYTES);
+      fs.readSync(fd, preamble, 0, PREAMBLE_BYTES, 0);
+      const headerLength = preamble.readUInt32LE(8);
+      const buffer = Buffer.alloc(PREAMBLE_BYTES + headerLength);
+      fs.readSync(fd, buffer, 0, buffer.length, 0);
+      return readHeader(buffer).header;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  get(id) {
+    return this.list().find(snapshot => snapshot.id === id) || null;
+  }
+
+  latest(filter = {}) {
+    return this.list(filter)[0] || null;
+  }
+
+  /**
+   * The snapshot as a ForecastField (null if there is no such snapshot)
+   */
+  load(id) {
+    if (this.loaded.has(id)) {
+      const field = this.loaded.get(id);
+      this.loaded.delete(id);
+      this.loaded.set(id, field);
+      return field;
+    }
+
+    let buffer = null;
+    if (this.persist) {
+      const file = this.fileFor(id);
+      if (file && fs.existsSync(file)) buffer = fs.readFileSync(file);
+    } else {
+      buffer = this.snapshots.has(id) ? this.snapshots.get(id).buffer : null;
+    }
+    if (!buffer) return null;
+
+    const field = decodeSnapshot(buffer);
+    this.loaded.set(id, field);
+    if (this.loaded.size > MAX_LOADED) {
+      this.loaded.delete(this.loaded.keys().next().value);
+    }
+    return field;
+  }
+
+  delete(id) {
+    this.loaded.delete(id);
+    if (!this.persist) return this.snapshots.delete(id);
+    const file = this.fileFor(id);
+    if (!file || !fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+}
+
+let store = null;
+
+/**
+ * The process-wide snapshot store (created on first use)
+ */
+function getSnapshotStore() {
+  if (!store) {
+    store = new WeatherSnapshotStore();
+  }
+  return store;
+}
+
+module.exports = {
+  WeatherSnapshotStore,
+  getSnapshotStore,
+  encodeSnapshot,
+  decodeSnapshot
+};
@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
 import dynamic from 'next/dynamic'
+import axios from 'axios'
 import { motion, AnimatePresence } from 'framer-motion'
 import ControlPanel from '../../components/ControlPanel'
 import RouteStats from '../../components/RouteStats'
@@ -69,11 +70,28 @@ export default function Dashboard() {
     setShowStats(true)
   }
 
-  const handleReroute = (avoidAreas = []) => {
-    // Trigger recalculation with avoided areas
+  // Recalculate the current route around hazard / cyclone areas
+  const handleReroute = async (avoidAreas = []) => {
+    const path = routeData?.path
+    if (!path || path.length < 2 || avoidAreas.length === 0) return
+
     console.log('Rerouting to avoid:', avoidAreas)
-    // This should call the calculateRoute function again with avoidance parameters
-    // For now, just log - you can wire this up to ControlPanel's calculate function
+    try {
+      const { data } = await axios.post('http://localhost:5000/api/route/update-route', {
+        start: { lat: path[0].lat, lon: path[0].lon },
+        end: { lat: path[path.length - 1].lat, lon: path[path.length - 1].lon },
+        mode: selectedMode,
+        avoidAreas
+      })
+
+      const detour = data.avoidance?.totalDetour
+      console.log(`✅ Rerouted around ${data.avoidance?.avoidedAreas || 0} area(s)${detour ? `, +${detour.distanceKm} km` : ''}`)
+      setRouteData(data)
+      setShowStats(true)
+    } catch (error) {
+      console.error('Reroute failed:', error)
+      alert(`Failed to reroute: ${error.response?.data?.details || error.response?.data?.error || error.message}`)
+    }
   }
 
   const handleWeatherUpdate = (data) => {
@@ -1,6 +1,6 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { motion } from 'framer-motion'
-import { Navigation, Anchor, MapPin, Gauge, Shield, Fuel, Zap, Search } from 'lucide-react'
+import { Navigation, Anchor, MapPin, Gauge, Shield, Fuel, Zap, Search, XCircle } from 'lucide-react'
 import axios from 'axios'
 
 // Fallback ports if API fails
@@ -26,6 +26,16 @@ const FALLBACK_PORTS = [
   { name: 'Chittagong', country: 'Bangladesh', lat: 22.3569, lon: 91.7832 },
 ]
 
+// Route calculations run as background jobs on the server
+const ACTIVE_JOB_KEY = 'activeRouteJob'
+const JOB_POLL_INTERVAL = 2000 // ms
+
+const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return 'estimating...'
+  if (seconds < 60) return `${seconds}s`
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+}
+
 const MODES = [
   { id: 'optimal', name: 'Optimal', icon: Zap, color: 'orange', description: 'Balanced: Safety & Fuel' },
   { id: 'fuel', name: 'Fuel Efficient', icon: Fuel, color: 'green', description: 'Maximum fuel savings' },
@@ -42,6 +52,9 @@ export default function ControlPanel({ onRouteCalculated, selectedMode, setSelec
   const [toSearch, setToSearch] = useState('')
   const [loading, setLoading] = useState(false)
   const [loadingPorts, setLoadingPorts] = useState(true)
+  const [activeJob, setActiveJob] = useState(null)
+  const [jobProgress, setJobProgress] = useState(null)
+  const pollingRef = useRef(false)
 
   // Fetch all ports on component mount
   useEffect(() => {
@@ -100,11 +113,31 @@ export default function ControlPanel({ onRouteCalculated, selectedMode, setSelec
     }
   }, [toSearch, ports])
 
+  // Resume a route job that was still running when the page was closed or reloaded
+  useEffect(() => {
+    pollingRef.current = true
+    const savedJob = localStorage.getItem(ACTIVE_JOB_KEY)
+    if (savedJob) {
+      try {
+        const job = JSON.parse(savedJob)
+        console.log(`🔄 Resuming route job ${job.jobId}: ${job.fromPort} → ${job.toPort}`)
+        setLoading(true)
+        setActiveJob(job)
+        pollRouteJob(job)
+      } catch (error) {
+        localStorage.removeItem(ACTIVE_JOB_KEY)
+      }
+    }
+    return () => {
+      // Stop polling on unmount - the job keeps running on the server
+      pollingRef.current = false
+    }
+  }, [])
+
   const calculateRoute = async () => {
     if (!fromPort || !toPort) return
 
     setLoading(true)
-    const startTime = Date.now()
     
     try {
       const from = ports.find(p => p.name === fromPort)
@@ -112,159 +145,235 @@ export default function ControlPanel({ onRouteCalculated, selectedMode, setSelec
 
       if (!from || !to) {
         console.error('Port not found')
+        setLoading(false)
         return
       }
 
       console.log(`🚢 Calculating route: ${fromPort} → ${toPort} (${selectedMode} mode)`)
       
-      // Calculate route distance to estimate timeout needed
-      const distance = Math.sqrt(
-        Math.pow(to.lat - from.lat, 2) + Math.pow(to.lon - from.lon, 2)
-      )
-      const isLongRoute = distance > 20 // ~2000km+
-      const timeout = isLongRoute ? 900000 : 600000 // 15min for long routes, 10min for short - includes open water analysis time
-      
-      if (isLongRoute) {
-        console.log(`⚠️ Long route detected - may take 5-10 minutes with open water analysis and weather data`)
-      }
-      
-      const response = await axios.post('http://localhost:5000/api/route/strict-ocean-route', {
+      // Submit as a background job - the server keeps calculating even if this page is closed
+      const response = await axios.post('http://localhost:5000/api/route/jobs', {
+        type: 'strict-ocean-route',
         ports: [
           { name: fromPort, lat: from.lat, lon: from.lon },
           { name: toPort, lat: to.lat, lon: to.lon }
         ],
         mode: selectedMode
       }, {
-        timeout: timeout
+        headers: authHeaders()
       })
 
-      const calcTime = ((Date.now() - startTime) / 1000).toFixed(1)
-      console.log(`✅ Route calculated in ${calcTime}s`)
-      
-      // Debug: Log raw response
-      console.log('🔍 Raw backend response:', JSON.stringify({
-        success: response.data.success,
-        hasRoutes: !!response.data.routes,
-        routesLength: response.data.routes?.length,
-        firstRoute: response.data.routes?.[0] ? {
-          hasPath: !!response.data.routes[0].path,
-          pathLength: response.data.routes[0].path?.length,
-          distance: response.data.routes[0].distance,
-          keys: Object.keys(response.data.routes[0])
-        } : null
-      }, null, 2))
-      
-      // Transform backend response to match MapView expectations
-      // Backend returns: { routes: [{path: [...]}], summary: {...} }
-      // MapView expects: { path: [...], distance: ..., ... }
-      let transformedData = null
-      
-      if (response.data.routes && response.data.routes.length > 0 && response.data.routes[0].path) {
-        // Multi-port route format
-        transformedData = {
-          ...response.data.routes[0], // Take first route's path, distance, etc.
-          summary: response.data.summary,
-          mode: response.data.mode
-        }
-      } else if (response.data.path) {
-        // Single route format (old format)
-        transformedData = response.data
-      } else {
-        // No valid route found
-        console.error('❌ No valid route in response')
-        alert('No route found. The route may cross land or be out of grid coverage.')
-        return
+      const job = {
+        jobId: response.data.jobId,
+        fromPort,
+        toPort,
+        mode: selectedMode,
+        submittedAt: Date.now()
       }
-      
-      console.log('📍 Path points:', transformedData.path?.length)
-      console.log('🗺️ Transformed route data:', {
-        hasPath: !!transformedData.path,
-        pathLength: transformedData.path?.length,
-        distance: transformedData.distance
-      })
+      localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(job))
+      setActiveJob(job)
+      console.log(`🧾 Route job submitted: ${job.jobId}`)
 
-      onRouteCalculated(transformedData)
+      await pollRouteJob(job)
+    } catch (error) {
+      console.error('Route calculation failed:', error)
+      const errorMsg = error.response?.data?.error || error.message || 'Unknown error'
+      alert(`Failed to calculate route: ${errorMsg}\n\nPlease ensure the backend is running on port 5000.`)
+      finishJob()
+    }
+  }
 
-      // Save route to history (database for logged-in users, localStorage for guests)
-      const token = localStorage.getItem('token')
-      if (response.data) {
-        // Debug: Log response structure
-        console.log('📦 Route response:', {
-          hasSummary: !!response.data.summary,
-          success: response.data.success,
-          summary: response.data.summary
+  // Poll job progress until it completes, fails or is cancelled
+  const pollRouteJob = async (job) => {
+    try {
+      while (pollingRef.current) {
+        const { data: status } = await axios.get(`http://localhost:5000/api/route/jobs/${job.jobId}`, {
+          headers: authHeaders()
         })
-        
-        // Extract distance and duration from response
-        let distance = 0
-        let duration = 0
-        
-        // Try to get distance - prefer numeric version
-        if (response.data.summary?.totalDistanceKm) {
-          distance = response.data.summary.totalDistanceKm
-          console.log('📏 Using numeric distance:', distance, 'km')
-        } else if (response.data.summary?.totalDistance) {
-          // Fallback: parse from string format "1250 km"
-          const distanceStr = response.data.summary.totalDistance.toString()
-          distance = parseFloat(distanceStr.replace(/[^\d.]/g, '')) || 0
-          console.log('📏 Parsed distance from string:', distance, 'km')
-        } else {
-          console.warn('⚠️ No distance found in response')
+        setJobProgress(status.progress)
+
+        if (status.status === 'completed') {
+          const { data } = await axios.get(`http://localhost:5000/api/route/jobs/${job.jobId}/result`, {
+            headers: authHeaders()
+          })
+          const calcTime = ((Date.now() - job.submittedAt) / 1000).toFixed(1)
+          console.log(`✅ Route calculated in ${calcTime}s`)
+          finishJob()
+          await handleRouteResult(data, job)
+          return
         }
-        
-        // Get duration (hours) - calculate if not provided
-        if (response.data.summary?.totalTime) {
-          duration = response.data.summary.totalTime
-        } else if (response.data.routes && response.data.routes.length > 0) {
-          // Sum up duration from all route segments
-          duration = response.data.routes.reduce((sum, route) => sum + (route.duration || 0), 0)
+
+        if (status.status === 'failed') {
+          finishJob()
+          alert(`Failed to calculate route: ${status.error?.message || 'Unknown error'}`)
+          return
         }
-        console.log('⏱️ Duration:', duration, 'hours')
-        
-        if (token) {
-          // Logged-in user: save to database
-          try {
-            await axios.post('http://localhost:5000/api/user/routes', {
-              from: fromPort,
-              to: toPort,
-              mode: selectedMode,
-              distance: distance,
-              duration: duration
-            }, {
-              headers: { Authorization: `Bearer ${token}` }
-            })
-            console.log('✅ Route saved to database')
-          } catch (saveError) {
-            console.error('Failed to save route to database:', saveError)
-            console.error('Route data sent:', { from: fromPort, to: toPort, mode: selectedMode, distance, duration })
-          }
-        } else {
-          // Guest user: save to localStorage
-          try {
-            const guestRoutes = JSON.parse(localStorage.getItem('guestRoutes') || '[]')
-            guestRoutes.unshift({
-              from: fromPort,
-              to: toPort,
-              mode: selectedMode,
-              distance: distance,
-              duration: duration,
-              calculatedAt: new Date().toISOString()
-            })
-            // Keep only last 3 routes
-            const limitedRoutes = guestRoutes.slice(0, 3)
-            localStorage.setItem('guestRoutes', JSON.stringify(limitedRoutes))
-            console.log('✅ Route saved to localStorage (guest mode)')
-          } catch (saveError) {
-            console.error('Failed to save guest route:', saveError)
-          }
+
+        if (status.status === 'cancelled') {
+          console.log(`🛑 Route job ${job.jobId} cancelled`)
+          finishJob()
+          return
         }
+
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL))
       }
     } catch (error) {
-      console.error('Route calculation failed:', error)
-      const errorMsg = error.response?.data?.error || error.message || 'Unknown error'
-      alert(`Failed to calculate route: ${errorMsg}\n\nPlease ensure the backend is running on port 5000.`)
-    } finally {
+      if (error.response?.status === 404) {
+        // Server restarted or job expired - nothing left to resume
+        console.warn(`⚠️ Route job ${job.jobId} no longer exists`)
+        finishJob()
+        return
+      }
+      console.error('Route job polling failed:', error)
+      alert('Lost contact with the route server. The calculation will resume when you reload the page.')
       setLoading(false)
+      setJobProgress(null)
+    }
+  }
+
+  const cancelRoute = async () => {
+    if (!activeJob) return
+    try {
+      await axios.delete(`http://localhost:5000/api/route/jobs/${activeJob.jobId}`, {
+        headers: authHeaders()
+      })
+    } catch (error) {
+      console.error('Failed to cancel route job:', error)
+      finishJob()
+    }
+  }
+
+  const finishJob = () => {
+    localStorage.removeItem(ACTIVE_JOB_KEY)
+    setActiveJob(null)
+    setJobProgress(null)
+    setLoading(false)
+  }
+
+  const authHeaders = () => {
+    const token = localStorage.getItem('token')
+    return token ? { Authorization: `Bearer ${token}` } : {}
+  }
+
+  // Transform a finished route result for the map and save it to history
+  const handleRouteResult = async (data, job) => {
+    // Debug: Log raw response
+    console.log('🔍 Raw backend response:', JSON.stringify({
+      success: data.success,
+      hasRoutes: !!data.routes,
+      routesLength: data.routes?.length,
+      firstRoute: data.routes?.[0] ? {
+        hasPath: !!data.routes[0].path,
+        pathLength: data.routes[0].path?.length,
+        distance: data.routes[0].distance,
+        keys: Object.keys(data.routes[0])
+      } : null
+    }, null, 2))
+    
+    // Transform backend response to match MapView expectations
+    // Backend returns: { routes: [{path: [...]}], summary: {...} }
+    // MapView expects: { path: [...], distance: ..., ... }
+    let transformedData = null
+    
+    if (data.routes && data.routes.length > 0 && data.routes[0].path) {
+      // Multi-port route format
+      transformedData = {
+        ...data.routes[0], // Take first route's path, distance, etc.
+        summary: data.summary,
+        mode: data.mode
+      }
+    } else if (data.path) {
+      // Single route format (old format)
+      transformedData = data
+    } else {
+      // No valid route found
+      console.error('❌ No valid route in response')
+      alert('No route found. The route may cross land or be out of grid coverage.')
+      return
+    }
+    
+    console.log('📍 Path points:', transformedData.path?.length)
+    console.log('🗺️ Transformed route data:', {
+      hasPath: !!transformedData.path,
+      pathLength: transformedData.path?.length,
+      distance: transformedData.distance
+    })
+
+    onRouteCalculated(transformedData)
+
+    // Save route to history (database for logged-in users, localStorage for guests)
+    const token = localStorage.getItem('token')
+    if (data) {
+      // Debug: Log response structure
+      console.log('📦 Route response:', {
+        hasSummary: !!data.summary,
+        success: data.success,
+        summary: data.summary
+      })
+      
+      // Extract distance and duration from response
+      let distance = 0
+      let duration = 0
+      
+      // Try to get distance - prefer numeric version
+      if (data.summary?.totalDistanceKm) {
+        distance = data.summary.totalDistanceKm
+        console.log('📏 Using numeric distance:', distance, 'km')
+      } else if (data.summary?.totalDistance) {
+        // Fallback: parse from string format "1250 km"
+        const distanceStr = data.summary.totalDistance.toString()
+        distance = parseFloat(distanceStr.replace(/[^\d.]/g, '')) || 0
+        console.log('📏 Parsed distance from string:', distance, 'km')
+      } else {
+        console.warn('⚠️ No distance found in response')
+      }
+      
+      // Get duration (hours) - calculate if not provided
+      if (data.summary?.totalTime) {
+        duration = data.summary.totalTime
+      } else if (data.routes && data.routes.length > 0) {
+        // Sum up duration from all route segments
+        duration = data.routes.reduce((sum, route) => sum + (route.duration || 0), 0)
+      }
+      console.log('⏱️ Duration:', duration, 'hours')
+      
+      if (token) {
+        // Logged-in user: save to database
+        try {
+          await axios.post('http://localhost:5000/api/user/routes', {
+            from: job.fromPort,
+            to: job.toPort,
+            mode: job.mode,
+            distance: distance,
+            duration: duration
+          }, {
+            headers: { Authorization: `Bearer ${token}` }
+          })
+          console.log('✅ Route saved to database')
+        } catch (saveError) {
+          console.error('Failed to save route to database:', saveError)
+          console.error('Route data sent:', { from: job.fromPort, to: job.toPort, mode: job.mode, distance, duration })
+        }
+      } else {
+        // Guest user: save to localStorage
+        try {
+          const guestRoutes = JSON.parse(localStorage.getItem('guestRoutes') || '[]')
+          guestRoutes.unshift({
+            from: job.fromPort,
+            to: job.toPort,
+            mode: job.mode,
+            distance: distance,
+            duration: duration,
+            calculatedAt: new Date().toISOString()
+          })
+          // Keep only last 3 routes
+          const limitedRoutes = guestRoutes.slice(0, 3)
+          localStorage.setItem('guestRoutes', JSON.stringify(limitedRoutes))
+          console.log('✅ Route saved to localStorage (guest mode)')
+        } catch (saveError) {
+          console.error('Failed to save guest route:', saveError)
+        }
+      }
     }
   }
 
@@ -382,12 +491,51 @@ export default function ControlPanel({ onRouteCalculated, selectedMode, setSelec
           <div className="flex flex-col items-center justify-center gap-2">
             <div className="w-5 h-5 border-2 border-cyan-400 border-t-transparent rounded-full animate-spin" />
             <span>Calculating route...</span>
-            <span className="text-xs text-cyan-300">This may take 5-10 minutes for long routes</span>
+            {jobProgress ? (
+              <span className="text-xs text-cyan-300">
+                {jobProgress.percent || 0}% · ETA {formatEta(jobProgress.etaSeconds)}
+              </span>
+            ) : (
+              <span className="text-xs text-cyan-300">Submitting route job...</span>
+            )}
           </div>
         ) : (
           'Calculate Route'
         )}
       </motion.button>
+
+      {/* Route Job Progress */}
+      {activeJob && (
+        <div className="glass-card rounded-xl p-4 space-y-2 text-xs text-gray-300">
+          <div className="flex items-center justify-between">
+            <span className="font-medium text-cyan-300">{activeJob.fromPort} → {activeJob.toPort}</span>
+            <span className="uppercase text-gray-400">{activeJob.mode}</span>
+          </div>
+          <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-cyan-400 transition-all"
+              style={{ width: `${jobProgress?.percent || 0}%` }}
+            />
+          </div>
+          <div className="flex justify-between">
+            <span>Phase: {jobProgress?.phase || 'queued'}</span>
+            {jobProgress?.totalSegments > 0 && (
+              <span>Segment {jobProgress.currentSegment}/{jobProgress.totalSegments}</span>
+            )}
+          </div>
+          <div className="flex justify-between">
+            <span>Cells expanded: {(jobProgress?.cellsExpanded || 0).toLocaleString()}</span>
+            <span>ETA: {formatEta(jobProgress?.etaSeconds)}</span>
+          </div>
+          <button
+            onClick={cancelRoute}
+            className="w-full flex items-center justify-center gap-2 py-2 rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/10 transition-all"
+          >
+            <XCircle className="w-4 h-4" />
+            Cancel calculation
+          </button>
+        </div>
+      )}
     </div>
   )
 }
@@ -73,8 +73,17 @@ export default function CycloneWarning({ routeData, onRerouteRequest }) {
   const handleReroute = () => {
     setShowWarning(false)
     if (onRerouteRequest && intersection) {
-      // Pass cyclone locations to avoid
-      const avoidAreas = intersection.intersections.map(i => i.location)
+      // Avoid each cyclone the route passes through (its whole affected radius)
+      const crossed = new Set(intersection.intersections.map(i => i.cycloneName))
+      const avoidAreas = cyclones
+        .filter(cyclone => crossed.has(cyclone.name))
+        .map(cyclone => ({
+          type: 'circle',
+          id: cyclone.name,
+          name: cyclone.name,
+          center: cyclone.center,
+          radiusKm: cyclone.radius
+        }))
       onRerouteRequest(avoidAreas)
     }
   }
@@ -340,7 +349,7 @@ export default function CycloneWarning({ routeData, onRerouteRequest }) {
                   ⚠️ WEATHER ADVISORY
                 </p>
                 <p className="text-orange-100 text-center text-sm mt-1">
-                  Real-time weather data from Open-Meteo API.
+                  Real-time weather data from the configured weather provider.
                   For critical decisions, consult official meteorological authorities.
                 </p>
               </div>
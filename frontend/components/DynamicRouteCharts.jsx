@@ -15,7 +15,8 @@ export default function DynamicRouteCharts({ routeData, mode }) {
 
     for (let i = 0; i < routeData.path.length; i++) {
       const waypoint = routeData.path[i]
-      const weather = waypoint.weather || {}
+      // Forecast at the ship's ETA (forecast store) over the cell's stored weather
+      const weather = { ...waypoint.weather, ...waypoint.forecast }
 
       // Calculate distance from previous waypoint
       if (i > 0) {
@@ -73,7 +73,10 @@ export default function HazardMonitor({ routeData, currentPosition, onRerouteReq
   const handleReroute = () => {
     setShowAlert(false)
     if (onRerouteRequest) {
-      onRerouteRequest(hazards.filter(h => h.level === 'CRITICAL'))
+      // Keep clear of each critical waypoint (the server's default avoidance radius)
+      onRerouteRequest(hazards
+        .filter(h => h.level === 'CRITICAL')
+        .map(h => ({ type: 'circle', id: `hazard-${h.waypointIndex}`, name: h.message, center: h.location })))
     }
   }
 
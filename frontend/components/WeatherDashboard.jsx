@@ -51,26 +51,25 @@ export default function WeatherDashboard({ data, currentLocation, onLocationUpda
     
     setLoading(true)
     try {
-      // Use Open-Meteo API (free, no API key needed)
-      const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
+      // Backend weather API (served by the configured weather provider), wind in knots
+      const response = await axios.get('http://localhost:5000/api/weather/current', {
         params: {
-          latitude: lat.toFixed(2),
-          longitude: lon.toFixed(2),
-          current: 'temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,wind_speed_10m,wind_direction_10m,wind_gusts_10m,cloud_cover',
-          timezone: 'auto'
+          lat: lat.toFixed(2),
+          lon: lon.toFixed(2),
+          windSpeedUnit: 'kn'
         }
       })
       
-      const current = response.data.current
+      const current = response.data.weather
       setWeatherData({
-        temperature: Math.round(current.temperature_2m),
-        windSpeed: Math.round(current.wind_speed_10m * 0.54), // Convert to knots
-        humidity: current.relative_humidity_2m,
-        visibility: 10, // Default value (Open-Meteo doesn't provide this)
-        pressure: 1013, // Default value
-        windDirection: getWindDirection(current.wind_direction_10m),
-        windGusts: Math.round(current.wind_gusts_10m * 0.54),
-        cloudCover: current.cloud_cover,
+        temperature: Math.round(current.temperature),
+        windSpeed: Math.round(current.windSpeed),
+        humidity: current.humidity,
+        visibility: current.visibility != null ? Math.round(current.visibility / 1000) : 10, // m -> km
+        pressure: current.pressure != null ? Math.round(current.pressure) : 1013,
+        windDirection: getWindDirection(current.windDirection),
+        windGusts: Math.round(current.windGusts),
+        cloudCover: current.cloudCover,
         precipitation: current.precipitation,
         lastUpdate: new Date().toLocaleTimeString()
       })